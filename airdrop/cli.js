@@ -0,0 +1,207 @@
+const fs = require('fs');
+const path = require('path');
+const { formatUnits } = require('ethers');
+const { resolveTimestamp } = require('../deploy/config');
+const { loadRecipients } = require('./recipients');
+const { AirdropTree, loadProofs } = require('./tree');
+
+const USAGE = `Usage: node airdrop/cli.js [--network <name>] <command> [options]
+
+Commands:
+  build <list.csv|list.json>
+                           Validate the list and write the Merkle root and every claim's proof
+  create                   Open a TokenAirdrop campaign with the root of a proofs file and record it there
+  sweep                    Send what a campaign's recipients did not claim to --to once it has ended
+  serve                    Serve proof lookups over HTTP
+  simulate                 Dry-run every claim against a TokenAirdrop on the hardhat network
+                           (set FORK_URL to fork a live chain); nothing is sent to the chain
+
+Build options:
+  --out <file>             Proofs file (default <list>.proofs.json)
+  --decimals <n>           Amounts are token amounts with n decimals (default: integers in base units)
+  --strict                 Reject addresses listed more than once instead of summing their amounts
+
+Create options:
+  --proofs <file>          Proofs file written by build
+  --start <date>           Claim window start: ISO date or +<seconds> from now
+  --end <date>             Claim window end
+  --vesting-start <date>   Claims vest linearly from this date (default --start) ...
+  --vesting-duration <s>   ... over this many seconds (default 0: no vesting)
+
+Serve options:
+  --proofs <file,...>      Proofs files written by build, one per campaign
+  --port <port>            Default AIRDROP_PORT or 3001
+
+Simulate options:
+  --proofs <file>          Proofs file written by build
+  --campaign <id>          Campaign to claim from (default: the one create recorded, or a new one)
+  --accounts <a,b,...>     Only simulate these claimants
+
+Sweep options:
+  --campaign <id>          Ended campaign
+  --to <address>           Recipient of the unclaimed tokens
+
+create, sweep and simulate find the airdrop with --airdrop <address>, or in --manifest <file>
+(default deployments/<network>.json).`;
+
+const FLAGS = ['strict'];
+
+function parseArgs(argv) {
+  const args = { positional: [], options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      const name = argv[i].slice(2);
+      if (FLAGS.includes(name)) {
+        args.options[name] = true;
+      } else {
+        args.options[name] = argv[i + 1];
+        i++;
+      }
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Build the tree of a list file and write its proofs file
+ * @return {{tree: AirdropTree, duplicates: Array, out: string}}
+ */
+function build(input, options = {}) {
+  const decimals = options.decimals !== undefined ? Number(options.decimals) : undefined;
+  const { recipients, duplicates } = loadRecipients(input, { decimals, strict: options.strict });
+  const tree = new AirdropTree(recipients);
+  const out = options.out || path.join(path.dirname(input), `${path.basename(input, path.extname(input))}.proofs.json`);
+  fs.writeFileSync(out, JSON.stringify(tree, null, 2) + '\n');
+  return { tree, duplicates, out };
+}
+
+/**
+ * Open a campaign for a proofs file and record its id in the file, for `serve` and `simulate`
+ * @param {import('ethers').Contract} airdrop TokenAirdrop connected to its owner
+ * @param {string} file Proofs file
+ * @param {object} options start, end, vestingStart (dates as in the deploy config) and vestingDuration (seconds)
+ * @return {Promise<{id: number, airdrop: string, chainId: string, txHash: string}>}
+ */
+async function create(airdrop, file, { start, end, vestingStart, vestingDuration = 0 }) {
+  const proofs = loadProofs(file);
+  if (proofs.campaign) throw new Error(`${file} is already campaign ${proofs.campaign.id} of ${proofs.campaign.airdrop}`);
+  if (!start || !end) throw new Error('A campaign needs --start and --end');
+
+  const provider = airdrop.runner.provider;
+  const now = (await provider.getBlock('latest')).timestamp;
+  const startTimestamp = resolveTimestamp(start, now);
+  const receipt = await (await airdrop.createCampaign(
+    proofs.merkleRoot,
+    proofs.total,
+    startTimestamp,
+    resolveTimestamp(end, now),
+    vestingStart ? resolveTimestamp(vestingStart, now) : startTimestamp,
+    Number(vestingDuration)
+  )).wait();
+  const event = receipt.logs.map((log) => airdrop.interface.parseLog(log)).find((log) => log && log.name === 'CampaignCreated');
+
+  const campaign = {
+    id: Number(event.args.campaignId),
+    airdrop: airdrop.target,
+    chainId: (await provider.getNetwork()).chainId.toString(),
+    txHash: receipt.hash
+  };
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  fs.writeFileSync(file, JSON.stringify({ ...data, campaign }, null, 2) + '\n');
+  return campaign;
+}
+
+function requireOption(options, name) {
+  if (!options[name]) throw new Error(`--${name} is required\n\n${USAGE}`);
+  return options[name];
+}
+
+function airdropAddress(options, network) {
+  if (options.airdrop) return options.airdrop;
+  const file = options.manifest || path.join(__dirname, '..', 'deployments', `${network}.json`);
+  const manifest = fs.existsSync(file) ? JSON.parse(fs.readFileSync(file, 'utf8')) : { contracts: {} };
+  const record = manifest.contracts.TokenAirdrop;
+  if (!record) throw new Error(`${file} records no TokenAirdrop; pass --airdrop <address>`);
+  return record.address;
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { positional: [command, input], options } = parseArgs(argv);
+  if (!command) {
+    console.log(USAGE);
+    return;
+  }
+
+  if (command === 'build') {
+    if (!input) throw new Error(`build needs a list file\n\n${USAGE}`);
+    const { tree, duplicates, out } = build(input, options);
+    for (const { address, entries, amount } of duplicates) {
+      console.log(`! ${address} is listed at ${entries.join(', ')}: amounts summed to ${amount}`);
+    }
+    console.log(`Merkle root: ${tree.root}`);
+    console.log(`${tree.claims.size} recipients, ${tree.total} in base units` +
+      (options.decimals !== undefined ? ` (${formatUnits(tree.total, Number(options.decimals))} tokens)` : ''));
+    console.log(`Proofs written to ${out}`);
+  } else if (command === 'serve') {
+    const { createServer } = require('./server');
+    const campaigns = requireOption(options, 'proofs').split(',').map((file) => loadProofs(file));
+    const port = Number(options.port || process.env.AIRDROP_PORT || 3001);
+    createServer(campaigns).listen(port, () => {
+      console.log(`Serving the proofs of ${campaigns.length} campaign(s) on port ${port}`);
+    });
+  } else if (command === 'simulate') {
+    // The simulation impersonates claimants, which only the in-process network allows
+    const network = options.network || process.env.HARDHAT_NETWORK || 'hardhat';
+    process.env.HARDHAT_NETWORK = 'hardhat';
+    const hre = require('hardhat');
+    const { simulateClaims } = require('./simulate');
+    const proofs = loadProofs(requireOption(options, 'proofs'));
+
+    const report = await simulateClaims({
+      hre,
+      airdrop: proofs.campaign && !options.airdrop ? proofs.campaign.airdrop : airdropAddress(options, network),
+      proofs,
+      campaignId: options.campaign !== undefined ? Number(options.campaign) : undefined,
+      accounts: options.accounts ? options.accounts.split(',') : undefined,
+      log: console.log
+    });
+    for (const adjustment of report.adjustments) console.log(`Simulation ${adjustment}`);
+    console.log(`Campaign ${report.campaignId}: ${report.claimed.length} claims succeeded (${report.gasUsed} gas), ${report.failed.length} failed`);
+    if (report.failed.length > 0) process.exitCode = 1;
+  } else if (command === 'create' || command === 'sweep') {
+    // Hardhat reads the network from the environment when it is loaded
+    if (options.network) process.env.HARDHAT_NETWORK = options.network;
+    const { ethers, network } = require('hardhat');
+    const [signer] = await ethers.getSigners();
+    const airdrop = await ethers.getContractAt('TokenAirdrop', airdropAddress(options, network.name), signer);
+
+    if (command === 'create') {
+      const file = requireOption(options, 'proofs');
+      const campaign = await create(airdrop, file, {
+        start: options.start,
+        end: options.end,
+        vestingStart: options['vesting-start'],
+        vestingDuration: options['vesting-duration']
+      });
+      console.log(`Campaign ${campaign.id} created on ${campaign.airdrop} (${campaign.txHash}), recorded in ${file}`);
+    } else {
+      const id = requireOption(options, 'campaign');
+      const receipt = await (await airdrop.sweep(id, requireOption(options, 'to'))).wait();
+      const event = receipt.logs.map((log) => airdrop.interface.parseLog(log)).find((log) => log && log.name === 'CampaignSwept');
+      console.log(`Swept ${event.args.amount} unclaimed tokens of campaign ${id} to ${options.to}`);
+    }
+  } else {
+    throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message || error);
+    process.exit(1);
+  });
+}
+
+module.exports = { build, create, parseArgs };
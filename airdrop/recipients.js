@@ -0,0 +1,130 @@
+const fs = require('fs');
+const path = require('path');
+const { getAddress, isAddress, parseUnits, ZeroAddress } = require('ethers');
+
+/**
+ * Parse an airdrop list into validated recipients with one entry per address
+ *
+ * CSV: `address,amount` rows, with an optional header row; empty lines and `#` comments are ignored.
+ * JSON: an array of `{ address, amount }` objects, or an object mapping addresses to amounts.
+ *
+ * Amounts are integers in token base units, or decimal token amounts when `decimals` is given.
+ * Addresses repeated with another case are the same recipient: their amounts are summed and
+ * reported in `duplicates`, or rejected with `strict`. Every invalid entry is reported in one error.
+ *
+ * @param {string} text List contents
+ * @param {object} [options]
+ * @param {'csv'|'json'} [options.format] Default csv
+ * @param {number} [options.decimals] Token decimals of decimal amounts
+ * @param {boolean} [options.strict] Reject repeated addresses instead of summing them
+ * @return {{recipients: Array<{address: string, amount: bigint}>, duplicates: Array<{address: string, entries: string[], amount: bigint}>}}
+ */
+function parseRecipients(text, { format = 'csv', decimals, strict = false } = {}) {
+  const entries = format === 'json' ? jsonEntries(text) : csvEntries(text);
+  const errors = [];
+  const byAddress = new Map();
+
+  for (const { where, address, amount } of entries) {
+    const parsedAddress = parseAddress(address);
+    const parsedAmount = parseAmount(amount, decimals);
+    if (parsedAddress.error) errors.push(`${where}: ${parsedAddress.error}`);
+    if (parsedAmount.error) errors.push(`${where}: ${parsedAmount.error}`);
+    if (parsedAddress.error || parsedAmount.error) continue;
+
+    const recipient = byAddress.get(parsedAddress.value);
+    if (recipient) {
+      recipient.entries.push(where);
+      recipient.amount += parsedAmount.value;
+    } else {
+      byAddress.set(parsedAddress.value, { address: parsedAddress.value, amount: parsedAmount.value, entries: [where] });
+    }
+  }
+
+  const duplicates = [...byAddress.values()]
+    .filter(({ entries }) => entries.length > 1)
+    .map(({ address, entries, amount }) => ({ address, entries, amount }));
+  if (strict) {
+    for (const { address, entries } of duplicates) errors.push(`${entries.join(', ')}: ${address} is listed more than once`);
+  }
+  if (entries.length === 0) errors.push('the list has no recipients');
+  if (errors.length > 0) throw new Error(`Invalid airdrop list:\n  ${errors.join('\n  ')}`);
+
+  return {
+    recipients: [...byAddress.values()].map(({ address, amount }) => ({ address, amount })),
+    duplicates
+  };
+}
+
+/**
+ * Read and parse an airdrop list file; the format follows the extension (.json, otherwise CSV)
+ */
+function loadRecipients(file, options = {}) {
+  const format = options.format || (path.extname(file).toLowerCase() === '.json' ? 'json' : 'csv');
+  return parseRecipients(fs.readFileSync(file, 'utf8'), { ...options, format });
+}
+
+function csvEntries(text) {
+  const entries = [];
+  text.split(/\r?\n/).forEach((line, index) => {
+    const content = line.trim();
+    if (!content || content.startsWith('#')) return;
+
+    const cells = content.split(',').map((cell) => cell.trim().replace(/^"(.*)"$/, '$1'));
+    // A first row without an address is the header
+    if (entries.length === 0 && !/^0x/i.test(cells[0]) && /address/i.test(cells[0])) return;
+    entries.push({ where: `line ${index + 1}`, address: cells[0], amount: cells[1] });
+  });
+  return entries;
+}
+
+function jsonEntries(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (error) {
+    throw new Error(`Invalid airdrop list: not valid JSON (${error.message})`);
+  }
+  if (Array.isArray(data)) {
+    return data.map((entry, index) => ({ where: `entry ${index}`, address: entry && entry.address, amount: entry && entry.amount }));
+  }
+  if (data && typeof data === 'object') {
+    return Object.entries(data).map(([address, amount]) => ({ where: `entry ${address}`, address, amount }));
+  }
+  throw new Error('Invalid airdrop list: expected an array of { address, amount } or an object of address => amount');
+}
+
+function parseAddress(address) {
+  if (typeof address !== 'string' || !isAddress(address)) {
+    // isAddress also fails on a mixed-case address with a wrong checksum
+    const checksum = typeof address === 'string' && isAddress(address.toLowerCase());
+    return { error: checksum ? `${address} has an invalid checksum` : `invalid address ${JSON.stringify(address)}` };
+  }
+  const value = getAddress(address);
+  if (value === ZeroAddress) return { error: 'the zero address cannot claim' };
+  return { value };
+}
+
+function parseAmount(amount, decimals) {
+  if (typeof amount === 'number' && !Number.isSafeInteger(amount) && decimals === undefined) {
+    return { error: `amount ${amount} is not an exact integer; write it as a string` };
+  }
+  const text = typeof amount === 'number' || typeof amount === 'bigint' ? amount.toString() : amount;
+  if (typeof text !== 'string' || text === '') return { error: 'missing amount' };
+
+  let value;
+  if (decimals !== undefined) {
+    if (!/^\d+(\.\d+)?$/.test(text)) return { error: `invalid amount ${JSON.stringify(text)}` };
+    try {
+      value = parseUnits(text, decimals);
+    } catch (error) {
+      return { error: `amount ${text} has more than ${decimals} decimals` };
+    }
+  } else {
+    if (!/^\d+$/.test(text)) return { error: `amount ${JSON.stringify(text)} is not an integer in base units (use --decimals for token amounts)` };
+    value = BigInt(text);
+  }
+  if (value === 0n) return { error: 'amount must be positive' };
+  return { value };
+}
+
+module.exports = { loadRecipients, parseRecipients };
@@ -0,0 +1,70 @@
+const http = require('http');
+const { getAddress, isAddress } = require('ethers');
+
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+  // Proofs are public: claim pages on any origin can look them up
+  res.writeHead(status, { 'Content-Type': 'application/json', 'Access-Control-Allow-Origin': '*' });
+  res.end(body);
+}
+
+function campaignId(proofs) {
+  return proofs.campaign ? proofs.campaign.id : null;
+}
+
+/**
+ * Create the HTTP server answering proof lookups
+ * @param {Array<{merkleRoot: string, total: bigint, campaign: ?object, claims: Map}>} campaigns Proofs files
+ *   loaded with loadProofs, one per campaign
+ */
+function createServer(campaigns) {
+  const routes = [
+    [/^\/api\/airdrop$/, () => [200, {
+      campaigns: campaigns.map((proofs) => ({
+        campaignId: campaignId(proofs),
+        merkleRoot: proofs.merkleRoot,
+        recipients: proofs.claims.size,
+        total: proofs.total
+      }))
+    }]],
+    [/^\/api\/airdrop\/proof\/([^/]+)$/, ([address]) => {
+      // Any case is accepted: wallets do not always return checksummed addresses
+      if (!isAddress(address.toLowerCase())) {
+        return [400, { success: false, error: 'VALIDATION_ERROR', message: `Invalid address: ${address}` }];
+      }
+      const account = getAddress(address.toLowerCase());
+      const claims = campaigns
+        .filter((proofs) => proofs.claims.has(account))
+        .map((proofs) => {
+          const { index, amount, proof } = proofs.claims.get(account);
+          return { campaignId: campaignId(proofs), merkleRoot: proofs.merkleRoot, index, amount, proof };
+        });
+      if (claims.length === 0) {
+        return [404, { success: false, error: 'NOT_ELIGIBLE', message: `${account} is not in the airdrop` }];
+      }
+      return [200, { address: account, claims }];
+    }],
+    [/^\/api\/health$/, () => [200, { status: 'ok' }]]
+  ];
+
+  return http.createServer((req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+
+    for (const [pattern, handler] of routes) {
+      const match = pathname.match(pattern);
+      if (!match) continue;
+      if (req.method !== 'GET') {
+        sendJson(res, 405, { success: false, error: 'METHOD_NOT_ALLOWED', message: 'Only GET is supported' });
+        return;
+      }
+
+      const [status, data] = handler(match.slice(1));
+      sendJson(res, status, status === 200 ? { success: true, data } : data);
+      return;
+    }
+
+    sendJson(res, 404, { success: false, error: 'NOT_FOUND', message: `Cannot ${req.method} ${pathname}` });
+  });
+}
+
+module.exports = { createServer };
@@ -0,0 +1,123 @@
+const { Interface, ZeroHash } = require('ethers');
+
+const TOKEN_ABI = [
+  'function balanceOf(address account) view returns (uint256)',
+  'error ERC20InsufficientBalance(address sender, uint256 balance, uint256 needed)'
+];
+
+/**
+ * Dry-run the claims of a proofs file against a deployed TokenAirdrop on the in-process Hardhat network,
+ * usually a fork of the live chain (FORK_URL). Claims are sent one after another from the impersonated
+ * claimants, so they fail the way they would on chain, then every change is reverted.
+ *
+ * Without a campaign (the file's, or `campaignId`), the simulation first creates one as the owner with
+ * the file's root and total, as `airdrop create` would. A campaign that has not started, or is still
+ * vesting, is simulated once everything has vested. The changes made are reported in `adjustments`.
+ *
+ * @param {object} options
+ * @param {object} options.hre Hardhat runtime environment on the `hardhat` network
+ * @param {string} options.airdrop TokenAirdrop address
+ * @param {object} options.proofs Loaded with loadProofs
+ * @param {number} [options.campaignId] Campaign to claim from (default: the file's)
+ * @param {string[]} [options.accounts] Claimants to simulate (default: all)
+ * @param {function} [options.log]
+ */
+async function simulateClaims({ hre, airdrop: address, proofs, campaignId, accounts, log = () => {} }) {
+  if (hre.network.name !== 'hardhat') {
+    throw new Error(`Claim simulation sends transactions; run it on the hardhat network (with FORK_URL to fork ${hre.network.name})`);
+  }
+  const { ethers, network } = hre;
+  if ((await ethers.provider.getCode(address)) === '0x') {
+    throw new Error(`No contract at ${address}; set FORK_URL to simulate against a live chain`);
+  }
+  const airdrop = await ethers.getContractAt('TokenAirdrop', address);
+  const token = new ethers.Contract(await airdrop.token(), TOKEN_ABI, ethers.provider);
+  const errors = new Interface([...airdrop.interface.fragments, ...token.interface.fragments]);
+
+  const claimants = (accounts || [...proofs.claims.keys()]).map((account) => ethers.getAddress(account));
+  for (const account of claimants) {
+    if (!proofs.claims.has(account)) throw new Error(`${account} is not in the proofs file`);
+  }
+  let id = campaignId !== undefined ? campaignId : proofs.campaign && proofs.campaign.id;
+
+  const snapshot = await network.provider.send('evm_snapshot', []);
+  const automine = await network.provider.send('hardhat_getAutomine', []);
+  const impersonated = new Set();
+  const impersonate = async (account) => {
+    impersonated.add(account);
+    await network.provider.send('hardhat_setBalance', [account, '0x56bc75e2d63100000']); // 100 ETH for gas
+    return ethers.getImpersonatedSigner(account);
+  };
+
+  try {
+    await network.provider.send('evm_setAutomine', [true]);
+    const report = {
+      merkleRoot: proofs.merkleRoot,
+      campaignId: null,
+      adjustments: [],
+      total: claimants.reduce((sum, account) => sum + proofs.claims.get(account).amount, 0n),
+      claimed: [],
+      failed: [],
+      gasUsed: 0n
+    };
+    const now = BigInt((await ethers.provider.getBlock('latest')).timestamp);
+
+    if (id === undefined || id === null) {
+      const owner = await impersonate(await airdrop.owner());
+      id = Number(await airdrop.campaignCount());
+      try {
+        await (await airdrop.connect(owner).createCampaign(proofs.merkleRoot, proofs.total, now, now + 86400n, 0, 0)).wait();
+      } catch (error) {
+        throw new Error(`The campaign cannot be created: ${revertReason(error, errors)}`);
+      }
+      report.adjustments.push(`created campaign ${id} with root ${proofs.merkleRoot}`);
+    }
+    report.campaignId = id;
+
+    const campaign = await airdrop.campaigns(id);
+    if (campaign.merkleRoot === ZeroHash) throw new Error(`Campaign ${id} does not exist`);
+    if (campaign.merkleRoot !== proofs.merkleRoot) {
+      throw new Error(`Campaign ${id} has root ${campaign.merkleRoot}, not the file's ${proofs.merkleRoot}`);
+    }
+    const vested = campaign.vestingStart + campaign.vestingDuration;
+    const claimAt = vested > campaign.startTimestamp ? vested : campaign.startTimestamp;
+    if (claimAt > now && claimAt <= campaign.endTimestamp) {
+      await network.provider.send('evm_setNextBlockTimestamp', [Number(claimAt)]);
+      report.adjustments.push(`moved the time to ${new Date(Number(claimAt) * 1000).toISOString()}` +
+        (vested > campaign.startTimestamp ? ' (everything vested)' : ' (the campaign start)'));
+    }
+
+    for (const account of claimants) {
+      const { index, amount, proof } = proofs.claims.get(account);
+      try {
+        const signer = await impersonate(account);
+        const receipt = await (await airdrop.connect(signer).claim(id, index, amount, proof)).wait();
+        report.claimed.push({ address: account, amount, gasUsed: receipt.gasUsed });
+        report.gasUsed += receipt.gasUsed;
+      } catch (error) {
+        const reason = revertReason(error, errors);
+        report.failed.push({ address: account, amount, reason });
+        log(`! ${account} cannot claim ${amount}: ${reason}`);
+      }
+    }
+    return report;
+  } finally {
+    await network.provider.send('evm_revert', [snapshot]);
+    await network.provider.send('evm_setAutomine', [automine]);
+    for (const account of impersonated) {
+      await network.provider.send('hardhat_stopImpersonatingAccount', [account]);
+    }
+  }
+}
+
+function revertReason(error, errors) {
+  if (error.reason) return error.reason;
+  const data = error.data || (error.error && error.error.data);
+  if (typeof data === 'string' && data.length >= 10) {
+    const decoded = errors.parseError(data);
+    if (decoded) return decoded.name === 'Error' ? decoded.args[0] : `${decoded.name}(${decoded.args.join(', ')})`;
+  }
+  return error.shortMessage || error.message;
+}
+
+module.exports = { simulateClaims };
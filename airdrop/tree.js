@@ -0,0 +1,125 @@
+const fs = require('fs');
+const { concat, getAddress, keccak256, solidityPackedKeccak256 } = require('ethers');
+
+const LEAF_ENCODING = 'keccak256(abi.encodePacked(uint256 index, address account, uint256 amount))';
+
+/**
+ * Leaf of a claim, as TokenAirdrop.claim computes it: keccak256(abi.encodePacked(index, _msgSender(), amount))
+ */
+function leafHash(index, address, amount) {
+  return solidityPackedKeccak256(['uint256', 'address', 'uint256'], [index, address, amount]);
+}
+
+// OpenZeppelin's MerkleProof hashes every pair in sorted order
+function hashPair(a, b) {
+  return a < b ? keccak256(concat([a, b])) : keccak256(concat([b, a]));
+}
+
+/**
+ * Merkle tree of airdrop claims verifiable by TokenAirdrop
+ *
+ * Claims are indexed (the bit TokenAirdrop marks them claimed with) in address order and leaves are
+ * sorted, so the root only depends on the set of claims, not on the order of the list.
+ * A node without a sibling moves up a level unchanged.
+ */
+class AirdropTree {
+  /**
+   * @param {Array<{address: string, amount: bigint|string}>} recipients One entry per address (see parseRecipients)
+   */
+  constructor(recipients) {
+    if (recipients.length === 0) throw new Error('An airdrop needs at least one recipient');
+
+    const accounts = recipients.map(({ address }) => getAddress(address));
+    const order = accounts.map((account, i) => i).sort((a, b) => (accounts[a].toLowerCase() < accounts[b].toLowerCase() ? -1 : 1));
+    this.claims = new Map();
+    for (const [index, i] of order.entries()) {
+      const account = accounts[i];
+      if (this.claims.has(account)) throw new Error(`${account} has more than one claim`);
+      const amount = BigInt(recipients[i].amount);
+      this.claims.set(account, { index, amount, leaf: leafHash(index, account, amount) });
+    }
+
+    this.layers = [[...this.claims.values()].map(({ leaf }) => leaf).sort()];
+    while (this.layers[this.layers.length - 1].length > 1) {
+      const nodes = this.layers[this.layers.length - 1];
+      const parents = [];
+      for (let i = 0; i < nodes.length; i += 2) {
+        parents.push(i + 1 < nodes.length ? hashPair(nodes[i], nodes[i + 1]) : nodes[i]);
+      }
+      this.layers.push(parents);
+    }
+    this.root = this.layers[this.layers.length - 1][0];
+  }
+
+  get total() {
+    let total = 0n;
+    for (const { amount } of this.claims.values()) total += amount;
+    return total;
+  }
+
+  /**
+   * Index, amount and proof `address` claims with, or null when it is not in the airdrop
+   */
+  claim(address) {
+    const claim = this.claims.get(getAddress(address));
+    if (!claim) return null;
+
+    const proof = [];
+    let index = this.layers[0].indexOf(claim.leaf);
+    for (const nodes of this.layers.slice(0, -1)) {
+      const sibling = index % 2 === 0 ? index + 1 : index - 1;
+      if (sibling < nodes.length) proof.push(nodes[sibling]);
+      index = Math.floor(index / 2);
+    }
+    return { index: claim.index, amount: claim.amount, proof };
+  }
+
+  /**
+   * Root, totals and every claim with its proof (amounts as decimal strings), in index order
+   */
+  toJSON() {
+    const claims = {};
+    for (const address of this.claims.keys()) {
+      const { index, amount, proof } = this.claim(address);
+      claims[address] = { index, amount: amount.toString(), proof };
+    }
+    return {
+      merkleRoot: this.root,
+      leafEncoding: LEAF_ENCODING,
+      recipients: this.claims.size,
+      total: this.total.toString(),
+      claims
+    };
+  }
+
+  /**
+   * Whether `proof` proves the claim at `index` of `amount` by `address` against `root`, as MerkleProof.verify does
+   */
+  static verify(root, index, address, amount, proof) {
+    return proof.reduce(hashPair, leafHash(index, getAddress(address), amount)) === root;
+  }
+}
+
+/**
+ * Read a proofs file written by `airdrop build`, checking every proof against its root.
+ * `campaign` is the TokenAirdrop campaign `airdrop create` recorded in the file, or null before that.
+ * @return {{merkleRoot: string, total: bigint, campaign: ?{id: number, airdrop: string, chainId: string},
+ *   claims: Map<string, {index: number, amount: bigint, proof: string[]}>}} claims by checksummed address
+ */
+function loadProofs(file) {
+  const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  if (!data.merkleRoot || !data.claims) throw new Error(`${file} is not an airdrop proofs file`);
+
+  const claims = new Map();
+  let total = 0n;
+  for (const [address, { index, amount, proof }] of Object.entries(data.claims)) {
+    if (!Number.isInteger(index) || !AirdropTree.verify(data.merkleRoot, index, address, amount, proof)) {
+      throw new Error(`${file}: the proof of ${address} does not match the root ${data.merkleRoot}`);
+    }
+    claims.set(getAddress(address), { index, amount: BigInt(amount), proof });
+    total += BigInt(amount);
+  }
+  return { merkleRoot: data.merkleRoot, total, campaign: data.campaign || null, claims };
+}
+
+module.exports = { AirdropTree, LEAF_ENCODING, leafHash, loadProofs };
@@ -2,10 +2,18 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/extensions/ERC20Votes.sol";
+import "@openzeppelin/contracts/governance/TimelockController.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/utils/cryptography/EIP712.sol";
+import "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import "@openzeppelin/contracts/utils/Nonces.sol";
 
-contract DIVote is Ownable {
-    enum VoteType { YesNo, MultipleChoice }
+contract DIVote is Ownable, ERC2771Context, EIP712, Nonces {
+    // Approval: any number of choices each get the voter's full weight
+    // Weighted: the weight is split across choices
+    enum VoteType { YesNo, MultipleChoice, Approval, Weighted }
+    enum ProposalState { Pending, Active, Canceled, Defeated, Succeeded, Queued, Executed }
 
     struct Proposal {
         string title;
@@ -14,66 +22,225 @@ contract DIVote is Ownable {
         string[] choices;
         uint256 startTime;
         uint256 endTime;
-        uint256 quorum;
+        // Share of the total supply at the snapshot that must vote, in basis points
+        uint256 quorumBps;
         mapping(uint256 => uint256) votes;
+        uint256 abstainVotes;
+        // Weight of every ballot cast, abstentions included
+        uint256 totalVoted;
         mapping(address => bool) hasVoted;
         mapping(address => uint256) voterWeights;
         address[] voterList;
+        address proposer;
+        // Timepoint of the voteToken clock whose voting power counts
+        uint256 snapshot;
+        // Calls the timelock makes if an executable proposal passes
+        address[] targets;
+        uint256[] values;
+        bytes[] calldatas;
+        uint256 eta;
+        bool canceled;
+        bool executed;
     }
 
+    uint256 public constant BPS = 10_000;
+    // Choice passed to vote() to abstain
+    uint256 public constant ABSTAIN = type(uint256).max;
+    bytes32 public constant BALLOT_TYPEHASH =
+        keccak256("Ballot(uint256 proposalId,address voter,uint256[] allocation,uint256 nonce,uint256 deadline)");
+
     ERC20Votes public immutable voteToken;
     uint256 public proposalCount;
 
     mapping(uint256 => Proposal) private proposals;
 
-    event ProposalCreated(uint256 indexed proposalId, string title, uint256 quorum);
-    event Voted(uint256 indexed proposalId, address indexed voter, uint256 weight, uint256 choice);
+    TimelockController public timelock;
+    // Voting power needed to create a proposal (the owner needs none); while zero only the owner can
+    uint256 public proposalThreshold;
+    // Seconds between creating a proposal and the start of its vote
+    uint256 public votingDelay;
+    uint256 public votingPeriod = 7 days;
+    // Quorum of executable proposals, in basis points of the total supply
+    uint256 public executionQuorumBps;
+
+    // account => operator => allowed to vote with the account's voting power
+    mapping(address => mapping(address => bool)) public votingOperators;
 
-    constructor(ERC20Votes _voteToken, address _owner) Ownable(_owner) {
+    event ProposalCreated(uint256 indexed proposalId, string title, uint256 quorumBps);
+    // An allocation of all zeros is an abstention
+    event Voted(uint256 indexed proposalId, address indexed voter, uint256 weight, uint256[] allocation);
+    event ProposalActions(uint256 indexed proposalId, address indexed proposer, address[] targets, uint256[] values, bytes[] calldatas);
+    event ProposalQueued(uint256 indexed proposalId, uint256 eta);
+    event ProposalExecuted(uint256 indexed proposalId);
+    event ProposalCanceled(uint256 indexed proposalId);
+    event TimelockUpdated(address timelock);
+    event GovernanceSettingsUpdated(uint256 proposalThreshold, uint256 votingDelay, uint256 votingPeriod, uint256 executionQuorumBps);
+    event VotingOperatorUpdated(address indexed account, address indexed operator, bool approved);
+
+    constructor(ERC20Votes _voteToken, address _owner, address _trustedForwarder)
+        Ownable(_owner)
+        ERC2771Context(_trustedForwarder)
+        EIP712("DIVote", "1")
+    {
         voteToken = _voteToken;
     }
 
+    function setTimelock(TimelockController _timelock) external onlyOwner {
+        timelock = _timelock;
+        emit TimelockUpdated(address(_timelock));
+    }
+
+    function setGovernanceSettings(
+        uint256 _proposalThreshold,
+        uint256 _votingDelay,
+        uint256 _votingPeriod,
+        uint256 _executionQuorumBps
+    ) external onlyOwner {
+        require(_votingPeriod > 0, "Invalid voting period");
+        require(_executionQuorumBps <= BPS, "Invalid quorum");
+
+        proposalThreshold = _proposalThreshold;
+        votingDelay = _votingDelay;
+        votingPeriod = _votingPeriod;
+        executionQuorumBps = _executionQuorumBps;
+
+        emit GovernanceSettingsUpdated(_proposalThreshold, _votingDelay, _votingPeriod, _executionQuorumBps);
+    }
+
+    // Lets `_operator` cast votes with the caller's voting power, e.g. a delegate voting for its delegators
+    function setVotingOperator(address _operator, bool _approved) external {
+        votingOperators[_msgSender()][_operator] = _approved;
+        emit VotingOperatorUpdated(_msgSender(), _operator, _approved);
+    }
+
+    // Signalling poll: nothing is executed whatever the result
     function createProposal(
         string calldata _title,
         string calldata _description,
         VoteType _voteType,
         string[] calldata _choices,
         uint256 _duration,
-        uint256 _quorum
-    ) external onlyOwner {
+        uint256 _quorumBps
+    ) external returns (uint256 proposalId) {
         require(_choices.length >= 2, "At least two choices required");
 
-        Proposal storage p = proposals[proposalCount];
-        p.title = _title;
-        p.description = _description;
-        p.voteType = _voteType;
-        p.startTime = block.timestamp;
-        p.endTime = block.timestamp + _duration;
-        p.quorum = _quorum;
-
+        proposalId = _createProposal(_title, _description, _voteType, _duration, _quorumBps);
+        Proposal storage p = proposals[proposalId];
         for (uint256 i = 0; i < _choices.length; i++) {
             p.choices.push(_choices[i]);
         }
+    }
+
+    // Executable proposal: a For/Against vote over votingPeriod that, if it passes, is queued in the
+    // timelock and executes the calls
+    function propose(
+        string calldata _title,
+        string calldata _description,
+        address[] calldata _targets,
+        uint256[] calldata _values,
+        bytes[] calldata _calldatas
+    ) external returns (uint256 proposalId) {
+        require(address(timelock) != address(0), "Timelock not set");
+        require(proposalThreshold > 0 && executionQuorumBps > 0, "Governance settings not set");
+        require(
+            _targets.length > 0 && _targets.length == _values.length && _targets.length == _calldatas.length,
+            "Invalid actions"
+        );
+
+        proposalId = _createProposal(_title, _description, VoteType.YesNo, votingPeriod, executionQuorumBps);
+        Proposal storage p = proposals[proposalId];
+        p.choices.push("For");
+        p.choices.push("Against");
+        p.targets = _targets;
+        p.values = _values;
+        p.calldatas = _calldatas;
 
-        emit ProposalCreated(proposalCount, _title, _quorum);
-        proposalCount++;
+        emit ProposalActions(proposalId, _msgSender(), _targets, _values, _calldatas);
     }
 
-    function vote(uint256 _proposalId, uint256 _choice) external {
+    function queue(uint256 _proposalId) external {
+        require(state(_proposalId) == ProposalState.Succeeded, "Proposal not succeeded");
         Proposal storage p = proposals[_proposalId];
-        require(block.timestamp >= p.startTime && block.timestamp <= p.endTime, "Voting not active");
-        require(!p.hasVoted[msg.sender], "Already voted");
-        require(_choice < p.choices.length, "Invalid choice");
+        require(p.targets.length > 0, "Nothing to execute");
 
-        uint256 weight = voteToken.getPastVotes(msg.sender, p.startTime);
-        require(weight > 0, "No voting power at proposal start");
+        uint256 delay = timelock.getMinDelay();
+        p.eta = block.timestamp + delay;
+        timelock.scheduleBatch(p.targets, p.values, p.calldatas, bytes32(0), _timelockSalt(_proposalId), delay);
+
+        emit ProposalQueued(_proposalId, p.eta);
+    }
+
+    // Runs the calls through the timelock, forwarding msg.value to it
+    function execute(uint256 _proposalId) external payable {
+        require(state(_proposalId) == ProposalState.Queued, "Proposal not queued");
+        Proposal storage p = proposals[_proposalId];
+        require(timelock.isOperationReady(_timelockOperation(_proposalId)), "Timelock delay not passed");
+
+        p.executed = true;
+        timelock.executeBatch{value: msg.value}(p.targets, p.values, p.calldatas, bytes32(0), _timelockSalt(_proposalId));
+
+        emit ProposalExecuted(_proposalId);
+    }
+
+    // The proposer or the owner can cancel until the vote ends; a passed proposal is up to the timelock
+    function cancel(uint256 _proposalId) external {
+        ProposalState current = state(_proposalId);
+        require(current == ProposalState.Pending || current == ProposalState.Active, "Proposal not cancelable");
+        Proposal storage p = proposals[_proposalId];
+        require(_msgSender() == owner() || _msgSender() == p.proposer, "Not allowed to cancel");
+
+        p.canceled = true;
+        emit ProposalCanceled(_proposalId);
+    }
+
+    // Votes for a single choice, or abstains with ABSTAIN
+    function vote(uint256 _proposalId, uint256 _choice) external {
+        require(state(_proposalId) == ProposalState.Active, "Voting not active");
+        uint256[] memory allocation = new uint256[](proposals[_proposalId].choices.length);
+        if (_choice != ABSTAIN) {
+            require(_choice < allocation.length, "Invalid choice");
+            allocation[_choice] = BPS;
+        }
+        _castVote(_proposalId, _msgSender(), allocation);
+    }
+
+    // Votes with an allocation in basis points per choice (see _castVote)
+    function voteSplit(uint256 _proposalId, uint256[] calldata _allocation) external {
+        _castVote(_proposalId, _msgSender(), _allocation);
+    }
 
-        p.votes[_choice] += weight;
-        p.hasVoted[msg.sender] = true;
-        p.voterWeights[msg.sender] = weight;
-        p.voterList.push(msg.sender);
+    // Casts the operator-approved account's vote
+    function castVoteFor(address _account, uint256 _proposalId, uint256[] calldata _allocation) external {
+        require(votingOperators[_account][_msgSender()], "Not a voting operator");
+        _castVote(_proposalId, _account, _allocation);
+    }
+
+    // Casts a vote signed by `_voter` (EIP-712 Ballot, ERC-1271 wallets supported), typically submitted by a relayer
+    function castVoteBySig(
+        uint256 _proposalId,
+        address _voter,
+        uint256[] calldata _allocation,
+        uint256 _deadline,
+        bytes calldata _signature
+    ) external {
+        require(block.timestamp <= _deadline, "Signature expired");
 
-        emit Voted(_proposalId, msg.sender, weight, _choice);
+        bytes32 structHash = keccak256(
+            abi.encode(
+                BALLOT_TYPEHASH,
+                _proposalId,
+                _voter,
+                keccak256(abi.encodePacked(_allocation)),
+                _useNonce(_voter),
+                _deadline
+            )
+        );
+        require(
+            SignatureChecker.isValidSignatureNow(_voter, _hashTypedDataV4(structHash), _signature),
+            "Invalid signature"
+        );
+
+        _castVote(_proposalId, _voter, _allocation);
     }
 
     function getProposal(uint256 _proposalId)
@@ -90,10 +257,63 @@ contract DIVote is Ownable {
         )
     {
         Proposal storage p = proposals[_proposalId];
-        return (p.title, p.description, p.voteType, p.choices, p.startTime, p.endTime, p.quorum);
+        return (p.title, p.description, p.voteType, p.choices, p.startTime, p.endTime, quorumVotes(_proposalId));
     }
 
-    function getVotes(uint256 _proposalId) external view returns (uint256[] memory) {
+    // Votes needed for the proposal to be valid
+    function quorumVotes(uint256 _proposalId) public view returns (uint256) {
+        Proposal storage p = proposals[_proposalId];
+        return (voteToken.getPastTotalSupply(p.snapshot) * p.quorumBps) / BPS;
+    }
+
+    function getTally(uint256 _proposalId)
+        external
+        view
+        returns (uint256[] memory votes, uint256 abstainVotes, uint256 totalVoted)
+    {
+        Proposal storage p = proposals[_proposalId];
+        return (getVotes(_proposalId), p.abstainVotes, p.totalVoted);
+    }
+
+    function domainSeparator() external view returns (bytes32) {
+        return _domainSeparatorV4();
+    }
+
+    function getActions(uint256 _proposalId)
+        external
+        view
+        returns (address[] memory targets, uint256[] memory values, bytes[] memory calldatas)
+    {
+        Proposal storage p = proposals[_proposalId];
+        return (p.targets, p.values, p.calldatas);
+    }
+
+    function getProposalStatus(uint256 _proposalId)
+        external
+        view
+        returns (ProposalState status, address proposer, uint256 snapshot, uint256 eta)
+    {
+        Proposal storage p = proposals[_proposalId];
+        return (state(_proposalId), p.proposer, p.snapshot, p.eta);
+    }
+
+    function state(uint256 _proposalId) public view returns (ProposalState) {
+        require(_proposalId < proposalCount, "Unknown proposal");
+        Proposal storage p = proposals[_proposalId];
+
+        if (p.executed) return ProposalState.Executed;
+        if (p.canceled) return ProposalState.Canceled;
+        if (block.timestamp < p.startTime) return ProposalState.Pending;
+        if (block.timestamp <= p.endTime) return ProposalState.Active;
+        if (!_passed(_proposalId)) return ProposalState.Defeated;
+        // The timelock's executors can run a ready operation without going through execute
+        if (p.eta != 0) {
+            return timelock.isOperationDone(_timelockOperation(_proposalId)) ? ProposalState.Executed : ProposalState.Queued;
+        }
+        return ProposalState.Succeeded;
+    }
+
+    function getVotes(uint256 _proposalId) public view returns (uint256[] memory) {
         Proposal storage p = proposals[_proposalId];
         uint256[] memory result = new uint256[](p.choices.length);
         for (uint256 i = 0; i < p.choices.length; i++) {
@@ -117,13 +337,9 @@ contract DIVote is Ownable {
         return (voters, weights);
     }
 
+    // Abstentions count toward the quorum
     function hasQuorum(uint256 _proposalId) public view returns (bool) {
-        Proposal storage p = proposals[_proposalId];
-        uint256 totalVotes = 0;
-        for (uint256 i = 0; i < p.choices.length; i++) {
-            totalVotes += p.votes[i];
-        }
-        return totalVotes >= p.quorum;
+        return proposals[_proposalId].totalVoted >= quorumVotes(_proposalId);
     }
 
     function getResult(uint256 _proposalId) external view returns (string memory result, bool quorumMet) {
@@ -145,4 +361,96 @@ contract DIVote is Ownable {
 
         result = p.choices[winningVote];
     }
+
+    function _createProposal(
+        string calldata _title,
+        string calldata _description,
+        VoteType _voteType,
+        uint256 _duration,
+        uint256 _quorumBps
+    ) internal returns (uint256 proposalId) {
+        require(_quorumBps <= BPS, "Invalid quorum");
+        // Voting power is read at the last checkpointed timepoint, so it cannot be borrowed for the proposal
+        uint256 snapshot = voteToken.clock() - 1;
+        require(
+            _msgSender() == owner() ||
+                (proposalThreshold > 0 && voteToken.getPastVotes(_msgSender(), snapshot) >= proposalThreshold),
+            "Below proposal threshold"
+        );
+
+        proposalId = proposalCount++;
+        Proposal storage p = proposals[proposalId];
+        p.title = _title;
+        p.description = _description;
+        p.voteType = _voteType;
+        p.startTime = block.timestamp + votingDelay;
+        p.endTime = p.startTime + _duration;
+        p.quorumBps = _quorumBps;
+        p.proposer = _msgSender();
+        p.snapshot = snapshot;
+
+        emit ProposalCreated(proposalId, _title, _quorumBps);
+    }
+
+    // `_allocation` holds one entry per choice in basis points of the voter's weight; all zeros abstains.
+    // Yes/No and multiple choice votes put BPS on one choice, approval votes 0 or BPS on each choice and
+    // weighted votes split exactly BPS
+    function _castVote(uint256 _proposalId, address _voter, uint256[] memory _allocation) internal {
+        require(state(_proposalId) == ProposalState.Active, "Voting not active");
+        Proposal storage p = proposals[_proposalId];
+        require(!p.hasVoted[_voter], "Already voted");
+        require(_allocation.length == p.choices.length, "Invalid allocation");
+
+        uint256 weight = voteToken.getPastVotes(_voter, p.snapshot);
+        require(weight > 0, "No voting power at proposal start");
+
+        uint256 allocated = 0;
+        for (uint256 i = 0; i < _allocation.length; i++) {
+            uint256 share = _allocation[i];
+            require(p.voteType == VoteType.Weighted || share == 0 || share == BPS, "Invalid allocation");
+            allocated += share;
+            p.votes[i] += (weight * share) / BPS;
+        }
+        if (allocated == 0) {
+            p.abstainVotes += weight;
+        } else {
+            require(p.voteType == VoteType.Approval || allocated == BPS, "Invalid allocation");
+        }
+
+        p.totalVoted += weight;
+        p.hasVoted[_voter] = true;
+        p.voterWeights[_voter] = weight;
+        p.voterList.push(_voter);
+
+        emit Voted(_proposalId, _voter, weight, _allocation);
+    }
+
+    // Yes/No votes pass with more Yes than No votes, other polls once they reach quorum
+    function _passed(uint256 _proposalId) internal view returns (bool) {
+        Proposal storage p = proposals[_proposalId];
+        if (!hasQuorum(_proposalId)) return false;
+        return p.voteType != VoteType.YesNo || p.votes[0] > p.votes[1];
+    }
+
+    function _timelockSalt(uint256 _proposalId) internal view returns (bytes32) {
+        return keccak256(abi.encode(address(this), _proposalId));
+    }
+
+    function _timelockOperation(uint256 _proposalId) internal view returns (bytes32) {
+        Proposal storage p = proposals[_proposalId];
+        return timelock.hashOperationBatch(p.targets, p.values, p.calldatas, bytes32(0), _timelockSalt(_proposalId));
+    }
+
+    // ERC-2771 context resolution (MetaTxGateway appends the signer to relayed calls)
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
\ No newline at end of file
@@ -2,12 +2,19 @@
 pragma solidity ^0.8.20;
 
 import {IERC20, IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
 import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
+import {MessageHashUtils} from "@openzeppelin/contracts/utils/cryptography/MessageHashUtils.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
 import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
 import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import {ISignatureTransfer} from "./interfaces/ISignatureTransfer.sol";
+import {IPriceOracle} from "./interfaces/IPriceOracle.sol";
+import {IMetaTxGateway} from "./interfaces/IMetaTxGateway.sol";
 
 /**
  * @title GasCreditVault
@@ -19,6 +26,17 @@ import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/U
  * - Owner withdrawal of consumed credits
  * - Emergency pause functionality
  * - Upgradeable contract pattern
+ * - ERC-2771 support so users can deposit and manage credits through MetaTxGateway
+ * - Approval-free deposits with EIP-2612 permits or Permit2 signatures
+ * - Per-token positions: credits are the current USD value of the tokens a user deposited,
+ *   withdrawable in those tokens, and consumed credits are settled from per-token reserves
+ * - Consent-based consumption: relayers charge receipts tied to a gateway batch, within spending
+ *   caps signed by the user, and charges stay disputable for `disputeWindow` before settlement
+ * - Optional shared PriceOracle (fallback feeds, TWAP, deviation and depeg guards) replacing the
+ *   single Chainlink feed per token
+ * - Native-coin deposits, priced through a feed like any other token (NATIVE_TOKEN)
+ * - Sponsor pools: credits funded by a dApp that its users consume for meta-txs targeting the
+ *   dApp's contracts, with a per-user cap and an expiry
  */
 contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
     using SafeERC20 for IERC20;
@@ -33,37 +51,214 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
         AggregatorV3Interface priceFeed;
         bool isStablecoin;
     }
+
+    /**
+     * @dev Proof of a relayed batch submitted by a relayer to charge its gas cost
+     * @param user The user whose credits are consumed (the batch signer)
+     * @param batchId MetaTxGateway batch ID
+     * @param txHash Hash of the transaction that executed the batch
+     * @param gasUsed Gas used by the transaction
+     * @param gasPrice Effective gas price paid by the relayer
+     * @param nativePrice Native token USD price used for the charge (credit decimals)
+     * @param usdValue Credits charged for the batch, including the relayer's markup
+     */
+    struct ConsumptionReceipt {
+        address user;
+        uint256 batchId;
+        bytes32 txHash;
+        uint256 gasUsed;
+        uint256 gasPrice;
+        uint256 nativePrice;
+        uint256 usdValue;
+    }
+
+    /**
+     * @dev Credits a user allows one relayer to consume
+     * @param allowance Remaining credits the relayer may consume
+     * @param maxPerBatch Maximum credits per receipt
+     * @param expiry Timestamp after which the cap can no longer be used
+     */
+    struct SpendingCap {
+        uint256 allowance;
+        uint256 maxPerBatch;
+        uint256 expiry;
+    }
+
+    enum ConsumptionStatus {
+        None,
+        Pending,
+        Disputed,
+        Settled,
+        Refunded
+    }
+
+    /**
+     * @dev A charged receipt and the tokens it took, held until settled or refunded
+     */
+    struct Consumption {
+        address user;
+        // End of the dispute window in force when the receipt was charged
+        uint64 disputeDeadline;
+        ConsumptionStatus status;
+        address relayer;
+        uint256 batchId;
+        uint256 creditAmount;
+        bytes32 receiptHash;
+        address[] tokens;
+        uint256[] amounts;
+    }
+
+    /**
+     * @dev Credits a sponsor makes available to the users of its contracts
+     * @param sponsor The address that created the pool and can change or defund it
+     * @param expiry Timestamp after which the pool can no longer be charged
+     * @param perUserCap Maximum credits each user can consume from the pool
+     */
+    struct SponsorPool {
+        address sponsor;
+        uint64 expiry;
+        uint256 perUserCap;
+    }
+
+    /**
+     * @dev A charge taken from a sponsor pool
+     * @param poolId The pool charged (zero when the consumption is not sponsored)
+     * @param user The user whose batch was sponsored
+     */
+    struct SponsoredCharge {
+        uint256 poolId;
+        address user;
+    }
+
+    bytes32 private constant DOMAIN_TYPEHASH =
+        keccak256("EIP712Domain(string name,string version,uint256 chainId,address verifyingContract)");
+    bytes32 public constant SPENDING_CAP_TYPEHASH = keccak256(
+        "SpendingCap(address user,address relayer,uint256 allowance,uint256 maxPerBatch,uint256 expiry,uint256 nonce)"
+    );
+    uint256 public constant DEFAULT_DISPUTE_WINDOW = 1 days;
+    uint256 public constant MAX_DISPUTE_WINDOW = 30 days;
+    // Pseudo-token for the chain's native coin (positions, whitelist and price feed)
+    address public constant NATIVE_TOKEN = 0xEeeeeEeeeEeEeeEeEeEeeEEEeeeeEeeeeeeeEEeE;
     
+
     // Events
     event TokenWhitelisted(address indexed token, address priceFeed);
     event TokenRemoved(address indexed token);
     event Deposited(address indexed user, address indexed token, uint256 amount, uint256 credited);
-    event Withdrawn(address indexed user, uint256 creditAmount, uint256 withdrawnCredits);
-    event CreditsConsumed(address indexed user, uint256 usdValue, uint256 creditCost);
+    event Withdrawn(address indexed user, address indexed token, uint256 creditAmount, uint256 tokenAmount);
+    event CreditsConsumed(
+        uint256 indexed consumptionId,
+        address indexed user,
+        address indexed relayer,
+        uint256 batchId,
+        bytes32 txHash,
+        uint256 gasUsed,
+        uint256 gasPrice,
+        uint256 nativePrice,
+        uint256 creditCost
+    );
+    event SpendingCapSet(address indexed user, address indexed relayer, uint256 allowance, uint256 maxPerBatch, uint256 expiry);
+    event ConsumptionDisputed(uint256 indexed consumptionId, address indexed user, string reason);
+    event ConsumptionSettled(uint256 indexed consumptionId, uint256 creditAmount);
+    event ConsumptionRefunded(uint256 indexed consumptionId, address indexed user, uint256 creditAmount);
+    event DisputeWindowUpdated(uint256 disputeWindow);
+    event PriceOracleUpdated(address indexed priceOracle);
+    event SponsorPoolCreated(uint256 indexed poolId, address indexed sponsor, uint256 perUserCap, uint64 expiry);
+    event SponsorPoolUpdated(uint256 indexed poolId, uint256 perUserCap, uint64 expiry);
+    event SponsorPoolTargetSet(uint256 indexed poolId, address indexed target, bool allowed);
+    event SponsorPoolDefunded(uint256 indexed poolId, address indexed sponsor, uint256 creditAmount);
+    event SponsoredCreditsConsumed(uint256 indexed consumptionId, uint256 indexed poolId, address indexed user);
     event CreditTransfer(address indexed sender, address indexed receiver, uint256 creditAmount);
     event ConsumedCreditsWithdrawn(address indexed owner, uint256 creditsWithdrawn);
+    event ConsumedTokensWithdrawn(address indexed owner, address indexed token, uint256 amount);
+    event LegacyCreditsMigrated(address indexed user, address indexed token, uint256 creditAmount, uint256 tokenAmount);
     event RelayerAdded(address indexed relayer);
     event RelayerRemoved(address indexed relayer);
     event EmergencyWithdrawn(address indexed to, uint256 amount);
     event Paused();
     event Unpaused();
+    event TrustedForwarderUpdated(address indexed forwarder);
+    event Permit2Updated(address indexed permit2);
+    event UpgraderUpdated(address indexed upgrader);
 
     // State variables
     EnumerableSet.AddressSet private whitelistedTokens;
     EnumerableSet.AddressSet private relayers;
 
     mapping(address => TokenInfo) public tokenInfo;
-    mapping(address => uint256) public credits;
+
+    // USD credits granted before per-token positions existed (spent before any position)
+    /// @custom:oz-renamed-from credits
+    mapping(address => uint256) public legacyCredits;
     
     uint256 public totalConsumedCreditsWithdrawn;
     uint256 public totalConsumedCredits;
 
     uint256 public minimumConsume;
     uint8 public constant creditDecimals = 18;
-    uint256 public constant PRICE_FEED_TIMEOUT = 3600; // 1 hour for stale price protection
+    uint256 public constant PRICE_FEED_TIMEOUT = 3600; // 1 hour for stale price protection (without a price oracle)
 
     bool public paused;
 
+    // ERC-2771 forwarder (MetaTxGateway) allowed to relay calls on behalf of users
+    address public trustedForwarder;
+
+    // Permit2 contract used by depositWithPermit2 (tokens without EIP-2612 support)
+    address public permit2;
+
+    // Token amounts owned by each user (user => token => amount)
+    mapping(address => mapping(address => uint256)) public positions;
+
+    // Sum of all user positions per token
+    mapping(address => uint256) public totalPositions;
+
+    // Consumed tokens not yet withdrawn by the owner
+    mapping(address => uint256) public consumedReserves;
+
+    // Spending caps signed by users (user => relayer => cap)
+    mapping(address => mapping(address => SpendingCap)) public spendingCaps;
+
+    // Nonces of signed spending caps
+    mapping(address => uint256) public capNonces;
+
+    // Gateway batches already charged
+    mapping(uint256 => bool) public chargedBatches;
+
+    // Charged receipts, in charge order
+    Consumption[] private consumptions;
+
+    // First consumption not yet processed by settleConsumptions
+    uint256 public nextSettlement;
+
+    // Seconds a user can dispute a charge before it becomes withdrawable by the owner
+    uint256 public disputeWindow;
+
+    // Tokens taken by consumptions still in their dispute window (or disputed)
+    mapping(address => uint256) public pendingReserves;
+
+    // Shared price oracle; when zero each token is priced by its own feed in tokenInfo
+    address public priceOracle;
+
+    // Sponsor pools by ID (IDs start at 1)
+    mapping(uint256 => SponsorPool) private sponsorPools;
+    uint256 public sponsorPoolCount;
+
+    // Contracts each pool sponsors calls to
+    mapping(uint256 => EnumerableSet.AddressSet) private poolTargets;
+
+    // Credits each user consumed from a pool (poolId => user => credits)
+    mapping(uint256 => mapping(address => uint256)) public sponsoredUsage;
+
+    // Consumptions charged to a sponsor pool
+    mapping(uint256 => SponsoredCharge) private sponsoredCharges;
+
+    // Account authorizing upgrades (an upgrade timelock); the owner while unset
+    address public upgrader;
+
+    // Credits of the settled charges whose tokens are in consumedReserves, not yet withdrawn. Consumed credits
+    // not withdrawn beyond these were consumed from legacy credits before the upgrade and have no reserve.
+    uint256 public reservedConsumedCredits;
+
     /// @custom:oz-upgrades-unsafe-allow constructor
     constructor() {
         _disableInitializers();
@@ -78,6 +273,7 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
         __Ownable_init();
         __UUPSUpgradeable_init();
         minimumConsume = 0.05 ether;
+        disputeWindow = DEFAULT_DISPUTE_WINDOW;
     }
 
     // Modifiers
@@ -86,7 +282,17 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @dev Modifier to restrict function access to whitelisted relayers only
      */
     modifier onlyRelayer() {
-        require(relayers.contains(msg.sender), "Caller not whitelisted relayers");
+        _checkRelayer();
+        _;
+    }
+
+    /**
+     * @dev Modifier to validate a deposit
+     * @param token The token to deposit
+     * @param amount The amount to deposit
+     */
+    modifier validDeposit(address token, uint256 amount) {
+        _checkDeposit(token, amount);
         _;
     }
 
@@ -103,7 +309,7 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @dev Modifier to prevent function execution when contract is paused
      */
     modifier whenNotPaused() {
-        require(!paused, "Paused");
+        _requireNotPaused();
         _;
     }
 
@@ -114,6 +320,23 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
         require(paused, "Unpaused");
         _;
     }
+
+    /**
+     * @dev Modifier to restrict function access to the sponsor of a pool
+     * @param poolId The sponsor pool
+     */
+    modifier onlyPoolSponsor(uint256 poolId) {
+        _checkPoolSponsor(poolId);
+        _;
+    }
+
+    /**
+     * @dev Modifier to restrict function access to the upgrader (the owner while none is set)
+     */
+    modifier onlyUpgrader() {
+        _checkUpgrader();
+        _;
+    }
     // Owner functions ==============================================
 
     /**
@@ -124,9 +347,7 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      */
     function addWhitelistedRelayer(address relayer) external onlyOwner {
         require(relayer != address(0), "Invalid address");
-        require(!relayers.contains(relayer), "Relayer already whitelisted");
-
-        relayers.add(relayer);
+        require(relayers.add(relayer), "Relayer already whitelisted");
 
         emit RelayerAdded(relayer);
     }
@@ -138,16 +359,14 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @notice Relayer must be currently whitelisted
      */
     function removeWhitelistedRelayer(address relayer) external onlyOwner {
-        require(relayers.contains(relayer), "Relayer not whitelisted");
-
-        relayers.remove(relayer);
+        require(relayers.remove(relayer), "Relayer not whitelisted");
 
         emit RelayerRemoved(relayer);
     }
 
     /**
      * @dev Adds a token to the whitelist with price feed configuration
-     * @param token The token contract address
+     * @param token The token contract address, or NATIVE_TOKEN for the native coin
      * @param priceFeed The Chainlink price feed address (can be zero for stablecoins)
      * @param isStablecoin Whether the token is a stablecoin (1:1 USD value)
      * @notice Only owner can call this function
@@ -159,11 +378,9 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
         address priceFeed,
         bool isStablecoin
     ) external onlyOwner {
-        require(token != address(0), "Invalid token address");
-        require(!whitelistedTokens.contains(token), "Token already whitelisted");
+        require(token != address(0), "Invalid address");
         require(isStablecoin || priceFeed != address(0), "Invalid price feed");
-        
-        whitelistedTokens.add(token);
+        require(whitelistedTokens.add(token), "Token already whitelisted");
         tokenInfo[token] = TokenInfo({
             priceFeed: AggregatorV3Interface(priceFeed),
             isStablecoin: isStablecoin
@@ -180,9 +397,8 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @notice Token must be currently whitelisted
      */
     function removeToken(address token) external onlyOwner {
-        require(IERC20(token).balanceOf(address(this)) == 0, "None Zero Balance");
-        require(whitelistedTokens.contains(token), "Token not whitelisted");
-        whitelistedTokens.remove(token);
+        require(_balanceOf(token) == 0, "None Zero Balance");
+        require(whitelistedTokens.remove(token), "Token not whitelisted");
         delete tokenInfo[token];
 
         emit TokenRemoved(token);
@@ -193,8 +409,7 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @notice Only owner can call this function
      * @notice Contract must not already be paused
      */
-    function pause() external onlyOwner {
-        require(!paused, "Already paused");
+    function pause() external onlyOwner whenNotPaused {
         paused = true;
         emit Paused();
     }
@@ -204,8 +419,7 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @notice Only owner can call this function
      * @notice Contract must be currently paused
      */
-    function unpause() external onlyOwner {
-        require(paused, "Not paused");
+    function unpause() external onlyOwner whenPaused {
         paused = false;
         emit Unpaused();
     }
@@ -220,14 +434,45 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
         address[] memory tokens = whitelistedTokens.values();
         for (uint256 i = 0; i < tokens.length; ++i) {
             address token = tokens[i];
-            uint256 balance = IERC20(token).balanceOf(address(this));
+            uint256 balance = _balanceOf(token);
             if (balance > 0) {
-                IERC20(token).safeTransfer(owner(), balance);
+                _transferOut(token, owner(), balance);
                 emit EmergencyWithdrawn(token, balance);
             }
         }        
     }
 
+    /**
+     * @dev Sets the ERC-2771 trusted forwarder
+     * @param forwarder The MetaTxGateway address, or zero to disable forwarding
+     * @notice Only owner can call this function
+     */
+    function setTrustedForwarder(address forwarder) external onlyOwner {
+        trustedForwarder = forwarder;
+        emit TrustedForwarderUpdated(forwarder);
+    }
+
+    /**
+     * @dev Sets the Permit2 contract used for signature-based deposits
+     * @param _permit2 The Permit2 address (canonical 0x000000000022D473030F116dDEE9F6B43aC78BA3), or zero to disable
+     * @notice Only owner can call this function
+     */
+    function setPermit2(address _permit2) external onlyOwner {
+        permit2 = _permit2;
+        emit Permit2Updated(_permit2);
+    }
+
+    /**
+     * @dev Sets the shared price oracle used for every token, stablecoins included
+     * @param _priceOracle The PriceOracle address, or zero to go back to the per-token feeds
+     * @notice Only owner can call this function
+     * @notice Every whitelisted token must be configured in the oracle
+     */
+    function setPriceOracle(address _priceOracle) external onlyOwner {
+        priceOracle = _priceOracle;
+        emit PriceOracleUpdated(_priceOracle);
+    }
+
     /**
      * @dev Sets the minimum consumption amount
      * @param _minimum The new minimum consumption amount in credit decimals
@@ -239,86 +484,284 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
         minimumConsume = _minimum;
     }
 
+    /**
+     * @dev Sets how long users can dispute a charge before it is settled
+     * @param _disputeWindow The dispute window in seconds (zero settles charges immediately)
+     * @notice Only owner can call this function
+     */
+    function setDisputeWindow(uint256 _disputeWindow) external onlyOwner {
+        require(_disputeWindow <= MAX_DISPUTE_WINDOW, "Dispute window too long");
+        disputeWindow = _disputeWindow;
+        emit DisputeWindowUpdated(_disputeWindow);
+    }
+
+    /**
+     * @dev Resolves a disputed charge
+     * @param consumptionId The disputed consumption
+     * @param refund True to return the tokens to the user, false to settle the charge
+     * @notice Only owner can call this function
+     */
+    function resolveDispute(uint256 consumptionId, bool refund) external onlyOwner {
+        require(_consumptionAt(consumptionId).status == ConsumptionStatus.Disputed, "Consumption not disputed");
+
+        if (refund) {
+            _refundConsumption(consumptionId);
+        } else {
+            _settleConsumption(consumptionId);
+        }
+    }
+
     // User functions ==============================================
     
     /**
-     * @dev Allows users to deposit tokens and receive credits
-     * @param token The token contract address to deposit
-     * @param amount The amount of tokens to deposit
+     * @dev Allows users to deposit tokens or the native coin and receive credits
+     * @param token The token contract address to deposit, or NATIVE_TOKEN for the native coin
+     * @param amount The amount of tokens to deposit (msg.value for the native coin)
      * @notice Token must be whitelisted and amount must be greater than zero
      * @notice Contract must not be paused
      * @notice Credits are calculated based on token price and decimals
      */
-    function deposit(address token, uint256 amount) external whenNotPaused {
-        require(whitelistedTokens.contains(token), "Token not whitelisted");
-        require(amount > 0, "Amount must be > 0");
-
-        IERC20(token).safeTransferFrom(msg.sender, address(this), amount);
+    function deposit(address token, uint256 amount) external payable whenNotPaused validDeposit(token, amount) {
+        if (token == NATIVE_TOKEN) {
+            require(msg.value == amount, "Invalid amount");
+        } else {
+            require(msg.value == 0, "Invalid amount");
+            IERC20(token).safeTransferFrom(_msgSender(), address(this), amount);
+        }
 
-        uint256 creditedAmount = calculateCreditValue(token, amount);
+        _creditDeposit(_msgSender(), token, amount);
+    }
 
-        credits[msg.sender] += creditedAmount;
+    /**
+     * @dev Deposits tokens using an EIP-2612 permit instead of a prior approval
+     * @param token The ERC20Permit token to deposit
+     * @param amount The amount of tokens to deposit (also the permitted allowance)
+     * @param deadline The permit deadline
+     * @param v Permit signature v
+     * @param r Permit signature r
+     * @param s Permit signature s
+     * @notice A permit that was already used (e.g. front-run) is ignored if the allowance is in place
+     */
+    function depositWithPermit(
+        address token,
+        uint256 amount,
+        uint256 deadline,
+        uint8 v,
+        bytes32 r,
+        bytes32 s
+    ) external whenNotPaused validDeposit(token, amount) {
+        address user = _msgSender();
+
+        try IERC20Permit(token).permit(user, address(this), amount, deadline, v, r, s) {} catch {}
+        IERC20(token).safeTransferFrom(user, address(this), amount);
+
+        _creditDeposit(user, token, amount);
+    }
 
-        emit Deposited(msg.sender, token, amount, creditedAmount);
+    /**
+     * @dev Deposits tokens using a Permit2 signature transfer, for tokens without EIP-2612
+     * @param token The token to deposit (approved to Permit2 by the user)
+     * @param amount The amount of tokens to deposit
+     * @param nonce The Permit2 unordered nonce
+     * @param deadline The Permit2 signature deadline
+     * @param signature The user's PermitTransferFrom signature with this vault as spender
+     */
+    function depositWithPermit2(
+        address token,
+        uint256 amount,
+        uint256 nonce,
+        uint256 deadline,
+        bytes calldata signature
+    ) external whenNotPaused validDeposit(token, amount) {
+        require(permit2 != address(0), "Permit2 not set");
+        address user = _msgSender();
+
+        ISignatureTransfer(permit2).permitTransferFrom(
+            ISignatureTransfer.PermitTransferFrom({
+                permitted: ISignatureTransfer.TokenPermissions({token: token, amount: amount}),
+                nonce: nonce,
+                deadline: deadline
+            }),
+            ISignatureTransfer.SignatureTransferDetails({to: address(this), requestedAmount: amount}),
+            user,
+            signature
+        );
+
+        _creditDeposit(user, token, amount);
     }
 
     /**
-     * @dev Allows users to withdraw stablecoins using their credits
-     * @param creditAmount The amount of credits to convert to tokens
-     * @notice Only works with stablecoins
-     * @notice User must have sufficient credits in the specified token
+     * @dev Allows users to withdraw one of their token positions at the current price
+     * @param token The token to receive (must be one the user holds a position in)
+     * @param creditAmount The amount of credits to withdraw, or type(uint256).max for the whole position
+     * @param minTokenAmount Minimum amount of tokens to receive (slippage bound)
      * @notice Contract must not be paused
-     * @notice Vault must have sufficient token balance
+     * @notice The withdrawn amount cannot exceed the user's position in the token
+     * @notice Legacy credits are first migrated into a position in the token when the vault holds enough of it
      */
-    function withdraw(uint256 creditAmount) external whenNotPaused {
-        require(credits[msg.sender] >= creditAmount, "Insufficient token balance");
-
-        uint256 remaining = creditAmount;
-        address[] memory tokens = whitelistedTokens.values();
-        for (uint256 i = 0; i < tokens.length && remaining > 0; ++i) {
-            address token = tokens[i];
-            TokenInfo memory info = tokenInfo[token];            
-            uint256 contractBalance = IERC20(token).balanceOf(address(this));
-            if (!info.isStablecoin || contractBalance == 0) {
-                continue; 
-            }
-
-            uint256 tokenAmount = calculateTokenValue(token, remaining);
-            uint256 deduction = tokenAmount >= contractBalance ? contractBalance : tokenAmount;
-            IERC20(token).safeTransfer(msg.sender, deduction);
-
-            remaining -= deduction;
+    function withdraw(address token, uint256 creditAmount, uint256 minTokenAmount) external whenNotPaused {
+        address user = _msgSender();
+        _migrateLegacyCredits(user, token);
+        uint256 position = positions[user][token];
+        require(position > 0, "No position in token");
+
+        uint256 tokenAmount;
+        if (creditAmount == type(uint256).max) {
+            tokenAmount = position;
+            creditAmount = calculateCreditValue(token, position);
+        } else {
+            tokenAmount = calculateTokenValue(token, creditAmount);
+            require(tokenAmount <= position, "Insufficient token position");
         }
+        require(tokenAmount > 0, "Amount must be > 0");
+        require(tokenAmount >= minTokenAmount, "Slippage exceeded");
 
-        // Update credits
-        uint256 withdrawnCredits = creditAmount - remaining;
-        credits[msg.sender] -= withdrawnCredits;
+        positions[user][token] -= tokenAmount;
+        totalPositions[token] -= tokenAmount;
+        _transferOut(token, user, tokenAmount);
 
-        emit Withdrawn(msg.sender, creditAmount, withdrawnCredits);
+        emit Withdrawn(user, token, creditAmount, tokenAmount);
     }
 
     // Consumption function ====================================
     
     /**
-     * @dev Allows relayers to consume user credits for gas payment
-     * @param user The user whose credits will be consumed
-     * @param usdValue The USD value of gas consumed
+     * @dev Allows relayers to charge the gas cost of a relayed batch to user credits
+     * @param targets The contracts called by the batch (the `to` of each meta-transaction, in order)
+     * @param receipt The batch receipt; the charge is max(receipt.usdValue, minimumConsume)
+     * @return consumptionId ID of the charge, disputable by the user for `disputeWindow`
      * @notice Only whitelisted relayers can call this function
-     * @notice Uses minimum consume amount if usdValue is below threshold
-     * @notice Deducts credits proportionally from user's token positions
+     * @notice The batch must have been executed through the trusted forwarder by the caller, for receipt.user,
+     * calling exactly `targets`
+     * @notice The user must have an unexpired spending cap for the relayer covering the charge
+     * @notice Legacy credits are first migrated into a position (see withdraw); takes tokens from the user's
+     * positions (stablecoins first) at the current price, withdrawable by the owner once the charge is settled
      */
-    function consumeCredit(address user, uint256 usdValue) external onlyRelayer {
-        require(user != address(0), "Invalid user address");
-        require(usdValue > 0, "Value must be > 0");
+    function consumeCredit(
+        address[] calldata targets,
+        ConsumptionReceipt calldata receipt
+    ) external onlyRelayer returns (uint256 consumptionId) {
+        _checkBatchRecord(targets, receipt);
+        uint256 creditCost = _creditCost(receipt);
+        SpendingCap storage cap = spendingCaps[receipt.user][_msgSender()];
+        require(cap.expiry >= block.timestamp, "Spending cap expired");
+        require(creditCost <= cap.maxPerBatch, "Exceeds max per batch");
+        require(creditCost <= cap.allowance, "Exceeds spending allowance");
+        cap.allowance -= creditCost;
+        return _consume(receipt.user, creditCost, receipt);
+    }
+
+    /**
+     * @dev Allows relayers to charge the gas cost of a relayed batch to a sponsor pool
+     * @param poolId The sponsor pool paying for the batch
+     * @param targets The contracts called by the batch; all must be sponsored by the pool
+     * @param receipt The batch receipt; the charge is max(receipt.usdValue, minimumConsume)
+     * @return consumptionId ID of the charge, disputable by the pool sponsor for `disputeWindow`
+     * @notice Only whitelisted relayers can call this function
+     * @notice The batch must have been executed through the trusted forwarder by the caller, for receipt.user,
+     * calling exactly `targets` (the `to` of each meta-transaction, in order)
+     * @notice No spending cap is needed; the charge must fit the pool's per-user cap and credits
+     * @notice The consumption is recorded against sponsorPoolAccount(poolId); unknown pools revert as expired
+     */
+    function consumeSponsoredCredit(
+        uint256 poolId,
+        address[] calldata targets,
+        ConsumptionReceipt calldata receipt
+    ) external onlyRelayer returns (uint256 consumptionId) {
+        require(sponsorPools[poolId].expiry >= block.timestamp, "Sponsor pool expired");
+        for (uint256 i = 0; i < targets.length; ++i) {
+            require(poolTargets[poolId].contains(targets[i]), "Target not sponsored");
+        }
+        _checkBatchRecord(targets, receipt);
+        uint256 creditCost = _creditCost(receipt);
+        uint256 used = sponsoredUsage[poolId][receipt.user] + creditCost;
+        require(used <= sponsorPools[poolId].perUserCap, "Exceeds per-user cap");
+        sponsoredUsage[poolId][receipt.user] = used;
+
+        consumptionId = _consume(sponsorPoolAccount(poolId), creditCost, receipt);
+        sponsoredCharges[consumptionId] = SponsoredCharge(poolId, receipt.user);
+        emit SponsoredCreditsConsumed(consumptionId, poolId, receipt.user);
+    }
 
-        uint256 creditCost = usdValue > minimumConsume ? usdValue : minimumConsume;
+    /**
+     * @dev Sets the credits a relayer may consume for the caller
+     * @param relayer The relayer allowed to charge receipts
+     * @param allowance Total credits the relayer may consume
+     * @param maxPerBatch Maximum credits per receipt
+     * @param expiry Timestamp after which the cap can no longer be used (zero revokes)
+     */
+    function setSpendingCap(address relayer, uint256 allowance, uint256 maxPerBatch, uint256 expiry) external {
+        _setSpendingCap(_msgSender(), relayer, allowance, maxPerBatch, expiry);
+    }
 
-        uint256 deduction = credits[user] >= creditCost ? creditCost : credits[user];
+    /**
+     * @dev Sets a spending cap signed by the user (EIP-712 `SpendingCap`, ERC-1271 wallets supported)
+     * @param user The user granting the cap
+     * @param relayer The relayer allowed to charge receipts
+     * @param allowance Total credits the relayer may consume
+     * @param maxPerBatch Maximum credits per receipt
+     * @param expiry Timestamp after which the cap can no longer be used
+     * @param signature The user's signature over the cap and `capNonces[user]`
+     * @notice Anyone can submit the signature, typically the relayer before its first charge
+     */
+    function setSpendingCapWithSig(
+        address user,
+        address relayer,
+        uint256 allowance,
+        uint256 maxPerBatch,
+        uint256 expiry,
+        bytes calldata signature
+    ) external {
+        require(expiry >= block.timestamp, "Spending cap expired");
+
+        bytes32 structHash = keccak256(
+            abi.encode(SPENDING_CAP_TYPEHASH, user, relayer, allowance, maxPerBatch, expiry, capNonces[user]++)
+        );
+        bytes32 digest = MessageHashUtils.toTypedDataHash(domainSeparator(), structHash);
+        require(SignatureChecker.isValidSignatureNow(user, digest, signature), "Invalid signature");
+
+        _setSpendingCap(user, relayer, allowance, maxPerBatch, expiry);
+    }
 
-        credits[user] -= deduction;
-        totalConsumedCredits += deduction;
+    /**
+     * @dev Disputes a charge during its dispute window, holding it until the owner resolves it
+     * @param consumptionId The charge to dispute
+     * @param reason Free-form reason for the dispute
+     * @notice Only the charged user can dispute (the pool sponsor for sponsored charges)
+     */
+    function disputeConsumption(uint256 consumptionId, string calldata reason) external {
+        Consumption storage consumption = _consumptionAt(consumptionId);
+        uint256 poolId = sponsoredCharges[consumptionId].poolId;
+        address payer = poolId == 0 ? consumption.user : sponsorPools[poolId].sponsor;
+        require(payer == _msgSender(), "Not consumption user");
+        require(consumption.status == ConsumptionStatus.Pending, "Consumption not pending");
+        require(block.timestamp < consumption.disputeDeadline, "Dispute window closed");
+
+        consumption.status = ConsumptionStatus.Disputed;
+        emit ConsumptionDisputed(consumptionId, consumption.user, reason);
+    }
 
-        emit CreditsConsumed(user, usdValue, deduction);
+    /**
+     * @dev Settles charges whose dispute window has passed, in charge order
+     * @param maxCount Maximum number of charges to process
+     * @return settled Number of charges settled
+     * @notice Disputed charges are skipped; they are settled or refunded by resolveDispute
+     * @notice Stops at the first pending charge still in its window, even if later ones (charged under a
+     * shorter window) have passed theirs
+     */
+    function settleConsumptions(uint256 maxCount) public returns (uint256 settled) {
+        uint256 id = nextSettlement;
+        uint256 end = consumptions.length;
+        for (uint256 count = 0; id < end && count < maxCount; ++count) {
+            Consumption storage consumption = consumptions[id];
+            if (consumption.status == ConsumptionStatus.Pending) {
+                if (consumption.disputeDeadline > block.timestamp) break;
+                _settleConsumption(id);
+                ++settled;
+            }
+            ++id;
+        }
+        nextSettlement = id;
     }
 
     /**
@@ -327,60 +770,338 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @param credit The amount of credits to transfer
      * @notice Contract must not be paused
      * @notice Credit amount must be above minimum and sender must have sufficient balance
-     * @notice Credits are transferred proportionally from sender's token positions to receiver
+     * @notice Legacy credits are transferred first, then tokens from the sender's positions (stablecoins first)
      */
     function transferCredit(address receiver, uint256 credit) external whenNotPaused {
-        address sender = msg.sender;
-        require(receiver != address(0), "Invalid receiver address");
-        require(credits[sender] >= credit, 'Invalid amount');
-        
-        credits[receiver] += credit;
-        credits[sender] -= credit;
+        address sender = _msgSender();
+        require(receiver != address(0), "Invalid address");
+
+        _moveValue(sender, receiver, credit);
         emit CreditTransfer(sender, receiver, credit);
     }
 
-        /**
-     * @dev Allows owner to withdraw tokens corresponding to consumed credits
+    /**
+     * @dev Allows owner to withdraw the tokens taken by consumed credits
      * @notice Only owner can call this function
      * @notice Only withdraws new consumed credits since last withdrawal
-     * @notice Proportionally withdraws from all token balances based on consumed credits
+     * @notice Settles charges past their dispute window first; charges still disputable are not withdrawn
+     * @notice Transfers the consumed reserve of every token, and pays the legacy credits consumed before the
+     * upgrade from unallocated tokens (in whitelist order) as far as they cover them
      */
     function withdrawConsumedCredits() external onlyOwner whenNotPaused {
+        settleConsumptions(type(uint256).max);
+
         uint256 deltaCredits = totalConsumedCredits - totalConsumedCreditsWithdrawn;
         require(deltaCredits > 0, "No new credits to withdraw");
+        uint256 legacyConsumed = deltaCredits - reservedConsumedCredits;
 
         address[] memory tokens = whitelistedTokens.values();
-        uint256 creditsRemaining = deltaCredits;
-
-        for (uint256 i = 0; i < tokens.length && creditsRemaining > 0; ++i) {
+        for (uint256 i = 0; i < tokens.length; ++i) {
             address token = tokens[i];
-            uint256 contractBalance = IERC20(token).balanceOf(address(this));
-            if (contractBalance == 0) continue;
+            uint256 amount = consumedReserves[token];
+            uint256 available = legacyConsumed > 0 ? _freeBalance(token) : 0;
+            if (available > 0) {
+                uint256 backing = calculateTokenValue(token, legacyConsumed);
+                if (backing > available) {
+                    backing = available;
+                    legacyConsumed -= calculateCreditValue(token, available);
+                } else {
+                    legacyConsumed = 0;
+                }
+                amount += backing;
+            }
+            if (amount == 0) continue;
+
+            consumedReserves[token] = 0;
+            _transferOut(token, _msgSender(), amount);
+            emit ConsumedTokensWithdrawn(_msgSender(), token, amount);
+        }
+
+        reservedConsumedCredits = 0;
+        totalConsumedCreditsWithdrawn = totalConsumedCredits - legacyConsumed;
+
+        emit ConsumedCreditsWithdrawn(_msgSender(), deltaCredits - legacyConsumed);
+    }
+
+    // Sponsor pool functions ====================================
+
+    /**
+     * @dev Creates a sponsor pool owned by the caller
+     * @param targets Contracts whose meta-txs the pool pays for
+     * @param perUserCap Maximum credits each user can consume from the pool
+     * @param expiry Timestamp after which the pool can no longer be charged
+     * @return poolId The new pool ID
+     * @notice Fund the pool by transferring credits to sponsorPoolAccount(poolId) with transferCredit
+     */
+    function createSponsorPool(
+        address[] calldata targets,
+        uint256 perUserCap,
+        uint64 expiry
+    ) external returns (uint256 poolId) {
+        require(expiry > block.timestamp, "Sponsor pool expired");
+
+        poolId = ++sponsorPoolCount;
+        sponsorPools[poolId] = SponsorPool(_msgSender(), expiry, perUserCap);
+        emit SponsorPoolCreated(poolId, _msgSender(), perUserCap, expiry);
+
+        for (uint256 i = 0; i < targets.length; ++i) {
+            _setSponsorPoolTarget(poolId, targets[i], true);
+        }
+    }
+
+    /**
+     * @dev Changes the per-user cap and expiry of a pool
+     * @param poolId The pool to update
+     * @param perUserCap Maximum credits each user can consume from the pool
+     * @param expiry Timestamp after which the pool can no longer be charged (a past one closes the pool)
+     * @notice Only the pool sponsor can call this function
+     */
+    function updateSponsorPool(uint256 poolId, uint256 perUserCap, uint64 expiry) external onlyPoolSponsor(poolId) {
+        SponsorPool storage pool = sponsorPools[poolId];
+        pool.perUserCap = perUserCap;
+        pool.expiry = expiry;
+        emit SponsorPoolUpdated(poolId, perUserCap, expiry);
+    }
+
+    /**
+     * @dev Adds or removes a contract sponsored by a pool
+     * @param poolId The pool to update
+     * @param target The target contract
+     * @param allowed Whether meta-txs calling the target can be charged to the pool
+     * @notice Only the pool sponsor can call this function
+     */
+    function setSponsorPoolTarget(uint256 poolId, address target, bool allowed) external onlyPoolSponsor(poolId) {
+        _setSponsorPoolTarget(poolId, target, allowed);
+    }
 
-            // Calculate how many credits this token's balance is worth
-            uint256 tokenValueInCredits = calculateCreditValue(token, contractBalance);
-            if (tokenValueInCredits == 0) continue; // Avoid division by zero
+    /**
+     * @dev Moves unused credits from a sponsor pool back to the sponsor
+     * @param poolId The pool to defund
+     * @param credit The amount of credits to move, or type(uint256).max for all of them
+     * @notice Only the pool sponsor can call this function
+     * @notice Contract must not be paused
+     * @notice Credits of pending charges stay in the dispute process
+     */
+    function defundSponsorPool(uint256 poolId, uint256 credit) external whenNotPaused onlyPoolSponsor(poolId) {
+        address account = sponsorPoolAccount(poolId);
+        uint256 poolCredits = credits(account);
+        if (credit == type(uint256).max) credit = poolCredits;
+        require(credit > 0 && poolCredits >= credit, "Invalid amount");
+
+        _moveValue(account, _msgSender(), credit);
+        emit SponsorPoolDefunded(poolId, _msgSender(), credit);
+    }
+
+    /**
+     * @dev Moves `value` credits from a user, to another user or (to == address(0)) to the pending reserves
+     * @param from The user giving the credits
+     * @param to The receiving user, or zero when the credits are consumed
+     * @param value The amount of credits to move
+     * @return tokens Whitelisted tokens at the time of the move
+     * @return amounts Amount of each token moved
+     * @notice Legacy credits go first, then stablecoin positions, then other positions, in whitelist order.
+     * Consumed legacy credits are first migrated into a position, so that pendingReserves holds their tokens.
+     */
+    function _moveValue(address from, address to, uint256 value)
+        internal
+        returns (address[] memory tokens, uint256[] memory amounts)
+    {
+        uint256 remaining = value;
+
+        uint256 legacy = legacyCredits[from];
+        if (legacy > 0 && to != address(0)) {
+            uint256 legacyAmount = legacy > remaining ? remaining : legacy;
+            legacyCredits[from] -= legacyAmount;
+            legacyCredits[to] += legacyAmount;
+            remaining -= legacyAmount;
+        }
+
+        tokens = whitelistedTokens.values();
+        amounts = new uint256[](tokens.length);
+        for (uint256 pass = 0; pass < 2 && remaining > 0; ++pass) {
+            for (uint256 i = 0; i < tokens.length && remaining > 0; ++i) {
+                address token = tokens[i];
+                // Stablecoins on the first pass, priced tokens on the second
+                if (tokenInfo[token].isStablecoin != (pass == 0)) continue;
+                // Legacy credits migrate into the first position unallocated tokens cover
+                if (to == address(0)) _migrateLegacyCredits(from, token);
+
+                uint256 position = positions[from][token];
+                if (position == 0) continue;
+
+                uint256 amount = calculateTokenValue(token, remaining);
+                uint256 taken = remaining;
+                if (amount >= position) {
+                    amount = position;
+                    uint256 positionValue = calculateCreditValue(token, position);
+                    taken = positionValue < remaining ? positionValue : remaining;
+                }
+
+                positions[from][token] -= amount;
+                if (to == address(0)) {
+                    totalPositions[token] -= amount;
+                    pendingReserves[token] += amount;
+                } else {
+                    positions[to][token] += amount;
+                }
+                amounts[i] = amount;
+                remaining -= taken;
+            }
+        }
+        require(remaining == 0, "Insufficient credits");
+    }
+
+    /**
+     * @dev Converts the user's legacy credits into a position in a whitelisted token
+     * @return migrated False when there is nothing to migrate or the vault lacks unallocated tokens
+     */
+    function _migrateLegacyCredits(address user, address token) internal returns (bool migrated) {
+        uint256 creditAmount = legacyCredits[user];
+        if (creditAmount == 0 || !whitelistedTokens.contains(token)) return false;
+
+        uint256 tokenAmount = calculateTokenValue(token, creditAmount);
+        if (tokenAmount > unallocatedBalance(token)) return false;
+
+        legacyCredits[user] = 0;
+        positions[user][token] += tokenAmount;
+        totalPositions[token] += tokenAmount;
+
+        emit LegacyCreditsMigrated(user, token, creditAmount, tokenAmount);
+        return true;
+    }
+
+    /**
+     * @dev Validates a receipt and returns its charge, max(receipt.usdValue, minimumConsume)
+     */
+    function _creditCost(ConsumptionReceipt calldata receipt) internal view returns (uint256) {
+        require(
+            receipt.user != address(0) && receipt.usdValue > 0 && receipt.gasUsed > 0 && receipt.gasPrice > 0 &&
+                receipt.nativePrice > 0,
+            "Invalid receipt"
+        );
+        require(!chargedBatches[receipt.batchId], "Batch already charged");
+        return receipt.usdValue > minimumConsume ? receipt.usdValue : minimumConsume;
+    }
+
+    /**
+     * @dev Records a charge of `creditCost` against `payer` and reserves its tokens
+     */
+    function _consume(
+        address payer,
+        uint256 creditCost,
+        ConsumptionReceipt calldata receipt
+    ) internal returns (uint256 consumptionId) {
+        address relayer = _msgSender();
+        chargedBatches[receipt.batchId] = true;
+
+        consumptionId = consumptions.length;
+        Consumption storage consumption = consumptions.push();
+        consumption.user = payer;
+        consumption.status = ConsumptionStatus.Pending;
+        consumption.relayer = relayer;
+        consumption.disputeDeadline = uint64(block.timestamp + disputeWindow);
+        consumption.batchId = receipt.batchId;
+        consumption.creditAmount = creditCost;
+        consumption.receiptHash = keccak256(abi.encode(receipt));
+
+        (consumption.tokens, consumption.amounts) = _moveValue(payer, address(0), creditCost);
+
+        emit CreditsConsumed(
+            consumptionId,
+            receipt.user,
+            relayer,
+            receipt.batchId,
+            receipt.txHash,
+            receipt.gasUsed,
+            receipt.gasPrice,
+            receipt.nativePrice,
+            creditCost
+        );
+    }
 
-            // Determine how many credits to withdraw from this token
-            uint256 creditsToWithdraw = tokenValueInCredits > creditsRemaining ? creditsRemaining : tokenValueInCredits;
+    /**
+     * @dev Releases the tokens of a charge to the consumed reserves
+     */
+    function _settleConsumption(uint256 consumptionId) internal {
+        Consumption storage consumption = consumptions[consumptionId];
+        consumption.status = ConsumptionStatus.Settled;
+
+        for (uint256 i = 0; i < consumption.tokens.length; ++i) {
+            uint256 amount = consumption.amounts[i];
+            if (amount == 0) continue;
+            address token = consumption.tokens[i];
+            pendingReserves[token] -= amount;
+            consumedReserves[token] += amount;
+        }
+        totalConsumedCredits += consumption.creditAmount;
+        reservedConsumedCredits += consumption.creditAmount;
 
-            // Calculate the token amount corresponding to creditsToWithdraw
-            uint256 tokenAmount = (creditsToWithdraw * contractBalance) / tokenValueInCredits;
-            if (tokenAmount == 0) continue; // Avoid dust
+        emit ConsumptionSettled(consumptionId, consumption.creditAmount);
+    }
 
-            // Transfer tokens to owner
-            IERC20(token).transfer(msg.sender, tokenAmount);
+    /**
+     * @dev Returns the tokens of a charge to the user's positions and restores the relayer's allowance
+     * (or, for a sponsored charge, the user's usage of the pool)
+     */
+    function _refundConsumption(uint256 consumptionId) internal {
+        Consumption storage consumption = consumptions[consumptionId];
+        consumption.status = ConsumptionStatus.Refunded;
+        address user = consumption.user;
+
+        for (uint256 i = 0; i < consumption.tokens.length; ++i) {
+            uint256 amount = consumption.amounts[i];
+            if (amount == 0) continue;
+            address token = consumption.tokens[i];
+            pendingReserves[token] -= amount;
+            positions[user][token] += amount;
+            totalPositions[token] += amount;
+        }
 
-            // Update how many credits remain to be withdrawn
-            creditsRemaining -= creditsToWithdraw;
+        SponsoredCharge memory charge = sponsoredCharges[consumptionId];
+        if (charge.poolId == 0) {
+            spendingCaps[user][consumption.relayer].allowance += consumption.creditAmount;
+        } else {
+            sponsoredUsage[charge.poolId][charge.user] -= consumption.creditAmount;
         }
 
-        // Update withdrawn credits
-        uint256 creditsWithdrawn = deltaCredits - creditsRemaining;
-        require(creditsWithdrawn > 0, "Nothing withdrawn");
-        totalConsumedCreditsWithdrawn += creditsWithdrawn;
+        emit ConsumptionRefunded(consumptionId, user, consumption.creditAmount);
+    }
+
+    function _setSpendingCap(
+        address user,
+        address relayer,
+        uint256 allowance,
+        uint256 maxPerBatch,
+        uint256 expiry
+    ) internal {
+        require(relayer != address(0), "Invalid address");
+        spendingCaps[user][relayer] = SpendingCap(allowance, maxPerBatch, expiry);
+        emit SpendingCapSet(user, relayer, allowance, maxPerBatch, expiry);
+    }
 
-        emit ConsumedCreditsWithdrawn(msg.sender, creditsWithdrawn);
+    function _setSponsorPoolTarget(uint256 poolId, address target, bool allowed) internal {
+        if (allowed) {
+            require(target != address(0), "Invalid address");
+            poolTargets[poolId].add(target);
+        } else {
+            poolTargets[poolId].remove(target);
+        }
+        emit SponsorPoolTargetSet(poolId, target, allowed);
+    }
+
+    /**
+     * @dev Credits a user for tokens received by the vault
+     * @param user The depositor
+     * @param token The deposited token
+     * @param amount The amount of tokens received
+     */
+    function _creditDeposit(address user, address token, uint256 amount) internal {
+        uint256 creditedAmount = calculateCreditValue(token, amount);
+
+        positions[user][token] += amount;
+        totalPositions[token] += amount;
+
+        emit Deposited(user, token, amount, creditedAmount);
     }
 
     // Price calculation functions ================================
@@ -390,29 +1111,14 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @param token The token contract address
      * @param amount The amount of tokens
      * @return The equivalent credit value in credit decimals
-     * @notice For stablecoins, assumes 1:1 USD ratio
-     * @notice For other tokens, uses Chainlink price feed
+     * @notice Uses the price oracle when set; otherwise stablecoins are 1:1 USD and other tokens use their Chainlink feed
      */
     function calculateCreditValue(address token, uint256 amount) internal view returns (uint256) {
-        TokenInfo memory info = tokenInfo[token];
-        uint8 tokenDecimals = IERC20Metadata(token).decimals();
-        
-        if (info.isStablecoin) {
-            return convertDecimals(amount, tokenDecimals, creditDecimals);
-        }
+        uint8 tokenDecimals = _tokenDecimals(token);
+        (uint256 price, uint8 priceDecimals) = _tokenPrice(token);
 
-        (uint80 roundId, int256 price, , uint256 updatedAt, uint80 answeredInRound) = info.priceFeed.latestRoundData();
-        
-        // Price feed validation
-        require(price > 0, "Invalid price from feed");
-        require(updatedAt > 0, "Invalid timestamp from feed");
-        require(block.timestamp - updatedAt <= PRICE_FEED_TIMEOUT, "Price feed too stale");
-        require(answeredInRound >= roundId, "Price feed round incomplete");
-        
-        uint8 _decimals = tokenDecimals + info.priceFeed.decimals();
-        
-        // Formula: (amount * price) / (10^(tokenDecimals + priceFeedDecimals - creditDecimals))
-        return convertDecimals(amount * uint256(price), _decimals, creditDecimals);
+        // Formula: (amount * price) / (10^(tokenDecimals + priceDecimals - creditDecimals))
+        return convertDecimals(amount * price, tokenDecimals + priceDecimals, creditDecimals);
     }
 
     /**
@@ -420,31 +1126,78 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
      * @param token The token contract address
      * @param creditAmount The amount of credits
      * @return The equivalent token amount in token decimals
-     * @notice For stablecoins, assumes 1:1 USD ratio
-     * @notice For other tokens, uses Chainlink price feed
+     * @notice Uses the price oracle when set; otherwise stablecoins are 1:1 USD and other tokens use their Chainlink feed
      */
     function calculateTokenValue(address token, uint256 creditAmount) internal view returns (uint256) {
-        TokenInfo memory info = tokenInfo[token];
-        uint8 tokenDecimals = IERC20Metadata(token).decimals();
+        uint8 tokenDecimals = _tokenDecimals(token);
+        (uint256 price, uint8 priceDecimals) = _tokenPrice(token);
 
+        // Fix precision: multiply first, then divide
+        // Formula: (creditAmount * 10^(tokenDecimals + priceDecimals)) / (price * 10^creditDecimals)
+        uint256 numerator = convertDecimals(creditAmount, creditDecimals, tokenDecimals + priceDecimals);
+        return numerator / price;
+    }
+
+    /**
+     * @dev Returns the USD price of a token and its decimals
+     * @param token The token contract address
+     * @return price The price, from the price oracle when set, else from the token's feed ($1 for stablecoins)
+     * @return priceDecimals Decimals of the price
+     */
+    function _tokenPrice(address token) internal view returns (uint256 price, uint8 priceDecimals) {
+        if (priceOracle != address(0)) {
+            // The oracle prices the native coin as address(0)
+            return (IPriceOracle(priceOracle).getPrice(token == NATIVE_TOKEN ? address(0) : token), 18);
+        }
+
+        TokenInfo memory info = tokenInfo[token];
         if (info.isStablecoin) {
-            return convertDecimals(creditAmount, creditDecimals, tokenDecimals);
+            return (1, 0);
         }
 
-        (uint80 roundId, int256 price, , uint256 updatedAt, uint80 answeredInRound) = info.priceFeed.latestRoundData();
-        
-        // Price feed validation
-        require(price > 0, "Invalid price from feed");
-        require(updatedAt > 0, "Invalid timestamp from feed");
-        require(block.timestamp - updatedAt <= PRICE_FEED_TIMEOUT, "Price feed too stale");
-        require(answeredInRound >= roundId, "Price feed round incomplete");
-        
-        uint8 _decimals = tokenDecimals + info.priceFeed.decimals();
-        
-        // Fix precision: multiply first, then divide
-        // Formula: (creditAmount * 10^(tokenDecimals + priceFeedDecimals)) / (price * 10^creditDecimals)
-        uint256 numerator = convertDecimals(creditAmount, creditDecimals, _decimals);
-        return numerator / uint256(price);
+        (uint80 roundId, int256 answer, , uint256 updatedAt, uint80 answeredInRound) = info.priceFeed.latestRoundData();
+
+        // Price feed validation: positive, fresh and complete round
+        require(
+            answer > 0 && updatedAt > 0 && block.timestamp - updatedAt <= PRICE_FEED_TIMEOUT && answeredInRound >= roundId,
+            "Invalid price from feed"
+        );
+
+        return (uint256(answer), info.priceFeed.decimals());
+    }
+
+    /**
+     * @dev Returns the decimals of a token (18 for the native coin)
+     */
+    function _tokenDecimals(address token) internal view returns (uint8) {
+        return token == NATIVE_TOKEN ? 18 : IERC20Metadata(token).decimals();
+    }
+
+    /**
+     * @dev Returns the vault balance of a token or of the native coin
+     */
+    function _balanceOf(address token) internal view returns (uint256) {
+        return token == NATIVE_TOKEN ? address(this).balance : IERC20(token).balanceOf(address(this));
+    }
+
+    /**
+     * @dev Returns the vault balance of a token not owned by users nor consumed (pending or settled)
+     */
+    function _freeBalance(address token) internal view returns (uint256) {
+        uint256 allocated = totalPositions[token] + pendingReserves[token] + consumedReserves[token];
+        uint256 balance = _balanceOf(token);
+        return balance > allocated ? balance - allocated : 0;
+    }
+
+    /**
+     * @dev Sends tokens or native coin out of the vault
+     */
+    function _transferOut(address token, address to, uint256 amount) internal {
+        if (token == NATIVE_TOKEN) {
+            Address.sendValue(payable(to), amount);
+        } else {
+            IERC20(token).safeTransfer(to, amount);
+        }
     }
 
     /**
@@ -463,16 +1216,193 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
         }
     }
 
+    /**
+     * @dev Returns the signer appended by the trusted forwarder, or the direct caller
+     */
+    function _msgSender() internal view override returns (address) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return super._msgSender();
+    }
+
+    /**
+     * @dev Returns the calldata without the forwarder suffix when relayed
+     */
+    function _msgData() internal view override returns (bytes calldata) {
+        if (isTrustedForwarder(msg.sender) && msg.data.length >= 20) {
+            return msg.data[:msg.data.length - 20];
+        }
+        return super._msgData();
+    }
+
     /**
      * @dev Authorizes contract upgrades (UUPS pattern)
      * @param newImplementation The address of the new implementation
-     * @notice Only owner can authorize upgrades
+     * @notice Only the upgrader (the owner while none is set) can authorize upgrades
      */
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override onlyUpgrader {}
+
+    /**
+     * @dev Hands upgrade rights to `_upgrader`, e.g. a TimelockController the owner cannot bypass
+     * @param _upgrader The new upgrader, or address(0) to give upgrades back to the owner
+     * @notice Only the current upgrader (the owner while none is set) can change it
+     */
+    function setUpgrader(address _upgrader) external onlyUpgrader {
+        upgrader = _upgrader;
+        emit UpgraderUpdated(_upgrader);
+    }
+
+    function _checkUpgrader() internal view {
+        require(_msgSender() == (upgrader == address(0) ? owner() : upgrader), "Not upgrader");
+    }
+
+    function _checkRelayer() internal view {
+        require(relayers.contains(_msgSender()), "Caller not whitelisted relayers");
+    }
+
+    function _checkDeposit(address token, uint256 amount) internal view {
+        require(whitelistedTokens.contains(token), "Token not whitelisted");
+        require(amount > 0, "Amount must be > 0");
+    }
+
+    function _requireNotPaused() internal view {
+        require(!paused, "Paused");
+    }
+
+    // The gateway records each batch it executes; the caller must have run it for receipt.user on `targets`
+    function _checkBatchRecord(address[] calldata targets, ConsumptionReceipt calldata receipt) internal view {
+        bytes32 record = keccak256(abi.encode(receipt.user, _msgSender(), targets));
+        require(IMetaTxGateway(trustedForwarder).batchRecords(receipt.batchId) == record, "Invalid receipt");
+    }
+
+    function _consumptionAt(uint256 consumptionId) internal view returns (Consumption storage) {
+        require(consumptionId < consumptions.length, "Unknown consumption");
+        return consumptions[consumptionId];
+    }
+
+    function _checkPoolSponsor(uint256 poolId) internal view {
+        require(sponsorPools[poolId].sponsor == _msgSender(), "Not pool sponsor");
+    }
 
 
     // View functions =============================================
+
+    /**
+     * @dev Returns the credits of a user: legacy credits plus the current value of their positions
+     * @param user The user address
+     * @return The credit balance in credit decimals
+     */
+    function credits(address user) public view returns (uint256) {
+        uint256 total = legacyCredits[user];
+        address[] memory tokens = whitelistedTokens.values();
+        for (uint256 i = 0; i < tokens.length; ++i) {
+            uint256 position = positions[user][tokens[i]];
+            if (position > 0) {
+                total += calculateCreditValue(tokens[i], position);
+            }
+        }
+        return total;
+    }
+
+    /**
+     * @dev Returns the EIP-712 domain separator used for signed spending caps
+     * @return The domain separator (name "GasCreditVault", version "1")
+     */
+    function domainSeparator() public view returns (bytes32) {
+        return keccak256(
+            abi.encode(DOMAIN_TYPEHASH, keccak256("GasCreditVault"), keccak256("1"), block.chainid, address(this))
+        );
+    }
+
+    /**
+     * @dev Returns a charge and the tokens it took
+     * @param consumptionId The consumption ID (from the CreditsConsumed event)
+     * @return The consumption record
+     */
+    function getConsumption(uint256 consumptionId) external view returns (Consumption memory) {
+        return _consumptionAt(consumptionId);
+    }
+
+    /**
+     * @dev Returns the number of charges recorded
+     * @return The consumption count
+     */
+    function getConsumptionCount() external view returns (uint256) {
+        return consumptions.length;
+    }
+
+    /**
+     * @dev Returns the token positions of a user
+     * @param user The user address
+     * @return tokens Whitelisted tokens
+     * @return amounts Amount of each token owned by the user
+     */
+    function getPositions(address user) external view returns (address[] memory tokens, uint256[] memory amounts) {
+        tokens = whitelistedTokens.values();
+        amounts = new uint256[](tokens.length);
+        for (uint256 i = 0; i < tokens.length; ++i) {
+            amounts[i] = positions[user][tokens[i]];
+        }
+    }
+
+    /**
+     * @dev Returns the vault balance of a token not owned by users nor consumed (pending or settled)
+     * (tokens backing legacy credits, or sent to the vault directly)
+     * @param token The token contract address
+     * @return The unallocated token amount
+     * @notice Until withdrawConsumedCredits pays them, the legacy credits consumed before the upgrade are
+     * held back from every token
+     */
+    function unallocatedBalance(address token) public view returns (uint256) {
+        uint256 legacyConsumed = totalConsumedCredits - totalConsumedCreditsWithdrawn - reservedConsumedCredits;
+        uint256 available = _freeBalance(token);
+        uint256 backing = legacyConsumed > 0 ? calculateTokenValue(token, legacyConsumed) : 0;
+        return available > backing ? available - backing : 0;
+    }
     
+    /**
+     * @dev Returns the account holding the credits of a sponsor pool
+     * @param poolId The sponsor pool
+     * @return The pseudo-address whose positions and legacy credits make up the pool
+     */
+    function sponsorPoolAccount(uint256 poolId) public pure returns (address) {
+        return address(uint160(uint256(keccak256(abi.encode("GasCreditVault.sponsorPool", poolId)))));
+    }
+
+    /**
+     * @dev Returns a sponsor pool with its credits and sponsored contracts
+     * @param poolId The sponsor pool
+     * @return pool The pool settings
+     * @return poolCredits Credits left in the pool
+     * @return targets Contracts the pool sponsors
+     */
+    function getSponsorPool(uint256 poolId)
+        external
+        view
+        returns (SponsorPool memory pool, uint256 poolCredits, address[] memory targets)
+    {
+        pool = sponsorPools[poolId];
+        poolCredits = credits(sponsorPoolAccount(poolId));
+        targets = poolTargets[poolId].values();
+    }
+
+    /**
+     * @dev Returns the credits a user can still consume from a pool
+     * @param poolId The sponsor pool
+     * @param user The user address
+     * @return The lower of the user's remaining cap and the pool credits (zero once the pool expired)
+     */
+    function sponsoredAllowance(uint256 poolId, address user) external view returns (uint256) {
+        SponsorPool memory pool = sponsorPools[poolId];
+        uint256 used = sponsoredUsage[poolId][user];
+        if (pool.expiry < block.timestamp || used >= pool.perUserCap) return 0;
+
+        uint256 remaining = pool.perUserCap - used;
+        uint256 poolCredits = credits(sponsorPoolAccount(poolId));
+        return remaining < poolCredits ? remaining : poolCredits;
+    }
+
     /**
      * @dev Returns the list of all whitelisted token addresses
      * @return Array of whitelisted token addresses
@@ -518,6 +1448,15 @@ contract GasCreditVault is Initializable, OwnableUpgradeable, UUPSUpgradeable  {
         return whitelistedTokens.contains(token);
     }
 
+    /**
+     * @dev Checks if an address is the ERC-2771 trusted forwarder
+     * @param forwarder The address to check
+     * @return Whether calls from this address carry the original sender
+     */
+    function isTrustedForwarder(address forwarder) public view returns (bool) {
+        return forwarder != address(0) && forwarder == trustedForwarder;
+    }
+
     /**
      * @dev Checks if an address is a whitelisted relayer
      * @param relayer The address to check
@@ -4,6 +4,7 @@ pragma solidity ^0.8.20;
 import "@openzeppelin/contracts/access/Ownable.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 
+// Deprecated: new deployments use TokenVesting, which can migrate the members of a deployed KOLAllocation
 contract KOLAllocation is Ownable {
     struct Member {
         string name;
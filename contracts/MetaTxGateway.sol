@@ -1,23 +1,44 @@
 // SPDX-License-Identifier: MIT
 pragma solidity ^0.8.20;
 
-import {ECDSA} from "@openzeppelin/contracts/utils/cryptography/ECDSA.sol";
+import {SignatureChecker} from "@openzeppelin/contracts/utils/cryptography/SignatureChecker.sol";
+import {Create2} from "@openzeppelin/contracts/utils/Create2.sol";
+import {SafeCast} from "@openzeppelin/contracts/utils/math/SafeCast.sol";
+import {EnumerableSet} from "@openzeppelin/contracts/utils/structs/EnumerableSet.sol";
 import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {IERC20Permit} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Permit.sol";
 import {Initializable} from "@openzeppelin/contracts-upgradeable/proxy/utils/Initializable.sol";
 import {OwnableUpgradeable} from "@openzeppelin/contracts-upgradeable/access/OwnableUpgradeable.sol";
 import {ReentrancyGuardUpgradeable} from "@openzeppelin/contracts-upgradeable/security/ReentrancyGuardUpgradeable.sol";
 import {PausableUpgradeable} from "@openzeppelin/contracts-upgradeable/security/PausableUpgradeable.sol";
 import {UUPSUpgradeable} from "@openzeppelin/contracts-upgradeable/proxy/utils/UUPSUpgradeable.sol";
+import {ERC6492Deployer} from "./utils/ERC6492Deployer.sol";
+import {RelayerFeeCollector} from "./utils/RelayerFeeCollector.sol";
 
 /**
  * @title MetaTxGateway
  * @notice Gateway for executing gasless meta-transactions on any EVM chain
  * @dev Does not handle gas credits - relies on external relayer for credit management
  * @dev Only supports batch execution - single meta-transactions must be wrapped in a batch
+ * @dev Acts as an ERC-2771 forwarder: the signer's address is appended to the calldata of every call
+ * @dev Accepts EOA (ECDSA), ERC-1271 contract wallet and ERC-6492 counterfactual wallet signatures
+ * @dev Nonces are two-dimensional: `nonce = key << 64 | sequence`, each key being an independent lane
+ * @dev A batch may sign an ERC-20 fee, capped at `maxAmount`, paid to the executing relayer from the signer's balance
+ * through RelayerFeeCollector (see getFeeCollector)
+ * @dev Administered through enumerable roles (admin, pauser, relayer manager); relayers can be given
+ * daily quotas and calls can be restricted to allowlisted targets and selectors
  * @dev Upgradeable contract using UUPS pattern with pause functionality
  */
 contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgradeable, PausableUpgradeable, UUPSUpgradeable {
-    using ECDSA for bytes32;
+    using EnumerableSet for EnumerableSet.AddressSet;
+    using EnumerableSet for EnumerableSet.Bytes32Set;
+
+    // Roles (DEFAULT_ADMIN_ROLE administers every role and configures the target allowlist; UPGRADER_ROLE
+    // authorizes upgrades and, once it has a member, administers itself so a timelock holding it cannot be bypassed)
+    bytes32 public constant DEFAULT_ADMIN_ROLE = 0x00;
+    bytes32 public constant PAUSER_ROLE = keccak256("PAUSER_ROLE");
+    bytes32 public constant RELAYER_MANAGER_ROLE = keccak256("RELAYER_MANAGER_ROLE");
+    bytes32 public constant UPGRADER_ROLE = keccak256("UPGRADER_ROLE");
 
     // EIP-712 Domain Separator
     bytes32 private constant EIP712_DOMAIN_TYPEHASH = keccak256(
@@ -29,15 +50,24 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
         "MetaTransaction(address to,uint256 value,bytes data)"
     );
 
+    // EIP-712 RelayerFee struct typehash
+    bytes32 private constant RELAYER_FEE_TYPEHASH = keccak256(
+        "RelayerFee(address token,uint256 maxAmount,address recipient)"
+    );
+
     // EIP-712 Main typehash for batch meta-transactions
     bytes32 private constant META_TRANSACTION_TYPEHASH = keccak256(
-        "MetaTransactions(address from,MetaTransaction[] metaTxs,uint256 nonce,uint256 deadline)MetaTransaction(address to,uint256 value,bytes data)"
+        "MetaTransactions(address from,MetaTransaction[] metaTxs,uint256 nonce,uint256 deadline,uint8 mode,RelayerFee fee)MetaTransaction(address to,uint256 value,bytes data)RelayerFee(address token,uint256 maxAmount,address recipient)"
     );
     
+    // ERC-6492 wrapped signatures end with this magic value
+    bytes32 private constant ERC6492_DETECTION_SUFFIX =
+        0x6492649264926492649264926492649264926492649264926492649264926492;
+
     // Relayer management
     mapping(address => bool) public authorizedRelayers;
     
-    // Nonce management for replay protection
+    // Nonce management for replay protection (key 0 lane, kept for storage compatibility)
     mapping(address => uint256) public nonces;
 
     // Mapping from batch transaction ID to log
@@ -51,20 +81,109 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
     
     PauseInfo public pauseState;
 
+    // Sequences of the parallel nonce lanes (keys other than 0)
+    mapping(address => mapping(uint192 => uint64)) public nonceSequences;
+
+    // Role members
+    mapping(bytes32 => EnumerableSet.AddressSet) private _roleMembers;
+
+    // Authorized relayers (enumerable mirror of authorizedRelayers)
+    EnumerableSet.AddressSet private _relayers;
+
+    /**
+     * @dev Daily limits of a relayer, 0 meaning unlimited
+     */
+    struct RelayerQuota {
+        uint128 maxBatchesPerDay; // Batches the relayer may submit per UTC day
+        uint128 maxValuePerDay;   // Native value the relayer may forward per UTC day
+    }
+
+    /**
+     * @dev Usage of a relayer during `day` (block.timestamp / 1 days), tracked while a quota is set
+     */
+    struct QuotaUsage {
+        uint64 day;
+        uint64 batches;
+        uint128 value;
+    }
+
+    mapping(address => RelayerQuota) public relayerQuotas;
+    mapping(address => QuotaUsage) public relayerUsage;
+
+    // Optional allowlist of call targets, each with an optional allowlist of selectors
+    bool public targetAllowlistEnabled;
+    EnumerableSet.AddressSet private _allowedTargets;
+    mapping(address => EnumerableSet.Bytes32Set) private _allowedSelectors;
+
+    // RelayerFeeCollector users approve, stored once deployed so an upgrade changing its bytecode cannot move it
+    address private _deployedFeeCollector;
+
+    // keccak256(abi.encode(from, relayer, targets)) of each executed batch, checked by contracts paying for it
+    mapping(uint256 => bytes32) public batchRecords;
+
     struct MetaTransaction {
         address to;        // Target contract to call
         uint256 value;     // ETH value to send (usually 0)
         bytes data;        // Function call data
     }
 
+    /**
+     * @dev EIP-2612 permit signed by the batch sender, applied before the batch runs
+     * Lets the user approve a target (e.g. GasCreditVault) without an on-chain approve
+     */
+    struct TokenPermit {
+        address token;     // ERC20Permit token
+        address spender;   // Contract allowed to pull the tokens
+        uint256 value;     // Allowance to set
+        uint256 deadline;  // Permit deadline
+        uint8 v;
+        bytes32 r;
+        bytes32 s;
+    }
+
+    /**
+     * @dev ERC-20 fee signed as part of the batch
+     * The relayer picks the charged amount (up to maxAmount) when submitting; a zero token means no fee
+     */
+    struct RelayerFee {
+        address token;     // ERC-20 the fee is paid in (address(0) = no fee)
+        uint256 maxAmount; // Maximum amount the relayer may charge
+        address recipient; // Fee receiver (address(0) = the executing relayer)
+    }
+
+    /**
+     * @dev Execution mode chosen by the signer
+     * BestEffort: failed calls are skipped, their native value is refunded and the nonce is consumed
+     * Atomic: any failed call reverts the whole batch (nothing executes, nonce is not consumed)
+     */
+    enum ExecutionMode {
+        BestEffort,
+        Atomic
+    }
+
+    /// @notice Raised in atomic mode when a call fails; carries the call index and its revert data
+    error BatchCallFailed(uint256 index, bytes returnData);
+
+    /// @notice Raised when `account` lacks `neededRole`
+    error AccessControlUnauthorizedAccount(address account, bytes32 neededRole);
+
     event RelayerAuthorized(address indexed relayer, bool authorized);
+    event RoleGranted(bytes32 indexed role, address indexed account, address indexed sender);
+    event RoleRevoked(bytes32 indexed role, address indexed account, address indexed sender);
+    event RelayerQuotaUpdated(address indexed relayer, uint128 maxBatchesPerDay, uint128 maxValuePerDay);
+    event TargetAllowlistEnabled(bool enabled);
+    event TargetAllowed(address indexed target, bool allowed);
+    event SelectorAllowed(address indexed target, bytes4 indexed selector, bool allowed);
     event MetaTransactionExecuted(
         address indexed relayer,
         address indexed user,
         address indexed target,
+        uint256 batchId,
+        uint256 index,
         uint256 value,
         bytes data,
-        bool success
+        bool success,
+        bytes returnData
     );
     event NativeTokenUsed(
         uint256 indexed batchId,
@@ -72,6 +191,15 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
         uint256 totalUsed,
         uint256 refunded
     );
+    event PermitFailed(address indexed user, address indexed token, uint256 index, bytes reason);
+    event NonceInvalidated(address indexed user, uint192 indexed key, uint64 nextSequence);
+    event RelayerFeePaid(
+        uint256 indexed batchId,
+        address indexed user,
+        address indexed token,
+        address recipient,
+        uint256 amount
+    );
     event PausedWithReason(string reason);
     event TokenRescued(address indexed token, address indexed to, uint256 amount);
 
@@ -80,6 +208,14 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
         _disableInitializers();
     }
 
+    /**
+     * @dev Restricts a function to members of `role`
+     */
+    modifier onlyRole(bytes32 role) {
+        if (!hasRole(role, msg.sender)) revert AccessControlUnauthorizedAccount(msg.sender, role);
+        _;
+    }
+
     /**
      * @dev Initializes the contract with the initial owner
      * @notice This function can only be called once during deployment
@@ -89,27 +225,169 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
         __ReentrancyGuard_init();
         __Pausable_init();
         __UUPSUpgradeable_init();
+
+        _grantRole(DEFAULT_ADMIN_ROLE, msg.sender);
+        _grantRole(PAUSER_ROLE, msg.sender);
+        _grantRole(RELAYER_MANAGER_ROLE, msg.sender);
+        _grantRole(UPGRADER_ROLE, msg.sender);
+    }
+
+    /**
+     * @notice Grant every role to the owner of a gateway deployed before roles existed
+     * @dev Relayers authorized before the upgrade must be authorized again to be enumerable
+     */
+    function initializeRoles() external reinitializer(2) onlyOwner {
+        address account = owner();
+        _grantRole(DEFAULT_ADMIN_ROLE, account);
+        _grantRole(PAUSER_ROLE, account);
+        _grantRole(RELAYER_MANAGER_ROLE, account);
+        _grantRole(UPGRADER_ROLE, account);
     }
 
-    // Owner functions ==============================================
+    // Role management ==============================================
+
+    /**
+     * @notice Check if `account` has `role`
+     */
+    function hasRole(bytes32 role, address account) public view returns (bool) {
+        return _roleMembers[role].contains(account);
+    }
+
+    /**
+     * @notice Role whose members can grant and revoke `role`
+     * @dev Admins grant the first upgrader of a gateway upgraded from a version without the role
+     */
+    function getRoleAdmin(bytes32 role) public view returns (bytes32) {
+        return role == UPGRADER_ROLE && _roleMembers[role].length() > 0 ? UPGRADER_ROLE : DEFAULT_ADMIN_ROLE;
+    }
+
+    /**
+     * @notice Grant `role` to `account`
+     */
+    function grantRole(bytes32 role, address account) external onlyRole(getRoleAdmin(role)) {
+        require(account != address(0), "Invalid address");
+        _grantRole(role, account);
+    }
+
+    /**
+     * @notice Revoke `role` from `account`
+     */
+    function revokeRole(bytes32 role, address account) external onlyRole(getRoleAdmin(role)) {
+        _revokeRole(role, account);
+    }
+
+    /**
+     * @notice Give up `role` held by the caller
+     */
+    function renounceRole(bytes32 role) external {
+        _revokeRole(role, msg.sender);
+    }
+
+    function _grantRole(bytes32 role, address account) internal {
+        if (_roleMembers[role].add(account)) {
+            emit RoleGranted(role, account, msg.sender);
+        }
+    }
+
+    function _revokeRole(bytes32 role, address account) internal {
+        // The last admin cannot leave, or roles and upgrades would be locked forever
+        require(role != DEFAULT_ADMIN_ROLE || _roleMembers[role].length() > 1, "Cannot remove last admin");
+        require(role != UPGRADER_ROLE || _roleMembers[role].length() > 1, "Cannot remove last upgrader");
+        if (_roleMembers[role].remove(account)) {
+            emit RoleRevoked(role, account, msg.sender);
+        }
+    }
+
+    // Relayer management ===========================================
 
     /**
      * @notice Authorize/deauthorize a relayer
      * @param relayer Relayer address
      * @param authorized True to authorize, false to deauthorize
      */
-    function setRelayerAuthorization(address relayer, bool authorized) external onlyOwner {
+    function setRelayerAuthorization(address relayer, bool authorized) external onlyRole(RELAYER_MANAGER_ROLE) {
         require(relayer != address(0), "Invalid relayer address");
         authorizedRelayers[relayer] = authorized;
+        if (authorized) {
+            _relayers.add(relayer);
+        } else {
+            _relayers.remove(relayer);
+        }
         emit RelayerAuthorized(relayer, authorized);
     }
 
+    /**
+     * @notice Set the daily limits of a relayer (0 = unlimited)
+     * @dev Usage is tracked from the moment a quota is set
+     * @param relayer Relayer address
+     * @param maxBatchesPerDay Maximum batches per UTC day
+     * @param maxValuePerDay Maximum native value forwarded per UTC day
+     */
+    function setRelayerQuota(
+        address relayer,
+        uint128 maxBatchesPerDay,
+        uint128 maxValuePerDay
+    ) external onlyRole(RELAYER_MANAGER_ROLE) {
+        require(relayer != address(0), "Invalid relayer address");
+        relayerQuotas[relayer] = RelayerQuota(maxBatchesPerDay, maxValuePerDay);
+        emit RelayerQuotaUpdated(relayer, maxBatchesPerDay, maxValuePerDay);
+    }
+
+    // Target allowlist ==============================================
+
+    /**
+     * @notice Turn the target allowlist on or off
+     * @dev While enabled, batch calls to targets (or selectors) that are not allowlisted fail
+     */
+    function setTargetAllowlistEnabled(bool enabled) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        targetAllowlistEnabled = enabled;
+        emit TargetAllowlistEnabled(enabled);
+    }
+
+    /**
+     * @notice Add or remove a call target; removing it also clears its selectors
+     * @param target Contract batches may call
+     * @param allowed True to allow, false to remove
+     */
+    function setTargetAllowed(address target, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(target != address(0), "Invalid address");
+        if (allowed) {
+            _allowedTargets.add(target);
+        } else {
+            _allowedTargets.remove(target);
+            EnumerableSet.Bytes32Set storage selectors = _allowedSelectors[target];
+            while (selectors.length() > 0) {
+                bytes4 selector = bytes4(selectors.at(selectors.length() - 1));
+                selectors.remove(bytes32(selector));
+                emit SelectorAllowed(target, selector, false);
+            }
+        }
+        emit TargetAllowed(target, allowed);
+    }
+
+    /**
+     * @notice Restrict an allowlisted target to specific function selectors
+     * @dev A target without selectors accepts any call. Plain native transfers use selector 0x00000000.
+     * @param target Allowlisted target
+     * @param selector Function selector
+     * @param allowed True to allow, false to remove
+     */
+    function setSelectorAllowed(address target, bytes4 selector, bool allowed) external onlyRole(DEFAULT_ADMIN_ROLE) {
+        require(_allowedTargets.contains(target), "Target not allowlisted");
+        if (allowed) {
+            _allowedSelectors[target].add(bytes32(selector));
+        } else {
+            _allowedSelectors[target].remove(bytes32(selector));
+        }
+        emit SelectorAllowed(target, selector, allowed);
+    }
+
     // Pause management functions ================================
     /**
      * @notice Pause the contract with a reason
      * @param reason Reason for pausing the contract
      */
-    function pauseWithReason(string calldata reason) external onlyOwner {
+    function pauseWithReason(string calldata reason) external onlyRole(PAUSER_ROLE) {
         require(!paused(), "Already paused");
         require(bytes(reason).length > 0, "Pause reason required");
         
@@ -125,45 +403,81 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
     /**
      * @notice Unpause the contract
      */
-    function unpause() external onlyOwner {
+    function unpause() external onlyRole(PAUSER_ROLE) {
         require(paused(), "Not paused");
         _unpause();
     }
 
-    
-
     // Meta-transaction functions ================================
 
     /**
      * @notice Execute a meta-transaction on behalf of a user (internal use only)
      * @param from User's address
+     * @param batchId Batch the meta-transaction belongs to
+     * @param index Position of the meta-transaction in the batch
      * @param metaTx Meta-transaction data
      * @return success True if the transaction was successful
+     * @return returnData Data returned by the call, or the revert data if it failed
      */
     function _executeMetaTransaction(
         address from,
+        uint256 batchId,
+        uint256 index,
         MetaTransaction memory metaTx
-    ) internal returns (bool success) {
+    ) internal returns (bool success, bytes memory returnData) {
         // Execute the transaction with try-catch to handle failures gracefully
-        try this._safeExecuteCall(metaTx.to, metaTx.value, metaTx.data) returns (bool _success) {
+        try this._safeExecuteCall(from, metaTx.to, metaTx.value, metaTx.data) returns (bool _success, bytes memory _returnData) {
             success = _success;
-        } catch {
+            returnData = _returnData;
+        } catch (bytes memory reason) {
             success = false;
+            returnData = reason;
         }
         
-        emit MetaTransactionExecuted(msg.sender, from, metaTx.to, metaTx.value, metaTx.data, success);
+        emit MetaTransactionExecuted(
+            msg.sender,
+            from,
+            metaTx.to,
+            batchId,
+            index,
+            metaTx.value,
+            metaTx.data,
+            success,
+            returnData
+        );
         
-        return success;
+        return (success, returnData);
     }
 
     /**
      * @notice Helper function to safely execute external calls
      * @dev This function is external to allow try-catch usage
+     * @dev Appends `from` to non-empty calldata (ERC-2771) so trusted targets can recover the signer.
+     * Plain native transfers (empty calldata) are sent as-is to keep `receive()` reachable.
+     * Calls to the gateway itself are refused, as they would run with the gateway as `msg.sender`,
+     * except cancelNonce, which reads the appended signer. Calls to the fee collector are refused too,
+     * as are calls outside the target allowlist while it is enabled.
+     * @param from Signer of the batch
+     * @return success True if the call succeeded
+     * @return returnData Data returned by the call (revert data on failure)
      */
-    function _safeExecuteCall(address target, uint256 value, bytes calldata data) external returns (bool success) {
+    function _safeExecuteCall(
+        address from,
+        address target,
+        uint256 value,
+        bytes calldata data
+    ) external returns (bool success, bytes memory returnData) {
         require(msg.sender == address(this), "Only self-calls allowed");
-        (success, ) = target.call{value: value}(data);
-        return success;
+        require(
+            target != address(this) || (data.length >= 4 && bytes4(data[:4]) == this.cancelNonce.selector),
+            "Cannot call gateway"
+        );
+        require(target != _feeCollectorAddress(), "Cannot call fee collector");
+        require(target == address(this) || isCallAllowed(target, data), "Target not allowed");
+
+        bytes memory callData = data.length > 0 ? abi.encodePacked(data, from) : data;
+        (success, returnData) = target.call{value: value}(callData);
+        return (success, returnData);
     }
 
     /**
@@ -185,22 +499,97 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
      * @param signature signature corresponding to entire meta transaction
      * @param nonce User's nonce
      * @param deadline Transaction deadline
+     * @param mode Execution mode signed by the user (best-effort or atomic)
      * @return successes Array of success status for each transaction
+     * @return results Array of return data (or revert data) for each transaction
      */
     function executeMetaTransactions(
         address from,
         MetaTransaction[] calldata metaTxs,
         bytes calldata signature,
         uint256 nonce,
-        uint256 deadline
-    ) external payable nonReentrant whenNotPaused returns (bool[] memory successes) {
+        uint256 deadline,
+        ExecutionMode mode
+    ) external payable nonReentrant whenNotPaused returns (bool[] memory successes, bytes[] memory results) {
+        return _executeBatch(from, metaTxs, signature, nonce, deadline, mode, _noFee(), 0, new TokenPermit[](0));
+    }
+
+    /**
+     * @notice Batch execute meta-transactions after applying the sender's EIP-2612 permits
+     * @dev Permits are signed separately by `from` and are not part of the batch signature.
+     * A failing permit (e.g. already submitted by someone else) is reported via PermitFailed
+     * and does not stop the batch; calls relying on it fail on their own if the allowance is missing.
+     * @param permits EIP-2612 permits owned by `from`
+     * @return successes Array of success status for each transaction
+     * @return results Array of return data (or revert data) for each transaction
+     */
+    function executeMetaTransactionsWithPermits(
+        address from,
+        MetaTransaction[] calldata metaTxs,
+        bytes calldata signature,
+        uint256 nonce,
+        uint256 deadline,
+        ExecutionMode mode,
+        TokenPermit[] calldata permits
+    ) external payable nonReentrant whenNotPaused returns (bool[] memory successes, bytes[] memory results) {
+        return _executeBatch(from, metaTxs, signature, nonce, deadline, mode, _noFee(), 0, permits);
+    }
+
+    /**
+     * @notice Batch execute meta-transactions that pay the relayer an ERC-20 fee
+     * @dev The fee is part of the signed batch; the relayer only chooses `feeAmount` up to `fee.maxAmount`.
+     * It is pulled from `from` by the fee collector, which `from` must have approved (possibly through `permits`),
+     * after the permits are applied and before any call runs. A failed transfer reverts the batch.
+     * @param fee Fee signed by `from`
+     * @param feeAmount Amount charged, at most `fee.maxAmount`
+     * @param permits EIP-2612 permits owned by `from` (may be empty)
+     * @return successes Array of success status for each transaction
+     * @return results Array of return data (or revert data) for each transaction
+     */
+    function executeMetaTransactionsWithFee(
+        address from,
+        MetaTransaction[] calldata metaTxs,
+        bytes calldata signature,
+        uint256 nonce,
+        uint256 deadline,
+        ExecutionMode mode,
+        RelayerFee calldata fee,
+        uint256 feeAmount,
+        TokenPermit[] calldata permits
+    ) external payable nonReentrant whenNotPaused returns (bool[] memory successes, bytes[] memory results) {
+        require(fee.token != address(0), "Fee token required");
+        require(feeAmount <= fee.maxAmount, "Fee exceeds maximum");
+        return _executeBatch(from, metaTxs, signature, nonce, deadline, mode, fee, feeAmount, permits);
+    }
+
+    /**
+     * @notice Validate, apply permits, pay the relayer fee and execute a batch
+     * @dev Shared by the executeMetaTransactions* entry points
+     */
+    function _executeBatch(
+        address from,
+        MetaTransaction[] calldata metaTxs,
+        bytes calldata signature,
+        uint256 nonce,
+        uint256 deadline,
+        ExecutionMode mode,
+        RelayerFee memory fee,
+        uint256 feeAmount,
+        TokenPermit[] memory permits
+    ) internal returns (bool[] memory successes, bytes[] memory results) {
         require(authorizedRelayers[msg.sender], "Unauthorized relayer");
+        _useRelayerQuota(msg.sender, msg.value);
         require(block.timestamp <= deadline, "Transaction expired");
-        require(nonce == nonces[from], "Invalid nonce");
-        require(_verifySignature(from, metaTxs, signature, nonce, deadline), "Invalid signature");
+        require(nonce == _currentNonce(from, uint192(nonce >> 64)), "Invalid nonce");
+        require(_verifySignature(from, metaTxs, signature, nonce, deadline, mode, fee), "Invalid signature");
 
         require(metaTxs.length > 0, "Empty batch Txs");
 
+        // Consume the nonce before any call runs (a batch may cancel nonces of its own sender)
+        _setSequence(from, uint192(nonce >> 64), uint64(nonce) + 1);
+
+        _applyPermits(from, permits);
+
         // Calculate total value required for all meta-transactions
         uint256 totalValueRequired = 0;
         if (msg.value > 0) {
@@ -209,17 +598,28 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
         }
 
         successes = new bool[](metaTxs.length);
+        results = new bytes[](metaTxs.length);
 
         // Store batch transaction log
         uint256 batchId = nextBatchId++;
         uint256 valueUsed = 0;
 
+        if (feeAmount > 0) {
+            _payRelayerFee(from, batchId, fee, feeAmount);
+        }
+        _recordBatch(batchId, from, msg.sender, metaTxs);
+
         // Execute all transactions in the batch
         for (uint256 i = 0; i < metaTxs.length; ++i) {
-            bool success = _executeMetaTransaction(from, metaTxs[i]);
+            (successes[i], results[i]) = _executeMetaTransaction(from, batchId, i, metaTxs[i]);
+
+            // In atomic mode a single failure reverts every call in the batch
+            if (!successes[i] && mode == ExecutionMode.Atomic) {
+                revert BatchCallFailed(i, results[i]);
+            }
             
             // Track value used for each transaction
-            if (success) {
+            if (successes[i]) {
                 valueUsed += metaTxs[i].value;
             }
         }
@@ -234,15 +634,143 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
 
             emit NativeTokenUsed(batchId, totalValueRequired, valueUsed, refundAmount);
         }
-        
-        // Increment nonce to prevent replay
-        nonces[from]++;        
 
-        return successes;
+        return (successes, results);
+    }
+
+    /**
+     * @notice Record who ran a batch for whom and which contracts it called (see batchRecords)
+     * @param from Batch sender
+     * @param relayer Relayer submitting the batch
+     * @param metaTxs Calls of the batch, whose `to` are recorded in order
+     */
+    function _recordBatch(uint256 batchId, address from, address relayer, MetaTransaction[] calldata metaTxs) internal {
+        address[] memory targets = new address[](metaTxs.length);
+        for (uint256 i = 0; i < metaTxs.length; ++i) {
+            targets[i] = metaTxs[i].to;
+        }
+        batchRecords[batchId] = keccak256(abi.encode(from, relayer, targets));
+    }
+
+    /**
+     * @notice Apply EIP-2612 permits owned by `from`
+     * @param from Batch sender, used as permit owner
+     * @param permits Permits to apply
+     */
+    function _applyPermits(address from, TokenPermit[] memory permits) internal {
+        for (uint256 i = 0; i < permits.length; ++i) {
+            TokenPermit memory permit = permits[i];
+            try IERC20Permit(permit.token).permit(
+                from,
+                permit.spender,
+                permit.value,
+                permit.deadline,
+                permit.v,
+                permit.r,
+                permit.s
+            ) {} catch (bytes memory reason) {
+                emit PermitFailed(from, permit.token, i, reason);
+            }
+        }
+    }
+
+    /**
+     * @notice Count a batch against the daily quota of its relayer
+     * @param relayer Submitting relayer
+     * @param value Native value forwarded with the batch
+     */
+    function _useRelayerQuota(address relayer, uint256 value) internal {
+        RelayerQuota memory quota = relayerQuotas[relayer];
+        if (quota.maxBatchesPerDay == 0 && quota.maxValuePerDay == 0) return;
+
+        QuotaUsage storage usage = relayerUsage[relayer];
+        uint64 today = uint64(block.timestamp / 1 days);
+        if (usage.day != today) {
+            usage.day = today;
+            usage.batches = 0;
+            usage.value = 0;
+        }
+
+        usage.batches += 1;
+        usage.value += SafeCast.toUint128(value);
+        require(quota.maxBatchesPerDay == 0 || usage.batches <= quota.maxBatchesPerDay, "Relayer batch quota exceeded");
+        require(quota.maxValuePerDay == 0 || usage.value <= quota.maxValuePerDay, "Relayer value quota exceeded");
+    }
+
+    /**
+     * @notice Transfer the relayer fee from the batch sender
+     * @param from Batch sender paying the fee
+     * @param batchId Batch the fee is paid for
+     * @param fee Signed fee
+     * @param amount Amount charged (already checked against fee.maxAmount)
+     */
+    function _payRelayerFee(address from, uint256 batchId, RelayerFee memory fee, uint256 amount) internal {
+        address recipient = fee.recipient == address(0) ? msg.sender : fee.recipient;
+        _feeCollector().collect(fee.token, from, recipient, amount);
+        emit RelayerFeePaid(batchId, from, fee.token, recipient, amount);
+    }
+
+    /**
+     * @notice Invalidate a nonce and every earlier nonce of the same key for the caller
+     * @dev Callable directly or from a meta-transaction batch targeting the gateway,
+     * in which case the batch signer (appended per ERC-2771) is the caller
+     * @param nonce Nonce to invalidate (`key << 64 | sequence`)
+     */
+    function cancelNonce(uint256 nonce) external {
+        address user = _nonceOwner();
+        uint192 key = uint192(nonce >> 64);
+        uint64 sequence = uint64(nonce);
+        require(sequence >= _currentSequence(user, key), "Nonce already used");
+
+        _setSequence(user, key, sequence + 1);
+        emit NonceInvalidated(user, key, sequence + 1);
     }
 
     // Helper functions ==========================================
 
+    /**
+     * @notice Empty fee signed by batches that do not pay the relayer in tokens
+     */
+    function _noFee() internal pure returns (RelayerFee memory fee) {
+        return RelayerFee(address(0), 0, address(0));
+    }
+
+    /**
+     * @notice Resolve the user cancelling nonces
+     * @return user The batch signer for calls relayed by this gateway, otherwise msg.sender
+     */
+    function _nonceOwner() internal view returns (address user) {
+        if (msg.sender == address(this) && msg.data.length >= 24) {
+            return address(bytes20(msg.data[msg.data.length - 20:]));
+        }
+        return msg.sender;
+    }
+
+    /**
+     * @notice Next unused sequence of a nonce key
+     */
+    function _currentSequence(address user, uint192 key) internal view returns (uint64 sequence) {
+        return key == 0 ? uint64(nonces[user]) : nonceSequences[user][key];
+    }
+
+    /**
+     * @notice Next unused nonce of a key, encoded as `key << 64 | sequence`
+     */
+    function _currentNonce(address user, uint192 key) internal view returns (uint256 nonce) {
+        return (uint256(key) << 64) | _currentSequence(user, key);
+    }
+
+    /**
+     * @notice Move the next unused sequence of a nonce key
+     */
+    function _setSequence(address user, uint192 key, uint64 sequence) internal {
+        if (key == 0) {
+            nonces[user] = sequence;
+        } else {
+            nonceSequences[user][key] = sequence;
+        }
+    }
+
     /**
      * @notice Verify EIP-712 signature for batch meta-transactions
      * @param from User's address
@@ -250,6 +778,8 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
      * @param signature User's signature
      * @param nonce User's nonce
      * @param deadline User's deadline
+     * @param mode Execution mode
+     * @param fee Relayer fee
      * @return valid True if signature is valid
      */
     function _verifySignature(
@@ -257,8 +787,96 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
         MetaTransaction[] calldata metaTxs,
         bytes calldata signature,
         uint256 nonce,
-        uint256 deadline
-    ) internal view returns (bool valid) {
+        uint256 deadline,
+        ExecutionMode mode,
+        RelayerFee memory fee
+    ) internal returns (bool valid) {
+        bytes32 digest = _hashMetaTransactions(from, metaTxs, nonce, deadline, mode, fee);
+        return _isValidSignature(from, digest, signature);
+    }
+
+    /**
+     * @notice Check a signature from an EOA, an ERC-1271 wallet or an ERC-6492 counterfactual wallet
+     * @dev ERC-6492 signatures are `abi.encode(factory, factoryCalldata, signature) ++ magic suffix`.
+     * If `signer` has no code yet, the factory call is run through ERC6492Deployer (never from the
+     * gateway itself) and the wrapped signature is then checked with ERC-1271.
+     * @param signer Expected signer (batch sender)
+     * @param digest EIP-712 digest
+     * @param signature ECDSA, ERC-1271 or ERC-6492 signature
+     * @return valid True if signature is valid
+     */
+    function _isValidSignature(
+        address signer,
+        bytes32 digest,
+        bytes calldata signature
+    ) internal returns (bool valid) {
+        if (signature.length < 32 || bytes32(signature[signature.length - 32:]) != ERC6492_DETECTION_SUFFIX) {
+            return SignatureChecker.isValidSignatureNow(signer, digest, signature);
+        }
+
+        (address factory, bytes memory factoryCalldata, bytes memory innerSignature) =
+            abi.decode(signature[:signature.length - 32], (address, bytes, bytes));
+
+        if (signer.code.length == 0) {
+            _erc6492Deployer().deploy(factory, factoryCalldata);
+            if (signer.code.length == 0) return false;
+        }
+
+        return SignatureChecker.isValidERC1271SignatureNow(signer, digest, innerSignature);
+    }
+
+    /**
+     * @notice Get the ERC6492Deployer helper, deploying it with CREATE2 on first use
+     * @return deployer The helper contract
+     */
+    function _erc6492Deployer() internal returns (ERC6492Deployer deployer) {
+        address predicted = Create2.computeAddress(bytes32(0), keccak256(type(ERC6492Deployer).creationCode));
+        if (predicted.code.length > 0) return ERC6492Deployer(predicted);
+        return new ERC6492Deployer{salt: bytes32(0)}();
+    }
+
+    /**
+     * @notice Address of the RelayerFeeCollector helper: the deployed one, else its CREATE2 address (salt 0)
+     */
+    function _feeCollectorAddress() internal view returns (address) {
+        if (_deployedFeeCollector != address(0)) return _deployedFeeCollector;
+        return Create2.computeAddress(bytes32(0), keccak256(type(RelayerFeeCollector).creationCode));
+    }
+
+    /**
+     * @notice Get the RelayerFeeCollector helper, deploying it with CREATE2 on first use
+     * @dev The collector is stored on first use (including one deployed by an earlier implementation)
+     * @return collector The helper contract
+     */
+    function _feeCollector() internal returns (RelayerFeeCollector collector) {
+        address collectorAddress = _feeCollectorAddress();
+        if (collectorAddress.code.length == 0) {
+            collectorAddress = address(new RelayerFeeCollector{salt: bytes32(0)}());
+        }
+        if (_deployedFeeCollector == address(0)) {
+            _deployedFeeCollector = collectorAddress;
+        }
+        return RelayerFeeCollector(collectorAddress);
+    }
+
+    /**
+     * @notice Compute the EIP-712 digest of a batch
+     * @param from User's address
+     * @param metaTxs Array of meta-transactions
+     * @param nonce User's nonce
+     * @param deadline Transaction deadline
+     * @param mode Execution mode
+     * @param fee Relayer fee
+     * @return digest The EIP-712 digest
+     */
+    function _hashMetaTransactions(
+        address from,
+        MetaTransaction[] calldata metaTxs,
+        uint256 nonce,
+        uint256 deadline,
+        ExecutionMode mode,
+        RelayerFee memory fee
+    ) internal view returns (bytes32 digest) {
         bytes32 domainSeparator = _buildDomainSeparator();
         
         // Hash each MetaTransaction struct according to EIP-712
@@ -278,19 +896,17 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
             from,
             keccak256(abi.encodePacked(metaTxHashes)),
             nonce,
-            deadline
+            deadline,
+            mode,
+            keccak256(abi.encode(RELAYER_FEE_TYPEHASH, fee.token, fee.maxAmount, fee.recipient))
         ));
 
         // Create the final digest according to EIP-712
-        bytes32 digest = keccak256(abi.encodePacked(
+        return keccak256(abi.encodePacked(
             "\x19\x01",
             domainSeparator,
             structHash
         ));
-
-        // Recover signer and verify
-        address recoveredSigner = digest.recover(signature);
-        return recoveredSigner == from;
     }
 
     /**
@@ -319,7 +935,7 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
     }
 
     /**
-     * @notice Get the current nonce for a user
+     * @notice Get the current nonce for a user (key 0 lane)
      * @param user User address
      * @return currentNonce Current nonce value
      */
@@ -327,6 +943,91 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
         return nonces[user];
     }
 
+    /**
+     * @notice Get the next nonce of a parallel nonce lane
+     * @param user User address
+     * @param key Nonce key (0 is the default lane returned by getNonce)
+     * @return currentNonce Next nonce, encoded as `key << 64 | sequence`
+     */
+    function getNonceForKey(address user, uint192 key) external view returns (uint256 currentNonce) {
+        return _currentNonce(user, key);
+    }
+
+    /**
+     * @notice Get the contract users approve to pay relayer fees
+     * @dev Deterministic address, usable before the collector is deployed on the first fee payment
+     * @return collector RelayerFeeCollector address
+     */
+    function getFeeCollector() external view returns (address collector) {
+        return _feeCollectorAddress();
+    }
+
+    /**
+     * @notice Check whether the target allowlist lets a batch call `target` with `data`
+     * @param target Call target
+     * @param data Call data (its first 4 bytes are the selector, 0x00000000 for plain transfers)
+     * @return allowed True if the allowlist is disabled or the call is allowlisted
+     */
+    function isCallAllowed(address target, bytes calldata data) public view returns (bool allowed) {
+        if (!targetAllowlistEnabled) return true;
+        if (!_allowedTargets.contains(target)) return false;
+
+        EnumerableSet.Bytes32Set storage selectors = _allowedSelectors[target];
+        if (selectors.length() == 0) return true;
+        bytes4 selector = data.length >= 4 ? bytes4(data[:4]) : bytes4(0);
+        return selectors.contains(bytes32(selector));
+    }
+
+    /**
+     * @notice Get the allowlisted call targets
+     */
+    function getAllowedTargets() external view returns (address[] memory targets) {
+        return _allowedTargets.values();
+    }
+
+    /**
+     * @notice Get the selectors allowlisted for a target (empty = any selector)
+     */
+    function getAllowedSelectors(address target) external view returns (bytes4[] memory selectors) {
+        EnumerableSet.Bytes32Set storage set = _allowedSelectors[target];
+        selectors = new bytes4[](set.length());
+        for (uint256 i = 0; i < selectors.length; ++i) {
+            selectors[i] = bytes4(set.at(i));
+        }
+    }
+
+    /**
+     * @notice Get the members of a role
+     */
+    function getRoleMembers(bytes32 role) external view returns (address[] memory members) {
+        return _roleMembers[role].values();
+    }
+
+    /**
+     * @notice Get the number of members of a role
+     */
+    function getRoleMemberCount(bytes32 role) external view returns (uint256 count) {
+        return _roleMembers[role].length();
+    }
+
+    /**
+     * @notice Get the authorized relayers (relayers authorized since the roles upgrade)
+     */
+    function getRelayers() external view returns (address[] memory relayers) {
+        return _relayers.values();
+    }
+
+    /**
+     * @notice Get the usage of a relayer for the current day
+     * @return batches Batches submitted today
+     * @return value Native value forwarded today
+     */
+    function getRelayerUsage(address relayer) external view returns (uint64 batches, uint128 value) {
+        QuotaUsage memory usage = relayerUsage[relayer];
+        if (usage.day != uint64(block.timestamp / 1 days)) return (0, 0);
+        return (usage.batches, usage.value);
+    }
+
     /**
      * @notice Check if a relayer is authorized
      * @param relayer Relayer address
@@ -366,42 +1067,43 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
      * @param metaTxs Array of meta-transactions
      * @param nonce User's nonce
      * @param deadline Transaction deadline
+     * @param mode Execution mode
+     * @param fee Relayer fee (all zero for batches without a fee)
      * @return digest The digest to be signed
      */
     function getSigningDigest(
         address from,
         MetaTransaction[] calldata metaTxs,
         uint256 nonce,
-        uint256 deadline
+        uint256 deadline,
+        ExecutionMode mode,
+        RelayerFee calldata fee
     ) external view returns (bytes32 digest) {
-        bytes32 domainSeparator = _buildDomainSeparator();
-        
-        // Hash each MetaTransaction struct according to EIP-712
-        bytes32[] memory metaTxHashes = new bytes32[](metaTxs.length);
-        for (uint256 i = 0; i < metaTxs.length; i++) {
-            metaTxHashes[i] = keccak256(abi.encode(
-                META_TRANSACTION_STRUCT_TYPEHASH,
-                metaTxs[i].to,
-                metaTxs[i].value,
-                keccak256(metaTxs[i].data)
-            ));
-        }
-
-        // Create the main struct hash
-        bytes32 structHash = keccak256(abi.encode(
-            META_TRANSACTION_TYPEHASH,
-            from,
-            keccak256(abi.encodePacked(metaTxHashes)),
-            nonce,
-            deadline
-        ));
+        return _hashMetaTransactions(from, metaTxs, nonce, deadline, mode, fee);
+    }
 
-        // Create the final digest according to EIP-712
-        return keccak256(abi.encodePacked(
-            "\x19\x01",
-            domainSeparator,
-            structHash
-        ));
+    /**
+     * @notice Check a batch signature without executing it (EOA, ERC-1271 or ERC-6492)
+     * @dev Not a view: an ERC-6492 signature may deploy the signer's wallet. Use eth_call to check off-chain.
+     * @param from User's address
+     * @param metaTxs Array of meta-transactions
+     * @param signature User's signature
+     * @param nonce User's nonce
+     * @param deadline Transaction deadline
+     * @param mode Execution mode
+     * @param fee Relayer fee (all zero for batches without a fee)
+     * @return valid True if signature is valid for `from`
+     */
+    function verifyBatchSignature(
+        address from,
+        MetaTransaction[] calldata metaTxs,
+        bytes calldata signature,
+        uint256 nonce,
+        uint256 deadline,
+        ExecutionMode mode,
+        RelayerFee calldata fee
+    ) external returns (bool valid) {
+        return _verifySignature(from, metaTxs, signature, nonce, deadline, mode, fee);
     }
 
     /**
@@ -417,7 +1119,7 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
      * @return version The version string for this contract
      */
     function getVersion() external pure returns (string memory version) {
-        return "v1.0.0-native-token-support";
+        return "v1.8.0-upgrader-role";
     }
 
     // Upgrade authorization =====================================
@@ -425,7 +1127,7 @@ contract MetaTxGateway is Initializable, OwnableUpgradeable, ReentrancyGuardUpgr
     /**
      * @dev Authorizes contract upgrades (UUPS pattern)
      * @param newImplementation The address of the new implementation
-     * @notice Only owner can authorize upgrades
+     * @notice Only upgraders can authorize upgrades
      */
-    function _authorizeUpgrade(address newImplementation) internal override onlyOwner {}
+    function _authorizeUpgrade(address newImplementation) internal override onlyRole(UPGRADER_ROLE) {}
 }
\ No newline at end of file
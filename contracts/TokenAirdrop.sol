@@ -2,57 +2,215 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 import "@openzeppelin/contracts/utils/cryptography/MerkleProof.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+
+// Concurrent airdrop campaigns, each with its own Merkle root, claim window and claimed bitmap.
+// A leaf is keccak256(abi.encodePacked(index, account, amount)) (see airdrop/tree.js).
+contract TokenAirdrop is Ownable, ReentrancyGuard, ERC2771Context {
+    using SafeERC20 for IERC20;
+
+    struct Campaign {
+        bytes32 merkleRoot;
+        uint64 startTimestamp;
+        uint64 endTimestamp;
+        // Claims vest linearly from vestingStart over vestingDuration (a duration of 0 unlocks all at vestingStart)
+        uint64 vestingStart;
+        uint64 vestingDuration;
+        uint256 totalAmount;
+        uint256 claimedAmount;
+        bool swept;
+    }
 
-contract TokenAirdrop is Ownable {
     IERC20 public immutable token;
-    bytes32 public merkleRoot;    
-    uint256 public startTimestamp;
-    uint256 public endTimestamp;
-    mapping(address => bool) public hasClaimed;
+    uint256 public campaignCount;
+    mapping(uint256 => Campaign) public campaigns;
+    // Tokens owed to open campaigns (allocated and neither claimed nor swept)
+    uint256 public reservedAmount;
+
+    // campaignId => word => bits of fully claimed indexes
+    mapping(uint256 => mapping(uint256 => uint256)) private claimedBitMap;
+    // campaignId => index => amount released so far by a vesting claim
+    mapping(uint256 => mapping(uint256 => uint256)) public released;
 
-    event Claimed(address indexed account, uint256 amount);
-    event MerkleRootUpdated(bytes32 indexed newRoot);
-    event AirdropWindowUpdated(uint256, uint256);
+    event CampaignCreated(
+        uint256 indexed campaignId,
+        bytes32 merkleRoot,
+        uint256 totalAmount,
+        uint64 startTimestamp,
+        uint64 endTimestamp,
+        uint64 vestingStart,
+        uint64 vestingDuration
+    );
+    event CampaignWindowUpdated(uint256 indexed campaignId, uint64 startTimestamp, uint64 endTimestamp);
+    event Claimed(uint256 indexed campaignId, uint256 index, address indexed account, uint256 amount);
+    event CampaignSwept(uint256 indexed campaignId, address indexed to, uint256 amount);
 
-    constructor(address _token, address owner_) Ownable(owner_) {
+    constructor(address _token, address owner_, address trustedForwarder_)
+        Ownable(owner_)
+        ERC2771Context(trustedForwarder_)
+    {
         require(_token != address(0), "Invalid token address");
         token = IERC20(_token);
     }
 
-    modifier airdropActive() {
-        require(block.timestamp >= startTimestamp, "Sale not started");
-        require(block.timestamp <= endTimestamp, "Sale ended");
-        _;
+    /**
+     * @notice Open a campaign paying `totalAmount` from the tokens the contract holds beyond those reserved
+     * @dev `totalAmount` must be the sum of the tree's amounts: the sweep returns what is left of it
+     */
+    function createCampaign(
+        bytes32 merkleRoot,
+        uint256 totalAmount,
+        uint64 startTimestamp,
+        uint64 endTimestamp,
+        uint64 vestingStart,
+        uint64 vestingDuration
+    ) external onlyOwner returns (uint256 campaignId) {
+        require(merkleRoot != bytes32(0), "Merkle root not set");
+        require(totalAmount > 0, "Invalid amount");
+        require(
+            token.balanceOf(address(this)) >= reservedAmount + totalAmount,
+            "Insufficient unreserved tokens"
+        );
+        _checkWindow(startTimestamp, endTimestamp, vestingStart, vestingDuration);
+
+        campaignId = campaignCount++;
+        campaigns[campaignId] = Campaign({
+            merkleRoot: merkleRoot,
+            startTimestamp: startTimestamp,
+            endTimestamp: endTimestamp,
+            vestingStart: vestingStart,
+            vestingDuration: vestingDuration,
+            totalAmount: totalAmount,
+            claimedAmount: 0,
+            swept: false
+        });
+        reservedAmount += totalAmount;
+
+        emit CampaignCreated(campaignId, merkleRoot, totalAmount, startTimestamp, endTimestamp, vestingStart, vestingDuration);
     }
 
-    function setAirdropWindow(uint256 _start, uint256 _end) external onlyOwner {
-        require(_start < _end, "Invalid time range");
-        startTimestamp = _start;
-        endTimestamp = _end;
-        emit AirdropWindowUpdated(_start, _end);
+    /**
+     * @notice Move the window of a campaign that has not started; a started campaign can only be extended
+     */
+    function setCampaignWindow(uint256 campaignId, uint64 startTimestamp, uint64 endTimestamp) external onlyOwner {
+        Campaign storage campaign = _campaign(campaignId);
+        require(!campaign.swept, "Campaign swept");
+        if (block.timestamp >= campaign.startTimestamp) {
+            require(
+                startTimestamp == campaign.startTimestamp && endTimestamp >= campaign.endTimestamp,
+                "Campaign started"
+            );
+        }
+        _checkWindow(startTimestamp, endTimestamp, campaign.vestingStart, campaign.vestingDuration);
+
+        campaign.startTimestamp = startTimestamp;
+        campaign.endTimestamp = endTimestamp;
+        emit CampaignWindowUpdated(campaignId, startTimestamp, endTimestamp);
     }
 
-    function updateMerkleRoot(bytes32 newRoot) external onlyOwner {
-        merkleRoot = newRoot;
-        emit MerkleRootUpdated(newRoot);
+    /**
+     * @notice Claim what has vested of the allocation at `index` of a campaign (all of it without vesting).
+     * Vesting claims are repeated with the same proof as more vests.
+     */
+    function claim(uint256 campaignId, uint256 index, uint256 amount, bytes32[] calldata proof) external nonReentrant {
+        Campaign storage campaign = _campaign(campaignId);
+        require(block.timestamp >= campaign.startTimestamp, "Campaign not started");
+        require(block.timestamp <= campaign.endTimestamp, "Campaign ended");
+        require(!isClaimed(campaignId, index), "Already claimed");
+
+        address account = _msgSender();
+        bytes32 leaf = keccak256(abi.encodePacked(index, account, amount));
+        require(MerkleProof.verify(proof, campaign.merkleRoot, leaf), "Invalid proof");
+
+        uint256 releasedBefore = released[campaignId][index];
+        uint256 payout = _vestedAmount(campaign, amount) - releasedBefore;
+        require(payout > 0, "Nothing vested yet");
+        // A tree paying more than the campaign's total cannot draw on the other campaigns
+        require(campaign.claimedAmount + payout <= campaign.totalAmount, "Campaign exhausted");
+
+        if (releasedBefore + payout == amount) {
+            claimedBitMap[campaignId][index / 256] |= 1 << (index % 256);
+            if (releasedBefore > 0) delete released[campaignId][index];
+        } else {
+            released[campaignId][index] = releasedBefore + payout;
+        }
+        campaign.claimedAmount += payout;
+        reservedAmount -= payout;
+
+        token.safeTransfer(account, payout);
+        emit Claimed(campaignId, index, account, payout);
     }
 
-    function claim(uint256 amount, bytes32[] calldata proof) external airdropActive {
-        require(!hasClaimed[msg.sender], "Already claimed");
-        require(merkleRoot != bytes32(0), "Merkle root not set");
-        bytes32 leaf = keccak256(abi.encodePacked(msg.sender, amount));
-        require(MerkleProof.verify(proof, merkleRoot, leaf), "Invalid proof");
+    /**
+     * @notice Send what a campaign's recipients did not claim to `to`, once the campaign has ended
+     */
+    function sweep(uint256 campaignId, address to) external onlyOwner {
+        Campaign storage campaign = _campaign(campaignId);
+        require(block.timestamp > campaign.endTimestamp, "Campaign not ended");
+        require(!campaign.swept, "Campaign swept");
+        require(to != address(0), "Invalid recipient");
 
-        hasClaimed[msg.sender] = true;
-        require(token.transfer(msg.sender, amount), "Transfer failed");
+        uint256 unclaimed = campaign.totalAmount - campaign.claimedAmount;
+        campaign.swept = true;
+        reservedAmount -= unclaimed;
 
-        emit Claimed(msg.sender, amount);
+        token.safeTransfer(to, unclaimed);
+        emit CampaignSwept(campaignId, to, unclaimed);
     }
 
+    /**
+     * @notice Withdraw the tokens no campaign has reserved
+     */
     function recoverRemaining(address to) external onlyOwner {
+        require(to != address(0), "Invalid recipient");
         uint256 balance = token.balanceOf(address(this));
-        require(token.transfer(to, balance), "Withdraw failed");
+        token.safeTransfer(to, balance - reservedAmount);
+    }
+
+    function isClaimed(uint256 campaignId, uint256 index) public view returns (bool) {
+        return claimedBitMap[campaignId][index / 256] & (1 << (index % 256)) != 0;
+    }
+
+    /**
+     * @notice What the allocation of `amount` at `index` can claim now (the proof is checked on claim)
+     */
+    function claimable(uint256 campaignId, uint256 index, uint256 amount) external view returns (uint256) {
+        Campaign storage campaign = _campaign(campaignId);
+        if (isClaimed(campaignId, index) || campaign.swept) return 0;
+        return _vestedAmount(campaign, amount) - released[campaignId][index];
+    }
+
+    function _campaign(uint256 campaignId) private view returns (Campaign storage campaign) {
+        campaign = campaigns[campaignId];
+        require(campaign.merkleRoot != bytes32(0), "Unknown campaign");
+    }
+
+    // Vesting claims must stay claimable until everything has vested
+    function _checkWindow(uint64 start, uint64 end, uint64 vestingStart, uint64 vestingDuration) private pure {
+        require(start < end, "Invalid time range");
+        require(uint256(vestingStart) + vestingDuration <= end, "Window ends before vesting");
+    }
+
+    function _vestedAmount(Campaign storage campaign, uint256 amount) private view returns (uint256) {
+        if (block.timestamp >= uint256(campaign.vestingStart) + campaign.vestingDuration) return amount;
+        if (block.timestamp <= campaign.vestingStart) return 0;
+        return (amount * (block.timestamp - campaign.vestingStart)) / campaign.vestingDuration;
+    }
+
+    // ERC-2771 context resolution (MetaTxGateway appends the signer to relayed calls)
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
     }
-}
\ No newline at end of file
+}
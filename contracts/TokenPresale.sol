@@ -2,8 +2,10 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
 import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/IPriceOracle.sol";
 
 interface AggregatorV3Interface {
     function latestRoundData()
@@ -12,7 +14,7 @@ interface AggregatorV3Interface {
         returns (uint80, int256 answer, uint256, uint256, uint80);
 }
 
-contract TokenPresale is Ownable, ReentrancyGuard {
+contract TokenPresale is Ownable, ReentrancyGuard, ERC2771Context {
     IERC20 public immutable saleToken;
     uint256 public immutable totalTokensForSale;
     uint256 public tokensSold;
@@ -21,9 +23,13 @@ contract TokenPresale is Ownable, ReentrancyGuard {
     uint256 public endTimestamp;
     // Maximum allowed age (in seconds) for oracle price data
     uint256 public maxPriceAge = 1 hours;
+    // Shared price oracle; when set it prices every payment token, stablecoins included
+    IPriceOracle public priceOracle;
     
     event MaxPriceAgeUpdated(uint256);
 
+    event PriceOracleUpdated(address);
+
     event SaleWindowUpdated(uint256, uint256);
 
     event PaymentTokenAdded(address token, address priceFeed, uint8 decimals, bool isStable);
@@ -40,7 +46,10 @@ contract TokenPresale is Ownable, ReentrancyGuard {
 
     event Purchased(address indexed buyer, address indexed payToken, uint256 payAmount, uint256 tokenAmount);
 
-    constructor(address _saleToken, uint256 _totalForSale, address owner_) Ownable(owner_) {
+    constructor(address _saleToken, uint256 _totalForSale, address owner_, address trustedForwarder_)
+        Ownable(owner_)
+        ERC2771Context(trustedForwarder_)
+    {
         saleToken = IERC20(_saleToken);
         totalTokensForSale = _totalForSale;
     }
@@ -69,6 +78,12 @@ contract TokenPresale is Ownable, ReentrancyGuard {
         emit MaxPriceAgeUpdated(_seconds);
     }
 
+    // Use the shared PriceOracle (fallback feeds, TWAP, depeg guard) instead of the per-token feeds; zero disables
+    function setPriceOracle(address _priceOracle) external onlyOwner {
+        priceOracle = IPriceOracle(_priceOracle);
+        emit PriceOracleUpdated(_priceOracle);
+    }
+
     function addPaymentToken(
         address token,
         address priceFeed,
@@ -87,6 +102,9 @@ contract TokenPresale is Ownable, ReentrancyGuard {
 
     function getTokenPriceInUSD(address token) public view returns (uint256) {
         require(paymentTokens[token].isAllowed, "Token not allowed");
+        if (address(priceOracle) != address(0)) {
+            return priceOracle.getPrice(token) / 1e10; // 18 -> 8 decimals
+        }
         if (paymentTokens[token].isStable) {
             return 1e8;
         }
@@ -144,13 +162,13 @@ contract TokenPresale is Ownable, ReentrancyGuard {
         require(tokenAmount >= minTokensOut, "Insufficient output amount");
 
         // Transfer stable token to contract
-        IERC20(payToken).transferFrom(msg.sender, address(this), amountIn);
+        IERC20(payToken).transferFrom(_msgSender(), address(this), amountIn);
 
         // Transfer sale tokens to buyer
-        saleToken.transfer(msg.sender, tokenAmount);
+        saleToken.transfer(_msgSender(), tokenAmount);
         tokensSold += tokenAmount;
 
-        emit Purchased(msg.sender, payToken, amountIn, tokenAmount);
+        emit Purchased(_msgSender(), payToken, amountIn, tokenAmount);
     }
 
     function buyTokens(uint256 minTokensOut) public payable nonReentrant saleActive {
@@ -166,10 +184,10 @@ contract TokenPresale is Ownable, ReentrancyGuard {
         require(tokenAmount >= minTokensOut, "Insufficient output amount");
 
         // Transfer sale tokens to buyer
-        saleToken.transfer(msg.sender, tokenAmount);
+        saleToken.transfer(_msgSender(), tokenAmount);
         tokensSold += tokenAmount;
 
-        emit Purchased(msg.sender, address(0), msg.value, tokenAmount);
+        emit Purchased(_msgSender(), address(0), msg.value, tokenAmount);
     }
 
     function withdraw(address token, address to) external onlyOwner {
@@ -190,9 +208,10 @@ contract TokenPresale is Ownable, ReentrancyGuard {
     
     // Fallback accepts calldata-encoded uint256(minTokensOut) and processes purchase
     fallback() external payable nonReentrant saleActive {
-        // Expect ABI-encoded uint256(minTokensOut) in calldata
-        require(msg.data.length == 32, "Missing minTokensOut");
-        uint256 minTokensOut = abi.decode(msg.data, (uint256));
+        // Expect ABI-encoded uint256(minTokensOut) in calldata (forwarder suffix stripped)
+        bytes calldata data = _msgData();
+        require(data.length == 32, "Missing minTokensOut");
+        uint256 minTokensOut = abi.decode(data, (uint256));
         _buyWithETH(minTokensOut);
     }
 
@@ -200,4 +219,17 @@ contract TokenPresale is Ownable, ReentrancyGuard {
     receive() external payable {
         revert("Provide minTokensOut in calldata (use fallback)");
     }
+
+    // ERC-2771 context resolution (MetaTxGateway appends the signer to relayed calls)
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 }
\ No newline at end of file
@@ -2,16 +2,22 @@
 pragma solidity ^0.8.20;
 
 import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
 import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+
+contract TokenStaking is Ownable, ERC2771Context {
+    using SafeERC20 for IERC20;
 
-contract TokenStaking is Ownable {
     IERC20 public immutable stakingToken;
 
     struct StakeInfo {
         uint256 amount;
         uint256 startTime;
         uint256 endTime;
-        LockDuration lockDuration;
+        uint256 lockTier;
+        uint256 lockMultiplier;
+        uint256 amountMultiplier;
         uint256 stakingShare;
         uint256 rewardDebt;
         uint256 claimedReward;
@@ -27,19 +33,40 @@ contract TokenStaking is Ownable {
         uint256 lastUpdatedAt;
         uint256 totalRewardDistributed;
         uint256 lastDistributedAt;
+        uint256 totalPenaltyDistributed;
+    }
+
+    // Multipliers are in percent: 100 is 1x
+    struct LockTier {
+        uint256 duration;
+        uint256 multiplier;
+        bool active;
     }
 
-    enum LockDuration {
-        NORMAL,
-        QUATERLY,
-        HALF_YEARLY,
-        YEARLY
+    struct AmountBracket {
+        uint256 minAmount;
+        uint256 multiplier;
+    }
+
+    // Emits rewardRate tokens per second between startTime and endTime, shared by staking share
+    struct RewardStream {
+        IERC20 token;
+        uint256 rewardRate;
+        uint256 startTime;
+        uint256 endTime;
+        uint256 lastUpdatedAt;
+        uint256 rewardIndex;
+        uint256 undistributed;
+        uint256 totalDistributed;
     }
 
     uint256 constant YEAR = 365 days;
     uint256 constant DISTRIBITE_UNIT = 10_000 ether;
     uint256 constant totalRewardTokens = 100_000_000 ether;
-    
+    uint256 constant MAX_EARLY_UNLOCK_PENALTY = 5_000;
+    uint256 constant MAX_AMOUNT_BRACKETS = 10;
+    uint256 constant MAX_REWARD_STREAMS = 8;
+
     mapping(address => StakeInfo[]) public userStakes;
     TotalStakeInfo public totalStakes;
 
@@ -47,13 +74,52 @@ contract TokenStaking is Ownable {
     uint256 public stakingStartedAt;
     bool public stakingEnded;
 
+    // Share of the principal kept when a position leaves its lock early, in basis points
+    uint256 public earlyUnlockPenalty = 1_000;
+    // Penalties taken while nobody else was staking, shared at the next accrual
+    uint256 public undistributedPenalty;
+
+    // Positions keep the lock and multiplier of the tier they were opened or extended with
+    LockTier[] public lockTiers;
+    // Sorted by minAmount; amounts below the first bracket get 1x. Positions keep the multiplier of the
+    // bracket they were opened in
+    AmountBracket[] public amountBrackets;
+
+    RewardStream[] public rewardStreams;
+    // Reward debt and claimed rewards of each position in each stream: user => stakeIndex => streamId
+    mapping(address => mapping(uint256 => mapping(uint256 => uint256))) public streamRewardDebt;
+    mapping(address => mapping(uint256 => mapping(uint256 => uint256))) public streamRewardClaimed;
+
     event RewardMultiplierUpdated(uint256);
-    event Staked(address indexed user, uint256 stakedAmount, LockDuration duration);
+    event Staked(address indexed user, uint256 stakedAmount, uint256 lockTier);
     event Withdrawn(address indexed user, uint256 stakeIndex, uint256 amount);
     event ClaimedReward(address indexed user, uint256 stakeIndex, uint256 reward);
-
-    constructor(address _stakingToken, address owner_) Ownable(owner_) {
+    event Compounded(address indexed user, uint256 stakeIndex, uint256 reward);
+    event LockExtended(address indexed user, uint256 stakeIndex, uint256 lockTier, uint256 endTime);
+    event EarlyUnlocked(address indexed user, uint256 stakeIndex, uint256 amount, uint256 penalty);
+    event EarlyUnlockPenaltyUpdated(uint256);
+    event LockTierUpdated(uint256 indexed lockTier, uint256 duration, uint256 multiplier, bool active);
+    event AmountBracketsUpdated(AmountBracket[] brackets);
+    event RewardStreamAdded(uint256 indexed streamId, address indexed token, uint256 amount, uint256 startTime, uint256 endTime);
+    event RewardStreamFunded(uint256 indexed streamId, uint256 amount, uint256 endTime);
+    event StreamRewardClaimed(address indexed user, uint256 stakeIndex, uint256 indexed streamId, uint256 reward);
+
+    constructor(address _stakingToken, address owner_, address trustedForwarder_)
+        Ownable(owner_)
+        ERC2771Context(trustedForwarder_)
+    {
         stakingToken = IERC20(_stakingToken);
+
+        _setLockTier(lockTiers.length, 0, 100, true);
+        _setLockTier(lockTiers.length, YEAR / 4, 125, true);
+        _setLockTier(lockTiers.length, YEAR / 2, 150, true);
+        _setLockTier(lockTiers.length, YEAR, 200, true);
+
+        amountBrackets.push(AmountBracket(20_000 ether, 115));
+        amountBrackets.push(AmountBracket(50_000 ether, 125));
+        amountBrackets.push(AmountBracket(100_000 ether, 150));
+        amountBrackets.push(AmountBracket(200_000 ether, 200));
+        amountBrackets.push(AmountBracket(500_000 ether, 250));
     }
     
     function updateDistributeRate(uint256 newMultiplier) external onlyOwner accrueReward {
@@ -68,64 +134,192 @@ contract TokenStaking is Ownable {
         stakingStartedAt = startAt;
     }
 
+    function setEarlyUnlockPenalty(uint256 penalty) external onlyOwner {
+        require(penalty <= MAX_EARLY_UNLOCK_PENALTY, "Penalty too high");
+        earlyUnlockPenalty = penalty;
+        emit EarlyUnlockPenaltyUpdated(penalty);
+    }
+
+    function addLockTier(uint256 duration, uint256 multiplier) external onlyOwner returns (uint256 lockTier) {
+        lockTier = lockTiers.length;
+        _setLockTier(lockTier, duration, multiplier, true);
+    }
+
+    // Only applies to positions opened or extended afterwards
+    function setLockTier(uint256 lockTier, uint256 duration, uint256 multiplier, bool active) external onlyOwner {
+        require(lockTier < lockTiers.length, "Unknown lock tier");
+        _setLockTier(lockTier, duration, multiplier, active);
+    }
+
+    // Replaces every bracket; only positions opened afterwards get the new multipliers
+    function setAmountBrackets(AmountBracket[] calldata brackets) external onlyOwner {
+        require(brackets.length <= MAX_AMOUNT_BRACKETS, "Too many brackets");
+
+        delete amountBrackets;
+        for (uint256 i = 0; i < brackets.length; ++i) {
+            require(i == 0 || brackets[i].minAmount > brackets[i - 1].minAmount, "Brackets not sorted");
+            require(brackets[i].multiplier >= 100, "Invalid multiplier");
+            amountBrackets.push(brackets[i]);
+        }
+
+        emit AmountBracketsUpdated(brackets);
+    }
+
+    // Starts emitting `amount` of `token`, pulled from the caller, evenly between startTime and endTime
+    function addRewardStream(IERC20 token, uint256 amount, uint256 startTime, uint256 endTime)
+        external
+        onlyOwner
+        accrueReward
+        returns (uint256 streamId)
+    {
+        require(rewardStreams.length < MAX_REWARD_STREAMS, "Too many reward streams");
+        require(startTime >= block.timestamp && endTime > startTime, "Invalid time range");
+        uint256 rate = amount / (endTime - startTime);
+        require(rate > 0, "Invalid amount");
+
+        token.safeTransferFrom(_msgSender(), address(this), amount);
+
+        streamId = rewardStreams.length;
+        RewardStream storage stream = rewardStreams.push();
+        stream.token = token;
+        stream.rewardRate = rate;
+        stream.startTime = startTime;
+        stream.endTime = endTime;
+        stream.lastUpdatedAt = startTime;
+
+        emit RewardStreamAdded(streamId, address(token), amount, startTime, endTime);
+    }
+
+    // Adds `amount` to what a stream still has to emit and spreads it all until endTime, e.g. to pass on
+    // the fees withdrawn from the GasCreditVault
+    function fundRewardStream(uint256 streamId, uint256 amount, uint256 endTime) external onlyOwner accrueReward {
+        RewardStream storage stream = _rewardStream(streamId);
+        uint256 from = block.timestamp > stream.startTime ? block.timestamp : stream.startTime;
+        require(endTime >= stream.endTime && endTime > from, "Invalid time range");
+        require(amount > 0, "Invalid amount");
+
+        stream.token.safeTransferFrom(_msgSender(), address(this), amount);
+
+        uint256 remaining = stream.endTime > from ? (stream.endTime - from) * stream.rewardRate : 0;
+        stream.rewardRate = (remaining + amount) / (endTime - from);
+        stream.endTime = endTime;
+        // A stream that had ended resumes from now
+        if (stream.lastUpdatedAt < from)
+            stream.lastUpdatedAt = from;
+
+        emit RewardStreamFunded(streamId, amount, endTime);
+    }
+
     modifier stakingActive() {
         require(stakingStartedAt != 0 && block.timestamp >= stakingStartedAt, 'Staking not started');
         require(!stakingEnded, 'Staking ended');
         _;
     }
 
-    function stake(uint256 amount, LockDuration duration) external stakingActive {
+    function stake(uint256 amount, uint256 lockTier) external stakingActive accrueReward {
         require(amount > 0, "Amount must be > 0");
+        LockTier memory tier = _activeLockTier(lockTier);
 
-        stakingToken.transferFrom(msg.sender, address(this), amount);
+        stakingToken.transferFrom(_msgSender(), address(this), amount);
 
-        userStakes[msg.sender].push(StakeInfo({
-            amount: amount,
-            startTime: block.timestamp,
-            endTime: block.timestamp + getLockDuration(duration),
-            lockDuration: duration,
-            stakingShare: 0,
-            rewardDebt: 0,
-            claimedReward: 0,
-            pendingReward: 0,
-            totalAccumulatedReward: 0,
-            withdrawn: false
-        }));
+        uint256 stakeIndex = userStakes[_msgSender()].length;
+        StakeInfo storage info = userStakes[_msgSender()].push();
+        info.startTime = block.timestamp;
+        info.endTime = block.timestamp + tier.duration;
+        info.lockTier = lockTier;
+        info.lockMultiplier = tier.multiplier;
+        info.amountMultiplier = getAmountMultiplier(amount);
+        _updatePosition(info, stakeIndex, amount);
 
-        updateStakingShare(msg.sender);
-        emit Staked(msg.sender, amount, duration);
+        emit Staked(_msgSender(), amount, lockTier);
     }
 
-    function withdraw(uint256 stakeIndex) external {
-        StakeInfo storage info = userStakes[msg.sender][stakeIndex];
+    function withdraw(uint256 stakeIndex) external accrueReward {
+        StakeInfo storage info = _stakeAt(_msgSender(), stakeIndex);
         require(!info.withdrawn, "Already withdrawn");
-        require(block.timestamp >= info.startTime + getLockDuration(info.lockDuration) || stakingEnded, "Lock not expired");
 
-        claimReward(stakeIndex);
-        // Update total stakes (subtract the withdrawn amount and share)
-        info.withdrawn = true;
-        totalStakes.totalStaked -= info.amount;
-        totalStakes.stakingShare -= info.stakingShare;
+        _withdraw(info, stakeIndex, info.amount);
+    }
 
-        stakingToken.transfer(msg.sender, info.amount);
+    function withdrawPartial(uint256 stakeIndex, uint256 amount) external accrueReward {
+        StakeInfo storage info = _stakeAt(_msgSender(), stakeIndex);
+        require(!info.withdrawn, "Already withdrawn");
+        require(amount > 0 && amount <= info.amount, "Invalid amount");
 
-        emit Withdrawn(msg.sender, stakeIndex, info.amount);
+        _withdraw(info, stakeIndex, amount);
     }
 
     function claimReward(uint256 stakeIndex) public accrueReward {
-        require(stakeIndex < userStakes[msg.sender].length, "Invalid stake index");
-        StakeInfo storage info = userStakes[msg.sender][stakeIndex];
+        StakeInfo storage info = _stakeAt(_msgSender(), stakeIndex);
+        require(!info.withdrawn, "Stake already withdrawn");
+
+        require(_settleReward(info, stakeIndex), "No reward available");
+    }
+
+    // Restakes the pending DI reward into the position, which keeps its lock; reward streams are paid out
+    function compound(uint256 stakeIndex) external stakingActive accrueReward {
+        StakeInfo storage info = _stakeAt(_msgSender(), stakeIndex);
         require(!info.withdrawn, "Stake already withdrawn");
 
         uint256 pending = calculateClaimableReward(info);
         require(pending > 0, "No reward available");
 
-        // Update all reward tracking fields
-        info.claimedReward += pending;
-        info.rewardDebt = (info.stakingShare * totalStakes.rewardIndex) / 1e18;
+        _settleStreams(info, stakeIndex);
+        info.totalAccumulatedReward += pending;
+        _updatePosition(info, stakeIndex, info.amount + pending);
+
+        emit Compounded(_msgSender(), stakeIndex, pending);
+    }
+
+    // Moves the position to a tier with a higher multiplier; the new lock runs from now and cannot end earlier
+    function extendLock(uint256 stakeIndex, uint256 lockTier) external stakingActive accrueReward {
+        StakeInfo storage info = _stakeAt(_msgSender(), stakeIndex);
+        require(!info.withdrawn, "Stake already withdrawn");
+        LockTier memory tier = _activeLockTier(lockTier);
+        require(
+            tier.multiplier > info.lockMultiplier && block.timestamp + tier.duration >= info.endTime,
+            "Lock can only be extended"
+        );
+
+        _settleReward(info, stakeIndex);
+        info.endTime = block.timestamp + tier.duration;
+        info.lockTier = lockTier;
+        info.lockMultiplier = tier.multiplier;
+        _updatePosition(info, stakeIndex, info.amount);
+
+        emit LockExtended(_msgSender(), stakeIndex, lockTier, info.endTime);
+    }
 
-        stakingToken.transfer(msg.sender, pending);
-        emit ClaimedReward(msg.sender, stakeIndex, pending);
+    // Leaves a locked position, paying its reward in full but keeping earlyUnlockPenalty of the principal
+    // for the remaining stakers
+    function unlockEarly(uint256 stakeIndex) external accrueReward {
+        StakeInfo storage info = _stakeAt(_msgSender(), stakeIndex);
+        require(!info.withdrawn, "Stake already withdrawn");
+        require(block.timestamp < info.endTime && !stakingEnded, "Lock expired");
+
+        _settleReward(info, stakeIndex);
+        uint256 amount = info.amount;
+        uint256 penalty = (amount * earlyUnlockPenalty) / 1e4;
+        _updatePosition(info, stakeIndex, 0);
+        info.withdrawn = true;
+        _distributePenalty(penalty);
+
+        stakingToken.transfer(_msgSender(), amount - penalty);
+
+        emit EarlyUnlocked(_msgSender(), stakeIndex, amount - penalty, penalty);
+    }
+
+    function _withdraw(StakeInfo storage info, uint256 stakeIndex, uint256 amount) internal {
+        require(block.timestamp >= info.endTime || stakingEnded, "Lock not expired");
+
+        _settleReward(info, stakeIndex);
+        _updatePosition(info, stakeIndex, info.amount - amount);
+        if (info.amount == 0)
+            info.withdrawn = true;
+
+        stakingToken.transfer(_msgSender(), amount);
+
+        emit Withdrawn(_msgSender(), stakeIndex, amount);
     }
 
     function calculateClaimableReward(StakeInfo memory info) public view returns (uint256) {
@@ -137,16 +331,87 @@ contract TokenStaking is Ownable {
         return accumulated - info.rewardDebt;
     }
 
-    function updateStakingShare(address user) internal accrueReward {
-        StakeInfo storage userStake = userStakes[user][userStakes[user].length - 1];
-        uint256 share = calculateStakingShare(userStake.amount, userStake.lockDuration);
+    function _stakeAt(address user, uint256 stakeIndex) internal view returns (StakeInfo storage) {
+        require(stakeIndex < userStakes[user].length, "Invalid stake index");
+        return userStakes[user][stakeIndex];
+    }
+
+    function _activeLockTier(uint256 lockTier) internal view returns (LockTier memory tier) {
+        require(lockTier < lockTiers.length && lockTiers[lockTier].active, "Lock tier not available");
+        return lockTiers[lockTier];
+    }
+
+    function _setLockTier(uint256 lockTier, uint256 duration, uint256 multiplier, bool active) internal {
+        require(multiplier >= 100, "Invalid multiplier");
+        if (lockTier == lockTiers.length)
+            lockTiers.push();
+        lockTiers[lockTier] = LockTier(duration, multiplier, active);
+
+        emit LockTierUpdated(lockTier, duration, multiplier, active);
+    }
+
+    function _rewardStream(uint256 streamId) internal view returns (RewardStream storage) {
+        require(streamId < rewardStreams.length, "Unknown reward stream");
+        return rewardStreams[streamId];
+    }
+
+    // Pays what the position has earned so far in DI and every stream; called before its share changes
+    function _settleReward(StakeInfo storage info, uint256 stakeIndex) internal returns (bool paid) {
+        paid = _settleStreams(info, stakeIndex);
+
+        uint256 pending = calculateClaimableReward(info);
+        info.rewardDebt = (info.stakingShare * totalStakes.rewardIndex) / 1e18;
+        if (pending == 0)
+            return paid;
+
+        info.claimedReward += pending;
+        info.totalAccumulatedReward += pending;
+        stakingToken.transfer(_msgSender(), pending);
+        emit ClaimedReward(_msgSender(), stakeIndex, pending);
+        return true;
+    }
+
+    function _settleStreams(StakeInfo storage info, uint256 stakeIndex) internal returns (bool paid) {
+        for (uint256 i = 0; i < rewardStreams.length; ++i) {
+            uint256 accumulated = (info.stakingShare * rewardStreams[i].rewardIndex) / 1e18;
+            uint256 debt = streamRewardDebt[_msgSender()][stakeIndex][i];
+            if (accumulated <= debt)
+                continue;
+
+            uint256 pending = accumulated - debt;
+            streamRewardDebt[_msgSender()][stakeIndex][i] = accumulated;
+            streamRewardClaimed[_msgSender()][stakeIndex][i] += pending;
+            rewardStreams[i].token.safeTransfer(_msgSender(), pending);
+            emit StreamRewardClaimed(_msgSender(), stakeIndex, i, pending);
+            paid = true;
+        }
+    }
+
+    // Sets the amount of a settled position from its lock and amount multipliers, keeping the totals and its
+    // reward debts in step
+    function _updatePosition(StakeInfo storage info, uint256 stakeIndex, uint256 amount) internal {
+        uint256 share = calculateStakingShare(amount, info.lockMultiplier, info.amountMultiplier);
 
-        // Set reward debt before increasing total share
-        userStake.rewardDebt = (share * totalStakes.rewardIndex) / 1e18;
+        totalStakes.totalStaked = totalStakes.totalStaked - info.amount + amount;
+        totalStakes.stakingShare = totalStakes.stakingShare - info.stakingShare + share;
 
-        totalStakes.totalStaked += userStake.amount;
-        totalStakes.stakingShare += share;
-        userStake.stakingShare = share;
+        info.amount = amount;
+        info.stakingShare = share;
+        info.rewardDebt = (share * totalStakes.rewardIndex) / 1e18;
+        for (uint256 i = 0; i < rewardStreams.length; ++i) {
+            streamRewardDebt[_msgSender()][stakeIndex][i] = (share * rewardStreams[i].rewardIndex) / 1e18;
+        }
+    }
+
+    // Adds a penalty to the reward index; with nobody staking it waits for the next accrual
+    function _distributePenalty(uint256 penalty) internal {
+        undistributedPenalty += penalty;
+        if (undistributedPenalty == 0 || totalStakes.stakingShare == 0)
+            return;
+
+        totalStakes.rewardIndex += (undistributedPenalty * 1e18) / totalStakes.stakingShare;
+        totalStakes.totalPenaltyDistributed += undistributedPenalty;
+        undistributedPenalty = 0;
     }
 
     modifier accrueReward() {
@@ -164,9 +429,41 @@ contract TokenStaking is Ownable {
             totalStakes.lastUpdatedAt = block.timestamp;
             totalStakes.totalRewardDistributed += reward;
         }
+        if (undistributedPenalty > 0)
+            _distributePenalty(0);
+        for (uint256 i = 0; i < rewardStreams.length; ++i) {
+            _accrueStream(rewardStreams[i]);
+        }
         _;
     }
 
+    // Emission while nobody stakes is held back and shared at the next accrual that has stakers
+    function _accrueStream(RewardStream storage stream) internal {
+        uint256 until = block.timestamp < stream.endTime ? block.timestamp : stream.endTime;
+        if (until > stream.lastUpdatedAt) {
+            stream.undistributed += (until - stream.lastUpdatedAt) * stream.rewardRate;
+            stream.lastUpdatedAt = until;
+        }
+        if (stream.undistributed == 0 || totalStakes.stakingShare == 0)
+            return;
+
+        stream.rewardIndex += (stream.undistributed * 1e18) / totalStakes.stakingShare;
+        stream.totalDistributed += stream.undistributed;
+        stream.undistributed = 0;
+    }
+
+    // The stream's reward index as the next accrual would set it
+    function _currentStreamIndex(RewardStream memory stream) internal view returns (uint256) {
+        uint256 until = block.timestamp < stream.endTime ? block.timestamp : stream.endTime;
+        uint256 undistributed = stream.undistributed;
+        if (until > stream.lastUpdatedAt)
+            undistributed += (until - stream.lastUpdatedAt) * stream.rewardRate;
+        if (undistributed == 0 || totalStakes.stakingShare == 0)
+            return stream.rewardIndex;
+
+        return stream.rewardIndex + (undistributed * 1e18) / totalStakes.stakingShare;
+    }
+
     function updateReward() external accrueReward {
 
     }
@@ -177,8 +474,8 @@ contract TokenStaking is Ownable {
     }
 
 
-    function calculateStakingShare(uint256 amount, LockDuration duration) internal pure returns(uint256) {
-        return amount * getLockMultiplier(duration) * getAmountMultiplier(amount) / 1e4;
+    function calculateStakingShare(uint256 amount, uint256 lockMultiplier, uint256 amountMultiplier) internal pure returns(uint256) {
+        return amount * lockMultiplier * amountMultiplier / 1e4;
     }
 
     function calculateAPR() public view returns(uint256) {
@@ -188,29 +485,61 @@ contract TokenStaking is Ownable {
         return getDistributionRate() * 365 * 1e18 / totalStakes.stakingShare;
     } 
 
-    function getLockDuration(LockDuration duration) public pure returns (uint256) {
-        if (duration == LockDuration.QUATERLY) return YEAR / 4;
-        if (duration == LockDuration.HALF_YEARLY) return YEAR / 2;
-        if (duration == LockDuration.YEARLY) return YEAR;
-        return 0;
+    function getLockDuration(uint256 lockTier) public view returns (uint256) {
+        require(lockTier < lockTiers.length, "Unknown lock tier");
+        return lockTiers[lockTier].duration;
     }
 
-    function getLockMultiplier(LockDuration duration) public pure returns (uint256) {
-        if (duration == LockDuration.QUATERLY) return 125;
-        if (duration == LockDuration.HALF_YEARLY) return 150;
-        if (duration == LockDuration.YEARLY) return 200;
-        return 100;
+    function getLockMultiplier(uint256 lockTier) public view returns (uint256) {
+        require(lockTier < lockTiers.length, "Unknown lock tier");
+        return lockTiers[lockTier].multiplier;
     }
 
-    function getAmountMultiplier(uint256 amount) public pure returns (uint256) {
-        if (amount >= 500_000 ether) return 250;
-        if (amount >= 200_000 ether) return 200;
-        if (amount >= 100_000 ether) return 150;
-        if (amount >= 50_000 ether) return 125;
-        if (amount >= 20_000 ether) return 115;
+    function getAmountMultiplier(uint256 amount) public view returns (uint256) {
+        for (uint256 i = amountBrackets.length; i > 0; --i) {
+            if (amount >= amountBrackets[i - 1].minAmount) return amountBrackets[i - 1].multiplier;
+        }
         return 100;
     }
 
+    function getLockTiers() external view returns (LockTier[] memory) {
+        return lockTiers;
+    }
+
+    function getAmountBrackets() external view returns (AmountBracket[] memory) {
+        return amountBrackets;
+    }
+
+    function getRewardStreams() external view returns (RewardStream[] memory) {
+        return rewardStreams;
+    }
+
+    // What a position can claim from each reward stream right now, by stream id
+    function pendingStreamRewards(address user, uint256 stakeIndex) public view returns (uint256[] memory rewards) {
+        rewards = new uint256[](rewardStreams.length);
+        StakeInfo storage info = _stakeAt(user, stakeIndex);
+        if (info.withdrawn)
+            return rewards;
+
+        for (uint256 i = 0; i < rewards.length; ++i) {
+            uint256 accumulated = (info.stakingShare * _currentStreamIndex(rewardStreams[i])) / 1e18;
+            uint256 debt = streamRewardDebt[user][stakeIndex][i];
+            if (accumulated > debt)
+                rewards[i] = accumulated - debt;
+        }
+    }
+
+    // What all of a user's positions can claim from each reward stream, by stream id
+    function claimableStreamRewards(address user) external view returns (uint256[] memory rewards) {
+        rewards = new uint256[](rewardStreams.length);
+        for (uint256 i = 0; i < userStakes[user].length; ++i) {
+            uint256[] memory pending = pendingStreamRewards(user, i);
+            for (uint256 j = 0; j < rewards.length; ++j) {
+                rewards[j] += pending[j];
+            }
+        }
+    }
+
     function getStakes(address user) external view returns (StakeInfo[] memory stakes) {
         stakes = userStakes[user];
         for (uint256 i = 0; i < stakes.length; ++i) {
@@ -221,4 +550,17 @@ contract TokenStaking is Ownable {
     function getTotalStakes() external view returns (TotalStakeInfo memory) {
         return totalStakes;
     }
+
+    // ERC-2771 context resolution (MetaTxGateway appends the signer to relayed calls)
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
 } 
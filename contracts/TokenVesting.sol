@@ -0,0 +1,299 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/access/Ownable.sol";
+import "@openzeppelin/contracts/metatx/ERC2771Context.sol";
+import "@openzeppelin/contracts/proxy/Clones.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+import "@openzeppelin/contracts/utils/ReentrancyGuard.sol";
+import "./interfaces/ILegacyAllocation.sol";
+import "./utils/VestingEscrow.sol";
+
+// Vesting grants with their own schedule, each holding its tokens in a VestingEscrow clone whose voting
+// power the beneficiary delegates. Grants are funded from the tokens the contract holds (its DI allocation).
+contract TokenVesting is Ownable, ReentrancyGuard, ERC2771Context {
+    using SafeERC20 for IERC20;
+
+    // Nothing vests before start + cliff, where initialUnlockBps of the grant unlocks; the rest vests
+    // until start + duration, linearly or every stepDuration seconds
+    struct Schedule {
+        uint64 start;
+        uint64 cliff;
+        uint64 duration;
+        uint64 stepDuration;
+        uint16 initialUnlockBps;
+    }
+
+    struct Grant {
+        address beneficiary;
+        VestingEscrow escrow;
+        uint256 amount;
+        uint256 released;
+        Schedule schedule;
+        bool revocable;
+        bool revoked;
+        // Migrated from TeamAllocation or KOLAllocation, which vest the rest over the whole duration
+        bool legacy;
+    }
+
+    uint256 public constant BPS = 10_000;
+    // TeamAllocation and KOLAllocation unlock 20% at the cliff, then 80% of the grant per duration
+    uint16 public constant LEGACY_INITIAL_UNLOCK_BPS = 2_000;
+
+    IERC20 public immutable token;
+    address public immutable escrowImplementation;
+
+    uint256 public grantCount;
+    mapping(uint256 => Grant) private grants;
+    mapping(address => uint256[]) private beneficiaryGrants;
+
+    // Tokens granted and not revoked, released or not
+    uint256 public totalAllocated;
+    uint256 public totalReleased;
+    mapping(address => bool) public migrated;
+
+    event GrantCreated(uint256 indexed grantId, address indexed beneficiary, address escrow, uint256 amount, bool revocable);
+    event Released(uint256 indexed grantId, address indexed beneficiary, address indexed caller, uint256 amount);
+    event GrantRevoked(uint256 indexed grantId, uint256 unvestedAmount);
+    event BeneficiaryChanged(uint256 indexed grantId, address indexed previousBeneficiary, address indexed newBeneficiary);
+    event VotesDelegated(uint256 indexed grantId, address indexed delegatee);
+    event LegacyMigrated(address indexed legacy, uint256 grants, uint256 amount);
+
+    constructor(address _token, address owner_, address trustedForwarder_)
+        Ownable(owner_)
+        ERC2771Context(trustedForwarder_)
+    {
+        require(_token != address(0), "Invalid token address");
+        token = IERC20(_token);
+        escrowImplementation = address(new VestingEscrow());
+    }
+
+    function createGrant(
+        address _beneficiary,
+        uint256 _amount,
+        Schedule calldata _schedule,
+        bool _revocable
+    ) external onlyOwner returns (uint256) {
+        return _createGrant(_beneficiary, _amount, 0, _schedule, _revocable, false);
+    }
+
+    function createGrants(
+        address[] calldata _beneficiaries,
+        uint256[] calldata _amounts,
+        Schedule calldata _schedule,
+        bool _revocable
+    ) external onlyOwner {
+        require(_beneficiaries.length == _amounts.length, "Mismatched input lengths");
+        for (uint256 i = 0; i < _beneficiaries.length; i++) {
+            _createGrant(_beneficiaries[i], _amounts[i], 0, _schedule, _revocable, false);
+        }
+    }
+
+    /**
+     * @notice Recreate the members of a TeamAllocation or KOLAllocation contract as grants on their original
+     * schedule, counting what they already withdrew as released
+     * @dev Only reads the legacy contract, which cannot stop withdrawals nor hand its tokens back. This contract
+     * must be funded separately with what the members have not withdrawn, and the legacy contract must hold no
+     * tokens, so members cannot withdraw from both. Allocations still holding tokens cannot be migrated; the
+     * legacy contract must not be funded afterwards.
+     */
+    function migrateLegacy(ILegacyAllocation _legacy, bool _revocable) external onlyOwner {
+        require(!migrated[address(_legacy)], "Already migrated");
+        require(token.balanceOf(address(_legacy)) == 0, "Legacy allocation still funded");
+        migrated[address(_legacy)] = true;
+
+        address[] memory wallets = _legacy.getMembers();
+        uint64 cliff = uint64(_legacy.CLIFF_DURATION());
+        uint64 duration = uint64(_legacy.VESTING_DURATION());
+        uint256 count = 0;
+        uint256 outstanding = 0;
+
+        for (uint256 i = 0; i < wallets.length; i++) {
+            ILegacyAllocation.Member memory member = _legacy.getMember(wallets[i]);
+            if (member.withdrawn >= member.balance) continue;
+
+            Schedule memory schedule = Schedule({
+                start: uint64(member.startTime),
+                cliff: cliff,
+                duration: duration,
+                stepDuration: 0,
+                initialUnlockBps: LEGACY_INITIAL_UNLOCK_BPS
+            });
+            _createGrant(wallets[i], member.balance, member.withdrawn, schedule, _revocable, true);
+            count++;
+            outstanding += member.balance - member.withdrawn;
+        }
+
+        emit LegacyMigrated(address(_legacy), count, outstanding);
+    }
+
+    // Anyone can release vested tokens: they always go to the beneficiary
+    function release(uint256 _grantId) external nonReentrant {
+        require(_release(_grantId) > 0, "Nothing to release");
+    }
+
+    function releaseAll(address _beneficiary) external nonReentrant {
+        uint256[] storage ids = beneficiaryGrants[_beneficiary];
+        uint256 total = 0;
+        for (uint256 i = 0; i < ids.length; i++) {
+            total += _release(ids[i]);
+        }
+        require(total > 0, "Nothing to release");
+    }
+
+    // Returns the unvested tokens to the owner; what has vested stays releasable
+    function revoke(uint256 _grantId) external onlyOwner nonReentrant {
+        Grant storage g = _grantAt(_grantId);
+        require(g.revocable, "Grant not revocable");
+        require(!g.revoked, "Grant already revoked");
+
+        uint256 vested = vestedAmount(_grantId);
+        uint256 unvested = g.amount - vested;
+        g.amount = vested;
+        g.revoked = true;
+        totalAllocated -= unvested;
+        if (unvested > 0) {
+            g.escrow.transfer(owner(), unvested);
+        }
+
+        emit GrantRevoked(_grantId, unvested);
+    }
+
+    // The beneficiary can move its grant to another address, the owner only revocable grants. The new
+    // beneficiary gets the voting power of the grant.
+    function changeBeneficiary(uint256 _grantId, address _newBeneficiary) external {
+        Grant storage g = _grantAt(_grantId);
+        require(
+            _msgSender() == g.beneficiary || (_msgSender() == owner() && g.revocable),
+            "Not allowed to change beneficiary"
+        );
+        require(_newBeneficiary != address(0) && _newBeneficiary != g.beneficiary, "Invalid beneficiary");
+
+        address previous = g.beneficiary;
+        uint256[] storage ids = beneficiaryGrants[previous];
+        for (uint256 i = 0; i < ids.length; i++) {
+            if (ids[i] == _grantId) {
+                ids[i] = ids[ids.length - 1];
+                ids.pop();
+                break;
+            }
+        }
+        beneficiaryGrants[_newBeneficiary].push(_grantId);
+        g.beneficiary = _newBeneficiary;
+        g.escrow.delegate(_newBeneficiary);
+
+        emit BeneficiaryChanged(_grantId, previous, _newBeneficiary);
+        emit VotesDelegated(_grantId, _newBeneficiary);
+    }
+
+    // Delegates the voting power of the tokens still held for the grant (initially the beneficiary's)
+    function delegate(uint256 _grantId, address _delegatee) external {
+        Grant storage g = _grantAt(_grantId);
+        require(_msgSender() == g.beneficiary, "Not the beneficiary");
+        g.escrow.delegate(_delegatee);
+        emit VotesDelegated(_grantId, _delegatee);
+    }
+
+    function vestedAmount(uint256 _grantId) public view returns (uint256) {
+        Grant storage g = _grantAt(_grantId);
+        Schedule memory s = g.schedule;
+        if (g.revoked) return g.amount;
+        if (block.timestamp < s.start + s.cliff) return 0;
+
+        uint256 elapsed = block.timestamp - s.start;
+        if (elapsed >= s.duration) return g.amount;
+
+        uint256 initial = (g.amount * s.initialUnlockBps) / BPS;
+        uint256 vesting = elapsed - s.cliff;
+        if (s.stepDuration > 0) {
+            vesting -= vesting % s.stepDuration;
+        }
+        // Legacy grants vest at the same rate over the whole duration, the rest unlocking at its end
+        if (g.legacy) {
+            return initial + (g.amount * (BPS - s.initialUnlockBps) * vesting) / (uint256(s.duration) * BPS);
+        }
+        return initial + ((g.amount - initial) * vesting) / (s.duration - s.cliff);
+    }
+
+    function releasable(uint256 _grantId) public view returns (uint256) {
+        return vestedAmount(_grantId) - grants[_grantId].released;
+    }
+
+    function getGrant(uint256 _grantId) external view returns (Grant memory) {
+        return _grantAt(_grantId);
+    }
+
+    function getGrantIds(address _beneficiary) external view returns (uint256[] memory) {
+        return beneficiaryGrants[_beneficiary];
+    }
+
+    function _createGrant(
+        address _beneficiary,
+        uint256 _amount,
+        uint256 _released,
+        Schedule memory _schedule,
+        bool _revocable,
+        bool _legacy
+    ) internal returns (uint256 grantId) {
+        require(_beneficiary != address(0), "Invalid beneficiary");
+        require(_amount > _released, "Invalid amount");
+        require(
+            _schedule.duration > 0 && _schedule.cliff <= _schedule.duration && _schedule.initialUnlockBps <= BPS,
+            "Invalid schedule"
+        );
+        uint256 funded = _amount - _released;
+        require(token.balanceOf(address(this)) >= funded, "Insufficient unallocated tokens");
+
+        VestingEscrow escrow = VestingEscrow(Clones.clone(escrowImplementation));
+        escrow.initialize(token, _beneficiary);
+        token.safeTransfer(address(escrow), funded);
+
+        grantId = grantCount++;
+        grants[grantId] = Grant({
+            beneficiary: _beneficiary,
+            escrow: escrow,
+            amount: _amount,
+            released: _released,
+            schedule: _schedule,
+            revocable: _revocable,
+            revoked: false,
+            legacy: _legacy
+        });
+        beneficiaryGrants[_beneficiary].push(grantId);
+        totalAllocated += _amount;
+        totalReleased += _released;
+
+        emit GrantCreated(grantId, _beneficiary, address(escrow), _amount, _revocable);
+    }
+
+    function _release(uint256 _grantId) internal returns (uint256 amount) {
+        amount = releasable(_grantId);
+        if (amount == 0) return 0;
+
+        Grant storage g = grants[_grantId];
+        g.released += amount;
+        totalReleased += amount;
+        g.escrow.transfer(g.beneficiary, amount);
+
+        emit Released(_grantId, g.beneficiary, _msgSender(), amount);
+    }
+
+    function _grantAt(uint256 _grantId) internal view returns (Grant storage) {
+        require(_grantId < grantCount, "Unknown grant");
+        return grants[_grantId];
+    }
+
+    // ERC-2771 context resolution (MetaTxGateway appends the signer to relayed calls)
+    function _msgSender() internal view override(Context, ERC2771Context) returns (address) {
+        return ERC2771Context._msgSender();
+    }
+
+    function _msgData() internal view override(Context, ERC2771Context) returns (bytes calldata) {
+        return ERC2771Context._msgData();
+    }
+
+    function _contextSuffixLength() internal view override(Context, ERC2771Context) returns (uint256) {
+        return ERC2771Context._contextSuffixLength();
+    }
+}
@@ -0,0 +1,23 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {TimelockController} from "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title GovernanceTimelock
+ * @notice Timelock executing the actions of DIVote proposals that passed, and owning the contracts they govern
+ * @dev A plain OpenZeppelin TimelockController: DIVote is its proposer and canceller, so a proposal is only
+ * scheduled once its vote passed and runs after `minDelay`. Without an admin, the delay and roles can only
+ * change through a proposal.
+ */
+contract GovernanceTimelock is TimelockController {
+    /**
+     * @param minDelay Seconds between queueing a proposal and executing it
+     * @param proposers Accounts allowed to schedule and cancel operations (the DIVote contract)
+     * @param executors Accounts allowed to execute ready operations (address(0) lets anyone execute)
+     * @param admin Optional account able to manage roles without the delay (address(0) for none)
+     */
+    constructor(uint256 minDelay, address[] memory proposers, address[] memory executors, address admin)
+        TimelockController(minDelay, proposers, executors, admin)
+    {}
+}
@@ -0,0 +1,22 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {TimelockController} from "@openzeppelin/contracts/governance/TimelockController.sol";
+
+/**
+ * @title UpgradeTimelock
+ * @notice Timelock holding the upgrade rights of MetaTxGateway (UPGRADER_ROLE) and GasCreditVault (upgrader)
+ * @dev A plain OpenZeppelin TimelockController: proposers schedule and cancel upgrades, executors run them
+ * once `minDelay` has passed. Without an admin, the delay and roles can only change through the timelock itself.
+ */
+contract UpgradeTimelock is TimelockController {
+    /**
+     * @param minDelay Seconds between scheduling an upgrade and executing it
+     * @param proposers Accounts allowed to schedule and cancel upgrades
+     * @param executors Accounts allowed to execute ready upgrades (address(0) lets anyone execute)
+     * @param admin Optional account able to manage roles without the delay (address(0) for none)
+     */
+    constructor(uint256 minDelay, address[] memory proposers, address[] memory executors, address admin)
+        TimelockController(minDelay, proposers, executors, admin)
+    {}
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+// TeamAllocation / KOLAllocation views read when migrating their members to TokenVesting
+interface ILegacyAllocation {
+    struct Member {
+        string name;
+        uint256 balance;
+        uint256 startTime;
+        uint256 withdrawn;
+    }
+
+    function VESTING_DURATION() external view returns (uint256);
+
+    function CLIFF_DURATION() external view returns (uint256);
+
+    function getMembers() external view returns (address[] memory);
+
+    function getMember(address wallet) external view returns (Member memory);
+}
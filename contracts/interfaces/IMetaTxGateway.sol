@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IMetaTxGateway
+ * @notice Batch records of MetaTxGateway read by contracts charging for relayed batches (see MetaTxGateway.sol)
+ */
+interface IMetaTxGateway {
+    /**
+     * @notice keccak256(abi.encode(from, relayer, targets)) of an executed batch, with `targets` the `to` of each
+     * meta-transaction in order; zero for unknown batches
+     */
+    function batchRecords(uint256 batchId) external view returns (bytes32);
+}
@@ -0,0 +1,14 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IPriceOracle
+ * @notice USD prices shared by GasCreditVault and TokenPresale (see oracle/PriceOracle.sol)
+ */
+interface IPriceOracle {
+    /**
+     * @notice USD price of one whole unit of `asset`, with 18 decimals
+     * @dev address(0) is the chain's native token. Reverts when no valid price is available.
+     */
+    function getPrice(address asset) external view returns (uint256);
+}
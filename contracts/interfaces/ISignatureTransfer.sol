@@ -0,0 +1,39 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ISignatureTransfer
+ * @notice Subset of Uniswap Permit2's SignatureTransfer interface used for signature-based token pulls
+ * @dev Canonical Permit2 is deployed at 0x000000000022D473030F116dDEE9F6B43aC78BA3 on most chains
+ */
+interface ISignatureTransfer {
+    struct TokenPermissions {
+        address token;
+        uint256 amount;
+    }
+
+    struct PermitTransferFrom {
+        TokenPermissions permitted;
+        uint256 nonce;
+        uint256 deadline;
+    }
+
+    struct SignatureTransferDetails {
+        address to;
+        uint256 requestedAmount;
+    }
+
+    /**
+     * @notice Transfer tokens from `owner` using a signed permit whose spender is `msg.sender`
+     */
+    function permitTransferFrom(
+        PermitTransferFrom calldata permit,
+        SignatureTransferDetails calldata transferDetails,
+        address owner,
+        bytes calldata signature
+    ) external;
+
+    function nonceBitmap(address owner, uint256 wordPos) external view returns (uint256);
+
+    function DOMAIN_SEPARATOR() external view returns (bytes32);
+}
@@ -0,0 +1,20 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title IUniswapV3Pool
+ * @notice Subset of the Uniswap V3 pool interface used to read time-weighted average prices
+ */
+interface IUniswapV3Pool {
+    function token0() external view returns (address);
+
+    function token1() external view returns (address);
+
+    /**
+     * @notice Cumulative tick and liquidity values as of each `secondsAgos` from the current block
+     */
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s);
+}
@@ -6,10 +6,14 @@ import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/shared/interf
 contract MockAggregatorV3 is AggregatorV3Interface {
     int256 private _price;
     uint8 private _decimals;
+    uint80 private _roundId;
+    uint256 private _updatedAt;
 
     constructor(int256 initialPrice, uint8 decimals_) {
         _price = initialPrice;
         _decimals = decimals_;
+        _roundId = 1;
+        _updatedAt = block.timestamp;
     }
 
     function decimals() external view override returns (uint8) {
@@ -36,7 +40,7 @@ contract MockAggregatorV3 is AggregatorV3Interface {
             uint80 answeredInRound
         )
     {
-        return (0, _price, 0, 0, 0);
+        return (_roundId, _price, _updatedAt, _updatedAt, _roundId);
     }
 
     function latestRoundData()
@@ -51,10 +55,16 @@ contract MockAggregatorV3 is AggregatorV3Interface {
             uint80
         )
     {
-        return (0, _price, 0, 0, 0);
+        return (_roundId, _price, _updatedAt, _updatedAt, _roundId);
     }
 
     function updatePrice(int256 newPrice) external {
         _price = newPrice;
+        _roundId++;
+        _updatedAt = block.timestamp;
     }
-}
\ No newline at end of file
+
+    function setUpdatedAt(uint256 updatedAt) external {
+        _updatedAt = updatedAt;
+    }
+}
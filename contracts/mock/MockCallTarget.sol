@@ -0,0 +1,25 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+contract MockCallTarget {
+    error CustomFailure(address caller, uint256 code);
+
+    uint256 public lastValue;
+
+    function store(uint256 value) external payable returns (uint256) {
+        lastValue = value;
+        return value * 2;
+    }
+
+    function revertWithReason(string calldata reason) external pure {
+        revert(reason);
+    }
+
+    function revertWithCustomError(uint256 code) external view {
+        revert CustomFailure(msg.sender, code);
+    }
+
+    function divide(uint256 a, uint256 b) external pure returns (uint256) {
+        return a / b;
+    }
+}
@@ -0,0 +1,16 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {MetaTxGateway} from "../MetaTxGateway.sol";
+
+// Storage-compatible gateway upgrade used by the upgrade workflow tests
+contract MockMetaTxGatewayV2 is MetaTxGateway {
+    uint256 public migratedAt;
+
+    /// @custom:oz-upgrades-unsafe-allow constructor
+    constructor() MetaTxGateway() {}
+
+    function migrate() external reinitializer(3) {
+        migratedAt = block.timestamp;
+    }
+}
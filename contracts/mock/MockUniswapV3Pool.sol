@@ -0,0 +1,42 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IUniswapV3Pool} from "../interfaces/IUniswapV3Pool.sol";
+
+/**
+ * @dev Uniswap V3 pool stub whose tick stays at a fixed value for all history
+ */
+contract MockUniswapV3Pool is IUniswapV3Pool {
+    address public override token0;
+    address public override token1;
+    int24 public tick;
+    // When set, observe() answers one observation short, like a malformed pool
+    bool public truncated;
+
+    constructor(address tokenA, address tokenB, int24 tick_) {
+        (token0, token1) = tokenA < tokenB ? (tokenA, tokenB) : (tokenB, tokenA);
+        tick = tick_;
+    }
+
+    function setTick(int24 tick_) external {
+        tick = tick_;
+    }
+
+    function setTruncated(bool truncated_) external {
+        truncated = truncated_;
+    }
+
+    function observe(uint32[] calldata secondsAgos)
+        external
+        view
+        override
+        returns (int56[] memory tickCumulatives, uint160[] memory secondsPerLiquidityCumulativeX128s)
+    {
+        uint256 count = truncated ? secondsAgos.length - 1 : secondsAgos.length;
+        tickCumulatives = new int56[](count);
+        secondsPerLiquidityCumulativeX128s = new uint160[](count);
+        for (uint256 i = 0; i < count; ++i) {
+            tickCumulatives[i] = int56(tick) * int56(uint56(block.timestamp - secondsAgos[i]));
+        }
+    }
+}
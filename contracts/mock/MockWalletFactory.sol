@@ -0,0 +1,19 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Create2} from "@openzeppelin/contracts/utils/Create2.sol";
+import {MockERC1271Wallet} from "./MockERC1271Wallet.sol";
+
+/**
+ * @dev CREATE2 factory for MockERC1271Wallet, used to test ERC-6492 counterfactual signatures
+ */
+contract MockWalletFactory {
+    function deployWallet(address owner, bytes32 salt) external returns (address wallet) {
+        return address(new MockERC1271Wallet{salt: salt}(owner));
+    }
+
+    function computeAddress(address owner, bytes32 salt) external view returns (address) {
+        bytes memory bytecode = abi.encodePacked(type(MockERC1271Wallet).creationCode, abi.encode(owner));
+        return Create2.computeAddress(salt, keccak256(bytecode));
+    }
+}
@@ -0,0 +1,337 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Ownable} from "@openzeppelin/contracts/access/Ownable.sol";
+import {IERC20Metadata} from "@openzeppelin/contracts/token/ERC20/extensions/IERC20Metadata.sol";
+import {Math} from "@openzeppelin/contracts/utils/math/Math.sol";
+import {AggregatorV3Interface} from "@chainlink/contracts/src/v0.8/shared/interfaces/AggregatorV3Interface.sol";
+import {IPriceOracle} from "../interfaces/IPriceOracle.sol";
+import {IUniswapV3Pool} from "../interfaces/IUniswapV3Pool.sol";
+import {TickMath} from "./TickMath.sol";
+
+/**
+ * @title PriceOracle
+ * @dev USD prices aggregated from a primary and a secondary Chainlink feed and a Uniswap V3 TWAP
+ *
+ * For each asset the first valid source (primary, secondary, then TWAP) is used, and it must stay
+ * within `maxDeviationBps` of the next valid source, if any. A source is valid when it answers
+ * within its own heartbeat, so one lagging feed falls back to the next instead of reverting.
+ *
+ * Features:
+ * - Per-asset heartbeats for each feed
+ * - Deviation guard between sources
+ * - Uniswap V3 TWAP source (pool paired with a USD stablecoin, valued at $1)
+ * - Stablecoin depeg detection: pegged stablecoins are priced at exactly $1, depegged ones revert
+ * - L2 sequencer uptime check with a grace period after the sequencer comes back
+ */
+contract PriceOracle is IPriceOracle, Ownable {
+    /**
+     * @dev Price sources of an asset
+     * @param primaryFeed Main Chainlink USD feed (zero when unused)
+     * @param secondaryFeed Fallback Chainlink USD feed (zero when unused)
+     * @param primaryHeartbeat Maximum age of a primary answer, in seconds
+     * @param secondaryHeartbeat Maximum age of a secondary answer, in seconds
+     * @param maxDeviationBps Maximum deviation between the used source and the next valid one (zero disables)
+     * @param isStablecoin Whether the asset is pegged to $1
+     * @param depegThresholdBps Maximum deviation from $1 before a stablecoin is considered depegged
+     * @param twapPool Uniswap V3 pool of the asset against a USD stablecoin (zero when unused)
+     * @param twapBaseToken Pool token representing the asset (its wrapped form for the native token)
+     * @param twapWindow TWAP period, in seconds
+     */
+    struct AssetConfig {
+        address primaryFeed;
+        address secondaryFeed;
+        uint32 primaryHeartbeat;
+        uint32 secondaryHeartbeat;
+        uint16 maxDeviationBps;
+        bool isStablecoin;
+        uint16 depegThresholdBps;
+        address twapPool;
+        address twapBaseToken;
+        uint32 twapWindow;
+    }
+
+    uint8 public constant PRICE_DECIMALS = 18;
+    uint256 private constant ONE_USD = 1e18;
+    uint256 private constant BPS = 10_000;
+
+    // Events
+    event AssetConfigured(address indexed asset, address primaryFeed, address secondaryFeed, address twapPool);
+    event AssetRemoved(address indexed asset);
+    event SequencerUptimeFeedUpdated(address indexed feed, uint256 gracePeriod);
+
+    // State variables
+    mapping(address => AssetConfig) private assetConfigs;
+    mapping(address => bool) public isConfigured;
+
+    // Chainlink L2 sequencer uptime feed (zero on L1s)
+    address public sequencerUptimeFeed;
+
+    // Seconds to wait after the sequencer comes back up before accepting prices
+    uint256 public sequencerGracePeriod;
+
+    constructor(address owner_) Ownable(owner_) {}
+
+    // Admin functions ============================================
+
+    /**
+     * @dev Sets the price sources of an asset
+     * @param asset The asset (address(0) for the native token)
+     * @param config The sources and guards of the asset
+     * @notice Only owner can call this function
+     */
+    function setAssetConfig(address asset, AssetConfig calldata config) external onlyOwner {
+        require(
+            config.isStablecoin || config.primaryFeed != address(0) || config.twapPool != address(0),
+            "No price source"
+        );
+        require(config.primaryFeed == address(0) || config.primaryHeartbeat > 0, "Invalid primary heartbeat");
+        require(config.secondaryFeed == address(0) || config.secondaryHeartbeat > 0, "Invalid secondary heartbeat");
+        require(config.maxDeviationBps <= BPS, "Invalid deviation");
+        require(!config.isStablecoin || (config.depegThresholdBps > 0 && config.depegThresholdBps < BPS), "Invalid depeg threshold");
+        if (config.twapPool != address(0)) {
+            require(config.twapWindow > 0, "Invalid TWAP window");
+            IUniswapV3Pool pool = IUniswapV3Pool(config.twapPool);
+            require(
+                config.twapBaseToken == pool.token0() || config.twapBaseToken == pool.token1(),
+                "Base token not in pool"
+            );
+        }
+
+        assetConfigs[asset] = config;
+        isConfigured[asset] = true;
+
+        emit AssetConfigured(asset, config.primaryFeed, config.secondaryFeed, config.twapPool);
+    }
+
+    /**
+     * @dev Removes the price sources of an asset
+     * @param asset The asset to remove
+     * @notice Only owner can call this function
+     */
+    function removeAsset(address asset) external onlyOwner {
+        require(isConfigured[asset], "Asset not configured");
+        delete assetConfigs[asset];
+        isConfigured[asset] = false;
+
+        emit AssetRemoved(asset);
+    }
+
+    /**
+     * @dev Sets the L2 sequencer uptime feed
+     * @param feed The Chainlink sequencer uptime feed, or zero to disable the check
+     * @param gracePeriod Seconds to wait after the sequencer restarts
+     * @notice Only owner can call this function
+     */
+    function setSequencerUptimeFeed(address feed, uint256 gracePeriod) external onlyOwner {
+        sequencerUptimeFeed = feed;
+        sequencerGracePeriod = gracePeriod;
+
+        emit SequencerUptimeFeedUpdated(feed, gracePeriod);
+    }
+
+    // View functions =============================================
+
+    /**
+     * @dev Returns the USD price of one whole unit of an asset
+     * @param asset The asset (address(0) for the native token)
+     * @return price The price with 18 decimals
+     */
+    function getPrice(address asset) external view override returns (uint256 price) {
+        require(isConfigured[asset], "Asset not configured");
+        require(isSequencerUp(), "Sequencer down");
+
+        AssetConfig memory config = assetConfigs[asset];
+        (uint256[3] memory prices, bool[3] memory valid) = _readSources(config);
+
+        uint256 used = 3;
+        for (uint256 i = 0; i < 3; ++i) {
+            if (!valid[i]) continue;
+            if (used == 3) {
+                used = i;
+            } else {
+                require(_withinBps(prices[used], prices[i], config.maxDeviationBps), "Price deviation too high");
+                break;
+            }
+        }
+
+        if (used == 3) {
+            // A stablecoin without any source keeps its fixed $1 price
+            require(
+                config.isStablecoin &&
+                    config.primaryFeed == address(0) &&
+                    config.secondaryFeed == address(0) &&
+                    config.twapPool == address(0),
+                "No valid price"
+            );
+            return ONE_USD;
+        }
+
+        price = prices[used];
+        if (config.isStablecoin) {
+            require(_withinBps(price, ONE_USD, config.depegThresholdBps), "Stablecoin depegged");
+            price = ONE_USD;
+        }
+    }
+
+    /**
+     * @dev Returns each source of an asset and whether it currently answers a valid price
+     * @param asset The asset
+     * @return prices Primary, secondary and TWAP prices with 18 decimals (zero when invalid)
+     * @return valid Whether each source is configured, fresh and positive
+     */
+    function getSourcePrices(address asset) external view returns (uint256[3] memory prices, bool[3] memory valid) {
+        require(isConfigured[asset], "Asset not configured");
+        return _readSources(assetConfigs[asset]);
+    }
+
+    /**
+     * @dev Returns the price sources of an asset
+     * @param asset The asset
+     * @return The asset configuration
+     */
+    function getAssetConfig(address asset) external view returns (AssetConfig memory) {
+        return assetConfigs[asset];
+    }
+
+    /**
+     * @dev Returns whether the L2 sequencer is up and past its grace period (always true without a feed)
+     * @return True when prices can be trusted
+     */
+    function isSequencerUp() public view returns (bool) {
+        if (sequencerUptimeFeed == address(0)) return true;
+
+        // answer: 0 = up, 1 = down; startedAt: when the status last changed
+        (, int256 answer, uint256 startedAt, , ) = AggregatorV3Interface(sequencerUptimeFeed).latestRoundData();
+        return answer == 0 && startedAt > 0 && block.timestamp - startedAt > sequencerGracePeriod;
+    }
+
+    // Internal functions =========================================
+
+    function _readSources(AssetConfig memory config) internal view returns (uint256[3] memory prices, bool[3] memory valid) {
+        (prices[0], valid[0]) = _readFeed(config.primaryFeed, config.primaryHeartbeat);
+        (prices[1], valid[1]) = _readFeed(config.secondaryFeed, config.secondaryHeartbeat);
+        (prices[2], valid[2]) = _readTwap(config.twapPool, config.twapBaseToken, config.twapWindow);
+    }
+
+    /**
+     * @dev Reads a Chainlink feed, returning (0, false) instead of reverting when it is stale or broken
+     */
+    function _readFeed(address feed, uint256 heartbeat) internal view returns (uint256, bool) {
+        if (feed == address(0)) return (0, false);
+
+        try AggregatorV3Interface(feed).latestRoundData() returns (
+            uint80 roundId,
+            int256 answer,
+            uint256,
+            uint256 updatedAt,
+            uint80 answeredInRound
+        ) {
+            if (
+                answer <= 0 ||
+                updatedAt == 0 ||
+                updatedAt > block.timestamp ||
+                block.timestamp - updatedAt > heartbeat ||
+                answeredInRound < roundId
+            ) {
+                return (0, false);
+            }
+
+            try AggregatorV3Interface(feed).decimals() returns (uint8 feedDecimals) {
+                return (_scale(uint256(answer), feedDecimals, PRICE_DECIMALS), true);
+            } catch {
+                return (0, false);
+            }
+        } catch {
+            return (0, false);
+        }
+    }
+
+    /**
+     * @dev Reads the time-weighted average price of `baseToken` in the other pool token
+     */
+    function _readTwap(address poolAddress, address baseToken, uint32 window) internal view returns (uint256, bool) {
+        if (poolAddress == address(0)) return (0, false);
+
+        IUniswapV3Pool pool = IUniswapV3Pool(poolAddress);
+        uint32[] memory secondsAgos = new uint32[](2);
+        secondsAgos[0] = window;
+
+        try pool.observe(secondsAgos) returns (int56[] memory tickCumulatives, uint160[] memory) {
+            // Check the answer before the math so a malformed pool fails the read instead of the price
+            if (tickCumulatives.length != 2) return (0, false);
+            int256 delta = int256(tickCumulatives[1]) - tickCumulatives[0];
+            int256 period = int256(uint256(window));
+            int256 averageTick = delta / period;
+            // Round toward negative infinity
+            if (delta < 0 && delta % period != 0) averageTick--;
+            if (averageTick < TickMath.MIN_TICK || averageTick > TickMath.MAX_TICK) return (0, false);
+            int24 tick = int24(averageTick);
+
+            (address quoteToken, bool found) = _readQuoteToken(pool, baseToken);
+            if (!found) return (0, false);
+            (uint8 baseDecimals, bool baseRead) = _readDecimals(baseToken);
+            (uint8 quoteDecimals, bool quoteRead) = _readDecimals(quoteToken);
+            if (!baseRead || !quoteRead) return (0, false);
+
+            uint256 quote = _quoteAtTick(tick, 10 ** baseDecimals, baseToken, quoteToken);
+            if (quote == 0) return (0, false);
+            return (_scale(quote, quoteDecimals, PRICE_DECIMALS), true);
+        } catch {
+            return (0, false);
+        }
+    }
+
+    /**
+     * @dev Reads the pool token paired with `baseToken`
+     */
+    function _readQuoteToken(IUniswapV3Pool pool, address baseToken) internal view returns (address, bool) {
+        try pool.token0() returns (address token0) {
+            if (baseToken != token0) return (token0, true);
+        } catch {
+            return (address(0), false);
+        }
+        try pool.token1() returns (address token1) {
+            return (token1, true);
+        } catch {
+            return (address(0), false);
+        }
+    }
+
+    function _readDecimals(address token) internal view returns (uint8, bool) {
+        try IERC20Metadata(token).decimals() returns (uint8 tokenDecimals) {
+            return (tokenDecimals, true);
+        } catch {
+            return (0, false);
+        }
+    }
+
+    /**
+     * @dev Amount of `quoteToken` received for `baseAmount` of `baseToken` at `tick` (Uniswap OracleLibrary.getQuoteAtTick)
+     */
+    function _quoteAtTick(int24 tick, uint256 baseAmount, address baseToken, address quoteToken) internal pure returns (uint256) {
+        uint160 sqrtRatioX96 = TickMath.getSqrtRatioAtTick(tick);
+
+        if (sqrtRatioX96 <= type(uint128).max) {
+            uint256 ratioX192 = uint256(sqrtRatioX96) * sqrtRatioX96;
+            return baseToken < quoteToken
+                ? Math.mulDiv(ratioX192, baseAmount, 1 << 192)
+                : Math.mulDiv(1 << 192, baseAmount, ratioX192);
+        }
+
+        uint256 ratioX128 = Math.mulDiv(sqrtRatioX96, sqrtRatioX96, 1 << 64);
+        return baseToken < quoteToken
+            ? Math.mulDiv(ratioX128, baseAmount, 1 << 128)
+            : Math.mulDiv(1 << 128, baseAmount, ratioX128);
+    }
+
+    function _withinBps(uint256 price, uint256 expected, uint256 maxBps) internal pure returns (bool) {
+        if (maxBps == 0) return true;
+        uint256 diff = price > expected ? price - expected : expected - price;
+        return diff * BPS <= expected * maxBps;
+    }
+
+    function _scale(uint256 amount, uint8 from, uint8 to) internal pure returns (uint256) {
+        return from > to ? amount / (10 ** (from - to)) : amount * (10 ** (to - from));
+    }
+}
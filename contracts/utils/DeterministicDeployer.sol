@@ -0,0 +1,41 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {Address} from "@openzeppelin/contracts/utils/Address.sol";
+import {Create2} from "@openzeppelin/contracts/utils/Create2.sol";
+
+/**
+ * @title DeterministicDeployer
+ * @notice CREATE2 factory giving a deployer the same contract addresses on every chain
+ * @dev Salts are bound to the caller, so nobody else can claim a deployer's addresses.
+ * The follow-up calls run in the deployment transaction, which lets a proxy be initialized
+ * and handed over to its owner before anyone else can touch it.
+ * The factory itself is deployed through the deterministic deployment proxy
+ * (0x4e59b44847b379578588920cA78FbF26c0B4956C) so it also has one address on every chain.
+ */
+contract DeterministicDeployer {
+    event Deployed(address indexed deployer, bytes32 indexed salt, address deployed);
+
+    /**
+     * @notice Deploy `initCode` with CREATE2, then call the new contract with each of `calls`
+     * @param salt Caller-chosen salt, combined with the caller's address
+     * @param initCode Creation code and constructor arguments
+     * @param calls Calldata of the calls made to the new contract, in order (e.g. initializer, ownership transfer)
+     * @return deployed Address of the new contract
+     */
+    function deploy(bytes32 salt, bytes calldata initCode, bytes[] calldata calls) external returns (address deployed) {
+        bytes32 callerSalt = keccak256(abi.encode(msg.sender, salt));
+        deployed = Create2.deploy(0, callerSalt, initCode);
+        for (uint256 i = 0; i < calls.length; ++i) {
+            Address.functionCall(deployed, calls[i]);
+        }
+        emit Deployed(msg.sender, salt, deployed);
+    }
+
+    /**
+     * @notice Address `deployer` gets for `salt` and the creation code hashing to `initCodeHash`
+     */
+    function computeAddress(address deployer, bytes32 salt, bytes32 initCodeHash) external view returns (address) {
+        return Create2.computeAddress(keccak256(abi.encode(deployer, salt)), initCodeHash);
+    }
+}
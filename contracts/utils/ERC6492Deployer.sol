@@ -0,0 +1,18 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+/**
+ * @title ERC6492Deployer
+ * @notice Runs the factory call of an ERC-6492 signature on behalf of MetaTxGateway
+ * @dev Holds no funds and is trusted by nothing, so an arbitrary factory call made from here
+ * cannot act with the gateway's identity (e.g. as an ERC-2771 forwarder)
+ */
+contract ERC6492Deployer {
+    /**
+     * @notice Call `factory` with `factoryCalldata` to deploy a counterfactual wallet
+     * @return success True if the factory call did not revert
+     */
+    function deploy(address factory, bytes calldata factoryCalldata) external returns (bool success) {
+        (success, ) = factory.call(factoryCalldata);
+    }
+}
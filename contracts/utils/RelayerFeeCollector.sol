@@ -0,0 +1,31 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import {IERC20} from "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import {SafeERC20} from "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+/**
+ * @title RelayerFeeCollector
+ * @notice Pulls signed relayer fees on behalf of MetaTxGateway
+ * @dev Users approve this contract, never the gateway: batch calls run with the gateway as
+ * `msg.sender`, so an allowance granted to the gateway could be spent by anyone's batch.
+ * The gateway refuses batch calls targeting this contract.
+ */
+contract RelayerFeeCollector {
+    using SafeERC20 for IERC20;
+
+    address public immutable gateway;
+
+    constructor() {
+        gateway = msg.sender;
+    }
+
+    /**
+     * @notice Transfer `amount` of `token` from `from` to `to`
+     * @dev Only callable by the gateway that deployed this collector
+     */
+    function collect(address token, address from, address to, uint256 amount) external {
+        require(msg.sender == gateway, "Only gateway");
+        IERC20(token).safeTransferFrom(from, to, amount);
+    }
+}
@@ -0,0 +1,40 @@
+// SPDX-License-Identifier: MIT
+pragma solidity ^0.8.20;
+
+import "@openzeppelin/contracts/governance/utils/IVotes.sol";
+import "@openzeppelin/contracts/token/ERC20/IERC20.sol";
+import "@openzeppelin/contracts/token/ERC20/utils/SafeERC20.sol";
+
+// Holds the tokens of a single TokenVesting grant, so the voting power of each grant can be delegated on
+// its own. Deployed as a minimal clone by the TokenVesting contract that manages it.
+contract VestingEscrow {
+    using SafeERC20 for IERC20;
+
+    address public manager;
+    IERC20 public token;
+
+    modifier onlyManager() {
+        require(msg.sender == manager, "Not the manager");
+        _;
+    }
+
+    // The implementation is managed by its deployer, so it cannot be initialized
+    constructor() {
+        manager = msg.sender;
+    }
+
+    function initialize(IERC20 _token, address _delegatee) external {
+        require(manager == address(0), "Already initialized");
+        manager = msg.sender;
+        token = _token;
+        IVotes(address(_token)).delegate(_delegatee);
+    }
+
+    function delegate(address _delegatee) external onlyManager {
+        IVotes(address(token)).delegate(_delegatee);
+    }
+
+    function transfer(address _to, uint256 _amount) external onlyManager {
+        token.safeTransfer(_to, _amount);
+    }
+}
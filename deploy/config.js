@@ -0,0 +1,116 @@
+const fs = require('fs');
+const path = require('path');
+const { getAddress, isAddress } = require('ethers');
+
+const CONFIG_DIR = path.join(__dirname, 'config');
+
+/**
+ * Replace ${NAME} placeholders with environment variables
+ */
+function interpolate(value, env, where) {
+  if (typeof value === 'string') {
+    return value.replace(/\$\{([A-Z0-9_]+)\}/g, (match, name) => {
+      if (env[name] === undefined || env[name] === '') {
+        throw new Error(`Deployment config ${where} needs environment variable ${name}`);
+      }
+      return env[name];
+    });
+  }
+  if (Array.isArray(value)) return value.map((item, i) => interpolate(item, env, `${where}[${i}]`));
+  if (value && typeof value === 'object') {
+    return Object.fromEntries(Object.entries(value).map(([key, item]) => [key, interpolate(item, env, `${where}.${key}`)]));
+  }
+  return value;
+}
+
+function checkAddress(value, where) {
+  if (!isAddress(value)) throw new Error(`Deployment config ${where} is not an address: ${value}`);
+  return getAddress(value);
+}
+
+/**
+ * Check addresses (returned checksummed) and the references between sections,
+ * so a bad config fails before the first transaction
+ */
+function validate(config) {
+  if (config.owner) config.owner = checkAddress(config.owner, 'owner');
+  config.relayers = (config.relayers || []).map((relayer, i) => checkAddress(relayer, `relayers[${i}]`));
+
+  for (const [symbol, token] of Object.entries(config.tokens || {})) {
+    if (!token.mock && symbol !== 'native') token.address = checkAddress(token.address, `tokens.${symbol}.address`);
+    if (token.priceFeed) token.priceFeed = checkAddress(token.priceFeed, `tokens.${symbol}.priceFeed`);
+  }
+  if (config.vault && config.vault.priceOracle) {
+    config.vault.priceOracle = checkAddress(config.vault.priceOracle, 'vault.priceOracle');
+  }
+
+  const tokenRefs = [
+    ...((config.vault && config.vault.tokens) || []).map((symbol) => ['vault.tokens', symbol]),
+    ...((config.token && config.token.presale && config.token.presale.paymentTokens) || [])
+      .map((symbol) => ['token.presale.paymentTokens', symbol])
+  ];
+  for (const [where, symbol] of tokenRefs) {
+    if (!config.tokens || !config.tokens[symbol]) throw new Error(`Deployment config ${where} references unknown token ${symbol}`);
+  }
+
+  if (config.timelock) {
+    if (!Number.isInteger(config.timelock.minDelay) || config.timelock.minDelay < 0) {
+      throw new Error(`Deployment config timelock.minDelay must be a number of seconds: ${config.timelock.minDelay}`);
+    }
+    for (const key of ['proposers', 'executors']) {
+      if (config.timelock[key]) {
+        config.timelock[key] = config.timelock[key].map((account, i) => checkAddress(account, `timelock.${key}[${i}]`));
+      }
+    }
+  }
+
+  if (config.token) {
+    if (config.token.airdrop) {
+      throw new Error('Deployment config token.airdrop is no longer used: open airdrop campaigns with `npm run airdrop -- create`');
+    }
+    for (const name of ['marketingWallet', 'treasuryWallet', 'ecosystemWallet', 'liquidityWallet']) {
+      config.token.wallets[name] = checkAddress((config.token.wallets || {})[name], `token.wallets.${name}`);
+    }
+    if (config.token.trustedForwarder) {
+      config.token.trustedForwarder = checkAddress(config.token.trustedForwarder, 'token.trustedForwarder');
+    }
+    if (config.token.presale.priceOracle) {
+      config.token.presale.priceOracle = checkAddress(config.token.presale.priceOracle, 'token.presale.priceOracle');
+    }
+  }
+  return config;
+}
+
+/**
+ * Load the deployment config of a Hardhat network from deploy/config/<network>.json
+ * @param {string} network Hardhat network name
+ * @param {object} [options]
+ * @param {string} [options.file] Config file to use instead of the network's
+ * @param {object} [options.env] Environment used for ${NAME} placeholders
+ */
+function loadDeployConfig(network, { file, env = process.env } = {}) {
+  const configFile = file || path.join(CONFIG_DIR, `${network}.json`);
+  const raw = readDeployConfig(network, { file });
+  if (!raw) throw new Error(`No deployment config for network ${network} (expected ${configFile})`);
+  return validate(interpolate(raw, env, path.basename(configFile)));
+}
+
+/**
+ * Read a network's deploy config as written (no placeholders replaced, nothing checked), or null without one
+ */
+function readDeployConfig(network, { file } = {}) {
+  const configFile = file || path.join(CONFIG_DIR, `${network}.json`);
+  return fs.existsSync(configFile) ? JSON.parse(fs.readFileSync(configFile, 'utf8')) : null;
+}
+
+/**
+ * Resolve a config timestamp: an ISO date, or "+<seconds>" relative to `now`
+ */
+function resolveTimestamp(value, now) {
+  if (typeof value === 'string' && value.startsWith('+')) return now + Number(value.slice(1));
+  const timestamp = Math.floor(new Date(value).getTime() / 1000);
+  if (!Number.isFinite(timestamp)) throw new Error(`Invalid deployment config date: ${value}`);
+  return timestamp;
+}
+
+module.exports = { CONFIG_DIR, loadDeployConfig, readDeployConfig, resolveTimestamp };
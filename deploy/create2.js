@@ -0,0 +1,67 @@
+const { AbiCoder, ZeroHash, concat, getCreate2Address, id, keccak256 } = require('ethers');
+
+// Deterministic deployment proxy (https://github.com/Arachnid/deterministic-deployment-proxy),
+// present at this address on most EVM chains: calldata is salt ++ creation code
+const DEPLOYMENT_PROXY = '0x4e59b44847b379578588920cA78FbF26c0B4956C';
+const DEPLOYMENT_PROXY_CODE = '0x7fffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffffe03601600081602082378035828234f58015156039578182fd5b8082525050506014600cf3';
+
+// Chains whose node accepts hardhat_setCode, where a missing deployment proxy can be installed
+const LOCAL_CHAIN_IDS = [31337n];
+
+/**
+ * Salt of a contract within a deployment: the same label and name give the same address on every chain
+ */
+function contractSalt(label, name) {
+  return id(`${label}/${name}`);
+}
+
+/**
+ * Address of DeterministicDeployer once deployed through the deployment proxy
+ */
+function deployerAddress(deployerInitCode) {
+  return getCreate2Address(DEPLOYMENT_PROXY, ZeroHash, keccak256(deployerInitCode));
+}
+
+/**
+ * Address DeterministicDeployer.deploy gives `sender` for `salt` and `initCode`
+ */
+function predictAddress(factory, sender, salt, initCode) {
+  const callerSalt = keccak256(AbiCoder.defaultAbiCoder().encode(['address', 'bytes32'], [sender, salt]));
+  return getCreate2Address(factory, callerSalt, keccak256(initCode));
+}
+
+/**
+ * Deploy DeterministicDeployer through the deployment proxy, unless it is already there
+ * @param {import('ethers').Signer} signer
+ * @param {string} deployerInitCode DeterministicDeployer creation code
+ * @param {number} [confirmations]
+ * @return {Promise<string>} The DeterministicDeployer address
+ */
+async function ensureDeployer(signer, deployerInitCode, confirmations = 1) {
+  const provider = signer.provider;
+  const address = deployerAddress(deployerInitCode);
+  if ((await provider.getCode(address)) !== '0x') return address;
+
+  if ((await provider.getCode(DEPLOYMENT_PROXY)) === '0x') {
+    const { chainId } = await provider.getNetwork();
+    if (!LOCAL_CHAIN_IDS.includes(chainId)) {
+      throw new Error(`Deterministic deployment proxy ${DEPLOYMENT_PROXY} is not deployed on chain ${chainId}`);
+    }
+    await provider.send('hardhat_setCode', [DEPLOYMENT_PROXY, DEPLOYMENT_PROXY_CODE]);
+  }
+
+  const tx = await signer.sendTransaction({ to: DEPLOYMENT_PROXY, data: concat([ZeroHash, deployerInitCode]) });
+  await tx.wait(confirmations);
+  if ((await provider.getCode(address)) === '0x') {
+    throw new Error(`DeterministicDeployer deployment failed (${tx.hash})`);
+  }
+  return address;
+}
+
+module.exports = {
+  DEPLOYMENT_PROXY,
+  contractSalt,
+  deployerAddress,
+  predictAddress,
+  ensureDeployer
+};
@@ -0,0 +1,138 @@
+const ETHERSCAN_V2 = 'https://api.etherscan.io/v2/api';
+
+/**
+ * Etherscan-family explorers by Hardhat network. The Etherscan V2 API serves every chain with one
+ * ETHERSCAN_API_KEY (selected by `chainid`); `apiKeyEnv` names a chain-specific key used first when set.
+ * A deploy config can override any field with an `explorer` section.
+ */
+const EXPLORERS = {
+  mainnet: { apiUrl: ETHERSCAN_V2, browserUrl: 'https://etherscan.io' },
+  sepolia: { apiUrl: ETHERSCAN_V2, browserUrl: 'https://sepolia.etherscan.io' },
+  base: { apiUrl: ETHERSCAN_V2, browserUrl: 'https://basescan.org', apiKeyEnv: 'BASESCAN_API_KEY' },
+  optimism: { apiUrl: ETHERSCAN_V2, browserUrl: 'https://optimistic.etherscan.io', apiKeyEnv: 'OPTIMISM_API_KEY' },
+  arbitrum: { apiUrl: ETHERSCAN_V2, browserUrl: 'https://arbiscan.io', apiKeyEnv: 'ARBISCAN_API_KEY' },
+  polygon: { apiUrl: ETHERSCAN_V2, browserUrl: 'https://polygonscan.com', apiKeyEnv: 'POLYGONSCAN_API_KEY' },
+  avalanche: { apiUrl: ETHERSCAN_V2, browserUrl: 'https://snowscan.xyz', apiKeyEnv: 'SNOWSCAN_API_KEY' },
+  bsc: { apiUrl: ETHERSCAN_V2, browserUrl: 'https://bscscan.com', apiKeyEnv: 'BSCSCAN_API_KEY' }
+};
+
+/**
+ * Explorer settings of a network, or null when it has none (local networks) or no API key is set
+ * @param {string} network Hardhat network name
+ * @param {object} [override] `explorer` section of the deploy config
+ * @param {object} [env]
+ */
+function explorerFor(network, override = {}, env = process.env) {
+  const explorer = { ...EXPLORERS[network], ...override };
+  if (env.VERIFY_API_URL) explorer.apiUrl = env.VERIFY_API_URL;
+  if (!explorer.apiUrl) return null;
+
+  const apiKey = explorer.apiKey || (explorer.apiKeyEnv && env[explorer.apiKeyEnv]) || env.ETHERSCAN_API_KEY;
+  if (!apiKey) return null;
+  return { ...explorer, apiKey };
+}
+
+/**
+ * Minimal client for the Etherscan contract verification API
+ */
+class EtherscanClient {
+  /**
+   * @param {object} options
+   * @param {string} options.apiUrl
+   * @param {string} options.apiKey
+   * @param {bigint|number|string} options.chainId Sent as `chainid` (Etherscan V2)
+   * @param {number} [options.pollInterval] Milliseconds between status checks (default 5000)
+   * @param {number} [options.maxPolls] Status checks before giving up (default 60)
+   */
+  constructor({ apiUrl, apiKey, chainId, pollInterval = 5000, maxPolls = 60 }) {
+    this.apiUrl = apiUrl;
+    this.apiKey = apiKey;
+    this.chainId = chainId.toString();
+    this.pollInterval = pollInterval;
+    this.maxPolls = maxPolls;
+  }
+
+  /**
+   * Whether the explorer already has verified source code for `address`
+   */
+  async isVerified(address) {
+    const response = await this._get({ module: 'contract', action: 'getsourcecode', address });
+    const [source] = Array.isArray(response.result) ? response.result : [];
+    return Boolean(source && source.SourceCode);
+  }
+
+  /**
+   * Submit a standard-JSON input and wait for the verdict
+   * @param {object} request
+   * @param {string} request.address
+   * @param {string} request.contractName Fully qualified name (`contracts/X.sol:X`)
+   * @param {string} request.compilerVersion e.g. v0.8.20+commit.a1b79de6
+   * @param {object} request.input Standard-JSON input
+   * @param {string} request.constructorArguments ABI-encoded, 0x-prefixed
+   * @return {Promise<'verified'|'already verified'>}
+   */
+  async verify({ address, contractName, compilerVersion, input, constructorArguments }) {
+    const response = await this._post({
+      module: 'contract',
+      action: 'verifysourcecode',
+      contractaddress: address,
+      sourceCode: JSON.stringify(input),
+      codeformat: 'solidity-standard-json-input',
+      contractname: contractName,
+      compilerversion: compilerVersion,
+      constructorArguements: constructorArguments.replace(/^0x/, '')
+    });
+    if (response.status !== '1') {
+      if (/already verified/i.test(response.result)) return 'already verified';
+      throw new Error(`Explorer rejected ${contractName} at ${address}: ${response.result}`);
+    }
+    return this._poll('checkverifystatus', response.result, `${contractName} at ${address}`);
+  }
+
+  /**
+   * Ask the explorer to show `address` as a proxy of `implementation`
+   */
+  async linkProxy(address, implementation) {
+    const response = await this._post({
+      module: 'contract',
+      action: 'verifyproxycontract',
+      address,
+      expectedimplementation: implementation
+    });
+    if (response.status !== '1') throw new Error(`Explorer refused to link proxy ${address}: ${response.result}`);
+    return this._poll('checkproxyverification', response.result, `proxy ${address}`);
+  }
+
+  async _poll(action, guid, what) {
+    for (let i = 0; i < this.maxPolls; i++) {
+      const response = await this._get({ module: 'contract', action, guid });
+      const result = String(response.result);
+      if (/already verified/i.test(result)) return 'already verified';
+      if (response.status === '1' || /^pass/i.test(result) || /successfully/i.test(result)) return 'verified';
+      if (!/pending|in queue/i.test(result)) throw new Error(`Explorer failed to verify ${what}: ${result}`);
+      await new Promise((resolve) => setTimeout(resolve, this.pollInterval));
+    }
+    throw new Error(`Explorer did not verify ${what} after ${this.maxPolls} checks`);
+  }
+
+  async _get(params) {
+    const query = new URLSearchParams({ chainid: this.chainId, ...params, apikey: this.apiKey });
+    return this._json(await fetch(`${this.apiUrl}?${query}`));
+  }
+
+  async _post(params) {
+    const query = new URLSearchParams({ chainid: this.chainId });
+    return this._json(await fetch(`${this.apiUrl}?${query}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/x-www-form-urlencoded' },
+      body: new URLSearchParams({ ...params, apikey: this.apiKey })
+    }));
+  }
+
+  async _json(response) {
+    if (!response.ok) throw new Error(`Explorer API returned HTTP ${response.status}`);
+    return response.json();
+  }
+}
+
+module.exports = { EXPLORERS, EtherscanClient, explorerFor };
@@ -0,0 +1,73 @@
+const GATEWAY_ROLES = ['DEFAULT_ADMIN_ROLE', 'PAUSER_ROLE', 'RELAYER_MANAGER_ROLE', 'UPGRADER_ROLE'];
+
+/**
+ * State of a proxy that an upgrade must not change, taken before and after it:
+ * gateway nonces, relayers and roles; vault relayers, tokens, totals and user balances
+ * (legacy credits and token positions, which credits are priced from)
+ * @param {string} name MetaTxGateway or GasCreditVault
+ * @param {import('ethers').Contract} contract The proxy
+ * @param {string[]} accounts Users whose nonces and balances are compared
+ */
+async function snapshotProxy(name, contract, accounts) {
+  const state = { owner: await contract.owner() };
+
+  if (name === 'MetaTxGateway') {
+    state.relayers = sorted(await contract.getRelayers());
+    state.batchCount = await contract.getTotalBatchCount();
+    state.roles = {};
+    for (const role of GATEWAY_ROLES) {
+      state.roles[role] = sorted(await contract.getRoleMembers(await contract[role]()));
+    }
+    state.nonces = {};
+    for (const account of accounts) {
+      state.nonces[account] = await contract.getNonce(account);
+    }
+  } else if (name === 'GasCreditVault') {
+    const tokens = sorted(await contract.getWhitelistedTokens());
+    state.relayers = sorted(await contract.getWhitelistedRelayers());
+    state.tokens = tokens;
+    state.totalConsumedCredits = await contract.totalConsumedCredits();
+    state.consumptionCount = await contract.getConsumptionCount();
+    state.totalPositions = {};
+    for (const token of tokens) {
+      state.totalPositions[token] = await contract.totalPositions(token);
+    }
+    state.balances = {};
+    for (const account of accounts) {
+      const [positionTokens, amounts] = await contract.getPositions(account);
+      state.balances[account] = {
+        legacyCredits: await contract.legacyCredits(account),
+        positions: Object.fromEntries(positionTokens.map((token, i) => [token, amounts[i]]))
+      };
+    }
+  } else {
+    throw new Error(`No upgrade invariants for ${name}`);
+  }
+  return flatten(state);
+}
+
+/**
+ * Differences between two snapshots, as "<path>: <before> -> <after>" lines
+ */
+function compareSnapshots(before, after) {
+  const keys = [...new Set([...Object.keys(before), ...Object.keys(after)])].sort();
+  return keys
+    .filter((key) => before[key] !== after[key])
+    .map((key) => `${key}: ${before[key] === undefined ? '(none)' : before[key]} -> ${after[key] === undefined ? '(none)' : after[key]}`);
+}
+
+function sorted(addresses) {
+  return [...addresses].sort();
+}
+
+// { a: { b: 1n } } => { 'a.b': '1' }
+function flatten(value, prefix = '', out = {}) {
+  if (value && typeof value === 'object' && !Array.isArray(value)) {
+    for (const [key, item] of Object.entries(value)) flatten(item, prefix ? `${prefix}.${key}` : key, out);
+  } else {
+    out[prefix] = Array.isArray(value) ? value.join(',') : String(value);
+  }
+  return out;
+}
+
+module.exports = { snapshotProxy, compareSnapshots };
@@ -0,0 +1,94 @@
+const fs = require('fs');
+const path = require('path');
+
+const MANIFEST_DIR = path.join(__dirname, '..', 'deployments');
+
+/**
+ * Per-chain record of a deployment: contract addresses, deployment and setup transactions,
+ * and the implementation behind each proxy. Written after every step so a deployment can resume.
+ */
+class DeploymentManifest {
+  constructor(file, data) {
+    this.file = file;
+    this.data = data;
+  }
+
+  /**
+   * Load the manifest at `file` (a fresh one if it does not exist yet); without a file nothing is written
+   */
+  static load(file, { network, chainId }) {
+    const data = file && fs.existsSync(file)
+      ? JSON.parse(fs.readFileSync(file, 'utf8'))
+      : { network, chainId: chainId.toString(), contracts: {}, steps: {} };
+
+    if (data.chainId !== chainId.toString()) {
+      throw new Error(`Deployment manifest ${file} is for chain ${data.chainId}, not ${chainId}`);
+    }
+    return new DeploymentManifest(file, data);
+  }
+
+  static defaultFile(network) {
+    return path.join(MANIFEST_DIR, `${network}.json`);
+  }
+
+  contract(name) {
+    return this.data.contracts[name];
+  }
+
+  setContract(name, record) {
+    this.data.contracts[name] = { ...this.data.contracts[name], ...record };
+    this.save();
+  }
+
+  step(id) {
+    return this.data.steps[id];
+  }
+
+  /**
+   * Record a completed setup step; `txHash` is null when the chain already had the expected state
+   */
+  completeStep(id, txHash) {
+    this.data.steps[id] = { txHash, completedAt: new Date().toISOString() };
+    this.save();
+  }
+
+  /**
+   * Upgrade of proxy `name` scheduled on the upgrade timelock and not executed yet
+   */
+  pendingUpgrade(name) {
+    return (this.data.pendingUpgrades || {})[name];
+  }
+
+  /**
+   * Record a scheduled upgrade of `name`, or clear it with null once executed or cancelled
+   */
+  setPendingUpgrade(name, record) {
+    const pending = { ...this.data.pendingUpgrades };
+    if (record) pending[name] = record;
+    else delete pending[name];
+    this.data.pendingUpgrades = pending;
+    this.save();
+  }
+
+  /**
+   * Record the new implementation of proxy `name`, keeping the previous one in its upgrade history
+   */
+  recordUpgrade(name, { contractName, implementation, bytecodeHash, txHash }) {
+    const previous = this.data.contracts[name];
+    const history = [
+      ...(previous.history || []),
+      { contractName: previous.contractName, implementation: previous.implementation, bytecodeHash: previous.bytecodeHash }
+    ];
+    this.setContract(name, { contractName, implementation, bytecodeHash, upgradeTxHash: txHash, upgradedAt: new Date().toISOString(), history });
+  }
+
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(this.data, null, 2) + '\n');
+    fs.renameSync(tmp, this.file);
+  }
+}
+
+module.exports = { DeploymentManifest, MANIFEST_DIR };
@@ -0,0 +1,492 @@
+const { AbiCoder, ZeroAddress, concat, keccak256, parseUnits } = require('ethers');
+const proxyArtifact = require('@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json');
+const { resolveTimestamp } = require('./config');
+const { contractSalt, deployerAddress, predictAddress, ensureDeployer } = require('./create2');
+
+const NATIVE = 'native';
+const GATEWAY_ROLES = ['DEFAULT_ADMIN_ROLE', 'PAUSER_ROLE', 'RELAYER_MANAGER_ROLE', 'UPGRADER_ROLE'];
+
+// Constructor arguments as the manifest stores them (numbers and addresses as strings, arrays kept)
+function serializeArg(arg) {
+  return Array.isArray(arg) ? arg.map(serializeArg) : String(arg);
+}
+
+/**
+ * Runs the deployment described by a network's deploy config (see docs/getting-started/deployment.md)
+ *
+ * Every contract and every setup step is recorded in the manifest as soon as it completes, and
+ * setup steps first check the chain for the state they would set, so the pipeline can be re-run
+ * after a failure, or after changing the config, without repeating what is already done.
+ */
+class DeploymentPipeline {
+  /**
+   * @param {object} options
+   * @param {object} options.hre Hardhat runtime environment
+   * @param {object} options.config Loaded deploy config
+   * @param {import('./manifest').DeploymentManifest} options.manifest
+   * @param {import('ethers').Signer} options.deployer
+   * @param {function} [options.log]
+   */
+  constructor({ hre, config, manifest, deployer, log = console.log }) {
+    this.hre = hre;
+    this.ethers = hre.ethers;
+    this.config = config;
+    this.manifest = manifest;
+    this.deployer = deployer;
+    this.log = log;
+    this.confirmations = hre.network.config.confirmations || 1;
+    this.contracts = {};
+  }
+
+  /**
+   * Deploy and configure everything the config describes
+   * @return {Promise<object>} The manifest data
+   */
+  async run() {
+    this.deployerAddress = await this.deployer.getAddress();
+    this.owner = this.config.owner || this.deployerAddress;
+    if (this.config.create2) await this._initCreate2();
+
+    await this._deployMocks();
+    if (this.config.gateway) await this._deployGateway();
+    if (this.config.vault) await this._deployVault();
+    if (this.config.token) await this._deployToken();
+    if (this.config.timelock) await this._deployTimelock();
+    if (this.owner !== this.deployerAddress) await this._transferOwnership();
+
+    return this.manifest.data;
+  }
+
+  /**
+   * Addresses the CREATE2 deployment gives the gateway and vault proxies, without sending transactions
+   * (identical on every chain for the same deployer, salt and compiled code)
+   */
+  async predict() {
+    if (!this.config.create2) throw new Error('Address prediction needs a create2 section in the deploy config');
+    this.deployerAddress = await this.deployer.getAddress();
+    const factory = deployerAddress(await this._initCode('DeterministicDeployer'));
+
+    const predicted = { DeterministicDeployer: factory };
+    for (const name of ['MetaTxGateway', 'GasCreditVault']) {
+      if (!this.config[name === 'MetaTxGateway' ? 'gateway' : 'vault']) continue;
+      const implementation = predictAddress(
+        factory,
+        this.deployerAddress,
+        contractSalt(this.config.create2.salt, `${name}.implementation`),
+        await this._initCode(name)
+      );
+      predicted[name] = predictAddress(
+        factory,
+        this.deployerAddress,
+        contractSalt(this.config.create2.salt, name),
+        this._proxyInitCode(implementation)
+      );
+    }
+    return predicted;
+  }
+
+  // MetaTx contracts =============================================
+
+  async _deployGateway() {
+    const gateway = await this._deployProxy('MetaTxGateway', (proxy) => {
+      // The factory ran the initializer: hand the roles and ownership over to the deployer
+      const iface = proxy.interface;
+      return [
+        ...GATEWAY_ROLES.map((role) => iface.encodeFunctionData('grantRole', [this._role(role), this.deployerAddress])),
+        iface.encodeFunctionData('transferOwnership', [this.deployerAddress]),
+        ...[...GATEWAY_ROLES].reverse().map((role) => iface.encodeFunctionData('renounceRole', [this._role(role)]))
+      ];
+    });
+
+    for (const relayer of this.config.relayers || []) {
+      await this._step(`MetaTxGateway.setRelayerAuthorization:${relayer}`, {
+        done: () => gateway.authorizedRelayers(relayer),
+        send: () => gateway.setRelayerAuthorization(relayer, true)
+      });
+    }
+  }
+
+  async _deployVault() {
+    const vault = await this._deployProxy('GasCreditVault', (proxy) => [
+      proxy.interface.encodeFunctionData('transferOwnership', [this.deployerAddress])
+    ]);
+    const settings = this.config.vault;
+
+    for (const relayer of this.config.relayers || []) {
+      await this._step(`GasCreditVault.addWhitelistedRelayer:${relayer}`, {
+        done: () => vault.isRelayerWhitelisted(relayer),
+        send: () => vault.addWhitelistedRelayer(relayer)
+      });
+    }
+
+    if (settings.priceOracle) {
+      await this._step('GasCreditVault.setPriceOracle', {
+        done: async () => (await vault.priceOracle()) === settings.priceOracle,
+        send: () => vault.setPriceOracle(settings.priceOracle)
+      });
+    }
+
+    for (const symbol of settings.tokens || []) {
+      const token = this.config.tokens[symbol];
+      const address = symbol === NATIVE ? await vault.NATIVE_TOKEN() : this._tokenAddress(symbol);
+      await this._step(`GasCreditVault.whitelistToken:${symbol}`, {
+        done: () => vault.isTokenWhitelisted(address),
+        send: () => vault.whitelistToken(address, this._priceFeed(symbol), Boolean(token.isStablecoin))
+      });
+    }
+
+    // Let users deposit and transfer credits through the gateway (ERC-2771)
+    if (this.contracts.MetaTxGateway && settings.trustGateway !== false) {
+      const gateway = this.contracts.MetaTxGateway.target;
+      await this._step('GasCreditVault.setTrustedForwarder', {
+        done: async () => (await vault.trustedForwarder()) === gateway,
+        send: () => vault.setTrustedForwarder(gateway)
+      });
+    }
+  }
+
+  // DI token and distribution contracts ==========================
+
+  async _deployToken() {
+    const settings = this.config.token;
+    const forwarder = settings.trustedForwarder
+      || (this.contracts.MetaTxGateway ? this.contracts.MetaTxGateway.target : ZeroAddress);
+    const owner = this.deployerAddress;
+
+    const di = await this._deployContract('DI', [owner]);
+    const vote = await this._deployContract('DIVote', [di.target, owner, forwarder]);
+    // Both allocations vest through their own TokenVesting, which gets the allocation minted to it
+    const kol = await this._deployContract('KOLVesting', [di.target, owner, forwarder], 'TokenVesting');
+    const team = await this._deployContract('TeamVesting', [di.target, owner, forwarder], 'TokenVesting');
+    const airdrop = await this._deployContract('TokenAirdrop', [di.target, owner, forwarder]);
+    const presale = await this._deployContract('TokenPresale', [
+      di.target,
+      parseUnits(settings.presale.totalForSale, 18),
+      owner,
+      forwarder
+    ]);
+    const staking = await this._deployContract('TokenStaking', [di.target, owner, forwarder]);
+    this.tokenContracts = [di, vote, kol, team, airdrop, presale, staking];
+
+    if (settings.presale.priceOracle) {
+      await this._step('TokenPresale.setPriceOracle', {
+        done: async () => (await presale.priceOracle()) === settings.presale.priceOracle,
+        send: () => presale.setPriceOracle(settings.presale.priceOracle)
+      });
+    }
+
+    for (const symbol of settings.presale.paymentTokens || []) {
+      const token = this.config.tokens[symbol];
+      const address = symbol === NATIVE ? ZeroAddress : this._tokenAddress(symbol);
+      await this._step(`TokenPresale.addPaymentToken:${symbol}`, {
+        done: async () => (await presale.paymentTokens(address)).isAllowed,
+        send: () => presale.addPaymentToken(address, this._priceFeed(symbol), token.decimals, Boolean(token.isStablecoin))
+      });
+    }
+
+    await this._windowStep('TokenPresale.setSaleWindow', presale, settings.presale, (start, end) =>
+      presale.setSaleWindow(start, end)
+    );
+
+    if (settings.staking && settings.staking.start) {
+      // Staking can only be scheduled once
+      await this._step('TokenStaking.setStartTimeForStaking', {
+        done: async () => (await staking.stakingStartedAt()) !== 0n,
+        send: async () => staking.setStartTimeForStaking(resolveTimestamp(settings.staking.start, await this._now()))
+      });
+    }
+
+    await this._step('DI.allocateToken', {
+      done: async () => (await di.allocationAddresses()).presaleContract !== ZeroAddress,
+      send: () => di.allocateToken({
+        presaleContract: presale.target,
+        kolAllocationContract: kol.target,
+        teamAllocationContract: team.target,
+        stakingContract: staking.target,
+        airdropContract: airdrop.target,
+        ...settings.wallets
+      })
+    });
+  }
+
+  // Upgrade timelock =============================================
+
+  /**
+   * Deploy the UpgradeTimelock and hand it the upgrade rights of the proxies, which the deployer
+   * and the owner then no longer have (upgrades go through scripts/upgrade.js)
+   */
+  async _deployTimelock() {
+    const settings = this.config.timelock;
+    const proposers = settings.proposers || [this.owner];
+    const executors = settings.executors || proposers;
+    const timelock = await this._deployContract('UpgradeTimelock', [settings.minDelay, proposers, executors, ZeroAddress]);
+
+    const gateway = this.contracts.MetaTxGateway;
+    if (gateway) {
+      const upgrader = this._role('UPGRADER_ROLE');
+      await this._step(`MetaTxGateway.grantRole:UPGRADER_ROLE:${timelock.target}`, {
+        done: () => gateway.hasRole(upgrader, timelock.target),
+        send: () => gateway.grantRole(upgrader, timelock.target)
+      });
+      await this._step('MetaTxGateway.renounceRole:UPGRADER_ROLE', {
+        done: async () => !(await gateway.hasRole(upgrader, this.deployerAddress)),
+        send: () => gateway.renounceRole(upgrader)
+      });
+    }
+
+    const vault = this.contracts.GasCreditVault;
+    if (vault) {
+      await this._step('GasCreditVault.setUpgrader', {
+        done: async () => (await vault.upgrader()) === timelock.target,
+        send: () => vault.setUpgrader(timelock.target)
+      });
+    }
+  }
+
+  // Ownership ====================================================
+
+  async _transferOwnership() {
+    const gateway = this.contracts.MetaTxGateway;
+    // With a timelock the owner gets every role but the upgrader role
+    const roles = GATEWAY_ROLES.filter((role) => !(this.config.timelock && role === 'UPGRADER_ROLE'));
+    if (gateway) {
+      for (const role of roles) {
+        await this._step(`MetaTxGateway.grantRole:${role}`, {
+          done: () => gateway.hasRole(this._role(role), this.owner),
+          send: () => gateway.grantRole(this._role(role), this.owner)
+        });
+      }
+    }
+
+    const owned = [gateway, this.contracts.GasCreditVault, ...(this.tokenContracts || [])].filter(Boolean);
+    for (const contract of owned) {
+      const name = this._nameOf(contract);
+      await this._step(`${name}.transferOwnership`, {
+        done: async () => (await contract.owner()) === this.owner,
+        send: () => contract.transferOwnership(this.owner)
+      });
+    }
+
+    if (gateway) {
+      // The admin role goes last: the gateway refuses to lose its last admin
+      for (const role of [...roles].reverse()) {
+        await this._step(`MetaTxGateway.renounceRole:${role}`, {
+          done: async () => !(await gateway.hasRole(this._role(role), this.deployerAddress)),
+          send: () => gateway.renounceRole(this._role(role))
+        });
+      }
+    }
+  }
+
+  // Mocks (local networks) =======================================
+
+  async _deployMocks() {
+    for (const [symbol, token] of Object.entries(this.config.tokens || {})) {
+      if (!token.mock) continue;
+      if (symbol !== NATIVE) {
+        await this._deployContract(this._mockName(symbol), [token.mock.name || symbol, symbol, token.decimals], 'MockERC20');
+      }
+      if (token.mock.price) {
+        await this._deployContract(`${this._mockName(symbol)}Feed`, [parseUnits(token.mock.price, 8), 8], 'MockAggregatorV3');
+      }
+    }
+  }
+
+  _mockName(symbol) {
+    return symbol === NATIVE ? 'MockNative' : `Mock${symbol}`;
+  }
+
+  _tokenAddress(symbol) {
+    const token = this.config.tokens[symbol];
+    return token.mock ? this.contracts[this._mockName(symbol)].target : token.address;
+  }
+
+  _priceFeed(symbol) {
+    const token = this.config.tokens[symbol];
+    if (token.mock && token.mock.price) return this.contracts[`${this._mockName(symbol)}Feed`].target;
+    return token.priceFeed || ZeroAddress;
+  }
+
+  // Deployment primitives ========================================
+
+  async _initCreate2() {
+    this.factoryAddress = await ensureDeployer(this.deployer, await this._initCode('DeterministicDeployer'), this.confirmations);
+    this.factory = await this.ethers.getContractAt('DeterministicDeployer', this.factoryAddress, this.deployer);
+    this.manifest.setContract('DeterministicDeployer', { address: this.factoryAddress });
+  }
+
+  async _initCode(contractName, args = []) {
+    const factory = await this.ethers.getContractFactory(contractName, this.deployer);
+    return (await factory.getDeployTransaction(...args)).data;
+  }
+
+  _proxyInitCode(implementation) {
+    return concat([proxyArtifact.bytecode, AbiCoder.defaultAbiCoder().encode(['address', 'bytes'], [implementation, '0x'])]);
+  }
+
+  async _bytecodeHash(contractName) {
+    return keccak256((await this.hre.artifacts.readArtifact(contractName)).deployedBytecode);
+  }
+
+  /**
+   * Attach to a contract the manifest already records, or return null when it has to be deployed
+   */
+  async _existing(name, contractName) {
+    const record = this.manifest.contract(name);
+    if (!record) return null;
+
+    let address = record.address;
+    if (!address && record.txHash) {
+      // Deployment sent but not recorded: pick it up from its receipt
+      const receipt = await this.ethers.provider.getTransactionReceipt(record.txHash);
+      if (!receipt) return null;
+      address = receipt.contractAddress;
+      this.manifest.setContract(name, { address });
+    }
+    if (!address) return null;
+
+    if ((await this.ethers.provider.getCode(address)) === '0x') {
+      throw new Error(`Manifest records ${name} at ${address} but there is no code there; remove it from ${this.manifest.file} to redeploy`);
+    }
+    if (record.kind === 'uups') {
+      const implementation = await this.hre.upgrades.erc1967.getImplementationAddress(address);
+      if (implementation !== record.implementation) this.manifest.setContract(name, { implementation });
+    }
+    if (record.bytecodeHash && record.bytecodeHash !== await this._bytecodeHash(contractName)) {
+      this.log(`! ${name} at ${address} runs older code than the current build (upgrade or redeploy it explicitly)`);
+    }
+    this.log(`= ${name} ${address}`);
+    return this.ethers.getContractAt(contractName, address, this.deployer);
+  }
+
+  async _deployContract(name, args, contractName = name) {
+    const existing = await this._existing(name, contractName);
+    if (existing) return this._track(name, existing);
+
+    const record = { contractName, args: args.map(serializeArg), bytecodeHash: await this._bytecodeHash(contractName) };
+    let address;
+    let txHash;
+    if (this.factory) {
+      ({ address, txHash } = await this._create2(name, await this._initCode(contractName, args), []));
+    } else {
+      const factory = await this.ethers.getContractFactory(contractName, this.deployer);
+      const contract = await factory.deploy(...args);
+      txHash = contract.deploymentTransaction().hash;
+      this.manifest.setContract(name, { ...record, txHash });
+      await contract.deploymentTransaction().wait(this.confirmations);
+      address = contract.target;
+    }
+
+    this.manifest.setContract(name, { ...record, address, txHash });
+    this.log(`+ ${name} ${address}`);
+    return this._track(name, await this.ethers.getContractAt(contractName, address, this.deployer));
+  }
+
+  /**
+   * Deploy a UUPS proxy; with CREATE2 the factory initializes it and then makes the calls `handover`
+   * returns, which must leave the deployer in control
+   */
+  async _deployProxy(name, handover) {
+    const existing = await this._existing(name, name);
+    if (existing) return this._track(name, existing);
+
+    const Factory = await this.ethers.getContractFactory(name, this.deployer);
+    const record = { contractName: name, kind: 'uups', bytecodeHash: await this._bytecodeHash(name) };
+    let proxy;
+    let txHash;
+    let proxyArgs;
+
+    if (this.factory) {
+      const implementation = await this._create2(`${name}.implementation`, await this._initCode(name), []);
+      const calls = [Factory.interface.encodeFunctionData('initialize', []), ...handover(Factory)];
+      const deployed = await this._create2(name, this._proxyInitCode(implementation.address), calls);
+      txHash = deployed.txHash;
+      proxyArgs = [implementation.address, '0x'];
+      record.implementationTxHash = implementation.txHash;
+      proxy = Factory.attach(deployed.address);
+      // Register the proxy with the upgrades plugin so later upgrades validate storage layouts
+      await this.hre.upgrades.forceImport(deployed.address, Factory, { kind: 'uups' });
+    } else {
+      proxy = await this.hre.upgrades.deployProxy(Factory, [], { initializer: 'initialize', kind: 'uups' });
+      txHash = proxy.deploymentTransaction().hash;
+      await proxy.waitForDeployment();
+    }
+
+    const implementation = await this.hre.upgrades.erc1967.getImplementationAddress(proxy.target);
+    // ERC1967Proxy constructor arguments, for source verification
+    if (!proxyArgs) proxyArgs = [implementation, Factory.interface.encodeFunctionData('initialize', [])];
+    this.manifest.setContract(name, { ...record, address: proxy.target, txHash, implementation, proxyArgs });
+    this.log(`+ ${name} ${proxy.target} (implementation ${implementation})`);
+    return this._track(name, proxy);
+  }
+
+  async _create2(name, initCode, calls) {
+    const salt = contractSalt(this.config.create2.salt, name);
+    const address = predictAddress(this.factoryAddress, this.deployerAddress, salt, initCode);
+    if ((await this.ethers.provider.getCode(address)) !== '0x') {
+      return { address, txHash: null };
+    }
+    const tx = await this.factory.deploy(salt, initCode, calls);
+    await tx.wait(this.confirmations);
+    return { address, txHash: tx.hash };
+  }
+
+  _track(name, contract) {
+    this.contracts[name] = contract;
+    return contract;
+  }
+
+  _nameOf(contract) {
+    return Object.keys(this.contracts).find((name) => this.contracts[name] === contract);
+  }
+
+  _role(role) {
+    return role === 'DEFAULT_ADMIN_ROLE' ? '0x' + '00'.repeat(32) : keccak256(Buffer.from(role));
+  }
+
+  async _now() {
+    return (await this.ethers.provider.getBlock('latest')).timestamp;
+  }
+
+  // Setup steps ==================================================
+
+  /**
+   * Run a setup step unless the manifest records it or `done` finds its state already on chain
+   */
+  async _step(id, { done, send }) {
+    if (this.manifest.step(id)) return;
+
+    if (await done()) {
+      this.manifest.completeStep(id, null);
+      this.log(`= ${id}`);
+      return;
+    }
+
+    const tx = await send();
+    await tx.wait(this.confirmations);
+    this.manifest.completeStep(id, tx.hash);
+    this.log(`+ ${id} (${tx.hash})`);
+  }
+
+  /**
+   * Set a start/end window; absolute dates follow the config (the step id carries them), relative ones are set once
+   */
+  async _windowStep(id, contract, window, send) {
+    if (!window.start || !window.end) return;
+    const relative = String(window.start).startsWith('+') || String(window.end).startsWith('+');
+
+    await this._step(relative ? id : `${id}:${window.start}/${window.end}`, {
+      done: async () => {
+        const [start, end] = [await contract.startTimestamp(), await contract.endTimestamp()];
+        if (relative) return start !== 0n;
+        return start === BigInt(resolveTimestamp(window.start)) && end === BigInt(resolveTimestamp(window.end));
+      },
+      send: async () => {
+        const now = await this._now();
+        return send(resolveTimestamp(window.start, now), resolveTimestamp(window.end, now));
+      }
+    });
+  }
+}
+
+module.exports = { DeploymentPipeline };
@@ -0,0 +1,284 @@
+const { ZeroHash, id, keccak256 } = require('ethers');
+const { snapshotProxy, compareSnapshots } = require('./invariants');
+
+// TimelockController.OperationState
+const OPERATION_STATES = ['Unset', 'Waiting', 'Ready', 'Done'];
+
+// Events naming the users whose nonces and balances are checked around an upgrade
+const ACCOUNT_EVENTS = {
+  MetaTxGateway: [['MetaTransactionExecuted', 'user'], ['NonceInvalidated', 'user']],
+  GasCreditVault: [['Deposited', 'user'], ['CreditTransfer', 'receiver'], ['LegacyCreditsMigrated', 'user']]
+};
+
+/**
+ * Upgrades the UUPS proxies recorded in a deployment manifest (see docs/advanced/upgrade-strategies.md)
+ *
+ * The new implementation is checked for storage-layout compatibility with the one the proxy runs
+ * (through the OpenZeppelin upgrades plugin) and deployed. When the manifest records an UpgradeTimelock,
+ * the upgrade is scheduled on it and `execute` runs it once the delay has passed; otherwise the signer
+ * upgrades the proxy directly, which is how local networks are upgraded. Either way the proxy's
+ * nonces, relayers and balances are compared before and after, and the manifest is updated.
+ */
+class ProxyUpgrader {
+  /**
+   * @param {object} options
+   * @param {object} options.hre Hardhat runtime environment
+   * @param {import('./manifest').DeploymentManifest} options.manifest
+   * @param {import('ethers').Signer} options.signer Upgrader (direct upgrades) or timelock proposer / executor
+   * @param {string[]} [options.accounts] Users to check; by default those seen in the proxy's events
+   * @param {number} [options.blockRange] Blocks per eth_getLogs request when collecting users (default 2000)
+   * @param {function} [options.log]
+   */
+  constructor({ hre, manifest, signer, accounts, blockRange = 2000, log = console.log }) {
+    this.hre = hre;
+    this.ethers = hre.ethers;
+    this.upgrades = hre.upgrades;
+    this.manifest = manifest;
+    this.signer = signer;
+    this.accounts = accounts;
+    this.blockRange = blockRange;
+    this.log = log;
+    this.confirmations = hre.network.config.confirmations || 1;
+  }
+
+  /**
+   * Validate the storage layout of the new implementation against the deployed one and deploy it
+   * @param {string} name Proxy name in the manifest
+   * @param {object} [options]
+   * @param {string} [options.contractName] New implementation (default: the contract the proxy runs)
+   * @param {string} [options.reference] Contract with the deployed implementation's layout, for proxies
+   *   the upgrades plugin has no record of
+   */
+  async prepare(name, { contractName, reference } = {}) {
+    const record = this._proxyRecord(name);
+    const current = await this.upgrades.erc1967.getImplementationAddress(record.address);
+    if (current !== record.implementation) {
+      throw new Error(
+        `${name} runs implementation ${current} but the manifest records ${record.implementation}; ` +
+        'run the deployment again to refresh the manifest before upgrading'
+      );
+    }
+
+    const newContractName = contractName || record.contractName;
+    const Factory = await this.ethers.getContractFactory(newContractName, this.signer);
+    if (reference) {
+      const Reference = await this.ethers.getContractFactory(reference, this.signer);
+      await this.upgrades.forceImport(record.address, Reference, { kind: 'uups' });
+    }
+
+    // Throws on an incompatible storage layout or unsafe code before anything is deployed
+    await this.upgrades.validateUpgrade(record.address, Factory, { kind: 'uups' });
+    const implementation = await this.upgrades.prepareUpgrade(record.address, Factory, { kind: 'uups' });
+    if (implementation === current) {
+      throw new Error(`${name} already runs ${newContractName} at ${implementation}`);
+    }
+
+    const bytecodeHash = keccak256((await this.hre.artifacts.readArtifact(newContractName)).deployedBytecode);
+    this.log(`+ ${newContractName} implementation ${implementation} (storage layout compatible)`);
+    return { name, proxy: record.address, contractName: newContractName, implementation, bytecodeHash, Factory };
+  }
+
+  /**
+   * Upgrade proxy `name` directly, or schedule the upgrade on the UpgradeTimelock when the manifest has one
+   * @param {string} name Proxy name in the manifest
+   * @param {object} [options] prepare() options, plus:
+   * @param {object} [options.call] Function called on the proxy with the upgrade: { fn, args }
+   */
+  async upgrade(name, options = {}) {
+    if (this.manifest.pendingUpgrade(name)) {
+      throw new Error(`An upgrade of ${name} is already scheduled; execute or cancel it first`);
+    }
+    const prepared = await this.prepare(name, options);
+    const data = this._upgradeData(prepared, options.call);
+
+    const timelock = await this._timelock();
+    if (timelock) return this._schedule(timelock, prepared, data);
+
+    const proxy = await this._proxy(name);
+    const before = await this._snapshot(name, proxy);
+    const tx = await this.signer.sendTransaction({ to: prepared.proxy, data });
+    await tx.wait(this.confirmations);
+    await this._finish(prepared, tx.hash, before, proxy);
+    return { ...this._result(prepared), txHash: tx.hash };
+  }
+
+  /**
+   * Execute the scheduled upgrade of `name` once the timelock delay has passed
+   */
+  async execute(name) {
+    const pending = this._pending(name);
+    const timelock = await this._timelock();
+    const state = await this._operationState(timelock, pending);
+    const proxy = await this._proxy(name);
+
+    if (state === 'Unset') {
+      this.manifest.setPendingUpgrade(name, null);
+      throw new Error(`The scheduled upgrade of ${name} was cancelled on the timelock`);
+    }
+    if (state === 'Waiting') {
+      throw new Error(`The upgrade of ${name} is ready at ${new Date(pending.readyAt * 1000).toISOString()}`);
+    }
+    if (state === 'Done') {
+      // Executed by another executor: only the manifest is left to update
+      this.log(`! ${name} upgrade was executed outside this script; state was not compared`);
+      await this._finish(pending, null, null, proxy);
+      return this._result(pending);
+    }
+
+    const before = await this._snapshot(name, proxy);
+    const tx = await timelock.execute(pending.proxy, 0, pending.data, ZeroHash, pending.salt);
+    await tx.wait(this.confirmations);
+    await this._finish(pending, tx.hash, before, proxy);
+    return { ...this._result(pending), txHash: tx.hash };
+  }
+
+  /**
+   * Cancel the scheduled upgrade of `name`
+   */
+  async cancel(name) {
+    const pending = this._pending(name);
+    const timelock = await this._timelock();
+    const state = await this._operationState(timelock, pending);
+    if (state === 'Done') throw new Error(`The upgrade of ${name} was already executed`);
+
+    let txHash = null;
+    if (state !== 'Unset') {
+      const tx = await timelock.cancel(pending.operationId);
+      await tx.wait(this.confirmations);
+      txHash = tx.hash;
+    }
+    this.manifest.setPendingUpgrade(name, null);
+    this.log(`- ${name} upgrade to ${pending.implementation} cancelled`);
+    return { ...this._result(pending), txHash };
+  }
+
+  /**
+   * Scheduled upgrades and their timelock state
+   */
+  async status() {
+    const timelock = await this._timelock();
+    const pending = this.manifest.data.pendingUpgrades || {};
+    const result = [];
+    for (const [name, record] of Object.entries(pending)) {
+      result.push({ ...this._result(record), state: await this._operationState(timelock, record) });
+    }
+    return result;
+  }
+
+  // Internals ====================================================
+
+  _proxyRecord(name) {
+    const record = this.manifest.contract(name);
+    if (!record || record.kind !== 'uups') {
+      throw new Error(`Deployment manifest ${this.manifest.file} records no ${name} proxy`);
+    }
+    return record;
+  }
+
+  _pending(name) {
+    const pending = this.manifest.pendingUpgrade(name);
+    if (!pending) throw new Error(`No upgrade of ${name} is scheduled`);
+    return pending;
+  }
+
+  async _proxy(name) {
+    const record = this._proxyRecord(name);
+    return this.ethers.getContractAt(record.contractName, record.address, this.signer);
+  }
+
+  async _timelock() {
+    const record = this.manifest.contract('UpgradeTimelock');
+    return record ? this.ethers.getContractAt('UpgradeTimelock', record.address, this.signer) : null;
+  }
+
+  async _operationState(timelock, pending) {
+    if (!timelock) throw new Error(`Deployment manifest ${this.manifest.file} records no UpgradeTimelock`);
+    return OPERATION_STATES[Number(await timelock.getOperationState(pending.operationId))];
+  }
+
+  _upgradeData({ Factory, implementation }, call) {
+    if (!call) return Factory.interface.encodeFunctionData('upgradeTo', [implementation]);
+    const callData = Factory.interface.encodeFunctionData(call.fn, call.args || []);
+    return Factory.interface.encodeFunctionData('upgradeToAndCall', [implementation, callData]);
+  }
+
+  async _schedule(timelock, prepared, data) {
+    const salt = id(`${prepared.name}/${prepared.implementation}`);
+    const delay = await timelock.getMinDelay();
+    const tx = await timelock.schedule(prepared.proxy, 0, data, ZeroHash, salt, delay);
+    await tx.wait(this.confirmations);
+
+    const operationId = await timelock.hashOperation(prepared.proxy, 0, data, ZeroHash, salt);
+    const pending = {
+      name: prepared.name,
+      proxy: prepared.proxy,
+      contractName: prepared.contractName,
+      implementation: prepared.implementation,
+      bytecodeHash: prepared.bytecodeHash,
+      data,
+      salt,
+      operationId,
+      readyAt: Number(await timelock.getTimestamp(operationId)),
+      scheduleTxHash: tx.hash
+    };
+    this.manifest.setPendingUpgrade(prepared.name, pending);
+    this.log(`+ ${prepared.name} upgrade scheduled (${tx.hash}), ready at ${new Date(pending.readyAt * 1000).toISOString()}`);
+    return { ...this._result(pending), txHash: tx.hash };
+  }
+
+  /**
+   * Check the proxy runs the new implementation with its state unchanged, then record the upgrade
+   */
+  async _finish(upgrade, txHash, before, proxy) {
+    const implementation = await this.upgrades.erc1967.getImplementationAddress(upgrade.proxy);
+    if (implementation !== upgrade.implementation) {
+      throw new Error(`${upgrade.name} runs ${implementation} after the upgrade, expected ${upgrade.implementation}`);
+    }
+
+    if (before) {
+      const changes = compareSnapshots(before, await this._snapshot(upgrade.name, proxy));
+      if (changes.length > 0) {
+        throw new Error(`Upgrade of ${upgrade.name} (${txHash}) changed state it must keep:\n  ${changes.join('\n  ')}`);
+      }
+    }
+
+    this.manifest.recordUpgrade(upgrade.name, { ...upgrade, txHash });
+    this.manifest.setPendingUpgrade(upgrade.name, null);
+    this.log(`+ ${upgrade.name} upgraded to ${implementation}${txHash ? ` (${txHash})` : ''}`);
+  }
+
+  async _snapshot(name, proxy) {
+    return snapshotProxy(name, proxy, this.accounts || await this._seenAccounts(name, proxy));
+  }
+
+  /**
+   * Users named in the proxy's events since it was deployed
+   */
+  async _seenAccounts(name, proxy) {
+    if (!this.seen) this.seen = {};
+    if (this.seen[name]) return this.seen[name];
+
+    const record = this._proxyRecord(name);
+    const receipt = record.txHash && await this.ethers.provider.getTransactionReceipt(record.txHash);
+    const fromBlock = receipt ? receipt.blockNumber : 0;
+    const toBlock = await this.ethers.provider.getBlockNumber();
+
+    const accounts = new Set();
+    for (const [event, field] of ACCOUNT_EVENTS[name] || []) {
+      for (let start = fromBlock; start <= toBlock; start += this.blockRange) {
+        const end = Math.min(start + this.blockRange - 1, toBlock);
+        for (const log of await proxy.queryFilter(proxy.filters[event](), start, end)) {
+          accounts.add(log.args[field]);
+        }
+      }
+    }
+    this.seen[name] = [...accounts].sort();
+    return this.seen[name];
+  }
+
+  _result({ name, proxy, contractName, implementation, operationId, readyAt }) {
+    return { name, proxy, contractName, implementation, operationId, readyAt };
+  }
+}
+
+module.exports = { ProxyUpgrader };
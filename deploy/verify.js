@@ -0,0 +1,205 @@
+const fs = require('fs');
+const path = require('path');
+const { AbiCoder, Interface, keccak256 } = require('ethers');
+const proxyArtifact = require('@openzeppelin/upgrades-core/artifacts/@openzeppelin/contracts-v5/proxy/ERC1967/ERC1967Proxy.sol/ERC1967Proxy.json');
+const proxyBuildInfo = require('@openzeppelin/upgrades-core/artifacts/build-info-v5.json');
+
+const VERIFICATION_DIR = path.join(__dirname, '..', 'verification');
+
+/**
+ * Verifies the source of every contract a deployment manifest records: plain contracts with their
+ * recorded constructor arguments, and for each UUPS proxy its implementation and the ERC1967Proxy itself.
+ *
+ * Submissions use the standard-JSON input of the build that produced each artifact (so compiler
+ * settings such as the vault's optimizer runs always match), and contracts whose recorded bytecode
+ * differs from the current build are skipped. Without an explorer, or when the explorer fails, the
+ * same input is written to a bundle directory for manual upload.
+ */
+class ContractVerifier {
+  /**
+   * @param {object} options
+   * @param {object} options.hre Hardhat runtime environment
+   * @param {import('./manifest').DeploymentManifest} options.manifest
+   * @param {import('./explorer').EtherscanClient} [options.client] Explorer client; bundles only without one
+   * @param {string} [options.outDir] Bundle directory (default verification/<network>)
+   * @param {function} [options.log]
+   */
+  constructor({ hre, manifest, client = null, outDir, log = console.log }) {
+    this.hre = hre;
+    this.manifest = manifest;
+    this.client = client;
+    this.outDir = outDir || path.join(VERIFICATION_DIR, manifest.data.network);
+    this.log = log;
+    this.bundles = [];
+  }
+
+  /**
+   * Verify the manifest's contracts
+   * @param {object} [options]
+   * @param {string[]} [options.only] Manifest names to verify (default: all)
+   * @return {Promise<Array<{name, address, contractName, status, reason?}>>} status is verified,
+   *   already verified, bundled or skipped
+   */
+  async run({ only } = {}) {
+    const results = [];
+    for (const target of await this.targets(only)) {
+      results.push(await this._verifyTarget(target));
+    }
+
+    if (this.client) {
+      for (const [name, record] of Object.entries(this.manifest.data.contracts)) {
+        if (record.kind !== 'uups' || (only && !only.includes(name))) continue;
+        const verified = (label) => results.some((result) => result.name === label && /verified/.test(result.status));
+        if (verified(name) && verified(`${name}.implementation`)) await this._linkProxy(name, record);
+      }
+    }
+
+    if (this.bundles.length > 0) this._writeIndex();
+    return results;
+  }
+
+  /**
+   * What verifying the manifest involves: one entry per address, with its source and constructor arguments
+   */
+  async targets(only) {
+    const targets = [];
+    for (const [name, record] of Object.entries(this.manifest.data.contracts)) {
+      if (only && !only.includes(name)) continue;
+      if (!record.address) continue;
+
+      if (record.kind === 'uups') {
+        targets.push({
+          name: `${name}.implementation`,
+          address: record.implementation,
+          contractName: record.contractName,
+          bytecodeHash: record.bytecodeHash,
+          args: []
+        });
+        targets.push({ name, address: record.address, proxy: true, args: await this._proxyArgs(record) });
+      } else {
+        targets.push({
+          name,
+          address: record.address,
+          contractName: record.contractName || name,
+          bytecodeHash: record.bytecodeHash,
+          args: record.args || []
+        });
+      }
+    }
+    return targets;
+  }
+
+  async _verifyTarget(target) {
+    const source = await this._source(target);
+    const result = { name: target.name, address: target.address, contractName: source.contractName };
+    if (source.skip) {
+      this.log(`! ${target.name} skipped: ${source.skip}`);
+      return { ...result, status: 'skipped', reason: source.skip };
+    }
+    if ((await this.hre.ethers.provider.getCode(target.address)) === '0x') {
+      throw new Error(`Manifest records ${target.name} at ${target.address} but there is no code there`);
+    }
+
+    if (this.client) {
+      try {
+        const status = await this.client.isVerified(target.address)
+          ? 'already verified'
+          : await this.client.verify({ address: target.address, ...source });
+        this.log(`${status === 'verified' ? '+' : '='} ${target.name} ${target.address} ${status}`);
+        return { ...result, status };
+      } catch (error) {
+        this.log(`! ${target.name} ${target.address}: ${error.message}`);
+        result.reason = error.message;
+      }
+    }
+
+    const file = this._writeBundle(target, source);
+    this.log(`> ${target.name} ${target.address} bundled in ${file}`);
+    return { ...result, status: 'bundled' };
+  }
+
+  /**
+   * Fully qualified name, compiler version, standard-JSON input and encoded constructor arguments
+   */
+  async _source(target) {
+    if (target.proxy) {
+      return {
+        contractName: `${proxyArtifact.sourceName}:${proxyArtifact.contractName}`,
+        compilerVersion: `v${proxyBuildInfo.solcLongVersion}`,
+        input: proxyBuildInfo.input,
+        constructorArguments: AbiCoder.defaultAbiCoder().encode(['address', 'bytes'], target.args)
+      };
+    }
+
+    const artifact = await this.hre.artifacts.readArtifact(target.contractName);
+    const contractName = `${artifact.sourceName}:${artifact.contractName}`;
+    if (target.bytecodeHash && target.bytecodeHash !== keccak256(artifact.deployedBytecode)) {
+      return {
+        contractName,
+        skip: 'deployed from other code than the current build (verify from the commit it was deployed from)'
+      };
+    }
+
+    const buildInfo = await this.hre.artifacts.getBuildInfo(contractName);
+    return {
+      contractName,
+      compilerVersion: `v${buildInfo.solcLongVersion}`,
+      input: buildInfo.input,
+      constructorArguments: new Interface(artifact.abi).encodeDeploy(target.args)
+    };
+  }
+
+  /**
+   * ERC1967Proxy constructor arguments: recorded by the deployment, or read back from its transaction
+   */
+  async _proxyArgs(record) {
+    if (record.proxyArgs) return record.proxyArgs;
+
+    const tx = record.txHash && await this.hre.ethers.provider.getTransaction(record.txHash);
+    if (!tx) throw new Error(`Cannot find the deployment transaction of proxy ${record.address}; record its proxyArgs in the manifest`);
+    let initCode = tx.data;
+    if (tx.to) {
+      // Deployed through the DeterministicDeployer: deploy(salt, initCode, calls)
+      const factory = await this.hre.ethers.getContractAt('DeterministicDeployer', tx.to);
+      initCode = factory.interface.decodeFunctionData('deploy', tx.data).initCode;
+    }
+    const encoded = '0x' + initCode.slice(proxyArtifact.bytecode.length);
+    return AbiCoder.defaultAbiCoder().decode(['address', 'bytes'], encoded).toArray();
+  }
+
+  async _linkProxy(name, record) {
+    try {
+      await this.client.linkProxy(record.address, record.implementation);
+      this.log(`+ ${name} ${record.address} linked to implementation ${record.implementation}`);
+    } catch (error) {
+      this.log(`! ${name} proxy link: ${error.message}`);
+    }
+  }
+
+  _writeBundle(target, source) {
+    fs.mkdirSync(this.outDir, { recursive: true });
+    const file = path.join(this.outDir, `${target.name}.json`);
+    fs.writeFileSync(file, JSON.stringify(source.input, null, 2) + '\n');
+    this.bundles.push({
+      name: target.name,
+      address: target.address,
+      contractName: source.contractName,
+      compilerVersion: source.compilerVersion,
+      constructorArguments: source.constructorArguments.replace(/^0x/, ''),
+      input: path.basename(file)
+    });
+    return file;
+  }
+
+  // Everything the explorer's "Standard JSON Input" form asks for, next to the inputs
+  _writeIndex() {
+    const index = {
+      network: this.manifest.data.network,
+      chainId: this.manifest.data.chainId,
+      contracts: this.bundles
+    };
+    fs.writeFileSync(path.join(this.outDir, 'index.json'), JSON.stringify(index, null, 2) + '\n');
+  }
+}
+
+module.exports = { ContractVerifier, VERIFICATION_DIR };
@@ -0,0 +1,109 @@
+const fs = require('fs');
+const { loadConfig } = require('./config');
+const { IndexerStore } = require('./store');
+const { EventIndexer } = require('./indexer');
+const reports = require('./reports');
+
+const USAGE = `Usage: node indexer/cli.js [--network <name>] <command> [options]
+
+Commands:
+  sync                     Index events up to the chain head (minus INDEXER_CONFIRMATIONS)
+  follow                   Sync, then keep polling every INDEXER_POLL_INTERVAL milliseconds
+  report credits [--user <address>]
+                           Credit totals per user, or the credit history of one user
+  report relayers          Gas spent by each relayer against the credits it charged
+  report batches           Batch and call success rates per relayer
+
+Report options:
+  --format <json|csv>      Output format (default json)
+  --out <file>             Write the report to a file instead of stdout`;
+
+function parseArgs(argv) {
+  const args = { positional: [], options: {} };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i].startsWith('--')) {
+      args.options[argv[i].slice(2)] = argv[i + 1];
+      i++;
+    } else {
+      args.positional.push(argv[i]);
+    }
+  }
+  return args;
+}
+
+/**
+ * Build the requested report from an opened store
+ */
+function buildReport(store, name, options = {}) {
+  switch (name) {
+    case 'credits':
+      return options.user ? reports.creditHistory(store, options.user) : reports.creditSummary(store);
+    case 'relayers':
+      return reports.relayerReport(store);
+    case 'batches':
+      return reports.batchSuccessRates(store);
+    default:
+      throw new Error(`Unknown report: ${name}\n\n${USAGE}`);
+  }
+}
+
+function formatReport(rows, format = 'json') {
+  if (format === 'csv') return reports.toCsv(rows);
+  if (format === 'json') return JSON.stringify(rows, null, 2) + '\n';
+  throw new Error(`Unknown format: ${format}`);
+}
+
+async function main(argv = process.argv.slice(2)) {
+  const { positional: [command, reportName], options } = parseArgs(argv);
+  if (!command) {
+    console.log(USAGE);
+    return;
+  }
+
+  // Hardhat reads the network from the environment when it is loaded
+  if (options.network) process.env.HARDHAT_NETWORK = options.network;
+  const config = loadConfig(options.network || process.env.HARDHAT_NETWORK || 'localhost', command !== 'report');
+  const store = await IndexerStore.open(config.dbFile);
+
+  if (command === 'report') {
+    const output = formatReport(buildReport(store, reportName, options), options.format);
+    if (options.out) fs.writeFileSync(options.out, output);
+    else process.stdout.write(output);
+    store.close();
+    return;
+  }
+
+  const { ethers } = require('hardhat');
+  const indexer = await new EventIndexer({ ...config, provider: ethers.provider, store }).init();
+
+  if (command === 'sync') {
+    const result = await indexer.sync();
+    console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock} (${result.events} events) into ${config.dbFile}`);
+    store.close();
+  } else if (command === 'follow') {
+    const follower = indexer.follow({
+      interval: config.pollInterval,
+      onSync: (result) => {
+        if (result.fromBlock <= result.toBlock) {
+          console.log(`Indexed blocks ${result.fromBlock}-${result.toBlock} (${result.events} events)`);
+        }
+      }
+    });
+    process.once('SIGINT', async () => {
+      await follower.stop();
+      store.close();
+      process.exit(0);
+    });
+  } else {
+    throw new Error(`Unknown command: ${command}\n\n${USAGE}`);
+  }
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error.message || error);
+    process.exit(1);
+  });
+}
+
+module.exports = { buildReport, formatReport };
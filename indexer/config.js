@@ -0,0 +1,36 @@
+const path = require('path');
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Load indexer configuration from environment variables
+ * (contract addresses share their names with the relayer, see docs/api/indexer.md)
+ * @param {string} network Hardhat network the indexer reads from
+ * @param {boolean} [requireContracts] Whether the contract addresses must be set (reports only read the database)
+ */
+function loadConfig(network, requireContracts = true, env = process.env) {
+  const config = {
+    network,
+    gatewayAddress: env.METATX_GATEWAY_ADDRESS,
+    vaultAddress: env.GAS_CREDIT_VAULT_ADDRESS,
+    dbFile: env.INDEXER_DB || path.join(__dirname, 'data', `${network}.sqlite`),
+    startBlock: env.INDEXER_START_BLOCK ? Number(env.INDEXER_START_BLOCK) : 0,
+    blockRange: env.INDEXER_BLOCK_RANGE ? Number(env.INDEXER_BLOCK_RANGE) : 2000,
+    confirmations: env.INDEXER_CONFIRMATIONS ? Number(env.INDEXER_CONFIRMATIONS) : 0,
+    pollInterval: env.INDEXER_POLL_INTERVAL ? Number(env.INDEXER_POLL_INTERVAL) : 5000
+  };
+
+  const missing = [
+    ['METATX_GATEWAY_ADDRESS', config.gatewayAddress],
+    ['GAS_CREDIT_VAULT_ADDRESS', config.vaultAddress]
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  if (requireContracts && missing.length > 0) {
+    throw new Error(`Missing indexer configuration: ${missing.join(', ')}`);
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,340 @@
+const { AbiCoder, Interface, dataSlice, getAddress, keccak256 } = require('ethers');
+
+const GATEWAY_EVENTS = new Interface([
+  'event MetaTransactionExecuted(address indexed relayer, address indexed user, address indexed target, uint256 batchId, uint256 index, uint256 value, bytes data, bool success, bytes returnData)',
+  'event NativeTokenUsed(uint256 indexed batchId, uint256 totalRequired, uint256 totalUsed, uint256 refunded)',
+  'event RelayerFeePaid(uint256 indexed batchId, address indexed user, address indexed token, address recipient, uint256 amount)'
+]);
+
+const VAULT_EVENTS = new Interface([
+  'event Deposited(address indexed user, address indexed token, uint256 amount, uint256 credited)',
+  'event Withdrawn(address indexed user, address indexed token, uint256 creditAmount, uint256 tokenAmount)',
+  'event CreditsConsumed(uint256 indexed consumptionId, address indexed user, address indexed relayer, uint256 batchId, bytes32 txHash, uint256 gasUsed, uint256 gasPrice, uint256 nativePrice, uint256 creditCost)',
+  'event SponsoredCreditsConsumed(uint256 indexed consumptionId, uint256 indexed poolId, address indexed user)',
+  'event ConsumptionRefunded(uint256 indexed consumptionId, address indexed user, uint256 creditAmount)',
+  'event CreditTransfer(address indexed sender, address indexed receiver, uint256 creditAmount)',
+  'event SponsorPoolDefunded(uint256 indexed poolId, address indexed sponsor, uint256 creditAmount)',
+  'event ConsumedCreditsWithdrawn(address indexed owner, uint256 creditsWithdrawn)'
+]);
+
+function eventTopics(iface) {
+  const topics = [];
+  iface.forEachEvent((event) => topics.push(event.topicHash));
+  return topics;
+}
+
+/**
+ * Address of the vault account holding a sponsor pool's credits (GasCreditVault.sponsorPoolAccount)
+ */
+function sponsorPoolAccount(poolId) {
+  const encoded = AbiCoder.defaultAbiCoder().encode(['string', 'uint256'], ['GasCreditVault.sponsorPool', poolId]);
+  return getAddress(dataSlice(keccak256(encoded), 12));
+}
+
+/**
+ * Backfills and follows MetaTxGateway and GasCreditVault events into an IndexerStore
+ *
+ * Blocks are processed in ranges of `blockRange`; each range is written in one transaction
+ * together with the sync cursor, so an interrupted sync resumes after the last complete range.
+ */
+class EventIndexer {
+  /**
+   * @param {object} options
+   * @param {import('ethers').Provider} options.provider
+   * @param {import('./store').IndexerStore} options.store
+   * @param {string} options.gatewayAddress MetaTxGateway proxy address
+   * @param {string} options.vaultAddress GasCreditVault proxy address
+   * @param {number} [options.startBlock] First block to index (default 0)
+   * @param {number} [options.blockRange] Blocks per eth_getLogs request (default 2000)
+   * @param {number} [options.confirmations] Blocks kept behind the chain head (default 0)
+   */
+  constructor(options) {
+    this.provider = options.provider;
+    this.store = options.store;
+    this.gatewayAddress = getAddress(options.gatewayAddress);
+    this.vaultAddress = getAddress(options.vaultAddress);
+    this.startBlock = options.startBlock || 0;
+    this.blockRange = options.blockRange || 2000;
+    this.confirmations = options.confirmations || 0;
+  }
+
+  /**
+   * Bind the store to this chain and these contracts, refusing a database indexed from other ones
+   */
+  async init() {
+    const { chainId } = await this.provider.getNetwork();
+    const expected = {
+      chainId: chainId.toString(),
+      gatewayAddress: this.gatewayAddress,
+      vaultAddress: this.vaultAddress
+    };
+
+    for (const [key, value] of Object.entries(expected)) {
+      const stored = this.store.getState(key);
+      if (stored !== null && stored !== value) {
+        throw new Error(`Indexer database was built for ${key} ${stored}, not ${value}`);
+      }
+    }
+
+    this.store.transaction(() => {
+      for (const [key, value] of Object.entries(expected)) this.store.setState(key, value);
+    });
+    this.store.save();
+    return this;
+  }
+
+  /**
+   * Last block fully indexed, or null before the first sync
+   */
+  lastIndexedBlock() {
+    const value = this.store.getState('lastBlock');
+    return value === null ? null : Number(value);
+  }
+
+  /**
+   * Index every block up to `toBlock` (default: chain head minus confirmations)
+   * @return {Promise<{fromBlock: number, toBlock: number, events: number}>}
+   */
+  async sync(toBlock) {
+    if (toBlock === undefined) {
+      toBlock = (await this.provider.getBlockNumber()) - this.confirmations;
+    }
+
+    const last = this.lastIndexedBlock();
+    const fromBlock = last === null ? this.startBlock : last + 1;
+    let events = 0;
+
+    for (let start = fromBlock; start <= toBlock; start += this.blockRange) {
+      const end = Math.min(start + this.blockRange - 1, toBlock);
+      events += await this._indexRange(start, end);
+    }
+
+    return { fromBlock, toBlock, events };
+  }
+
+  /**
+   * Keep syncing every `interval` milliseconds until stopped
+   * @param {object} [options]
+   * @param {number} [options.interval] Poll interval in milliseconds (default 5000)
+   * @param {function} [options.onSync] Called with the result of each sync
+   * @param {function} [options.onError] Called with sync errors (default: logged)
+   * @return {{stop: function(): Promise<void>}}
+   */
+  follow({ interval = 5000, onSync, onError } = {}) {
+    let stopped = false;
+    let timer;
+    let running = Promise.resolve();
+
+    const poll = async () => {
+      try {
+        const result = await this.sync();
+        if (onSync && !stopped) await onSync(result);
+      } catch (error) {
+        if (onError) onError(error);
+        else console.error(error);
+      }
+      if (!stopped) timer = setTimeout(() => { running = poll(); }, interval);
+    };
+    running = poll();
+
+    return {
+      stop: async () => {
+        stopped = true;
+        clearTimeout(timer);
+        await running;
+      }
+    };
+  }
+
+  async _indexRange(fromBlock, toBlock) {
+    const [gatewayLogs, vaultLogs] = await Promise.all([
+      this.provider.getLogs({
+        address: this.gatewayAddress,
+        topics: [eventTopics(GATEWAY_EVENTS)],
+        fromBlock,
+        toBlock
+      }),
+      this.provider.getLogs({
+        address: this.vaultAddress,
+        topics: [eventTopics(VAULT_EVENTS)],
+        fromBlock,
+        toBlock
+      })
+    ]);
+
+    const logs = [
+      ...gatewayLogs.map((log) => ({ log, event: GATEWAY_EVENTS.parseLog(log) })),
+      ...vaultLogs.map((log) => ({ log, event: VAULT_EVENTS.parseLog(log) }))
+    ].sort((a, b) => a.log.blockNumber - b.log.blockNumber || a.log.index - b.log.index);
+
+    const blocks = await this._fetchBlocks(logs);
+    const transactions = await this._fetchTransactions(logs);
+
+    // Sponsored charges emit SponsoredCreditsConsumed right after CreditsConsumed, in the same transaction
+    const sponsoredPools = new Map(
+      logs
+        .filter(({ event }) => event.name === 'SponsoredCreditsConsumed')
+        .map(({ event }) => [event.args.consumptionId.toString(), event.args.poolId])
+    );
+
+    this.store.transaction(() => {
+      for (const [number, timestamp] of blocks) {
+        this.store.insert('blocks', { number, timestamp });
+      }
+      for (const receipt of transactions) {
+        this.store.insert('transactions', {
+          hash: receipt.hash,
+          block_number: receipt.blockNumber,
+          sender: getAddress(receipt.from),
+          gas_used: receipt.gasUsed.toString(),
+          gas_price: receipt.gasPrice.toString()
+        });
+      }
+      for (const { log, event } of logs) {
+        this._indexEvent(log, event, sponsoredPools);
+      }
+      this.store.setState('lastBlock', toBlock);
+    });
+    this.store.save();
+
+    return logs.length;
+  }
+
+  async _fetchBlocks(logs) {
+    const numbers = [...new Set(logs.map(({ log }) => log.blockNumber))];
+    const blocks = new Map();
+    for (const number of numbers) {
+      const block = await this.provider.getBlock(number);
+      blocks.set(number, block.timestamp);
+    }
+    return blocks;
+  }
+
+  // Receipts of the relayer's batch and charge transactions, for the gas they actually spent
+  async _fetchTransactions(logs) {
+    const hashes = new Set(
+      logs
+        .filter(({ event }) => event.name === 'MetaTransactionExecuted' || event.name === 'CreditsConsumed')
+        .map(({ log }) => log.transactionHash)
+    );
+    const receipts = [];
+    for (const hash of hashes) {
+      receipts.push(await this.provider.getTransactionReceipt(hash));
+    }
+    return receipts;
+  }
+
+  _indexEvent(log, event, sponsoredPools) {
+    const base = { tx_hash: log.transactionHash, log_index: log.index, block_number: log.blockNumber };
+    const args = event.args;
+
+    switch (event.name) {
+      case 'MetaTransactionExecuted':
+        this.store.insert('meta_transactions', {
+          ...base,
+          relayer: args.relayer,
+          user: args.user,
+          target: args.target,
+          batch_id: args.batchId.toString(),
+          call_index: Number(args.index),
+          value: args.value.toString(),
+          success: args.success ? 1 : 0
+        });
+        break;
+      case 'NativeTokenUsed':
+        this.store.insert('native_usage', {
+          ...base,
+          batch_id: args.batchId.toString(),
+          total_required: args.totalRequired.toString(),
+          total_used: args.totalUsed.toString(),
+          refunded: args.refunded.toString()
+        });
+        break;
+      case 'RelayerFeePaid':
+        this.store.insert('relayer_fees', {
+          ...base,
+          batch_id: args.batchId.toString(),
+          user: args.user,
+          token: args.token,
+          recipient: args.recipient,
+          amount: args.amount.toString()
+        });
+        break;
+      case 'Deposited':
+        this._creditEvent(base, 'deposit', args.user, args.credited, {
+          token: args.token,
+          token_amount: args.amount.toString()
+        });
+        break;
+      case 'Withdrawn':
+        this._creditEvent(base, 'withdrawal', args.user, -args.creditAmount, {
+          token: args.token,
+          token_amount: args.tokenAmount.toString()
+        });
+        break;
+      case 'CreditsConsumed': {
+        const consumptionId = args.consumptionId.toString();
+        const poolId = sponsoredPools.get(consumptionId);
+        const payer = poolId === undefined ? args.user : sponsorPoolAccount(poolId);
+
+        this.store.insert('consumptions', {
+          consumption_id: consumptionId,
+          tx_hash: log.transactionHash,
+          block_number: log.blockNumber,
+          user: args.user,
+          payer,
+          relayer: args.relayer,
+          batch_id: args.batchId.toString(),
+          batch_tx_hash: args.txHash,
+          gas_used: args.gasUsed.toString(),
+          gas_price: args.gasPrice.toString(),
+          native_price: args.nativePrice.toString(),
+          credit_cost: args.creditCost.toString(),
+          sponsor_pool_id: poolId === undefined ? null : poolId.toString()
+        });
+        this._creditEvent(base, poolId === undefined ? 'consumption' : 'sponsored_consumption', payer, -args.creditCost, {
+          counterparty: poolId === undefined ? args.relayer : args.user,
+          consumption_id: consumptionId
+        });
+        break;
+      }
+      case 'ConsumptionRefunded':
+        this.store.run('UPDATE consumptions SET refunded = 1 WHERE consumption_id = ?', [args.consumptionId.toString()]);
+        this._creditEvent(base, 'refund', args.user, args.creditAmount, {
+          consumption_id: args.consumptionId.toString()
+        });
+        break;
+      case 'CreditTransfer':
+        this._creditEvent(base, 'transfer_out', args.sender, -args.creditAmount, { counterparty: args.receiver });
+        this._creditEvent(base, 'transfer_in', args.receiver, args.creditAmount, { counterparty: args.sender });
+        break;
+      case 'SponsorPoolDefunded': {
+        const account = sponsorPoolAccount(args.poolId);
+        this._creditEvent(base, 'transfer_out', account, -args.creditAmount, { counterparty: args.sponsor });
+        this._creditEvent(base, 'transfer_in', args.sponsor, args.creditAmount, { counterparty: account });
+        break;
+      }
+      case 'ConsumedCreditsWithdrawn':
+        this.store.insert('consumed_withdrawals', {
+          ...base,
+          owner: args.owner,
+          credits: args.creditsWithdrawn.toString()
+        });
+        break;
+      default:
+        break;
+    }
+  }
+
+  _creditEvent(base, kind, user, creditDelta, extra = {}) {
+    this.store.insert('credit_events', {
+      ...base,
+      kind,
+      user,
+      credit_delta: creditDelta.toString(),
+      ...extra
+    });
+  }
+}
+
+module.exports = { EventIndexer, sponsorPoolAccount };
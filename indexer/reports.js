@@ -0,0 +1,186 @@
+const { getAddress } = require('ethers');
+
+const WEI = 10n ** 18n;
+
+function sum(values) {
+  return values.reduce((total, value) => total + BigInt(value), 0n);
+}
+
+function rate(part, total) {
+  return total === 0 ? null : Number((part / total).toFixed(4));
+}
+
+/**
+ * Credit movements of one user in chain order, with the balance after each one
+ */
+function creditHistory(store, user) {
+  let balance = 0n;
+  return store.all(
+    `SELECT e.block_number, b.timestamp, e.tx_hash, e.log_index, e.kind, e.counterparty, e.token,
+            e.token_amount, e.credit_delta, e.consumption_id
+       FROM credit_events e LEFT JOIN blocks b ON b.number = e.block_number
+      WHERE e.user = ?
+      ORDER BY e.block_number, e.log_index, e.kind`,
+    [getAddress(user)]
+  ).map((row) => {
+    balance += BigInt(row.credit_delta);
+    return {
+      blockNumber: row.block_number,
+      timestamp: row.timestamp,
+      txHash: row.tx_hash,
+      kind: row.kind,
+      counterparty: row.counterparty,
+      token: row.token,
+      tokenAmount: row.token_amount,
+      creditDelta: row.credit_delta,
+      balance: balance.toString(),
+      consumptionId: row.consumption_id
+    };
+  });
+}
+
+const SUMMARY_BUCKETS = {
+  deposit: 'deposited',
+  withdrawal: 'withdrawn',
+  consumption: 'consumed',
+  sponsored_consumption: 'consumed',
+  refund: 'refunded',
+  transfer_in: 'netTransfers',
+  transfer_out: 'netTransfers'
+};
+
+/**
+ * Credit totals per user (sponsor pool accounts included); withdrawn and consumed are negative
+ */
+function creditSummary(store) {
+  const users = new Map();
+  for (const row of store.all('SELECT user, kind, credit_delta FROM credit_events ORDER BY user')) {
+    if (!users.has(row.user)) {
+      users.set(row.user, { deposited: 0n, withdrawn: 0n, consumed: 0n, refunded: 0n, netTransfers: 0n, balance: 0n });
+    }
+    const totals = users.get(row.user);
+    const delta = BigInt(row.credit_delta);
+    totals[SUMMARY_BUCKETS[row.kind]] += delta;
+    totals.balance += delta;
+  }
+
+  return [...users].map(([user, totals]) => ({
+    user,
+    ...Object.fromEntries(Object.entries(totals).map(([key, value]) => [key, value.toString()]))
+  }));
+}
+
+/**
+ * Gas each relayer spent against the credits it charged
+ *
+ * gasSpendNative covers batch and charge transactions (wei); gasSpendCredits prices the gas of charged
+ * batches at the native price of their receipt, so creditMargin is what the relayer kept over its costs.
+ */
+function relayerReport(store) {
+  const relayers = new Set([
+    ...store.all('SELECT DISTINCT relayer FROM meta_transactions').map((row) => row.relayer),
+    ...store.all('SELECT DISTINCT relayer FROM consumptions').map((row) => row.relayer)
+  ]);
+
+  const gasCost = (hash) => {
+    const tx = store.get('SELECT gas_used, gas_price FROM transactions WHERE hash = ?', [hash]);
+    return tx ? BigInt(tx.gas_used) * BigInt(tx.gas_price) : 0n;
+  };
+
+  return [...relayers].sort().map((relayer) => {
+    const calls = store.all('SELECT tx_hash, batch_id, success FROM meta_transactions WHERE relayer = ?', [relayer]);
+    const batchTxs = [...new Set(calls.map((call) => call.tx_hash))];
+    const charges = store.all('SELECT * FROM consumptions WHERE relayer = ?', [relayer]);
+
+    const batchGas = sum(batchTxs.map(gasCost));
+    const chargeGas = sum(charges.map((charge) => gasCost(charge.tx_hash)));
+    const gasSpendCredits = sum(charges.map((charge) =>
+      ((gasCost(charge.batch_tx_hash) + gasCost(charge.tx_hash)) * BigInt(charge.native_price)) / WEI
+    ));
+    const creditsConsumed = sum(charges.filter((charge) => !charge.refunded).map((charge) => charge.credit_cost));
+    const creditsRefunded = sum(charges.filter((charge) => charge.refunded).map((charge) => charge.credit_cost));
+
+    const tokenFees = {};
+    for (const fee of store.all(
+      `SELECT token, amount FROM relayer_fees
+        WHERE tx_hash IN (SELECT DISTINCT tx_hash FROM meta_transactions WHERE relayer = ?)`,
+      [relayer]
+    )) {
+      tokenFees[fee.token] = (BigInt(tokenFees[fee.token] || 0) + BigInt(fee.amount)).toString();
+    }
+
+    return {
+      relayer,
+      batches: new Set(calls.map((call) => call.batch_id)).size,
+      calls: calls.length,
+      chargedBatches: charges.length,
+      batchGasNative: batchGas.toString(),
+      chargeGasNative: chargeGas.toString(),
+      gasSpendNative: (batchGas + chargeGas).toString(),
+      gasSpendCredits: gasSpendCredits.toString(),
+      creditsConsumed: creditsConsumed.toString(),
+      creditsRefunded: creditsRefunded.toString(),
+      creditMargin: (creditsConsumed - gasSpendCredits).toString(),
+      tokenFees
+    };
+  });
+}
+
+/**
+ * Share of batches whose calls all succeeded, per relayer and overall
+ * (a batch whose transaction reverted emits no events and is not counted)
+ */
+function batchSuccessRates(store) {
+  const batches = store.all(
+    `SELECT relayer, batch_id, COUNT(*) AS calls, SUM(success) AS successful_calls
+       FROM meta_transactions GROUP BY relayer, batch_id`
+  );
+
+  const totals = new Map([['all', []]]);
+  for (const batch of batches) {
+    if (!totals.has(batch.relayer)) totals.set(batch.relayer, []);
+    totals.get(batch.relayer).push(batch);
+    totals.get('all').push(batch);
+  }
+
+  return [...totals].map(([relayer, rows]) => {
+    const calls = rows.reduce((total, row) => total + row.calls, 0);
+    const successfulCalls = rows.reduce((total, row) => total + row.successful_calls, 0);
+    const successful = rows.filter((row) => row.successful_calls === row.calls).length;
+    const failed = rows.filter((row) => row.successful_calls === 0).length;
+
+    return {
+      relayer,
+      batches: rows.length,
+      successful,
+      partial: rows.length - successful - failed,
+      failed,
+      batchSuccessRate: rate(successful, rows.length),
+      calls,
+      successfulCalls,
+      callSuccessRate: rate(successfulCalls, calls)
+    };
+  }).sort((a, b) => (a.relayer === 'all') - (b.relayer === 'all') || a.relayer.localeCompare(b.relayer));
+}
+
+function csvValue(value) {
+  if (value === null || value === undefined) return '';
+  const text = typeof value === 'object' ? JSON.stringify(value) : String(value);
+  return /[",\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Render report rows as CSV (nested values are written as JSON)
+ */
+function toCsv(rows) {
+  const columns = [...new Set(rows.flatMap((row) => Object.keys(row)))];
+  return [columns.join(','), ...rows.map((row) => columns.map((column) => csvValue(row[column])).join(','))].join('\n') + '\n';
+}
+
+module.exports = {
+  creditHistory,
+  creditSummary,
+  relayerReport,
+  batchSuccessRates,
+  toCsv
+};
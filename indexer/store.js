@@ -0,0 +1,191 @@
+const fs = require('fs');
+const path = require('path');
+const initSqlJs = require('sql.js');
+
+// Amounts are stored as decimal strings (SQLite integers are 64-bit) and summed with BigInt in reports.js
+const SCHEMA = `
+  CREATE TABLE IF NOT EXISTS sync_state (
+    key TEXT PRIMARY KEY,
+    value TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS blocks (
+    number INTEGER PRIMARY KEY,
+    timestamp INTEGER NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS transactions (
+    hash TEXT PRIMARY KEY,
+    block_number INTEGER NOT NULL,
+    sender TEXT NOT NULL,
+    gas_used TEXT NOT NULL,
+    gas_price TEXT NOT NULL
+  );
+  CREATE TABLE IF NOT EXISTS meta_transactions (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    relayer TEXT NOT NULL,
+    user TEXT NOT NULL,
+    target TEXT NOT NULL,
+    batch_id TEXT NOT NULL,
+    call_index INTEGER NOT NULL,
+    value TEXT NOT NULL,
+    success INTEGER NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE INDEX IF NOT EXISTS meta_transactions_relayer ON meta_transactions (relayer);
+  CREATE TABLE IF NOT EXISTS native_usage (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    batch_id TEXT NOT NULL,
+    total_required TEXT NOT NULL,
+    total_used TEXT NOT NULL,
+    refunded TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS relayer_fees (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    batch_id TEXT NOT NULL,
+    user TEXT NOT NULL,
+    token TEXT NOT NULL,
+    recipient TEXT NOT NULL,
+    amount TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+  CREATE TABLE IF NOT EXISTS credit_events (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    kind TEXT NOT NULL,
+    user TEXT NOT NULL,
+    counterparty TEXT,
+    token TEXT,
+    token_amount TEXT,
+    credit_delta TEXT NOT NULL,
+    consumption_id TEXT,
+    PRIMARY KEY (tx_hash, log_index, kind)
+  );
+  CREATE INDEX IF NOT EXISTS credit_events_user ON credit_events (user);
+  CREATE TABLE IF NOT EXISTS consumptions (
+    consumption_id TEXT PRIMARY KEY,
+    tx_hash TEXT NOT NULL,
+    block_number INTEGER NOT NULL,
+    user TEXT NOT NULL,
+    payer TEXT NOT NULL,
+    relayer TEXT NOT NULL,
+    batch_id TEXT NOT NULL,
+    batch_tx_hash TEXT NOT NULL,
+    gas_used TEXT NOT NULL,
+    gas_price TEXT NOT NULL,
+    native_price TEXT NOT NULL,
+    credit_cost TEXT NOT NULL,
+    sponsor_pool_id TEXT,
+    refunded INTEGER NOT NULL DEFAULT 0
+  );
+  CREATE TABLE IF NOT EXISTS consumed_withdrawals (
+    tx_hash TEXT NOT NULL,
+    log_index INTEGER NOT NULL,
+    block_number INTEGER NOT NULL,
+    owner TEXT NOT NULL,
+    credits TEXT NOT NULL,
+    PRIMARY KEY (tx_hash, log_index)
+  );
+`;
+
+let sqlPromise;
+
+function loadSql() {
+  if (!sqlPromise) sqlPromise = initSqlJs();
+  return sqlPromise;
+}
+
+/**
+ * SQLite store of indexed gateway and vault events (sql.js, persisted to a single file)
+ */
+class IndexerStore {
+  constructor(db, file) {
+    this.db = db;
+    this.file = file;
+    this.db.exec(SCHEMA);
+  }
+
+  /**
+   * Open the store at `file`, creating it if needed; without a file the store is in memory only
+   */
+  static async open(file = null) {
+    const SQL = await loadSql();
+    const data = file && fs.existsSync(file) ? fs.readFileSync(file) : undefined;
+    return new IndexerStore(new SQL.Database(data), file);
+  }
+
+  run(sql, params = []) {
+    this.db.run(sql, params);
+  }
+
+  all(sql, params = []) {
+    const statement = this.db.prepare(sql);
+    try {
+      statement.bind(params);
+      const rows = [];
+      while (statement.step()) rows.push(statement.getAsObject());
+      return rows;
+    } finally {
+      statement.free();
+    }
+  }
+
+  get(sql, params = []) {
+    return this.all(sql, params)[0];
+  }
+
+  insert(table, row) {
+    const columns = Object.keys(row);
+    this.run(
+      `INSERT OR IGNORE INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`,
+      columns.map((column) => row[column])
+    );
+  }
+
+  getState(key) {
+    const row = this.get('SELECT value FROM sync_state WHERE key = ?', [key]);
+    return row ? row.value : null;
+  }
+
+  setState(key, value) {
+    this.run('INSERT OR REPLACE INTO sync_state (key, value) VALUES (?, ?)', [key, String(value)]);
+  }
+
+  /**
+   * Run `fn` in a transaction, rolled back if it throws
+   */
+  transaction(fn) {
+    this.db.exec('BEGIN');
+    try {
+      const result = fn();
+      this.db.exec('COMMIT');
+      return result;
+    } catch (error) {
+      this.db.exec('ROLLBACK');
+      throw error;
+    }
+  }
+
+  /**
+   * Write the database to its file (through a temporary file, so a crash never leaves it half-written)
+   */
+  save() {
+    if (!this.file) return;
+    fs.mkdirSync(path.dirname(this.file), { recursive: true });
+    const tmp = `${this.file}.tmp`;
+    fs.writeFileSync(tmp, Buffer.from(this.db.export()));
+    fs.renameSync(tmp, this.file);
+  }
+
+  close() {
+    this.db.close();
+  }
+}
+
+module.exports = { IndexerStore };
@@ -0,0 +1,36 @@
+const dotenv = require('dotenv');
+
+dotenv.config();
+
+/**
+ * Load relayer configuration from environment variables
+ * (names follow docs/api/relayer-api.md)
+ */
+function loadConfig(env = process.env) {
+  const config = {
+    chainId: env.CHAIN_ID ? BigInt(env.CHAIN_ID) : undefined,
+    rpcUrl: env.RPC_URL || 'http://127.0.0.1:8545',
+    relayerPrivateKey: env.RELAYER_PRIVATE_KEY,
+    gatewayAddress: env.METATX_GATEWAY_ADDRESS,
+    vaultAddress: env.GAS_CREDIT_VAULT_ADDRESS,
+    nativePriceFeed: env.NATIVE_PRICE_FEED_ADDRESS,
+    gasCompensationMultiplier: env.GAS_COMPENSATION_MULTIPLIER || '1.2',
+    maxPriceAge: env.MAX_PRICE_AGE ? Number(env.MAX_PRICE_AGE) : 3600,
+    port: env.PORT ? Number(env.PORT) : 3000
+  };
+
+  const missing = [
+    ['RELAYER_PRIVATE_KEY', config.relayerPrivateKey],
+    ['METATX_GATEWAY_ADDRESS', config.gatewayAddress],
+    ['GAS_CREDIT_VAULT_ADDRESS', config.vaultAddress],
+    ['NATIVE_PRICE_FEED_ADDRESS', config.nativePriceFeed]
+  ].filter(([, value]) => !value).map(([name]) => name);
+
+  if (missing.length > 0) {
+    throw new Error(`Missing relayer configuration: ${missing.join(', ')}`);
+  }
+
+  return config;
+}
+
+module.exports = { loadConfig };
@@ -0,0 +1,64 @@
+const CREDIT_DECIMALS = 18n;
+const NATIVE_DECIMALS = 18n;
+const MULTIPLIER_BASIS = 10_000n;
+
+const PRICE_FEED_ABI = [
+  'function decimals() view returns (uint8)',
+  'function latestRoundData() view returns (uint80 roundId, int256 answer, uint256 startedAt, uint256 updatedAt, uint80 answeredInRound)'
+];
+
+/**
+ * Convert a decimal multiplier string ("1.2") into basis points (12000)
+ */
+function parseMultiplier(multiplier) {
+  const value = Number(multiplier);
+  if (!Number.isFinite(value) || value < 1) {
+    throw new Error(`Invalid gas compensation multiplier: ${multiplier}`);
+  }
+  return BigInt(Math.round(value * Number(MULTIPLIER_BASIS)));
+}
+
+/**
+ * Apply the compensation multiplier (in basis points) to a native cost
+ */
+function applyMultiplier(nativeCost, multiplierBps) {
+  return (nativeCost * multiplierBps) / MULTIPLIER_BASIS;
+}
+
+/**
+ * Convert a native amount (wei) into credits (USD, 18 decimals)
+ * @param {bigint} nativeAmount Amount in wei
+ * @param {bigint} price Native/USD price from the feed
+ * @param {bigint} feedDecimals Decimals of the price feed
+ */
+function nativeToCredits(nativeAmount, price, feedDecimals) {
+  // credits = amount * price / 10^(nativeDecimals + feedDecimals - creditDecimals)
+  return (nativeAmount * price * 10n ** CREDIT_DECIMALS) / 10n ** (NATIVE_DECIMALS + feedDecimals);
+}
+
+/**
+ * Read and validate the native/USD price (same checks as GasCreditVault.calculateCreditValue)
+ * @param {import('ethers').Contract} feed AggregatorV3 contract
+ * @param {number} maxPriceAge Maximum accepted age in seconds
+ * @param {number} now Current (block) timestamp
+ */
+async function readNativePrice(feed, maxPriceAge, now) {
+  const [roundId, price, , updatedAt, answeredInRound] = await feed.latestRoundData();
+  const decimals = BigInt(await feed.decimals());
+
+  if (price <= 0n) throw new Error('Invalid price from feed');
+  if (updatedAt === 0n) throw new Error('Invalid timestamp from feed');
+  if (BigInt(now) - updatedAt > BigInt(maxPriceAge)) throw new Error('Price feed too stale');
+  if (answeredInRound < roundId) throw new Error('Price feed round incomplete');
+
+  return { price, decimals };
+}
+
+module.exports = {
+  CREDIT_DECIMALS,
+  PRICE_FEED_ABI,
+  parseMultiplier,
+  applyMultiplier,
+  nativeToCredits,
+  readNativePrice
+};
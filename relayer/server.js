@@ -0,0 +1,125 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+const { JsonRpcProvider, Wallet } = require('ethers');
+const { loadConfig } = require('./config');
+const { RelayerService, RelayerError } = require('./service');
+
+const MAX_BODY_SIZE = 1024 * 1024; // 1 MB
+
+function sendJson(res, status, payload) {
+  const body = JSON.stringify(payload, (key, value) => (typeof value === 'bigint' ? value.toString() : value));
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(body);
+}
+
+function readJson(req) {
+  return new Promise((resolve, reject) => {
+    let size = 0;
+    const chunks = [];
+    req.on('data', (chunk) => {
+      size += chunk.length;
+      if (size > MAX_BODY_SIZE) {
+        reject(new RelayerError('VALIDATION_ERROR', 'Request body too large', 413));
+        req.destroy();
+        return;
+      }
+      chunks.push(chunk);
+    });
+    req.on('end', () => {
+      try {
+        resolve(chunks.length ? JSON.parse(Buffer.concat(chunks).toString('utf8')) : {});
+      } catch (error) {
+        reject(new RelayerError('VALIDATION_ERROR', 'Invalid JSON body'));
+      }
+    });
+    req.on('error', reject);
+  });
+}
+
+/**
+ * Create the HTTP server exposing the relayer API
+ * @param {RelayerService} relayer Initialized relayer service
+ */
+function createServer(relayer) {
+  const routes = [
+    ['POST', /^\/api\/meta-tx\/execute$/, async (req) => relayer.execute(await readJson(req))],
+    ['POST', /^\/api\/meta-tx\/estimate$/, async (req) => relayer.estimate(await readJson(req))],
+    ['POST', /^\/api\/meta-tx\/fee-quote$/, async (req) => relayer.feeQuote(await readJson(req))],
+    ['GET', /^\/api\/meta-tx\/nonce\/([^/]+)$/, async (req, [address], query) => relayer.getNonce(address, query.get('key') || 0n)],
+    ['GET', /^\/api\/meta-tx\/status\/(\d+)$/, async (req, [batchId]) => relayer.getStatus(batchId)],
+    ['GET', /^\/api\/credits\/([^/]+)$/, async (req, [address]) => relayer.getCredits(address)],
+    ['GET', /^\/api\/health$/, async () => relayer.health()]
+  ];
+
+  return http.createServer(async (req, res) => {
+    const { pathname, searchParams } = new URL(req.url, 'http://localhost');
+
+    for (const [method, pattern, handler] of routes) {
+      const match = pathname.match(pattern);
+      if (!match || req.method !== method) continue;
+
+      try {
+        const data = await handler(req, match.slice(1), searchParams);
+        sendJson(res, 200, { success: true, data });
+      } catch (error) {
+        if (error instanceof RelayerError) {
+          sendJson(res, error.status, {
+            success: false,
+            error: error.code,
+            message: error.message,
+            details: error.details
+          });
+        } else {
+          console.error(error);
+          sendJson(res, 500, { success: false, error: 'INTERNAL_ERROR', message: error.message });
+        }
+      }
+      return;
+    }
+
+    sendJson(res, 404, { success: false, error: 'NOT_FOUND', message: `Cannot ${req.method} ${pathname}` });
+  });
+}
+
+/**
+ * Collect the ABIs of compiled contracts so custom errors in failed calls can be decoded
+ */
+function loadArtifactAbis(dir = path.join(__dirname, '../artifacts/contracts')) {
+  if (!fs.existsSync(dir)) return [];
+
+  return fs.readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const fullPath = path.join(dir, entry.name);
+    if (entry.isDirectory()) return loadArtifactAbis(fullPath);
+    if (!entry.name.endsWith('.json') || entry.name.endsWith('.dbg.json')) return [];
+
+    const { abi } = JSON.parse(fs.readFileSync(fullPath, 'utf8'));
+    return abi && abi.some((fragment) => fragment.type === 'error') ? [abi] : [];
+  });
+}
+
+async function main() {
+  const config = loadConfig();
+  const provider = new JsonRpcProvider(config.rpcUrl);
+  const relayerWallet = new Wallet(config.relayerPrivateKey, provider);
+
+  const relayer = await new RelayerService({
+    ...config,
+    provider,
+    relayer: relayerWallet,
+    errorAbis: loadArtifactAbis()
+  }).init();
+
+  createServer(relayer).listen(config.port, () => {
+    console.log(`Relayer ${relayer.relayerAddress} listening on port ${config.port} (chain ${relayer.chainId})`);
+  });
+}
+
+if (require.main === module) {
+  main().catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
+}
+
+module.exports = { createServer, loadArtifactAbis };
@@ -0,0 +1,685 @@
+const { Contract, ZeroAddress, getAddress, isAddress, isHexString } = require('ethers');
+const {
+  MetaTxClient,
+  ExecutionMode,
+  NO_FEE,
+  RECEIPT_TUPLE,
+  decodeBatchResults,
+  decodeNonce,
+  decodeRevertReason
+} = require('../sdk');
+const {
+  PRICE_FEED_ABI,
+  parseMultiplier,
+  applyMultiplier,
+  nativeToCredits,
+  readNativePrice
+} = require('./pricing');
+
+const VAULT_ABI = [
+  'function credits(address user) view returns (uint256)',
+  'function minimumConsume() view returns (uint256)',
+  `function consumeCredit(address[] targets, ${RECEIPT_TUPLE} receipt) returns (uint256 consumptionId)`,
+  `function consumeSponsoredCredit(uint256 poolId, address[] targets, ${RECEIPT_TUPLE} receipt) returns (uint256 consumptionId)`,
+  'function getSponsorPool(uint256 poolId) view returns (tuple(address sponsor, uint64 expiry, uint256 perUserCap) pool, uint256 poolCredits, address[] targets)',
+  'function sponsoredAllowance(uint256 poolId, address user) view returns (uint256)',
+  'function spendingCaps(address user, address relayer) view returns (uint256 allowance, uint256 maxPerBatch, uint256 expiry)',
+  'function setSpendingCapWithSig(address user, address relayer, uint256 allowance, uint256 maxPerBatch, uint256 expiry, bytes signature)',
+  'event CreditsConsumed(uint256 indexed consumptionId, address indexed user, address indexed relayer, uint256 batchId, bytes32 txHash, uint256 gasUsed, uint256 gasPrice, uint256 nativePrice, uint256 creditCost)',
+  'function isRelayerWhitelisted(address relayer) view returns (bool)',
+  'function isTokenWhitelisted(address token) view returns (bool)',
+  'function getCreditValue(address token, uint256 amount) view returns (uint256)',
+  'function getTokenValue(address token, uint256 creditAmount) view returns (uint256)'
+];
+
+/**
+ * Error carrying the API error code and HTTP status (see docs/api/relayer-api.md)
+ */
+class RelayerError extends Error {
+  constructor(code, message, status = 400, details) {
+    super(message);
+    this.name = 'RelayerError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+function toBigInt(value, field) {
+  try {
+    const result = BigInt(value);
+    if (result < 0n) throw new Error();
+    return result;
+  } catch (error) {
+    throw new RelayerError('VALIDATION_ERROR', `Invalid ${field}`);
+  }
+}
+
+/**
+ * Reference relayer: validates, simulates and submits MetaTxGateway batches
+ * and charges the gas cost to GasCreditVault credits, or to the ERC-20 fee signed in the batch
+ */
+class RelayerService {
+  /**
+   * @param {object} options
+   * @param {import('ethers').Provider} options.provider
+   * @param {import('ethers').Signer} options.relayer Relayer signer (authorized on gateway and vault)
+   * @param {string} options.gatewayAddress MetaTxGateway proxy address
+   * @param {string} options.vaultAddress GasCreditVault proxy address
+   * @param {string} options.nativePriceFeed Native/USD AggregatorV3 feed
+   * @param {string} [options.gasCompensationMultiplier] Markup applied to gas cost (default "1.2")
+   * @param {number} [options.maxPriceAge] Maximum price feed age in seconds (default 1 hour)
+   * @param {Array} [options.errorAbis] ABIs used to decode custom errors of failed calls
+   */
+  constructor(options) {
+    this.provider = options.provider;
+    this.relayer = options.relayer;
+    this.client = new MetaTxClient(options.gatewayAddress, options.provider);
+    this.vault = new Contract(options.vaultAddress, VAULT_ABI, options.relayer);
+    this.priceFeed = new Contract(options.nativePriceFeed, PRICE_FEED_ABI, options.provider);
+    this.multiplierBps = parseMultiplier(options.gasCompensationMultiplier || '1.2');
+    this.maxPriceAge = options.maxPriceAge || 3600;
+    this.expectedChainId = options.chainId;
+    this.errorAbis = options.errorAbis || [];
+
+    this.batches = new Map();
+    this._queue = Promise.resolve();
+  }
+
+  /**
+   * Resolve the chain id and check that the relayer key is authorized
+   */
+  async init() {
+    const { chainId } = await this.provider.getNetwork();
+    if (this.expectedChainId !== undefined && BigInt(this.expectedChainId) !== chainId) {
+      throw new Error(`Connected to chain ${chainId}, expected ${this.expectedChainId}`);
+    }
+    this.chainId = chainId;
+    this.relayerAddress = await this.relayer.getAddress();
+
+    if (!(await this.client.gateway.isRelayerAuthorized(this.relayerAddress))) {
+      throw new Error(`Relayer ${this.relayerAddress} is not authorized on MetaTxGateway`);
+    }
+    if (!(await this.vault.isRelayerWhitelisted(this.relayerAddress))) {
+      throw new Error(`Relayer ${this.relayerAddress} is not whitelisted on GasCreditVault`);
+    }
+
+    await this.client.getDomain();
+    return this;
+  }
+
+  /**
+   * Parse and type-check a request body
+   */
+  parseRequest(body) {
+    const calls = this.parseCalls(body);
+    if (!isHexString(body.signature)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Invalid signature');
+    }
+
+    const mode = body.mode === undefined ? ExecutionMode.BestEffort : Number(body.mode);
+    if (!Object.values(ExecutionMode).includes(mode)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Invalid mode');
+    }
+
+    const permits = body.permits === undefined ? [] : body.permits;
+    if (!Array.isArray(permits)) {
+      throw new RelayerError('VALIDATION_ERROR', 'permits must be an array');
+    }
+
+    return {
+      batch: {
+        ...calls,
+        nonce: toBigInt(body.nonce, 'nonce'),
+        deadline: toBigInt(body.deadline, 'deadline'),
+        mode,
+        fee: this.parseFee(body.fee),
+        permits: permits.map((permit, i) => this.parsePermit(permit, i))
+      },
+      signature: body.signature,
+      spendingCap: this.parseSpendingCap(body.spendingCap),
+      sponsorPoolId: body.sponsorPoolId === undefined ? null : toBigInt(body.sponsorPoolId, 'sponsorPoolId')
+    };
+  }
+
+  /**
+   * Type-check the spending cap signed for this relayer (see signSpendingCap), if any
+   */
+  parseSpendingCap(cap) {
+    if (cap === undefined || cap === null) return null;
+    if (typeof cap !== 'object' || !isHexString(cap.signature)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Invalid spendingCap.signature');
+    }
+    return {
+      allowance: toBigInt(cap.allowance, 'spendingCap.allowance'),
+      maxPerBatch: toBigInt(cap.maxPerBatch, 'spendingCap.maxPerBatch'),
+      expiry: toBigInt(cap.expiry, 'spendingCap.expiry'),
+      signature: cap.signature
+    };
+  }
+
+  /**
+   * Parse the chain, sender and calls of a request (signed or not)
+   */
+  parseCalls(body) {
+    if (!body || typeof body !== 'object') {
+      throw new RelayerError('VALIDATION_ERROR', 'Request body must be a JSON object');
+    }
+    if (body.chainId !== undefined && toBigInt(body.chainId, 'chainId') !== this.chainId) {
+      throw new RelayerError('UNSUPPORTED_CHAIN', `Chain ${body.chainId} is not served by this relayer`);
+    }
+    if (!isAddress(body.from)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Invalid from address');
+    }
+    if (!Array.isArray(body.metaTxs) || body.metaTxs.length === 0) {
+      throw new RelayerError('VALIDATION_ERROR', 'metaTxs must be a non-empty array');
+    }
+
+    const metaTxs = body.metaTxs.map((metaTx, i) => {
+      if (!metaTx || !isAddress(metaTx.to)) {
+        throw new RelayerError('VALIDATION_ERROR', `Invalid metaTxs[${i}].to`);
+      }
+      const data = metaTx.data === undefined ? '0x' : metaTx.data;
+      if (!isHexString(data)) {
+        throw new RelayerError('VALIDATION_ERROR', `Invalid metaTxs[${i}].data`);
+      }
+      return {
+        to: getAddress(metaTx.to),
+        value: toBigInt(metaTx.value || 0, `metaTxs[${i}].value`),
+        data
+      };
+    });
+
+    return { from: getAddress(body.from), metaTxs };
+  }
+
+  /**
+   * Type-check the relayer fee signed in a request (no fee when omitted)
+   * Only fees paid to this relayer are accepted.
+   */
+  parseFee(fee) {
+    if (fee === undefined || fee === null) return { ...NO_FEE };
+    if (typeof fee !== 'object' || !isAddress(fee.token)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Invalid fee.token');
+    }
+    const recipient = fee.recipient === undefined ? ZeroAddress : fee.recipient;
+    if (!isAddress(recipient)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Invalid fee.recipient');
+    }
+
+    const parsed = {
+      token: getAddress(fee.token),
+      maxAmount: toBigInt(fee.maxAmount, 'fee.maxAmount'),
+      recipient: getAddress(recipient)
+    };
+    if (parsed.token !== ZeroAddress && ![ZeroAddress, this.relayerAddress].includes(parsed.recipient)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Fee recipient is not this relayer');
+    }
+    return parsed;
+  }
+
+  /**
+   * Type-check an EIP-2612 permit attached to a request
+   */
+  parsePermit(permit, i) {
+    if (!permit || !isAddress(permit.token) || !isAddress(permit.spender)) {
+      throw new RelayerError('VALIDATION_ERROR', `Invalid permits[${i}] token or spender`);
+    }
+    const v = Number(permit.v);
+    if (v !== 27 && v !== 28) {
+      throw new RelayerError('VALIDATION_ERROR', `Invalid permits[${i}].v`);
+    }
+    if (!isHexString(permit.r, 32) || !isHexString(permit.s, 32)) {
+      throw new RelayerError('VALIDATION_ERROR', `Invalid permits[${i}] signature`);
+    }
+    return {
+      token: getAddress(permit.token),
+      spender: getAddress(permit.spender),
+      value: toBigInt(permit.value, `permits[${i}].value`),
+      deadline: toBigInt(permit.deadline, `permits[${i}].deadline`),
+      v,
+      r: permit.r,
+      s: permit.s
+    };
+  }
+
+  /**
+   * Off-chain validation of deadline, nonce and signature
+   */
+  async validate(body) {
+    const { batch, signature, spendingCap, sponsorPoolId } = this.parseRequest(body);
+
+    const block = await this.provider.getBlock('latest');
+    if (batch.deadline < BigInt(block.timestamp)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Transaction expired');
+    }
+
+    const nonce = await this.client.getNonce(batch.from, decodeNonce(batch.nonce).key);
+    if (batch.nonce !== nonce) {
+      throw new RelayerError('VALIDATION_ERROR', `Invalid nonce: expected ${nonce}`);
+    }
+
+    try {
+      await this.client.verifyBatch(batch, signature);
+    } catch (error) {
+      throw new RelayerError('VALIDATION_ERROR', error.message);
+    }
+
+    return { batch, signature, spendingCap, sponsorPoolId, timestamp: block.timestamp };
+  }
+
+  /**
+   * Convert a native gas cost into credits, applying the compensation multiplier
+   */
+  async quoteCredits(gasCostNative, timestamp) {
+    let price;
+    try {
+      price = await readNativePrice(this.priceFeed, this.maxPriceAge, timestamp);
+    } catch (error) {
+      throw new RelayerError('PRICE_FETCH_FAILED', error.message, 503);
+    }
+
+    const compensated = applyMultiplier(gasCostNative, this.multiplierBps);
+    return {
+      gasCostNative: compensated,
+      usdValue: nativeToCredits(compensated, price.price, price.decimals),
+      nativePrice: nativeToCredits(10n ** 18n, price.price, price.decimals)
+    };
+  }
+
+  /**
+   * Convert credits into an amount of a fee token, priced by GasCreditVault (rounded up)
+   */
+  async creditsToFeeToken(token, credits) {
+    if (!(await this.vault.isTokenWhitelisted(token))) {
+      throw new RelayerError('UNSUPPORTED_FEE_TOKEN', `Token ${token} is not accepted for fees`);
+    }
+
+    try {
+      const amount = await this.vault.getTokenValue(token, credits);
+      const value = await this.vault.getCreditValue(token, amount);
+      return value < credits ? amount + 1n : amount;
+    } catch (error) {
+      const reason = error.data ? decodeRevertReason(error.data).message : (error.shortMessage || error.message);
+      throw new RelayerError('PRICE_FETCH_FAILED', reason, 503);
+    }
+  }
+
+  async _gasPrice() {
+    const feeData = await this.provider.getFeeData();
+    return feeData.gasPrice ?? feeData.maxFeePerGas ?? 0n;
+  }
+
+  /**
+   * Spending cap the user granted this relayer, or the signed one submitted with the request
+   */
+  async _spendingCap(user, signedCap) {
+    if (signedCap) return { ...signedCap, signed: true };
+    const [allowance, maxPerBatch, expiry] = await this.vault.spendingCaps(user, this.relayerAddress);
+    return { allowance, maxPerBatch, expiry, signed: false };
+  }
+
+  /**
+   * Credits a sponsor pool can pay for the batch: every call must target a contract the pool sponsors
+   */
+  async _sponsorship(poolId, batch, timestamp, requiredCredits) {
+    const [pool, poolCredits, targets] = await this.vault.getSponsorPool(poolId);
+    const sponsored = new Set(targets.map((target) => target.toLowerCase()));
+    const allowance = await this.vault.sponsoredAllowance(poolId, batch.from);
+    const targetsSponsored = batch.metaTxs.every((metaTx) => sponsored.has(metaTx.to.toLowerCase()));
+
+    return {
+      poolId,
+      sponsor: pool.sponsor,
+      expiry: pool.expiry,
+      poolCredits,
+      allowance,
+      targetsSponsored,
+      covered: pool.expiry >= BigInt(timestamp) && targetsSponsored && requiredCredits <= allowance
+    };
+  }
+
+  async _estimate(batch, signature, timestamp, signedCap, sponsorPoolId = null) {
+    const requiredValue = await this.client.gateway.calculateRequiredValue(batch.metaTxs);
+    const { method, args } = this.client.executionCall(batch, signature, this.relayer);
+    const overrides = { value: requiredValue };
+
+    let gasLimit;
+    let simulation;
+    try {
+      const [successes, results] = await method.staticCall(...args, overrides);
+      simulation = decodeBatchResults(successes, results, this.errorAbis);
+      gasLimit = await method.estimateGas(...args, overrides);
+    } catch (error) {
+      const reason = error.data ? decodeRevertReason(error.data, this.errorAbis).message : (error.shortMessage || error.message);
+      throw new RelayerError('EXECUTION_FAILED', `Simulation failed: ${reason}`);
+    }
+
+    const gasPrice = await this._gasPrice();
+    const { gasCostNative, usdValue } = await this.quoteCredits(gasLimit * gasPrice, timestamp);
+
+    const minimumConsume = await this.vault.minimumConsume();
+    const requiredCredits = usdValue > minimumConsume ? usdValue : minimumConsume;
+    const userCredits = await this.vault.credits(batch.from);
+
+    const cap = await this._spendingCap(batch.from, signedCap);
+    const spendingCap = {
+      ...cap,
+      covered: cap.expiry >= BigInt(timestamp) && requiredCredits <= cap.maxPerBatch && requiredCredits <= cap.allowance
+    };
+
+    const sponsorship = sponsorPoolId === null
+      ? null
+      : await this._sponsorship(sponsorPoolId, batch, timestamp, requiredCredits);
+
+    let fee = null;
+    if (batch.fee.token !== ZeroAddress) {
+      const requiredAmount = await this.creditsToFeeToken(batch.fee.token, usdValue);
+      fee = { ...batch.fee, requiredAmount, covered: batch.fee.maxAmount >= requiredAmount };
+    }
+
+    return {
+      gasLimit,
+      gasPrice,
+      gasCostNative,
+      requiredValue,
+      requiredCredits,
+      userCredits,
+      hasEnoughCredits: userCredits >= requiredCredits,
+      creditDeficit: userCredits >= requiredCredits ? 0n : requiredCredits - userCredits,
+      spendingCap,
+      sponsorship,
+      fee,
+      simulation
+    };
+  }
+
+  /**
+   * Estimate gas and credit cost of a signed batch (POST /api/meta-tx/estimate)
+   */
+  async estimate(body) {
+    const { batch, signature, spendingCap, sponsorPoolId, timestamp } = await this.validate(body);
+    const estimate = await this._estimate(batch, signature, timestamp, spendingCap, sponsorPoolId);
+    const { sponsorship } = estimate;
+
+    return {
+      chainId: this.chainId.toString(),
+      gasLimit: estimate.gasLimit.toString(),
+      gasPrice: estimate.gasPrice.toString(),
+      gasCostNative: estimate.gasCostNative.toString(),
+      requiredValue: estimate.requiredValue.toString(),
+      totalNativeCost: (estimate.gasCostNative + estimate.requiredValue).toString(),
+      requiredCredits: estimate.requiredCredits.toString(),
+      userCredits: estimate.userCredits.toString(),
+      hasEnoughCredits: estimate.hasEnoughCredits,
+      creditDeficit: estimate.creditDeficit.toString(),
+      spendingCap: {
+        allowance: estimate.spendingCap.allowance.toString(),
+        maxPerBatch: estimate.spendingCap.maxPerBatch.toString(),
+        expiry: estimate.spendingCap.expiry.toString(),
+        covered: estimate.spendingCap.covered
+      },
+      sponsorship: sponsorship && {
+        poolId: sponsorship.poolId.toString(),
+        sponsor: sponsorship.sponsor,
+        expiry: sponsorship.expiry.toString(),
+        poolCredits: sponsorship.poolCredits.toString(),
+        allowance: sponsorship.allowance.toString(),
+        targetsSponsored: sponsorship.targetsSponsored,
+        covered: sponsorship.covered
+      },
+      fee: estimate.fee && {
+        token: estimate.fee.token,
+        maxAmount: estimate.fee.maxAmount.toString(),
+        requiredAmount: estimate.fee.requiredAmount.toString(),
+        covered: estimate.fee.covered
+      },
+      simulation: estimate.simulation.map(({ index, success, error }) => ({
+        index,
+        success,
+        revertReason: error ? error.message : null
+      })),
+      timestamp
+    };
+  }
+
+  /**
+   * Quote the token fee to sign for a batch before signing it (POST /api/meta-tx/fee-quote)
+   * The gas is estimated per call (see MetaTxClient.estimateBatchGas) and priced like credits.
+   */
+  async feeQuote(body) {
+    const { from, metaTxs } = this.parseCalls(body);
+    if (!isAddress(body.feeToken)) {
+      throw new RelayerError('VALIDATION_ERROR', 'Invalid feeToken');
+    }
+    const token = getAddress(body.feeToken);
+
+    let gasLimit;
+    try {
+      gasLimit = await this.client.estimateBatchGas({ from, metaTxs, fee: { token, maxAmount: 0n } });
+    } catch (error) {
+      const reason = error.data ? decodeRevertReason(error.data, this.errorAbis).message : (error.shortMessage || error.message);
+      throw new RelayerError('EXECUTION_FAILED', `Simulation failed: ${reason}`);
+    }
+
+    const block = await this.provider.getBlock('latest');
+    const gasPrice = await this._gasPrice();
+    const { gasCostNative, usdValue } = await this.quoteCredits(gasLimit * gasPrice, block.timestamp);
+    const maxAmount = await this.creditsToFeeToken(token, usdValue);
+
+    return {
+      chainId: this.chainId.toString(),
+      gasLimit: gasLimit.toString(),
+      gasPrice: gasPrice.toString(),
+      gasCostNative: gasCostNative.toString(),
+      usdValue: usdValue.toString(),
+      fee: { token, maxAmount: maxAmount.toString(), recipient: this.relayerAddress },
+      feeCollector: await this.client.getFeeCollector(),
+      timestamp: block.timestamp
+    };
+  }
+
+  /**
+   * Validate, simulate, submit and charge a signed batch (POST /api/meta-tx/execute)
+   * Submissions are serialized so the relayer key never races its own nonce.
+   */
+  execute(body) {
+    const run = this._queue.then(() => this._execute(body));
+    this._queue = run.catch(() => {});
+    return run;
+  }
+
+  async _execute(body) {
+    const { batch, signature, spendingCap, sponsorPoolId, timestamp } = await this.validate(body);
+    const estimate = await this._estimate(batch, signature, timestamp, spendingCap, sponsorPoolId);
+    const { fee, sponsorship } = estimate;
+    // A signed token fee takes precedence over a sponsor pool
+    const sponsored = !fee && sponsorship !== null;
+
+    if (fee && !fee.covered) {
+      throw new RelayerError(
+        'INSUFFICIENT_FEE',
+        `Insufficient fee: ${fee.requiredAmount} required, ${fee.maxAmount} signed`,
+        402
+      );
+    }
+    if (sponsored && !sponsorship.covered) {
+      throw new RelayerError(
+        'SPONSORSHIP_UNAVAILABLE',
+        `Sponsor pool ${sponsorship.poolId} does not cover this batch`,
+        402
+      );
+    }
+    if (!fee && !sponsored && !estimate.hasEnoughCredits) {
+      throw new RelayerError(
+        'INSUFFICIENT_CREDITS',
+        `Insufficient credits: ${estimate.creditDeficit} more required`,
+        402
+      );
+    }
+    if (!fee && !sponsored && !estimate.spendingCap.covered) {
+      throw new RelayerError(
+        'SPENDING_CAP_EXCEEDED',
+        `Spending cap for this relayer does not cover ${estimate.requiredCredits} credits`,
+        402
+      );
+    }
+
+    if (!fee && !sponsored && spendingCap) {
+      try {
+        const capTx = await this.vault.setSpendingCapWithSig(
+          batch.from,
+          this.relayerAddress,
+          spendingCap.allowance,
+          spendingCap.maxPerBatch,
+          spendingCap.expiry,
+          spendingCap.signature
+        );
+        await capTx.wait();
+      } catch (error) {
+        const reason = error.data ? decodeRevertReason(error.data).message : (error.shortMessage || error.message);
+        throw new RelayerError('VALIDATION_ERROR', `Invalid spending cap: ${reason}`);
+      }
+    }
+
+    let receipt;
+    try {
+      const tx = await this.client.submit(
+        batch,
+        signature,
+        this.relayer,
+        { gasLimit: estimate.gasLimit },
+        { feeAmount: fee ? fee.requiredAmount : 0n }
+      );
+      receipt = await tx.wait();
+    } catch (error) {
+      throw new RelayerError('EXECUTION_FAILED', error.shortMessage || error.message, 500);
+    }
+
+    const results = this.client.parseBatchResults(receipt, this.errorAbis);
+    // Read from the mined batch: another relayer's batch may land between a count read and ours
+    const [{ batchId }] = results;
+
+    const block = await this.provider.getBlock(receipt.blockNumber);
+    const { gasCostNative, usdValue, nativePrice } = await this.quoteCredits(
+      receipt.gasUsed * receipt.gasPrice,
+      block.timestamp
+    );
+
+    // Batches paying a token fee are settled on-chain; others are charged the actual gas cost in credits,
+    // to the user or the sponsor pool, with a receipt the payer can dispute. The relayer absorbs any cost
+    // above the user's cap or balance (or the pool's allowance for the user).
+    let usdValueConsumed = 0n;
+    let consumeTx = null;
+    let consumptionId = null;
+    if (!fee) {
+      let limits;
+      if (sponsored) {
+        limits = [await this.vault.sponsoredAllowance(sponsorship.poolId, batch.from)];
+      } else {
+        const cap = await this._spendingCap(batch.from);
+        limits = [cap.maxPerBatch, cap.allowance, await this.vault.credits(batch.from)];
+      }
+      usdValueConsumed = usdValue > 0n ? usdValue : estimate.requiredCredits;
+      for (const limit of limits) {
+        if (limit < usdValueConsumed) usdValueConsumed = limit;
+      }
+
+      const charge = {
+        user: batch.from,
+        batchId,
+        txHash: receipt.hash,
+        gasUsed: receipt.gasUsed,
+        gasPrice: receipt.gasPrice,
+        nativePrice,
+        usdValue: usdValueConsumed
+      };
+      // The vault checks the targets against the batch record of the gateway: every call, in order
+      const targets = batch.metaTxs.map((metaTx) => metaTx.to);
+      if (sponsored) {
+        consumeTx = await this.vault.consumeSponsoredCredit(sponsorship.poolId, targets, charge);
+      } else {
+        consumeTx = await this.vault.consumeCredit(targets, charge);
+      }
+      const consumeReceipt = await consumeTx.wait();
+      const [event] = consumeReceipt.logs
+        .map((log) => this.vault.interface.parseLog(log))
+        .filter((log) => log && log.name === 'CreditsConsumed');
+      consumptionId = event.args.consumptionId.toString();
+    }
+
+    const result = {
+      txHash: receipt.hash,
+      batchId: batchId.toString(),
+      user: batch.from,
+      relayer: this.relayerAddress,
+      gasUsed: receipt.gasUsed.toString(),
+      gasCostNative: gasCostNative.toString(),
+      requiredValue: estimate.requiredValue.toString(),
+      totalNativeCost: (gasCostNative + estimate.requiredValue).toString(),
+      usdValueConsumed: usdValueConsumed.toString(),
+      creditTxHash: consumeTx ? consumeTx.hash : null,
+      consumptionId,
+      sponsorPoolId: sponsored ? sponsorship.poolId.toString() : null,
+      feeToken: fee ? fee.token : null,
+      feeAmount: fee ? fee.requiredAmount.toString() : '0',
+      blockNumber: receipt.blockNumber.toString(),
+      blockHash: receipt.blockHash,
+      status: 'success',
+      successes: results.map((result) => result.success),
+      results: results.map(({ index, target, success, returnData, error }) => ({
+        index,
+        target,
+        success,
+        returnData,
+        revertReason: error ? error.message : null
+      })),
+      transactionCount: batch.metaTxs.length,
+      timestamp: block.timestamp
+    };
+
+    this.batches.set(result.batchId, result);
+    return result;
+  }
+
+  async getNonce(address, key = 0n) {
+    if (!isAddress(address)) throw new RelayerError('VALIDATION_ERROR', 'Invalid address');
+    const nonceKey = toBigInt(key, 'key');
+    return {
+      address: getAddress(address),
+      key: nonceKey.toString(),
+      nonce: (await this.client.getNonce(address, nonceKey)).toString(),
+      chainId: this.chainId.toString()
+    };
+  }
+
+  async getCredits(address) {
+    if (!isAddress(address)) throw new RelayerError('VALIDATION_ERROR', 'Invalid address');
+    return {
+      address: getAddress(address),
+      credits: (await this.vault.credits(address)).toString(),
+      chainId: this.chainId.toString()
+    };
+  }
+
+  getStatus(batchId) {
+    const record = this.batches.get(String(batchId));
+    if (!record) throw new RelayerError('NOT_FOUND', `Unknown batch ${batchId}`, 404);
+    return record;
+  }
+
+  async health() {
+    const blockNumber = await this.provider.getBlockNumber();
+    return {
+      service: 'Meta Transaction Relayer API',
+      network: { chainId: this.chainId.toString(), blockNumber },
+      relayer: { address: this.relayerAddress, status: 'active' },
+      contracts: {
+        metaTxGateway: { address: this.client.address },
+        gasCreditVault: { address: this.vault.target }
+      }
+    };
+  }
+}
+
+module.exports = { RelayerService, RelayerError, VAULT_ABI };
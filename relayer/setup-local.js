@@ -0,0 +1,66 @@
+const { ethers, upgrades } = require("hardhat");
+
+// Deploys MetaTxGateway, GasCreditVault and mock tokens/feeds on a local node
+// and prints the environment needed by relayer/server.js
+// Usage: npx hardhat run relayer/setup-local.js --network localhost
+
+const NATIVE_PRICE = ethers.parseUnits("600", 8); // $600 per native coin
+const STABLE_PRICE = ethers.parseUnits("1", 8);
+
+async function main() {
+  const [deployer, relayer, user] = await ethers.getSigners();
+
+  const GatewayFactory = await ethers.getContractFactory("MetaTxGateway", deployer);
+  const gateway = await upgrades.deployProxy(GatewayFactory, [], {
+    initializer: "initialize",
+    kind: "uups"
+  });
+  await gateway.waitForDeployment();
+
+  const VaultFactory = await ethers.getContractFactory("GasCreditVault", deployer);
+  const vault = await upgrades.deployProxy(VaultFactory, [], {
+    initializer: "initialize",
+    kind: "uups"
+  });
+  await vault.waitForDeployment();
+
+  const Aggregator = await ethers.getContractFactory("MockAggregatorV3", deployer);
+  const nativeFeed = await Aggregator.deploy(NATIVE_PRICE, 8);
+  await nativeFeed.waitForDeployment();
+  const stableFeed = await Aggregator.deploy(STABLE_PRICE, 8);
+  await stableFeed.waitForDeployment();
+
+  const Token = await ethers.getContractFactory("MockERC20", deployer);
+  const usdt = await Token.deploy("Tether USD", "USDT", 18);
+  await usdt.waitForDeployment();
+
+  await (await gateway.setRelayerAuthorization(relayer.address, true)).wait();
+  await (await vault.whitelistToken(usdt.target, stableFeed.target, true)).wait();
+  await (await vault.addWhitelistedRelayer(relayer.address)).wait();
+  await (await vault.setTrustedForwarder(gateway.target)).wait();
+
+  // Fund the test user with credits
+  const deposit = ethers.parseEther("100");
+  await (await usdt.mint(user.address, deposit)).wait();
+  await (await usdt.connect(user).approve(vault.target, deposit)).wait();
+  await (await vault.connect(user).deposit(usdt.target, deposit)).wait();
+  await (await vault.connect(user).setSpendingCap(relayer.address, deposit, ethers.parseEther("5"), ethers.MaxUint256)).wait();
+
+  const { chainId } = await ethers.provider.getNetwork();
+
+  console.log("# Local relayer environment");
+  console.log(`CHAIN_ID=${chainId}`);
+  console.log("RPC_URL=http://127.0.0.1:8545");
+  console.log(`METATX_GATEWAY_ADDRESS=${gateway.target}`);
+  console.log(`GAS_CREDIT_VAULT_ADDRESS=${vault.target}`);
+  console.log(`NATIVE_PRICE_FEED_ADDRESS=${nativeFeed.target}`);
+  console.log(`# RELAYER_PRIVATE_KEY = private key of ${relayer.address} (hardhat account #1)`);
+  console.log(`# Test user ${user.address} holds ${ethers.formatEther(deposit)} credits (spending cap granted to the relayer), USDT at ${usdt.target}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
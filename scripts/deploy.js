@@ -0,0 +1,44 @@
+const dotenv = require('dotenv');
+const hre = require('hardhat');
+const { loadDeployConfig } = require('../deploy/config');
+const { DeploymentManifest } = require('../deploy/manifest');
+const { DeploymentPipeline } = require('../deploy/pipeline');
+
+dotenv.config();
+
+// Deploys and configures the contracts described by deploy/config/<network>.json
+// Usage: npx hardhat run scripts/deploy.js --network <name>
+//   DEPLOY_CONFIG=<file>    use another config file
+//   DEPLOY_MANIFEST=<file>  manifest path (default deployments/<network>.json; none on the in-process hardhat network)
+//   DEPLOY_PREDICT=1        only print the CREATE2 addresses the deployment will use
+
+async function main() {
+  const network = hre.network.name;
+  const config = loadDeployConfig(network, { file: process.env.DEPLOY_CONFIG });
+  const [deployer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+
+  const manifestFile = process.env.DEPLOY_MANIFEST
+    || (network === 'hardhat' ? null : DeploymentManifest.defaultFile(network));
+  const manifest = DeploymentManifest.load(manifestFile, { network, chainId });
+  const pipeline = new DeploymentPipeline({ hre, config, manifest, deployer });
+
+  console.log(`Deployer ${deployer.address} on ${network} (chain ${chainId})`);
+
+  if (process.env.DEPLOY_PREDICT) {
+    for (const [name, address] of Object.entries(await pipeline.predict())) {
+      console.log(`${name} ${address}`);
+    }
+    return;
+  }
+
+  await pipeline.run();
+  console.log(manifestFile ? `Deployment manifest written to ${manifestFile}` : 'Deployment complete (no manifest on the hardhat network)');
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
@@ -0,0 +1,73 @@
+const dotenv = require('dotenv');
+const hre = require('hardhat');
+const { DeploymentManifest } = require('../deploy/manifest');
+const { ProxyUpgrader } = require('../deploy/upgrade');
+
+dotenv.config();
+
+// Upgrades a proxy recorded in deployments/<network>.json, directly or through the UpgradeTimelock
+// Usage: UPGRADE=<MetaTxGateway|GasCreditVault> npx hardhat run scripts/upgrade.js --network <name>
+//   UPGRADE_ACTION=<action>          upgrade (default), execute, cancel or status
+//   UPGRADE_CONTRACT=<name>          new implementation contract (default: the one the proxy runs)
+//   UPGRADE_REFERENCE=<name>         contract with the deployed implementation's storage layout,
+//                                    when the upgrades plugin has no record of the proxy
+//   UPGRADE_CALL=<fn>[:<arg>,...]    function called on the proxy with the upgrade (e.g. initializeUpgrader)
+//   UPGRADE_ACCOUNTS=<address>,...   users whose nonces and balances are compared (default: seen in events)
+//   DEPLOY_MANIFEST=<file>           manifest path (default deployments/<network>.json)
+
+function parseCall(value) {
+  if (!value) return undefined;
+  const [fn, args] = value.split(':');
+  return { fn, args: args ? args.split(',') : [] };
+}
+
+async function main() {
+  const network = hre.network.name;
+  const [signer] = await hre.ethers.getSigners();
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = DeploymentManifest.load(
+    process.env.DEPLOY_MANIFEST || DeploymentManifest.defaultFile(network),
+    { network, chainId }
+  );
+  const upgrader = new ProxyUpgrader({
+    hre,
+    manifest,
+    signer,
+    accounts: process.env.UPGRADE_ACCOUNTS ? process.env.UPGRADE_ACCOUNTS.split(',') : undefined
+  });
+
+  const action = process.env.UPGRADE_ACTION || 'upgrade';
+  if (action === 'status') {
+    const pending = await upgrader.status();
+    if (pending.length === 0) console.log('No upgrade scheduled');
+    for (const upgrade of pending) {
+      console.log(`${upgrade.name} -> ${upgrade.contractName} ${upgrade.implementation}: ${upgrade.state}, ready at ${new Date(upgrade.readyAt * 1000).toISOString()}`);
+    }
+    return;
+  }
+
+  const name = process.env.UPGRADE;
+  if (!name) throw new Error('Set UPGRADE to the proxy to upgrade (MetaTxGateway or GasCreditVault)');
+  console.log(`${action} ${name} on ${network} (chain ${chainId}) as ${signer.address}`);
+
+  if (action === 'upgrade') {
+    await upgrader.upgrade(name, {
+      contractName: process.env.UPGRADE_CONTRACT,
+      reference: process.env.UPGRADE_REFERENCE,
+      call: parseCall(process.env.UPGRADE_CALL)
+    });
+  } else if (action === 'execute') {
+    await upgrader.execute(name);
+  } else if (action === 'cancel') {
+    await upgrader.cancel(name);
+  } else {
+    throw new Error(`Unknown UPGRADE_ACTION ${action} (upgrade, execute, cancel or status)`);
+  }
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
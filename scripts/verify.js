@@ -0,0 +1,49 @@
+const dotenv = require('dotenv');
+const hre = require('hardhat');
+const { readDeployConfig } = require('../deploy/config');
+const { DeploymentManifest } = require('../deploy/manifest');
+const { EtherscanClient, explorerFor } = require('../deploy/explorer');
+const { ContractVerifier } = require('../deploy/verify');
+
+dotenv.config();
+
+// Verifies every contract recorded in deployments/<network>.json on the network's explorer
+// Usage: npx hardhat run scripts/verify.js --network <name>
+//   VERIFY_CONTRACTS=<name>,...   only these manifest entries (e.g. MetaTxGateway,TokenPresale)
+//   VERIFY_BUNDLES=1              only write standard-JSON bundles to verification/<network>/
+//   VERIFY_OUT=<dir>              bundle directory
+//   VERIFY_API_URL=<url>          explorer API to use instead of the network's (e.g. a local mock)
+//   DEPLOY_MANIFEST=<file>        manifest path (default deployments/<network>.json)
+//   DEPLOY_CONFIG=<file>          deploy config whose `explorer` section overrides the network's explorer
+// API keys: ETHERSCAN_API_KEY (Etherscan V2, every chain) or the chain's key (BSCSCAN_API_KEY, ...)
+
+async function main() {
+  const network = hre.network.name;
+  const { chainId } = await hre.ethers.provider.getNetwork();
+  const manifest = DeploymentManifest.load(
+    process.env.DEPLOY_MANIFEST || DeploymentManifest.defaultFile(network),
+    { network, chainId }
+  );
+
+  const config = readDeployConfig(network, { file: process.env.DEPLOY_CONFIG }) || {};
+  const explorer = process.env.VERIFY_BUNDLES ? null : explorerFor(network, config.explorer);
+  const client = explorer && new EtherscanClient({ ...explorer, chainId });
+  if (!client) console.log(`No explorer API for ${network}: writing standard-JSON bundles only`);
+
+  const verifier = new ContractVerifier({ hre, manifest, client, outDir: process.env.VERIFY_OUT });
+  const results = await verifier.run({
+    only: process.env.VERIFY_CONTRACTS ? process.env.VERIFY_CONTRACTS.split(',') : undefined
+  });
+
+  const counts = results.reduce((acc, { status }) => ({ ...acc, [status]: (acc[status] || 0) + 1 }), {});
+  console.log(Object.entries(counts).map(([status, count]) => `${count} ${status}`).join(', '));
+  if (verifier.bundles.length > 0) console.log(`Bundles and index.json written to ${verifier.outDir}`);
+  if (explorer && explorer.browserUrl) console.log(`Explorer: ${explorer.browserUrl}`);
+}
+
+main()
+  .then(() => process.exit(0))
+  .catch((error) => {
+    console.error(error);
+    process.exit(1);
+  });
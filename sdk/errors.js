@@ -0,0 +1,112 @@
+const { AbiCoder, Interface, dataSlice, hexlify } = require('ethers');
+
+const ERROR_SELECTOR = '0x08c379a0'; // Error(string)
+const PANIC_SELECTOR = '0x4e487b71'; // Panic(uint256)
+
+// Errors raised by MetaTxGateway itself, always decodable
+const GATEWAY_ERRORS = new Interface([
+  'error BatchCallFailed(uint256 index, bytes returnData)'
+]);
+
+// Solidity panic codes (https://docs.soliditylang.org/en/latest/control-structures.html#panic-via-assert-and-error-via-require)
+const PANIC_REASONS = {
+  0x00: 'Generic compiler panic',
+  0x01: 'Assertion failed',
+  0x11: 'Arithmetic overflow or underflow',
+  0x12: 'Division or modulo by zero',
+  0x21: 'Invalid enum value',
+  0x22: 'Invalid storage byte array encoding',
+  0x31: 'Pop on empty array',
+  0x32: 'Array index out of bounds',
+  0x41: 'Out of memory',
+  0x51: 'Call to uninitialized internal function'
+};
+
+function toInterfaces(abis) {
+  return abis.map((abi) => (abi instanceof Interface ? abi : new Interface(abi)));
+}
+
+/**
+ * Decode revert data returned by a failed call
+ * @param {string} data Revert data (hex)
+ * @param {Array<Interface|Array>} [abis] ABIs used to resolve custom errors
+ * @returns {{type: string, message: string, name?: string, args?: Array, code?: bigint, data: string}}
+ */
+function decodeRevertReason(data, abis = []) {
+  const revertData = hexlify(data || '0x');
+  const coder = AbiCoder.defaultAbiCoder();
+
+  if (revertData === '0x') {
+    return { type: 'Empty', message: 'Reverted without a reason', data: revertData };
+  }
+
+  if (revertData.length < 10) {
+    return { type: 'Unknown', message: `Unrecognized revert data ${revertData}`, data: revertData };
+  }
+
+  const selector = dataSlice(revertData, 0, 4);
+
+  try {
+    if (selector === ERROR_SELECTOR) {
+      const [message] = coder.decode(['string'], dataSlice(revertData, 4));
+      return { type: 'Error', message, data: revertData };
+    }
+
+    if (selector === PANIC_SELECTOR) {
+      const [code] = coder.decode(['uint256'], dataSlice(revertData, 4));
+      const reason = PANIC_REASONS[Number(code)] || 'Unknown panic';
+      return { type: 'Panic', code, message: `${reason} (0x${code.toString(16)})`, data: revertData };
+    }
+  } catch (error) {
+    return { type: 'Unknown', message: `Malformed revert data ${revertData}`, data: revertData };
+  }
+
+  for (const iface of [GATEWAY_ERRORS, ...toInterfaces(abis)]) {
+    const parsed = iface.parseError(revertData);
+    if (parsed && parsed.name === 'BatchCallFailed') {
+      // Atomic batch failure: unwrap the revert data of the failing call
+      const cause = decodeRevertReason(parsed.args.returnData, abis);
+      return {
+        type: 'BatchCallFailed',
+        name: parsed.name,
+        index: Number(parsed.args.index),
+        cause,
+        message: `Call ${parsed.args.index} failed: ${cause.message}`,
+        data: revertData
+      };
+    }
+    if (parsed) {
+      const args = parsed.args.map((arg) => (typeof arg === 'bigint' ? arg.toString() : arg));
+      return {
+        type: 'CustomError',
+        name: parsed.name,
+        args: [...parsed.args],
+        message: `${parsed.name}(${args.join(', ')})`,
+        data: revertData
+      };
+    }
+  }
+
+  return { type: 'Unknown', message: `Unknown custom error ${selector}`, data: revertData };
+}
+
+/**
+ * Turn per-call successes and return data into readable results
+ * @param {boolean[]} successes Success flags returned by executeMetaTransactions
+ * @param {string[]} results Return data returned by executeMetaTransactions
+ * @param {Array<Interface|Array>} [abis] ABIs used to resolve custom errors
+ */
+function decodeBatchResults(successes, results, abis = []) {
+  return successes.map((success, index) => ({
+    index,
+    success,
+    returnData: results[index],
+    error: success ? null : decodeRevertReason(results[index], abis)
+  }));
+}
+
+module.exports = {
+  PANIC_REASONS,
+  decodeRevertReason,
+  decodeBatchResults
+};
@@ -0,0 +1,15 @@
+const metaTx = require('./metaTx');
+const errors = require('./errors');
+const permits = require('./permits');
+const signatures = require('./signatures');
+const vault = require('./vault');
+const vote = require('./vote');
+
+module.exports = {
+  ...metaTx,
+  ...errors,
+  ...permits,
+  ...signatures,
+  ...vault,
+  ...vote
+};
@@ -0,0 +1,480 @@
+const { Contract, Interface, TypedDataEncoder, ZeroAddress, concat, getAddress, hexlify, recoverAddress } = require('ethers');
+const { decodeRevertReason } = require('./errors');
+const { signPermit } = require('./permits');
+
+// EIP-712 domain constants (must match MetaTxGateway._buildDomainSeparator)
+const DOMAIN_NAME = 'MetaTxGateway';
+const DOMAIN_VERSION = '1';
+
+// EIP-712 types (must match META_TRANSACTION_TYPEHASH / META_TRANSACTION_STRUCT_TYPEHASH / RELAYER_FEE_TYPEHASH)
+const META_TX_TYPES = {
+  MetaTransactions: [
+    { name: 'from', type: 'address' },
+    { name: 'metaTxs', type: 'MetaTransaction[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' },
+    { name: 'mode', type: 'uint8' },
+    { name: 'fee', type: 'RelayerFee' }
+  ],
+  MetaTransaction: [
+    { name: 'to', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'data', type: 'bytes' }
+  ],
+  RelayerFee: [
+    { name: 'token', type: 'address' },
+    { name: 'maxAmount', type: 'uint256' },
+    { name: 'recipient', type: 'address' }
+  ]
+};
+
+// Fee signed by batches that do not pay the relayer in tokens
+const NO_FEE = Object.freeze({ token: ZeroAddress, maxAmount: 0n, recipient: ZeroAddress });
+
+// MetaTxGateway.ExecutionMode
+const ExecutionMode = {
+  BestEffort: 0,
+  Atomic: 1
+};
+
+const META_TX_TUPLE = 'tuple(address to, uint256 value, bytes data)';
+const TOKEN_PERMIT_TUPLE = 'tuple(address token, address spender, uint256 value, uint256 deadline, uint8 v, bytes32 r, bytes32 s)';
+const RELAYER_FEE_TUPLE = 'tuple(address token, uint256 maxAmount, address recipient)';
+
+const GATEWAY_ABI = [
+  `function executeMetaTransactions(address from, ${META_TX_TUPLE}[] metaTxs, bytes signature, uint256 nonce, uint256 deadline, uint8 mode) payable returns (bool[] successes, bytes[] results)`,
+  `function executeMetaTransactionsWithPermits(address from, ${META_TX_TUPLE}[] metaTxs, bytes signature, uint256 nonce, uint256 deadline, uint8 mode, ${TOKEN_PERMIT_TUPLE}[] permits) payable returns (bool[] successes, bytes[] results)`,
+  `function executeMetaTransactionsWithFee(address from, ${META_TX_TUPLE}[] metaTxs, bytes signature, uint256 nonce, uint256 deadline, uint8 mode, ${RELAYER_FEE_TUPLE} fee, uint256 feeAmount, ${TOKEN_PERMIT_TUPLE}[] permits) payable returns (bool[] successes, bytes[] results)`,
+  `function calculateRequiredValue(${META_TX_TUPLE}[] metaTxs) pure returns (uint256)`,
+  `function verifyBatchSignature(address from, ${META_TX_TUPLE}[] metaTxs, bytes signature, uint256 nonce, uint256 deadline, uint8 mode, ${RELAYER_FEE_TUPLE} fee) returns (bool)`,
+  `function getSigningDigest(address from, ${META_TX_TUPLE}[] metaTxs, uint256 nonce, uint256 deadline, uint8 mode, ${RELAYER_FEE_TUPLE} fee) view returns (bytes32)`,
+  'function getFeeCollector() view returns (address)',
+  'function getNonce(address user) view returns (uint256)',
+  'function getNonceForKey(address user, uint192 key) view returns (uint256)',
+  'function cancelNonce(uint256 nonce)',
+  'function getDomainSeparator() view returns (bytes32)',
+  'function isRelayerAuthorized(address relayer) view returns (bool)',
+  'function getTotalBatchCount() view returns (uint256)',
+  'event MetaTransactionExecuted(address indexed relayer, address indexed user, address indexed target, uint256 batchId, uint256 index, uint256 value, bytes data, bool success, bytes returnData)',
+  'event NativeTokenUsed(uint256 indexed batchId, uint256 totalRequired, uint256 totalUsed, uint256 refunded)',
+  'event PermitFailed(address indexed user, address indexed token, uint256 index, bytes reason)',
+  'event NonceInvalidated(address indexed user, uint192 indexed key, uint64 nextSequence)',
+  'event RelayerFeePaid(uint256 indexed batchId, address indexed user, address indexed token, address recipient, uint256 amount)',
+  'error BatchCallFailed(uint256 index, bytes returnData)'
+];
+
+const DEFAULT_TTL = 3600; // 1 hour
+
+// Rough gas of a batch on top of its calls (signature check, nonce, batch record, events) and per call
+const BATCH_BASE_GAS = 85000n;
+const CALL_OVERHEAD_GAS = 15000n;
+const CALL_VALUE_GAS = 9000n;
+const INTRINSIC_GAS = 21000n;
+// Token fee transfer, and the one-off RelayerFeeCollector deployment (and its recorded address) on the first fee payment
+const FEE_TRANSFER_GAS = 40000n;
+const FEE_COLLECTOR_DEPLOY_GAS = 225000n;
+
+const NONCE_KEY_MAX = (1n << 192n) - 1n;
+const NONCE_SEQUENCE_MASK = (1n << 64n) - 1n;
+
+/**
+ * Encode a 2D nonce: `key << 64 | sequence` (key 0 is the default lane)
+ * @param {bigint|number} key Nonce lane (uint192)
+ * @param {bigint|number} sequence Position in the lane (uint64)
+ */
+function encodeNonce(key, sequence) {
+  const k = BigInt(key);
+  const seq = BigInt(sequence);
+  if (k < 0n || k > NONCE_KEY_MAX) throw new Error(`Invalid nonce key ${key}`);
+  if (seq < 0n || seq > NONCE_SEQUENCE_MASK) throw new Error(`Invalid nonce sequence ${sequence}`);
+  return (k << 64n) | seq;
+}
+
+/**
+ * Split a 2D nonce into its key and sequence
+ * @returns {{key: bigint, sequence: bigint}}
+ */
+function decodeNonce(nonce) {
+  const value = BigInt(nonce);
+  return { key: value >> 64n, sequence: value & NONCE_SEQUENCE_MASK };
+}
+
+/**
+ * Build the EIP-712 domain used by a MetaTxGateway deployment
+ * @param {bigint|number} chainId Chain id the gateway is deployed on
+ * @param {string} verifyingContract Gateway (proxy) address
+ */
+function buildDomain(chainId, verifyingContract) {
+  return {
+    name: DOMAIN_NAME,
+    version: DOMAIN_VERSION,
+    chainId: BigInt(chainId),
+    verifyingContract: getAddress(verifyingContract)
+  };
+}
+
+/**
+ * Encode a contract call for use as MetaTransaction.data
+ * @param {Interface|Array|string} abi Interface or ABI of the target contract
+ * @param {string} method Function name or signature
+ * @param {Array} args Function arguments
+ */
+function encodeCall(abi, method, args = []) {
+  const iface = abi instanceof Interface ? abi : new Interface(abi);
+  return iface.encodeFunctionData(method, args);
+}
+
+/**
+ * Normalize a call description into the MetaTransaction struct shape
+ * @param {{to: string, value?: bigint|number|string, data?: string}} call
+ */
+function toMetaTx({ to, value = 0n, data = '0x' }) {
+  return {
+    to: getAddress(to),
+    value: BigInt(value),
+    data: hexlify(data)
+  };
+}
+
+/**
+ * Sum of native value required by a batch (mirrors MetaTxGateway._calculateTotalValue)
+ */
+function calculateRequiredValue(metaTxs) {
+  return metaTxs.reduce((total, metaTx) => total + BigInt(metaTx.value), 0n);
+}
+
+/**
+ * Normalize a relayer fee into the RelayerFee struct shape (no fee when omitted)
+ * @param {{token: string, maxAmount: bigint|number|string, recipient?: string}} [fee]
+ */
+function toRelayerFee(fee) {
+  if (!fee) return { ...NO_FEE };
+  return {
+    token: getAddress(fee.token),
+    maxAmount: BigInt(fee.maxAmount),
+    recipient: fee.recipient ? getAddress(fee.recipient) : ZeroAddress
+  };
+}
+
+/**
+ * EIP-712 message for a batch
+ */
+function toTypedMessage(batch) {
+  return {
+    from: batch.from,
+    metaTxs: batch.metaTxs,
+    nonce: batch.nonce,
+    deadline: batch.deadline,
+    mode: batch.mode,
+    fee: toRelayerFee(batch.fee)
+  };
+}
+
+/**
+ * Compute the EIP-712 digest of a batch locally
+ * @param {object} domain Domain from buildDomain
+ * @param {{from, metaTxs, nonce, deadline, mode, fee?}} batch
+ */
+function hashBatch(domain, batch) {
+  return TypedDataEncoder.hash(domain, META_TX_TYPES, toTypedMessage(batch));
+}
+
+/**
+ * Client for building, signing and submitting MetaTxGateway batches (ethers v6)
+ */
+class MetaTxClient {
+  /**
+   * @param {string} gatewayAddress Gateway (proxy) address
+   * @param {import('ethers').ContractRunner} runner Provider or signer used for reads
+   */
+  constructor(gatewayAddress, runner) {
+    this.address = getAddress(gatewayAddress);
+    this.runner = runner;
+    this.gateway = new Contract(this.address, GATEWAY_ABI, runner);
+    this._domain = null;
+  }
+
+  /**
+   * Resolve the EIP-712 domain and check it against getDomainSeparator()
+   */
+  async getDomain() {
+    if (this._domain) return this._domain;
+
+    const provider = this.runner.provider || this.runner;
+    const { chainId } = await provider.getNetwork();
+    const domain = buildDomain(chainId, this.address);
+
+    const onChainSeparator = await this.gateway.getDomainSeparator();
+    const localSeparator = TypedDataEncoder.hashDomain(domain);
+    if (onChainSeparator !== localSeparator) {
+      throw new Error(`Domain separator mismatch: local ${localSeparator}, on-chain ${onChainSeparator}`);
+    }
+
+    this._domain = domain;
+    return domain;
+  }
+
+  /**
+   * Next nonce of `user` in a nonce lane
+   * @param {string} user User address
+   * @param {bigint|number} [key] Nonce key (default lane 0)
+   */
+  async getNonce(user, key = 0n) {
+    return this.gateway.getNonceForKey(user, key);
+  }
+
+  /**
+   * Address users approve (or sign permits for) to pay relayer fees
+   */
+  async getFeeCollector() {
+    return this.gateway.getFeeCollector();
+  }
+
+  /**
+   * Rough gas estimate of a batch before it is signed, used to quote relayer fees
+   * Each call is estimated from the gateway with the ERC-2771 suffix, plus a fixed batch overhead.
+   * @param {{from, metaTxs, fee?}} batch Include `fee` (any maxAmount) to account for the fee transfer
+   */
+  async estimateBatchGas(batch) {
+    const provider = this.runner.provider || this.runner;
+    let gas = BATCH_BASE_GAS;
+
+    if (toRelayerFee(batch.fee).token !== ZeroAddress) {
+      gas += FEE_TRANSFER_GAS;
+      if ((await provider.getCode(await this.getFeeCollector())) === '0x') gas += FEE_COLLECTOR_DEPLOY_GAS;
+    }
+
+    for (const metaTx of batch.metaTxs.map(toMetaTx)) {
+      const data = metaTx.data === '0x' ? metaTx.data : concat([metaTx.data, batch.from]);
+      // Value is left out: the gateway only holds it during execution
+      const callGas = await provider.estimateGas({ from: this.address, to: metaTx.to, data });
+      gas += CALL_OVERHEAD_GAS + (callGas > INTRINSIC_GAS ? callGas - INTRINSIC_GAS : 0n);
+      if (metaTx.value > 0n) gas += CALL_VALUE_GAS;
+    }
+    return gas;
+  }
+
+  /**
+   * Call that invalidates `nonce` (and earlier nonces of its key), for use inside a batch
+   * so a user without gas can cancel a signed batch through the relayer
+   */
+  cancelNonceCall(nonce) {
+    return {
+      to: this.address,
+      value: 0n,
+      data: this.gateway.interface.encodeFunctionData('cancelNonce', [BigInt(nonce)])
+    };
+  }
+
+  /**
+   * Invalidate `nonce` (and earlier nonces of its key) directly from the user's account
+   * @param {import('ethers').Signer} signer The nonce owner
+   */
+  async cancelNonce(signer, nonce, overrides = {}) {
+    return this.gateway.connect(signer).cancelNonce(BigInt(nonce), overrides);
+  }
+
+  /**
+   * Build an unsigned batch for `from`
+   * @param {string} from User address
+   * @param {Array<{to, value?, data?}>} calls Calls to execute
+   * @param {{nonce?: bigint, nonceKey?: bigint, deadline?: bigint, ttl?: number, mode?: number, permits?: Array, fee?: object}} [options]
+   *   nonceKey selects a parallel nonce lane (ignored when nonce is given)
+   *   mode defaults to ExecutionMode.BestEffort; use ExecutionMode.Atomic for all-or-nothing batches
+   *   permits are signed EIP-2612 permits (see signPermits) applied before the batch
+   *   fee `{token, maxAmount, recipient?}` pays the relayer up to maxAmount from `from` (see getFeeCollector)
+   */
+  async buildBatch(from, calls, options = {}) {
+    if (!calls || calls.length === 0) throw new Error('Empty batch Txs');
+
+    const mode = options.mode !== undefined ? Number(options.mode) : ExecutionMode.BestEffort;
+    if (!Object.values(ExecutionMode).includes(mode)) throw new Error(`Invalid execution mode ${options.mode}`);
+
+    const nonce = options.nonce !== undefined
+      ? BigInt(options.nonce)
+      : await this.getNonce(from, options.nonceKey || 0n);
+
+    let deadline = options.deadline;
+    if (deadline === undefined) {
+      const provider = this.runner.provider || this.runner;
+      const block = await provider.getBlock('latest');
+      deadline = BigInt(block.timestamp) + BigInt(options.ttl || DEFAULT_TTL);
+    }
+
+    return {
+      from: getAddress(from),
+      metaTxs: calls.map(toMetaTx),
+      nonce,
+      deadline: BigInt(deadline),
+      mode,
+      fee: toRelayerFee(options.fee),
+      permits: options.permits || []
+    };
+  }
+
+  /**
+   * Sign EIP-2612 permits for the batch sender and attach them to the batch
+   * Permits are not covered by the batch signature; the gateway applies them with `from` as owner.
+   * @param {import('ethers').Signer} signer Batch sender
+   * @param {object} batch Batch from buildBatch
+   * @param {Array<{token, spender, value, deadline?}>} permits deadline defaults to the batch deadline
+   * @returns {Promise<object>} The batch with `permits` set
+   */
+  async signPermits(signer, batch, permits) {
+    const signerAddress = await signer.getAddress();
+    if (getAddress(signerAddress) !== batch.from) {
+      throw new Error(`Signer ${signerAddress} is not batch sender ${batch.from}`);
+    }
+
+    const signed = [];
+    for (const permit of permits) {
+      signed.push(await signPermit(signer, { deadline: batch.deadline, ...permit }));
+    }
+    return { ...batch, permits: [...(batch.permits || []), ...signed] };
+  }
+
+  /**
+   * Sign a batch with any ethers signer (wallet, JSON-RPC, hardware, ...)
+   * @param {{walletOwner?: boolean}} [options] Set walletOwner when `signer` owns the contract wallet
+   *   `batch.from` (ERC-1271); the wallet must accept the owner's signature over the EIP-712 digest
+   */
+  async signBatch(signer, batch, options = {}) {
+    const signerAddress = await signer.getAddress();
+    if (!options.walletOwner && getAddress(signerAddress) !== batch.from) {
+      throw new Error(`Signer ${signerAddress} is not batch sender ${batch.from}`);
+    }
+
+    const domain = await this.getDomain();
+    return signer.signTypedData(domain, META_TX_TYPES, toTypedMessage(batch));
+  }
+
+  /**
+   * Compare the local digest with getSigningDigest() and optionally check the signature
+   * Signatures that do not recover to `from` are checked on-chain with verifyBatchSignature
+   * (ERC-1271 contract wallets, ERC-6492 counterfactual wallets).
+   * @returns {Promise<string>} The verified digest
+   */
+  async verifyBatch(batch, signature) {
+    const domain = await this.getDomain();
+    const localDigest = hashBatch(domain, batch);
+    const onChainDigest = await this.gateway.getSigningDigest(
+      batch.from, batch.metaTxs, batch.nonce, batch.deadline, batch.mode, toRelayerFee(batch.fee)
+    );
+
+    if (localDigest !== onChainDigest) {
+      throw new Error(`Signing digest mismatch: local ${localDigest}, on-chain ${onChainDigest}`);
+    }
+
+    if (signature && !(await this._isValidSignature(batch, localDigest, signature))) {
+      throw new Error('Invalid signature');
+    }
+
+    return localDigest;
+  }
+
+  async _isValidSignature(batch, digest, signature) {
+    try {
+      if (getAddress(recoverAddress(digest, signature)) === batch.from) return true;
+    } catch (error) {
+      // Not a plain ECDSA signature
+    }
+    return this.gateway.verifyBatchSignature.staticCall(
+      batch.from, batch.metaTxs, signature, batch.nonce, batch.deadline, batch.mode, toRelayerFee(batch.fee)
+    );
+  }
+
+  /**
+   * Resolve the gateway method and arguments for a batch
+   * Batches with a fee go through executeMetaTransactionsWithFee, batches carrying only permits
+   * through executeMetaTransactionsWithPermits.
+   * @param {import('ethers').ContractRunner} [runner] Runner the method is bound to (e.g. relayer signer)
+   * @param {{feeAmount?: bigint}} [options] feeAmount charged by the relayer (defaults to fee.maxAmount)
+   * @returns {{method: import('ethers').BaseContractMethod, args: Array}}
+   */
+  executionCall(batch, signature, runner = this.runner, options = {}) {
+    const gateway = this.gateway.connect(runner);
+    const args = [batch.from, batch.metaTxs, signature, batch.nonce, batch.deadline, batch.mode];
+    const fee = toRelayerFee(batch.fee);
+
+    if (fee.token !== ZeroAddress) {
+      const feeAmount = options.feeAmount !== undefined ? BigInt(options.feeAmount) : fee.maxAmount;
+      return { method: gateway.executeMetaTransactionsWithFee, args: [...args, fee, feeAmount, batch.permits || []] };
+    }
+    if (batch.permits && batch.permits.length > 0) {
+      return { method: gateway.executeMetaTransactionsWithPermits, args: [...args, batch.permits] };
+    }
+    return { method: gateway.executeMetaTransactions, args };
+  }
+
+  /**
+   * Verify and submit a signed batch through an authorized relayer
+   * @param {{from, metaTxs, nonce, deadline, mode, fee?, permits?}} batch
+   * @param {string} signature User signature over the batch
+   * @param {import('ethers').Signer} relayer Authorized relayer signer
+   * @param {object} [overrides] Extra transaction overrides
+   * @param {{feeAmount?: bigint}} [options] Fee charged for batches with a fee (defaults to fee.maxAmount)
+   */
+  async submit(batch, signature, relayer, overrides = {}, options = {}) {
+    await this.verifyBatch(batch, signature);
+
+    const value = await this.gateway.calculateRequiredValue(batch.metaTxs);
+    const { method, args } = this.executionCall(batch, signature, relayer, options);
+
+    return method(...args, { ...overrides, value });
+  }
+
+  /**
+   * Extract per-call results from an executeMetaTransactions receipt
+   * @param {import('ethers').TransactionReceipt} receipt
+   * @param {Array<Interface|Array>} [abis] ABIs of the called contracts, used to decode custom errors
+   * @returns {Array<{batchId, index, target, success, returnData, error}>}
+   */
+  parseBatchResults(receipt, abis = []) {
+    return receipt.logs
+      .filter((log) => getAddress(log.address) === this.address)
+      .map((log) => {
+        try {
+          return this.gateway.interface.parseLog(log);
+        } catch (error) {
+          return null;
+        }
+      })
+      .filter((event) => event && event.name === 'MetaTransactionExecuted')
+      .map(({ args }) => ({
+        batchId: args.batchId,
+        index: Number(args.index),
+        target: args.target,
+        success: args.success,
+        returnData: args.returnData,
+        error: args.success ? null : decodeRevertReason(args.returnData, abis)
+      }))
+      .sort((a, b) => a.index - b.index);
+  }
+
+  /**
+   * Build, sign and submit in one step
+   */
+  async execute(userSigner, calls, relayer, options = {}) {
+    const batch = await this.buildBatch(await userSigner.getAddress(), calls, options);
+    const signature = await this.signBatch(userSigner, batch);
+    return this.submit(batch, signature, relayer, options.overrides);
+  }
+}
+
+module.exports = {
+  DOMAIN_NAME,
+  DOMAIN_VERSION,
+  META_TX_TYPES,
+  NO_FEE,
+  ExecutionMode,
+  GATEWAY_ABI,
+  MetaTxClient,
+  buildDomain,
+  encodeCall,
+  toMetaTx,
+  toRelayerFee,
+  calculateRequiredValue,
+  hashBatch,
+  encodeNonce,
+  decodeNonce
+};
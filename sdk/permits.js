@@ -0,0 +1,138 @@
+const { Contract, Signature, getAddress, hexlify, randomBytes, toBigInt } = require('ethers');
+
+// Canonical Permit2 deployment (same address on every chain it is deployed to)
+const PERMIT2_ADDRESS = '0x000000000022D473030F116dDEE9F6B43aC78BA3';
+
+const ERC20_PERMIT_ABI = [
+  'function name() view returns (string)',
+  'function nonces(address owner) view returns (uint256)',
+  'function eip712Domain() view returns (bytes1 fields, string name, string version, uint256 chainId, address verifyingContract, bytes32 salt, uint256[] extensions)'
+];
+
+// EIP-2612 Permit type
+const PERMIT_TYPES = {
+  Permit: [
+    { name: 'owner', type: 'address' },
+    { name: 'spender', type: 'address' },
+    { name: 'value', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+// Permit2 SignatureTransfer types
+const PERMIT2_TRANSFER_TYPES = {
+  PermitTransferFrom: [
+    { name: 'permitted', type: 'TokenPermissions' },
+    { name: 'spender', type: 'address' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ],
+  TokenPermissions: [
+    { name: 'token', type: 'address' },
+    { name: 'amount', type: 'uint256' }
+  ]
+};
+
+async function getChainId(runner) {
+  const provider = runner.provider || runner;
+  const { chainId } = await provider.getNetwork();
+  return chainId;
+}
+
+/**
+ * Resolve the EIP-712 domain of an ERC20Permit token (ERC-5267 when available, else version "1")
+ * @param {string} token Token address
+ * @param {import('ethers').ContractRunner} runner Provider or signer
+ */
+async function getPermitDomain(token, runner) {
+  const contract = new Contract(token, ERC20_PERMIT_ABI, runner);
+  try {
+    const domain = await contract.eip712Domain();
+    return {
+      name: domain.name,
+      version: domain.version,
+      chainId: domain.chainId,
+      verifyingContract: getAddress(domain.verifyingContract)
+    };
+  } catch (error) {
+    return {
+      name: await contract.name(),
+      version: '1',
+      chainId: await getChainId(runner),
+      verifyingContract: getAddress(token)
+    };
+  }
+}
+
+/**
+ * Sign an EIP-2612 permit, shaped as MetaTxGateway.TokenPermit
+ * @param {import('ethers').Signer} signer Token owner
+ * @param {{token: string, spender: string, value: bigint, deadline: bigint, nonce?: bigint}} permit
+ * @returns {Promise<{token, spender, value, deadline, v, r, s}>}
+ */
+async function signPermit(signer, { token, spender, value, deadline, nonce }) {
+  const owner = await signer.getAddress();
+  const domain = await getPermitDomain(token, signer);
+  const permitNonce = nonce !== undefined
+    ? BigInt(nonce)
+    : await new Contract(token, ERC20_PERMIT_ABI, signer).nonces(owner);
+
+  const message = {
+    owner,
+    spender: getAddress(spender),
+    value: BigInt(value),
+    nonce: permitNonce,
+    deadline: BigInt(deadline)
+  };
+  const { v, r, s } = Signature.from(await signer.signTypedData(domain, PERMIT_TYPES, message));
+
+  return { token: getAddress(token), spender: message.spender, value: message.value, deadline: message.deadline, v, r, s };
+}
+
+/**
+ * Random Permit2 nonce (Permit2 nonces are unordered, any unused value works)
+ */
+function randomPermit2Nonce() {
+  return toBigInt(hexlify(randomBytes(31)));
+}
+
+/**
+ * Sign a Permit2 PermitTransferFrom, authorizing `spender` to pull `amount` of `token` once
+ * @param {import('ethers').Signer} signer Token owner (must have approved Permit2 on the token)
+ * @param {{token: string, amount: bigint, spender: string, deadline: bigint, nonce?: bigint, permit2?: string}} permit
+ * @returns {Promise<{token, amount, spender, nonce, deadline, signature}>}
+ */
+async function signPermit2Transfer(signer, { token, amount, spender, deadline, nonce, permit2 = PERMIT2_ADDRESS }) {
+  const domain = {
+    name: 'Permit2',
+    chainId: await getChainId(signer),
+    verifyingContract: getAddress(permit2)
+  };
+  const message = {
+    permitted: { token: getAddress(token), amount: BigInt(amount) },
+    spender: getAddress(spender),
+    nonce: nonce !== undefined ? BigInt(nonce) : randomPermit2Nonce(),
+    deadline: BigInt(deadline)
+  };
+  const signature = await signer.signTypedData(domain, PERMIT2_TRANSFER_TYPES, message);
+
+  return {
+    token: message.permitted.token,
+    amount: message.permitted.amount,
+    spender: message.spender,
+    nonce: message.nonce,
+    deadline: message.deadline,
+    signature
+  };
+}
+
+module.exports = {
+  PERMIT2_ADDRESS,
+  PERMIT_TYPES,
+  PERMIT2_TRANSFER_TYPES,
+  getPermitDomain,
+  signPermit,
+  signPermit2Transfer,
+  randomPermit2Nonce
+};
@@ -0,0 +1,42 @@
+const { AbiCoder, concat, dataSlice, getAddress, hexlify } = require('ethers');
+
+// ERC-6492 magic suffix marking a counterfactual (not yet deployed) wallet signature
+const ERC6492_DETECTION_SUFFIX = '0x6492649264926492649264926492649264926492649264926492649264926492';
+
+/**
+ * Wrap a contract wallet signature per ERC-6492 so it can be checked before the wallet is deployed
+ * @param {string} factory Factory deploying the wallet
+ * @param {string} factoryCalldata Calldata of the deployment call
+ * @param {string} signature Signature the deployed wallet will accept via ERC-1271
+ */
+function wrapERC6492Signature(factory, factoryCalldata, signature) {
+  const encoded = AbiCoder.defaultAbiCoder().encode(
+    ['address', 'bytes', 'bytes'],
+    [getAddress(factory), factoryCalldata, signature]
+  );
+  return concat([encoded, ERC6492_DETECTION_SUFFIX]);
+}
+
+function isERC6492Signature(signature) {
+  const bytes = hexlify(signature);
+  return bytes.length >= 66 && dataSlice(bytes, (bytes.length - 2) / 2 - 32) === ERC6492_DETECTION_SUFFIX;
+}
+
+/**
+ * Split an ERC-6492 signature into factory, factory calldata and inner signature
+ */
+function unwrapERC6492Signature(signature) {
+  const bytes = hexlify(signature);
+  const [factory, factoryCalldata, innerSignature] = AbiCoder.defaultAbiCoder().decode(
+    ['address', 'bytes', 'bytes'],
+    dataSlice(bytes, 0, (bytes.length - 2) / 2 - 32)
+  );
+  return { factory, factoryCalldata, signature: innerSignature };
+}
+
+module.exports = {
+  ERC6492_DETECTION_SUFFIX,
+  wrapERC6492Signature,
+  isERC6492Signature,
+  unwrapERC6492Signature
+};
@@ -0,0 +1,70 @@
+const { Contract, getAddress } = require('ethers');
+
+const VAULT_DOMAIN_NAME = 'GasCreditVault';
+const VAULT_DOMAIN_VERSION = '1';
+
+// GasCreditVault spending cap granted to a relayer
+const SPENDING_CAP_TYPES = {
+  SpendingCap: [
+    { name: 'user', type: 'address' },
+    { name: 'relayer', type: 'address' },
+    { name: 'allowance', type: 'uint256' },
+    { name: 'maxPerBatch', type: 'uint256' },
+    { name: 'expiry', type: 'uint256' },
+    { name: 'nonce', type: 'uint256' }
+  ]
+};
+
+const RECEIPT_TUPLE = 'tuple(address user, uint256 batchId, bytes32 txHash, uint256 gasUsed, uint256 gasPrice, uint256 nativePrice, uint256 usdValue)';
+
+const VAULT_CAP_ABI = [
+  'function capNonces(address user) view returns (uint256)',
+  'function spendingCaps(address user, address relayer) view returns (uint256 allowance, uint256 maxPerBatch, uint256 expiry)',
+  'function setSpendingCapWithSig(address user, address relayer, uint256 allowance, uint256 maxPerBatch, uint256 expiry, bytes signature)',
+  `function consumeCredit(address[] targets, ${RECEIPT_TUPLE} receipt) returns (uint256 consumptionId)`
+];
+
+async function getVaultDomain(vault, runner) {
+  const provider = runner.provider || runner;
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: VAULT_DOMAIN_NAME,
+    version: VAULT_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: getAddress(vault)
+  };
+}
+
+/**
+ * Sign a GasCreditVault spending cap, letting `relayer` charge up to `allowance` credits
+ * @param {import('ethers').Signer} signer The user granting the cap
+ * @param {string} vault GasCreditVault proxy address
+ * @param {{relayer: string, allowance: bigint, maxPerBatch: bigint, expiry: bigint, nonce?: bigint}} cap
+ * @returns {Promise<{user, relayer, allowance, maxPerBatch, expiry, nonce, signature}>} Arguments of setSpendingCapWithSig
+ */
+async function signSpendingCap(signer, vault, { relayer, allowance, maxPerBatch, expiry, nonce }) {
+  const user = await signer.getAddress();
+  const capNonce = nonce !== undefined
+    ? BigInt(nonce)
+    : await new Contract(vault, VAULT_CAP_ABI, signer).capNonces(user);
+
+  const message = {
+    user,
+    relayer: getAddress(relayer),
+    allowance: BigInt(allowance),
+    maxPerBatch: BigInt(maxPerBatch),
+    expiry: BigInt(expiry),
+    nonce: capNonce
+  };
+  const signature = await signer.signTypedData(await getVaultDomain(vault, signer), SPENDING_CAP_TYPES, message);
+
+  return { ...message, signature };
+}
+
+module.exports = {
+  SPENDING_CAP_TYPES,
+  RECEIPT_TUPLE,
+  VAULT_CAP_ABI,
+  getVaultDomain,
+  signSpendingCap
+};
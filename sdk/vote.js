@@ -0,0 +1,63 @@
+const { Contract, getAddress } = require('ethers');
+
+const VOTE_DOMAIN_NAME = 'DIVote';
+const VOTE_DOMAIN_VERSION = '1';
+
+// DIVote ballot; `allocation` is in basis points per choice, all zeros abstains
+const BALLOT_TYPES = {
+  Ballot: [
+    { name: 'proposalId', type: 'uint256' },
+    { name: 'voter', type: 'address' },
+    { name: 'allocation', type: 'uint256[]' },
+    { name: 'nonce', type: 'uint256' },
+    { name: 'deadline', type: 'uint256' }
+  ]
+};
+
+const VOTE_BALLOT_ABI = [
+  'function nonces(address owner) view returns (uint256)',
+  'function castVoteBySig(uint256 proposalId, address voter, uint256[] allocation, uint256 deadline, bytes signature)'
+];
+
+async function getVoteDomain(vote, runner) {
+  const provider = runner.provider || runner;
+  const { chainId } = await provider.getNetwork();
+  return {
+    name: VOTE_DOMAIN_NAME,
+    version: VOTE_DOMAIN_VERSION,
+    chainId,
+    verifyingContract: getAddress(vote)
+  };
+}
+
+/**
+ * Sign a DIVote ballot that anyone (typically a relayer) can submit with castVoteBySig
+ * @param {import('ethers').Signer} signer The voter
+ * @param {string} vote DIVote address
+ * @param {{proposalId: bigint, allocation: bigint[], deadline: bigint, nonce?: bigint}} ballot
+ * @returns {Promise<{proposalId, voter, allocation, nonce, deadline, signature}>} Arguments of castVoteBySig (plus nonce)
+ */
+async function signBallot(signer, vote, { proposalId, allocation, deadline, nonce }) {
+  const voter = await signer.getAddress();
+  const ballotNonce = nonce !== undefined
+    ? BigInt(nonce)
+    : await new Contract(vote, VOTE_BALLOT_ABI, signer).nonces(voter);
+
+  const message = {
+    proposalId: BigInt(proposalId),
+    voter,
+    allocation: allocation.map(BigInt),
+    nonce: ballotNonce,
+    deadline: BigInt(deadline)
+  };
+  const signature = await signer.signTypedData(await getVoteDomain(vote, signer), BALLOT_TYPES, message);
+
+  return { ...message, signature };
+}
+
+module.exports = {
+  BALLOT_TYPES,
+  VOTE_BALLOT_ABI,
+  getVoteDomain,
+  signBallot
+};
@@ -0,0 +1,314 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { parseRecipients } = require("../airdrop/recipients");
+const { AirdropTree, leafHash, loadProofs } = require("../airdrop/tree");
+const { createServer } = require("../airdrop/server");
+const { simulateClaims } = require("../airdrop/simulate");
+const { build, create } = require("../airdrop/cli");
+
+const { ethers } = hre;
+
+describe("Airdrop tooling", function () {
+  let owner, users;
+
+  beforeEach(async function () {
+    [owner, ...users] = await ethers.getSigners();
+    users = users.slice(0, 5);
+  });
+
+  async function deployAirdrop(funding) {
+    const token = await ethers.deployContract("MockUSDT");
+    const airdrop = await ethers.deployContract("TokenAirdrop", [token.target, owner.address, ethers.ZeroAddress]);
+    await token.mint(airdrop.target, funding);
+    return { token, airdrop };
+  }
+
+  async function openCampaign(airdrop, tree, options = {}) {
+    const now = (await ethers.provider.getBlock("latest")).timestamp;
+    await airdrop.createCampaign(tree.root, tree.total, options.start || now, options.end || now + 3600, 0, 0);
+    return (await airdrop.campaignCount()) - 1n;
+  }
+
+  describe("Recipient lists", function () {
+    it("should read CSV with a header, comments and quoted cells", function () {
+      const csv = [
+        "address,amount",
+        "# team",
+        `${users[0].address},100`,
+        "",
+        ` "${users[1].address.toLowerCase()}" , "250" `,
+      ].join("\n");
+
+      const { recipients, duplicates } = parseRecipients(csv);
+
+      expect(recipients).to.deep.equal([
+        { address: users[0].address, amount: 100n },
+        { address: users[1].address, amount: 250n },
+      ]);
+      expect(duplicates).to.deep.equal([]);
+    });
+
+    it("should read JSON arrays and address maps, with decimal token amounts", function () {
+      const array = JSON.stringify([{ address: users[0].address, amount: "1.5" }, { address: users[1].address, amount: 2 }]);
+      const map = JSON.stringify({ [users[0].address]: "1.5", [users[1].address]: 2 });
+
+      for (const text of [array, map]) {
+        expect(parseRecipients(text, { format: "json", decimals: 18 }).recipients).to.deep.equal([
+          { address: users[0].address, amount: ethers.parseEther("1.5") },
+          { address: users[1].address, amount: ethers.parseEther("2") },
+        ]);
+      }
+    });
+
+    it("should sum the amounts of an address listed twice, in any case", function () {
+      const csv = `${users[0].address},100\n${users[1].address},5\n${users[0].address.toLowerCase()},50`;
+
+      const { recipients, duplicates } = parseRecipients(csv);
+
+      expect(recipients).to.deep.equal([
+        { address: users[0].address, amount: 150n },
+        { address: users[1].address, amount: 5n },
+      ]);
+      expect(duplicates).to.deep.equal([{ address: users[0].address, entries: ["line 1", "line 3"], amount: 150n }]);
+      expect(() => parseRecipients(csv, { strict: true }))
+        .to.throw(`line 1, line 3: ${users[0].address} is listed more than once`);
+    });
+
+    it("should report every invalid entry at once", function () {
+      // The address with the case of one letter flipped
+      const hex = users[0].address.slice(2);
+      const i = hex.search(/[a-fA-F]/);
+      const flipped = hex[i] === hex[i].toLowerCase() ? hex[i].toUpperCase() : hex[i].toLowerCase();
+      const badChecksum = `0x${hex.slice(0, i)}${flipped}${hex.slice(i + 1)}`;
+      const csv = [
+        "0x1234,10",
+        `${badChecksum},10`,
+        `${ethers.ZeroAddress},10`,
+        `${users[1].address},0`,
+        `${users[2].address},1.5`,
+        `${users[3].address}`,
+      ].join("\n");
+
+      let message;
+      try {
+        parseRecipients(csv);
+      } catch (error) {
+        message = error.message;
+      }
+
+      expect(message.split("\n")).to.deep.equal([
+        "Invalid airdrop list:",
+        '  line 1: invalid address "0x1234"',
+        `  line 2: ${badChecksum} has an invalid checksum`,
+        "  line 3: the zero address cannot claim",
+        "  line 4: amount must be positive",
+        '  line 5: amount "1.5" is not an integer in base units (use --decimals for token amounts)',
+        "  line 6: missing amount",
+      ]);
+      expect(() => parseRecipients(JSON.stringify([{ address: users[0].address, amount: 1e21 }]), { format: "json" }))
+        .to.throw("is not an exact integer");
+      expect(() => parseRecipients("address,amount\n")).to.throw("the list has no recipients");
+    });
+  });
+
+  describe("Merkle tree", function () {
+    it("should hash leaves the way TokenAirdrop.claim does", async function () {
+      // Every user of an odd-sized list claims with its proof on chain
+      const recipients = users.map((user, i) => ({ address: user.address, amount: ethers.parseEther(String(i + 1)) }));
+      const tree = new AirdropTree(recipients);
+      const { token, airdrop } = await deployAirdrop(tree.total);
+      const id = await openCampaign(airdrop, tree);
+
+      for (const [i, user] of users.entries()) {
+        const { index, amount, proof } = tree.claim(user.address);
+        expect(AirdropTree.verify(tree.root, index, user.address, amount, proof)).to.equal(true);
+        await expect(airdrop.connect(user).claim(id, index, amount, proof))
+          .to.emit(airdrop, "Claimed").withArgs(id, index, user.address, recipients[i].amount);
+      }
+      expect(await token.balanceOf(airdrop.target)).to.equal(0n);
+      expect(leafHash(3, users[0].address, 1n)).to.equal(
+        ethers.keccak256(ethers.concat([ethers.toBeHex(3n, 32), users[0].address, ethers.toBeHex(1n, 32)]))
+      );
+    });
+
+    it("should reject claims of another amount, account or index", async function () {
+      const tree = new AirdropTree(users.slice(0, 2).map((user) => ({ address: user.address, amount: 100n })));
+      const { airdrop } = await deployAirdrop(200n);
+      const id = await openCampaign(airdrop, tree);
+      const { index, proof } = tree.claim(users[0].address);
+
+      await expect(airdrop.connect(users[0]).claim(id, index, 101n, proof)).to.be.revertedWith("Invalid proof");
+      await expect(airdrop.connect(users[0]).claim(id, 1 - index, 100n, proof)).to.be.revertedWith("Invalid proof");
+      await expect(airdrop.connect(users[2]).claim(id, index, 100n, proof)).to.be.revertedWith("Invalid proof");
+      expect(tree.claim(users[2].address)).to.equal(null);
+    });
+
+    it("should give the same indexes and root whatever the order of the list", function () {
+      const recipients = users.map((user, i) => ({ address: user.address, amount: BigInt(i + 1) }));
+      const tree = new AirdropTree(recipients);
+      const reversed = new AirdropTree([...recipients].reverse());
+
+      expect(reversed.root).to.equal(tree.root);
+      expect(users.map((user) => reversed.claim(user.address).index)).to.deep.equal(users.map((user) => tree.claim(user.address).index));
+      expect([...tree.claims.values()].map((claim) => claim.index)).to.deep.equal([0, 1, 2, 3, 4]);
+      expect(new AirdropTree(recipients.slice(0, 1)).root).to.equal(leafHash(0, users[0].address, 1n));
+    });
+  });
+
+  describe("Proofs", function () {
+    let tmpDir;
+
+    beforeEach(function () {
+      tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "airdrop-"));
+    });
+
+    afterEach(function () {
+      fs.rmSync(tmpDir, { recursive: true, force: true });
+    });
+
+    function writeProofs(amounts = [10, 20, 30], name = "round1") {
+      const list = path.join(tmpDir, `${name}.csv`);
+      fs.writeFileSync(list, amounts.map((amount, i) => `${users[i].address},${amount}`).join("\n"));
+      return build(list, { decimals: 6 });
+    }
+
+    it("should write the root and every proof next to the list", function () {
+      const { tree, out } = writeProofs();
+
+      expect(out).to.equal(path.join(tmpDir, "round1.proofs.json"));
+      const written = JSON.parse(fs.readFileSync(out, "utf8"));
+      expect(written).to.include({ merkleRoot: tree.root, recipients: 3, total: "60000000" });
+      expect(written.claims[users[1].address]).to.deep.equal({
+        index: tree.claim(users[1].address).index,
+        amount: "20000000",
+        proof: tree.claim(users[1].address).proof,
+      });
+      expect(loadProofs(out)).to.include({ total: 60000000n, campaign: null });
+    });
+
+    it("should refuse a proofs file whose proofs do not match its root", function () {
+      const { out } = writeProofs();
+      const written = JSON.parse(fs.readFileSync(out, "utf8"));
+      written.claims[users[0].address].amount = "11000000";
+      fs.writeFileSync(out, JSON.stringify(written));
+
+      expect(() => loadProofs(out)).to.throw(`the proof of ${users[0].address} does not match the root`);
+    });
+
+    it("should open a campaign for the file and record it there", async function () {
+      const { tree, out } = writeProofs();
+      const { airdrop } = await deployAirdrop(60000000n);
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+
+      const campaign = await create(airdrop, out, { start: "+100", end: "+86400", vestingDuration: "3600" });
+
+      expect(campaign).to.include({ id: 0, airdrop: airdrop.target, chainId: "31337" });
+      expect(loadProofs(out).campaign).to.deep.equal(campaign);
+      const onChain = await airdrop.campaigns(0);
+      expect(onChain.merkleRoot).to.equal(tree.root);
+      expect(onChain.totalAmount).to.equal(60000000n);
+      expect(onChain.startTimestamp).to.be.closeTo(BigInt(now + 100), 5n);
+      expect(onChain.vestingStart).to.equal(onChain.startTimestamp);
+      expect(onChain.vestingDuration).to.equal(3600n);
+      await expect(create(airdrop, out, { start: "+0", end: "+10" })).to.be.rejectedWith("is already campaign 0");
+    });
+
+    describe("server", function () {
+      let server, baseUrl, first, second;
+
+      beforeEach(async function () {
+        first = writeProofs();
+        second = writeProofs([5, 1, 7], "round2");
+        const campaigns = [loadProofs(first.out), { ...loadProofs(second.out), campaign: { id: 1 } }];
+        server = createServer(campaigns);
+        await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+      });
+
+      afterEach(async function () {
+        await new Promise((resolve) => server.close(resolve));
+      });
+
+      it("should look up the claims of an address in every campaign, in any case", async function () {
+        const response = await fetch(`${baseUrl}/api/airdrop/proof/${users[2].address.toLowerCase()}`);
+
+        expect(response.status).to.equal(200);
+        expect(response.headers.get("access-control-allow-origin")).to.equal("*");
+        expect((await response.json()).data).to.deep.equal({
+          address: users[2].address,
+          claims: [
+            { campaignId: null, merkleRoot: first.tree.root, ...first.tree.claim(users[2].address), amount: "30000000" },
+            { campaignId: 1, merkleRoot: second.tree.root, ...second.tree.claim(users[2].address), amount: "7000000" },
+          ],
+        });
+        const summary = await (await fetch(`${baseUrl}/api/airdrop`)).json();
+        expect(summary.data.campaigns).to.deep.equal([
+          { campaignId: null, merkleRoot: first.tree.root, recipients: 3, total: "60000000" },
+          { campaignId: 1, merkleRoot: second.tree.root, recipients: 3, total: "13000000" },
+        ]);
+      });
+
+      it("should answer 404 for addresses outside the airdrop and 400 for invalid ones", async function () {
+        const missing = await fetch(`${baseUrl}/api/airdrop/proof/${users[4].address}`);
+        const invalid = await fetch(`${baseUrl}/api/airdrop/proof/0x1234`);
+
+        expect(missing.status).to.equal(404);
+        expect((await missing.json()).error).to.equal("NOT_ELIGIBLE");
+        expect(invalid.status).to.equal(400);
+        expect((await invalid.json()).error).to.equal("VALIDATION_ERROR");
+      });
+    });
+
+    describe("claim simulation", function () {
+      it("should dry-run every claim of a new campaign and leave the chain unchanged", async function () {
+        const { tree, out } = writeProofs();
+        const { token, airdrop } = await deployAirdrop(60000000n);
+        const blockNumber = await ethers.provider.getBlockNumber();
+
+        const report = await simulateClaims({ hre, airdrop: airdrop.target, proofs: loadProofs(out) });
+
+        expect(report.campaignId).to.equal(0);
+        expect(report.adjustments).to.deep.equal([`created campaign 0 with root ${tree.root}`]);
+        expect(report.total).to.equal(60000000n);
+        expect(report.claimed.map((claim) => claim.address)).to.deep.equal([...tree.claims.keys()]);
+        expect(report.gasUsed).to.be.gt(0n);
+        expect(report.failed).to.deep.equal([]);
+
+        expect(await ethers.provider.getBlockNumber()).to.equal(blockNumber);
+        expect(await airdrop.campaignCount()).to.equal(0n);
+        expect(await token.balanceOf(airdrop.target)).to.equal(60000000n);
+      });
+
+      it("should refuse to simulate a campaign the airdrop cannot fund", async function () {
+        const { out } = writeProofs();
+        const { airdrop } = await deployAirdrop(30000000n);
+
+        await expect(simulateClaims({ hre, airdrop: airdrop.target, proofs: loadProofs(out) }))
+          .to.be.rejectedWith("The campaign cannot be created: Insufficient unreserved tokens");
+      });
+
+      it("should claim from the recorded campaign once everything has vested", async function () {
+        const { out } = writeProofs();
+        const { airdrop } = await deployAirdrop(60000000n);
+        await create(airdrop, out, { start: "+3600", end: "+86400", vestingDuration: "7200" });
+        const { startTimestamp } = await airdrop.campaigns(0);
+        const proofs = loadProofs(out);
+
+        const report = await simulateClaims({ hre, airdrop: airdrop.target, proofs, accounts: [users[1].address] });
+
+        expect(report.adjustments).to.deep.equal([
+          `moved the time to ${new Date(Number(startTimestamp + 7200n) * 1000).toISOString()} (everything vested)`,
+        ]);
+        expect(report.claimed).to.have.length(1);
+        expect(await airdrop.released(0, proofs.claims.get(users[1].address).index)).to.equal(0n);
+        await expect(simulateClaims({ hre, airdrop: airdrop.target, proofs, accounts: [users[4].address] }))
+          .to.be.rejectedWith("is not in the proofs file");
+        await expect(simulateClaims({ hre, airdrop: airdrop.target, proofs, campaignId: 1 }))
+          .to.be.rejectedWith("Campaign 1 does not exist");
+      });
+    });
+  });
+});
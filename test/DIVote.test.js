@@ -0,0 +1,397 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+const { signBallot } = require("../sdk");
+
+describe("DIVote", function () {
+  let di, vote, timelock, staking;
+  let owner, alice, bob, carol, dave, relayer, other;
+
+  const DAY = 86400;
+  const DELAY = 2 * DAY;
+  const VOTING_PERIOD = 3 * DAY;
+  const THRESHOLD = ethers.parseEther("1000000");
+  // 20% of the 1B supply
+  const QUORUM = 2000;
+  const BPS = 10000n;
+  const ABSTAIN = ethers.MaxUint256;
+  const State = { Pending: 0, Active: 1, Canceled: 2, Defeated: 3, Succeeded: 4, Queued: 5, Executed: 6 };
+  const FOR = 0;
+  const AGAINST = 1;
+  const M = (n) => ethers.parseEther(`${n}000000`);
+
+  async function increaseTime(seconds) {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Doubles the staking reward rate and lowers the early unlock penalty
+  function actions() {
+    return [
+      [staking.target, staking.target],
+      [0, 0],
+      [
+        staking.interface.encodeFunctionData("updateDistributeRate", [ethers.parseEther("2")]),
+        staking.interface.encodeFunctionData("setEarlyUnlockPenalty", [500]),
+      ],
+    ];
+  }
+
+  async function propose(signer = alice) {
+    await vote.connect(signer).propose("Double staking rewards", "Doubles the DI emission", ...actions());
+    return (await vote.proposalCount()) - 1n;
+  }
+
+  async function pass(proposalId) {
+    await vote.connect(alice).vote(proposalId, FOR);
+    await vote.connect(carol).vote(proposalId, FOR);
+    await vote.connect(bob).vote(proposalId, AGAINST);
+    await increaseTime(VOTING_PERIOD + 1);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol, dave, relayer, other] = await ethers.getSigners();
+    di = await ethers.deployContract("DI", [owner.address]);
+    await di.allocateToken({
+      presaleContract: other.address,
+      marketingWallet: bob.address,
+      kolAllocationContract: other.address,
+      teamAllocationContract: other.address,
+      treasuryWallet: alice.address,
+      ecosystemWallet: other.address,
+      stakingContract: other.address,
+      liquidityWallet: carol.address,
+      airdropContract: other.address,
+    });
+    // Alice and Carol hold 150M, Bob 100M
+    for (const holder of [alice, bob, carol]) {
+      await di.connect(holder).delegate(holder.address);
+    }
+
+    vote = await ethers.deployContract("DIVote", [di.target, owner.address, ethers.ZeroAddress]);
+    timelock = await ethers.deployContract("GovernanceTimelock", [DELAY, [vote.target], [ethers.ZeroAddress], ethers.ZeroAddress]);
+    await vote.setTimelock(timelock.target);
+    await vote.setGovernanceSettings(THRESHOLD, 0, VOTING_PERIOD, QUORUM);
+    staking = await ethers.deployContract("TokenStaking", [di.target, timelock.target, ethers.ZeroAddress]);
+  });
+
+  describe("Executable proposals", function () {
+    it("should queue a passed proposal and execute it after the timelock delay", async function () {
+      const [targets, values, calldatas] = actions();
+      await expect(vote.connect(alice).propose("Double staking rewards", "", targets, values, calldatas))
+        .to.emit(vote, "ProposalActions").withArgs(0, alice.address, targets, values, calldatas);
+      expect(await vote.state(0)).to.equal(State.Active);
+      expect(await vote.getActions(0)).to.deep.equal([targets, values.map(BigInt), calldatas]);
+
+      await vote.connect(alice).vote(0, FOR);
+      await vote.connect(carol).vote(0, FOR);
+      await vote.connect(bob).vote(0, AGAINST);
+      await expect(vote.queue(0)).to.be.revertedWith("Proposal not succeeded");
+      await increaseTime(VOTING_PERIOD + 1);
+      expect(await vote.state(0)).to.equal(State.Succeeded);
+      await expect(vote.execute(0)).to.be.revertedWith("Proposal not queued");
+
+      await expect(vote.connect(dave).queue(0)).to.emit(vote, "ProposalQueued");
+      const status = await vote.getProposalStatus(0);
+      expect(status.status).to.equal(State.Queued);
+      expect(status.proposer).to.equal(alice.address);
+      expect(status.eta).to.equal(BigInt((await ethers.provider.getBlock("latest")).timestamp + DELAY));
+      await expect(vote.execute(0)).to.be.revertedWith("Timelock delay not passed");
+
+      await increaseTime(DELAY);
+      await expect(vote.connect(dave).execute(0)).to.emit(vote, "ProposalExecuted").withArgs(0);
+      expect(await staking.rewardMultiplier()).to.equal(ethers.parseEther("2"));
+      expect(await staking.earlyUnlockPenalty()).to.equal(500n);
+      expect(await vote.state(0)).to.equal(State.Executed);
+      await expect(vote.execute(0)).to.be.revertedWith("Proposal not queued");
+      await expect(vote.queue(0)).to.be.revertedWith("Proposal not succeeded");
+    });
+
+    it("should defeat proposals that lose or miss the quorum", async function () {
+      const lost = await propose();
+      await vote.connect(bob).vote(lost, FOR);
+      await vote.connect(alice).vote(lost, AGAINST);
+      const short = await propose();
+      await vote.connect(bob).vote(short, FOR);
+      await increaseTime(VOTING_PERIOD + 1);
+
+      expect(await vote.state(lost)).to.equal(State.Defeated);
+      expect(await vote.state(short)).to.equal(State.Defeated);
+      expect(await vote.hasQuorum(short)).to.equal(false);
+      await expect(vote.queue(lost)).to.be.revertedWith("Proposal not succeeded");
+    });
+
+    it("should count the voting power checkpointed before the proposal", async function () {
+      const proposalId = await propose();
+      await di.connect(alice).transfer(dave.address, ethers.parseEther("150000000"));
+      await di.connect(dave).delegate(dave.address);
+
+      await expect(vote.connect(dave).vote(proposalId, FOR)).to.be.revertedWith("No voting power at proposal start");
+      await expect(vote.connect(alice).vote(proposalId, FOR))
+        .to.emit(vote, "Voted").withArgs(proposalId, alice.address, M(150), [BPS, 0n]);
+      await expect(vote.connect(alice).vote(proposalId, FOR)).to.be.revertedWith("Already voted");
+      await expect(vote.connect(alice).vote(proposalId + 1n, FOR)).to.be.revertedWith("Unknown proposal");
+    });
+
+    it("should only let holders above the threshold propose", async function () {
+      await expect(propose(dave)).to.be.revertedWith("Below proposal threshold");
+      await expect(vote.connect(dave).createProposal("Poll", "", 0, ["Yes", "No"], DAY, 0))
+        .to.be.revertedWith("Below proposal threshold");
+      await vote.connect(bob).createProposal("Poll", "", 0, ["Yes", "No"], DAY, 0);
+      // The owner can always open proposals
+      await propose(owner);
+
+      const [targets, values] = actions();
+      await expect(vote.connect(alice).propose("Bad", "", targets, values, [])).to.be.revertedWith("Invalid actions");
+      await expect(vote.connect(alice).propose("Bad", "", [], [], [])).to.be.revertedWith("Invalid actions");
+      const untimed = await ethers.deployContract("DIVote", [di.target, owner.address, ethers.ZeroAddress]);
+      await expect(untimed.propose("Bad", "", ...actions())).to.be.revertedWith("Timelock not set");
+    });
+
+    it("should only let the owner open polls until the governance settings are set", async function () {
+      const unset = await ethers.deployContract("DIVote", [di.target, owner.address, ethers.ZeroAddress]);
+      await unset.setTimelock(timelock.target);
+
+      await expect(unset.connect(alice).createProposal("Poll", "", 0, ["Yes", "No"], DAY, 0))
+        .to.be.revertedWith("Below proposal threshold");
+      await expect(unset.propose("Bad", "", ...actions())).to.be.revertedWith("Governance settings not set");
+      await unset.createProposal("Poll", "", 0, ["Yes", "No"], DAY, 0);
+
+      // Executable proposals also need an execution quorum
+      await unset.setGovernanceSettings(THRESHOLD, 0, VOTING_PERIOD, 0);
+      await expect(unset.connect(alice).propose("Bad", "", ...actions())).to.be.revertedWith("Governance settings not set");
+      await unset.connect(alice).createProposal("Poll", "", 0, ["Yes", "No"], DAY, 0);
+    });
+
+    it("should only let the owner change the governance settings", async function () {
+      await expect(vote.setGovernanceSettings(0, DAY, 0, 0)).to.be.revertedWith("Invalid voting period");
+      await expect(vote.setGovernanceSettings(0, 0, DAY, BPS + 1n)).to.be.revertedWith("Invalid quorum");
+      await expect(vote.connect(alice).setGovernanceSettings(0, 0, DAY, 0))
+        .to.be.revertedWithCustomError(vote, "OwnableUnauthorizedAccount");
+      await expect(vote.connect(alice).setTimelock(alice.address))
+        .to.be.revertedWithCustomError(vote, "OwnableUnauthorizedAccount");
+
+      await expect(vote.setGovernanceSettings(THRESHOLD, DAY, VOTING_PERIOD, QUORUM))
+        .to.emit(vote, "GovernanceSettingsUpdated").withArgs(THRESHOLD, DAY, VOTING_PERIOD, QUORUM);
+      const proposalId = await propose();
+      expect(await vote.state(proposalId)).to.equal(State.Pending);
+      await expect(vote.connect(alice).vote(proposalId, FOR)).to.be.revertedWith("Voting not active");
+      await increaseTime(DAY);
+      expect(await vote.state(proposalId)).to.equal(State.Active);
+    });
+  });
+
+  describe("Cancellation", function () {
+    it("should let the proposer cancel until the vote ends", async function () {
+      const proposalId = await propose();
+      await expect(vote.connect(bob).cancel(proposalId)).to.be.revertedWith("Not allowed to cancel");
+      await expect(vote.connect(alice).cancel(proposalId)).to.emit(vote, "ProposalCanceled").withArgs(proposalId);
+
+      expect(await vote.state(proposalId)).to.equal(State.Canceled);
+      await expect(vote.connect(carol).vote(proposalId, FOR)).to.be.revertedWith("Voting not active");
+      await expect(vote.connect(alice).cancel(proposalId)).to.be.revertedWith("Proposal not cancelable");
+    });
+
+    it("should let the owner cancel only until the vote ends", async function () {
+      const canceled = await propose();
+      await increaseTime(DAY);
+      await expect(vote.connect(bob).cancel(canceled)).to.be.revertedWith("Not allowed to cancel");
+      await expect(vote.cancel(canceled)).to.emit(vote, "ProposalCanceled").withArgs(canceled);
+
+      const proposalId = await propose();
+      await pass(proposalId);
+      await expect(vote.cancel(proposalId)).to.be.revertedWith("Proposal not cancelable");
+      await vote.queue(proposalId);
+      await expect(vote.cancel(proposalId)).to.be.revertedWith("Proposal not cancelable");
+      await expect(vote.connect(alice).cancel(proposalId)).to.be.revertedWith("Proposal not cancelable");
+    });
+
+    it("should report proposals executed directly on the timelock as executed", async function () {
+      const proposalId = await propose();
+      await pass(proposalId);
+      await vote.queue(proposalId);
+      await increaseTime(DELAY);
+
+      const [targets, values, calldatas] = actions();
+      const salt = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [vote.target, proposalId]));
+      await timelock.connect(dave).executeBatch(targets, values, calldatas, ethers.ZeroHash, salt);
+
+      expect(await staking.rewardMultiplier()).to.equal(ethers.parseEther("2"));
+      expect(await vote.state(proposalId)).to.equal(State.Executed);
+      await expect(vote.execute(proposalId)).to.be.revertedWith("Proposal not queued");
+      await expect(vote.cancel(proposalId)).to.be.revertedWith("Proposal not cancelable");
+    });
+  });
+
+  describe("Signalling polls", function () {
+    it("should report poll results without executing anything", async function () {
+      await vote.connect(bob).createProposal("Next chain", "", 1, ["Base", "Arbitrum", "Polygon"], DAY, QUORUM);
+      await vote.connect(alice).vote(0, 1);
+      await vote.connect(carol).vote(0, 2);
+      await increaseTime(DAY + 1);
+
+      expect(await vote.state(0)).to.equal(State.Succeeded);
+      expect((await vote.getResult(0)).result).to.equal("Arbitrum");
+      await expect(vote.queue(0)).to.be.revertedWith("Nothing to execute");
+    });
+  });
+
+  describe("Signature voting", function () {
+    async function deadline(seconds = DAY) {
+      return BigInt((await ethers.provider.getBlock("latest")).timestamp + seconds);
+    }
+
+    it("should count ballots signed by holders and submitted by a relayer", async function () {
+      const proposalId = await propose();
+      const ballot = await signBallot(alice, vote.target, { proposalId, allocation: [BPS, 0n], deadline: await deadline() });
+      expect(ballot.nonce).to.equal(0n);
+      expect(await di.getVotes(relayer.address)).to.equal(0n);
+
+      await expect(vote.connect(relayer).castVoteBySig(proposalId, alice.address, ballot.allocation, ballot.deadline, ballot.signature))
+        .to.emit(vote, "Voted").withArgs(proposalId, alice.address, M(150), [BPS, 0n]);
+      expect(await vote.nonces(alice.address)).to.equal(1n);
+      await expect(vote.connect(relayer).castVoteBySig(proposalId, alice.address, ballot.allocation, ballot.deadline, ballot.signature))
+        .to.be.revertedWith("Invalid signature");
+
+      const carolBallot = await signBallot(carol, vote.target, { proposalId, allocation: [BPS, 0n], deadline: await deadline() });
+      await vote.connect(relayer).castVoteBySig(proposalId, carol.address, carolBallot.allocation, carolBallot.deadline, carolBallot.signature);
+      const [voters, weights] = await vote.getVoters(proposalId);
+      expect(voters).to.deep.equal([alice.address, carol.address]);
+      expect(weights).to.deep.equal([M(150), M(150)]);
+
+      await increaseTime(VOTING_PERIOD + 1);
+      await vote.connect(relayer).queue(proposalId);
+      await increaseTime(DELAY);
+      await vote.connect(relayer).execute(proposalId);
+      expect(await staking.rewardMultiplier()).to.equal(ethers.parseEther("2"));
+    });
+
+    it("should reject tampered, misattributed and expired ballots", async function () {
+      const proposalId = await propose();
+      const ballot = await signBallot(bob, vote.target, { proposalId, allocation: [0n, BPS], deadline: await deadline() });
+
+      await expect(vote.connect(relayer).castVoteBySig(proposalId, bob.address, [BPS, 0n], ballot.deadline, ballot.signature))
+        .to.be.revertedWith("Invalid signature");
+      await expect(vote.connect(relayer).castVoteBySig(proposalId, alice.address, ballot.allocation, ballot.deadline, ballot.signature))
+        .to.be.revertedWith("Invalid signature");
+      await expect(vote.connect(relayer).castVoteBySig(proposalId + 1n, bob.address, ballot.allocation, ballot.deadline, ballot.signature))
+        .to.be.revertedWith("Invalid signature");
+
+      const expired = await signBallot(bob, vote.target, { proposalId, allocation: [0n, BPS], deadline: await deadline(-1) });
+      await expect(vote.connect(relayer).castVoteBySig(proposalId, bob.address, expired.allocation, expired.deadline, expired.signature))
+        .to.be.revertedWith("Signature expired");
+
+      // A ballot signed for another voting contract is not valid here
+      const otherVote = await ethers.deployContract("DIVote", [di.target, owner.address, ethers.ZeroAddress]);
+      const foreign = await signBallot(bob, otherVote.target, { proposalId, allocation: [0n, BPS], deadline: await deadline(), nonce: 0n });
+      await expect(vote.connect(relayer).castVoteBySig(proposalId, bob.address, foreign.allocation, foreign.deadline, foreign.signature))
+        .to.be.revertedWith("Invalid signature");
+
+      await vote.connect(relayer).castVoteBySig(proposalId, bob.address, ballot.allocation, ballot.deadline, ballot.signature);
+      expect(await vote.getVotes(proposalId)).to.deep.equal([0n, M(100)]);
+    });
+  });
+
+  describe("Abstain and quorum", function () {
+    it("should count abstentions toward the quorum only", async function () {
+      const proposalId = await propose();
+      expect(await vote.quorumVotes(proposalId)).to.equal(M(200));
+      expect((await vote.getProposal(proposalId)).quorum).to.equal(M(200));
+
+      await vote.connect(bob).vote(proposalId, FOR);
+      expect(await vote.hasQuorum(proposalId)).to.equal(false);
+      await expect(vote.connect(alice).vote(proposalId, ABSTAIN))
+        .to.emit(vote, "Voted").withArgs(proposalId, alice.address, M(150), [0n, 0n]);
+      const tally = await vote.getTally(proposalId);
+      expect(tally.votes).to.deep.equal([M(100), 0n]);
+      expect(tally.abstainVotes).to.equal(M(150));
+      expect(tally.totalVoted).to.equal(M(250));
+      expect(await vote.hasQuorum(proposalId)).to.equal(true);
+
+      await increaseTime(VOTING_PERIOD + 1);
+      expect(await vote.state(proposalId)).to.equal(State.Succeeded);
+    });
+
+    it("should express the quorum as a share of the supply at the snapshot", async function () {
+      await expect(vote.connect(bob).createProposal("Poll", "", 1, ["A", "B"], DAY, BPS + 1n)).to.be.revertedWith("Invalid quorum");
+      await vote.connect(bob).createProposal("Poll", "", 1, ["A", "B"], DAY, 5000);
+      expect(await vote.quorumVotes(0)).to.equal(M(500));
+
+      // Alice and Carol hold 300M of the 1B supply, short of half
+      await vote.connect(alice).vote(0, 0);
+      await vote.connect(carol).vote(0, ABSTAIN);
+      await increaseTime(DAY + 1);
+      expect(await vote.state(0)).to.equal(State.Defeated);
+      expect((await vote.getResult(0)).quorumMet).to.equal(false);
+    });
+  });
+
+  describe("Approval and weighted polls", function () {
+    it("should give approval voters their full weight on every approved choice", async function () {
+      await vote.connect(bob).createProposal("Listings", "", 2, ["A", "B", "C"], DAY, QUORUM);
+      await expect(vote.connect(alice).voteSplit(0, [5000, 5000, 0])).to.be.revertedWith("Invalid allocation");
+      await expect(vote.connect(alice).voteSplit(0, [BPS, BPS])).to.be.revertedWith("Invalid allocation");
+
+      await vote.connect(alice).voteSplit(0, [BPS, BPS, 0]);
+      await vote.connect(carol).voteSplit(0, [0, BPS, 0]);
+      await vote.connect(bob).vote(0, 2);
+
+      expect(await vote.getVotes(0)).to.deep.equal([M(150), M(300), M(100)]);
+      expect((await vote.getTally(0)).totalVoted).to.equal(M(400));
+      await increaseTime(DAY + 1);
+      expect((await vote.getResult(0)).result).to.equal("B");
+    });
+
+    it("should split weighted votes across choices", async function () {
+      await vote.connect(bob).createProposal("Budget", "", 3, ["Grants", "Audits", "Marketing"], DAY, QUORUM);
+      await expect(vote.connect(alice).voteSplit(0, [6000, 3000, 0])).to.be.revertedWith("Invalid allocation");
+      await expect(vote.connect(alice).voteSplit(0, [6000, 4000, 1])).to.be.revertedWith("Invalid allocation");
+
+      await vote.connect(alice).voteSplit(0, [6000, 4000, 0]);
+      await vote.connect(carol).voteSplit(0, [2500, 2500, 5000]);
+      await vote.connect(bob).vote(0, 2);
+
+      expect(await vote.getVotes(0)).to.deep.equal([ethers.parseEther("127500000"), ethers.parseEther("97500000"), M(175)]);
+      await increaseTime(DAY + 1);
+      expect((await vote.getResult(0)).result).to.equal("Marketing");
+    });
+
+    it("should keep yes/no and multiple choice ballots to a single choice", async function () {
+      const proposalId = await propose();
+      await expect(vote.connect(alice).voteSplit(proposalId, [5000, 5000])).to.be.revertedWith("Invalid allocation");
+      await expect(vote.connect(alice).voteSplit(proposalId, [BPS, BPS])).to.be.revertedWith("Invalid allocation");
+      await expect(vote.connect(alice).vote(proposalId, 2)).to.be.revertedWith("Invalid choice");
+      await vote.connect(alice).voteSplit(proposalId, [0, BPS]);
+      expect(await vote.getVotes(proposalId)).to.deep.equal([0n, M(150)]);
+    });
+  });
+
+  describe("Voting for others", function () {
+    it("should let approved operators vote with an account's power", async function () {
+      const proposalId = await propose();
+      await expect(vote.connect(dave).castVoteFor(alice.address, proposalId, [BPS, 0]))
+        .to.be.revertedWith("Not a voting operator");
+      await expect(vote.connect(alice).setVotingOperator(dave.address, true))
+        .to.emit(vote, "VotingOperatorUpdated").withArgs(alice.address, dave.address, true);
+
+      await expect(vote.connect(dave).castVoteFor(alice.address, proposalId, [BPS, 0]))
+        .to.emit(vote, "Voted").withArgs(proposalId, alice.address, M(150), [BPS, 0n]);
+      await expect(vote.connect(alice).vote(proposalId, AGAINST)).to.be.revertedWith("Already voted");
+      await expect(vote.connect(dave).castVoteFor(bob.address, proposalId, [BPS, 0]))
+        .to.be.revertedWith("Not a voting operator");
+
+      await vote.connect(alice).setVotingOperator(dave.address, false);
+      const next = await propose();
+      await expect(vote.connect(dave).castVoteFor(alice.address, next, [BPS, 0]))
+        .to.be.revertedWith("Not a voting operator");
+    });
+
+    it("should let delegates vote with their delegators' power", async function () {
+      await di.connect(bob).delegate(carol.address);
+      const proposalId = await propose();
+
+      await expect(vote.connect(bob).vote(proposalId, AGAINST)).to.be.revertedWith("No voting power at proposal start");
+      await expect(vote.connect(carol).vote(proposalId, FOR))
+        .to.emit(vote, "Voted").withArgs(proposalId, carol.address, M(250), [BPS, 0n]);
+    });
+  });
+});
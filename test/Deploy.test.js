@@ -0,0 +1,203 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadDeployConfig } = require("../deploy/config");
+const { DeploymentManifest } = require("../deploy/manifest");
+const { DeploymentPipeline } = require("../deploy/pipeline");
+
+const { ethers } = hre;
+
+describe("Deployment pipeline", function () {
+  let deployer, relayer, owner;
+  let tmpDir, manifestFile, chainId;
+
+  function localConfig(overrides = {}) {
+    return { ...loadDeployConfig("hardhat"), ...overrides };
+  }
+
+  function pipeline(config, { file = manifestFile, log = () => {} } = {}) {
+    const manifest = DeploymentManifest.load(file, { network: "hardhat", chainId });
+    return new DeploymentPipeline({ hre, config, manifest, deployer, log });
+  }
+
+  function readManifest() {
+    return JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+  }
+
+  beforeEach(async function () {
+    [deployer, relayer, , owner] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "deploy-"));
+    manifestFile = path.join(tmpDir, "hardhat.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should deploy and configure every contract of the network config", async function () {
+    const data = await pipeline(localConfig()).run();
+
+    const gateway = await ethers.getContractAt("MetaTxGateway", data.contracts.MetaTxGateway.address);
+    const vault = await ethers.getContractAt("GasCreditVault", data.contracts.GasCreditVault.address);
+    const presale = await ethers.getContractAt("TokenPresale", data.contracts.TokenPresale.address);
+    const di = await ethers.getContractAt("DI", data.contracts.DI.address);
+
+    expect(await gateway.authorizedRelayers(relayer.address)).to.equal(true);
+    expect(await vault.isRelayerWhitelisted(relayer.address)).to.equal(true);
+    expect(await vault.isTokenWhitelisted(data.contracts.MockUSDT.address)).to.equal(true);
+    expect(await vault.isTokenWhitelisted(await vault.NATIVE_TOKEN())).to.equal(true);
+    expect(await vault.trustedForwarder()).to.equal(gateway.target);
+    expect((await presale.paymentTokens(ethers.ZeroAddress)).priceFeed).to.equal(data.contracts.MockNativeFeed.address);
+    expect(await presale.startTimestamp()).to.be.gt(0n);
+    expect(await di.balanceOf(presale.target)).to.equal(ethers.parseEther("150000000"));
+    expect(await presale.isTrustedForwarder(gateway.target)).to.equal(true);
+
+    // The manifest records addresses, transactions and implementations
+    const manifest = readManifest();
+    expect(manifest.chainId).to.equal(chainId.toString());
+    expect(manifest.contracts.MetaTxGateway.implementation).to.equal(
+      await hre.upgrades.erc1967.getImplementationAddress(gateway.target)
+    );
+    expect(manifest.contracts.GasCreditVault.bytecodeHash).to.equal(
+      ethers.keccak256((await hre.artifacts.readArtifact("GasCreditVault")).deployedBytecode)
+    );
+    expect(manifest.contracts.TokenPresale.args[0]).to.equal(di.target);
+    expect(manifest.steps["DI.allocateToken"].txHash).to.match(/^0x[0-9a-f]{64}$/);
+  });
+
+  it("should not send any transaction when run again", async function () {
+    await pipeline(localConfig()).run();
+    const before = readManifest();
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+    await pipeline(localConfig()).run();
+
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+    expect(readManifest()).to.deep.equal(before);
+  });
+
+  it("should resume an interrupted deployment where it stopped", async function () {
+    const interrupted = pipeline(localConfig(), {
+      log: (line) => {
+        if (line.startsWith("+ GasCreditVault.whitelistToken:USDC")) throw new Error("connection lost");
+      },
+    });
+    await expect(interrupted.run()).to.be.rejectedWith("connection lost");
+    const partial = readManifest();
+    expect(partial.steps["GasCreditVault.whitelistToken:USDC"]).to.not.equal(undefined);
+    expect(partial.contracts.DI).to.equal(undefined);
+
+    const data = await pipeline(localConfig()).run();
+
+    expect(data.contracts.GasCreditVault.address).to.equal(partial.contracts.GasCreditVault.address);
+    expect(data.steps["GasCreditVault.whitelistToken:USDC"]).to.deep.equal(partial.steps["GasCreditVault.whitelistToken:USDC"]);
+    expect(data.steps["GasCreditVault.whitelistToken:native"].txHash).to.not.equal(null);
+    expect(data.contracts.DI.address).to.be.properAddress;
+  });
+
+  it("should pick up setup already done on chain", async function () {
+    const data = await pipeline(localConfig()).run();
+    const vault = await ethers.getContractAt("GasCreditVault", data.contracts.GasCreditVault.address);
+    const extraRelayer = (await ethers.getSigners())[5].address;
+    await vault.addWhitelistedRelayer(extraRelayer);
+
+    // Drop the steps from the manifest: the chain already has the state they would set
+    fs.writeFileSync(manifestFile, JSON.stringify({ ...readManifest(), steps: {} }));
+    const nonce = await ethers.provider.getTransactionCount(deployer.address);
+    const config = localConfig({ relayers: [relayer.address, extraRelayer] });
+    const gateway = await ethers.getContractAt("MetaTxGateway", data.contracts.MetaTxGateway.address);
+
+    const resumed = await pipeline(config).run();
+
+    // Only the gateway authorization of the new relayer is sent
+    expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce + 1);
+    expect(await gateway.authorizedRelayers(extraRelayer)).to.equal(true);
+    expect(resumed.steps[`GasCreditVault.addWhitelistedRelayer:${extraRelayer}`].txHash).to.equal(null);
+  });
+
+  it("should hand every contract over to the configured owner", async function () {
+    const data = await pipeline(localConfig({ owner: owner.address })).run();
+
+    const gateway = await ethers.getContractAt("MetaTxGateway", data.contracts.MetaTxGateway.address);
+    for (const name of ["MetaTxGateway", "GasCreditVault", "DI", "DIVote", "TokenPresale", "TokenStaking"]) {
+      const contract = await ethers.getContractAt(name, data.contracts[name].address);
+      expect(await contract.owner()).to.equal(owner.address);
+    }
+    expect(await gateway.hasRole(await gateway.DEFAULT_ADMIN_ROLE(), owner.address)).to.equal(true);
+    expect(await gateway.hasRole(await gateway.DEFAULT_ADMIN_ROLE(), deployer.address)).to.equal(false);
+    expect(await gateway.hasRole(await gateway.RELAYER_MANAGER_ROLE(), deployer.address)).to.equal(false);
+  });
+
+  describe("CREATE2", function () {
+    function create2Config(salt) {
+      const { token, ...config } = localConfig();
+      return { ...config, create2: { salt } };
+    }
+
+    it("should deploy the gateway and vault at their predicted addresses", async function () {
+      const config = create2Config(`test-${Date.now()}`);
+      const predicted = await pipeline(config).predict();
+
+      const data = await pipeline(config).run();
+
+      expect(data.contracts.MetaTxGateway.address).to.equal(predicted.MetaTxGateway);
+      expect(data.contracts.GasCreditVault.address).to.equal(predicted.GasCreditVault);
+      expect(data.contracts.DeterministicDeployer.address).to.equal(predicted.DeterministicDeployer);
+
+      // The factory initialized the proxies and kept nothing for itself
+      const gateway = await ethers.getContractAt("MetaTxGateway", predicted.MetaTxGateway);
+      const vault = await ethers.getContractAt("GasCreditVault", predicted.GasCreditVault);
+      expect(await gateway.owner()).to.equal(deployer.address);
+      expect(await vault.owner()).to.equal(deployer.address);
+      expect(await gateway.hasRole(await gateway.DEFAULT_ADMIN_ROLE(), deployer.address)).to.equal(true);
+      expect(await gateway.hasRole(await gateway.DEFAULT_ADMIN_ROLE(), predicted.DeterministicDeployer)).to.equal(false);
+      expect(await gateway.authorizedRelayers(relayer.address)).to.equal(true);
+    });
+
+    it("should find the deployed contracts again without a manifest", async function () {
+      const config = create2Config(`test-${Date.now()}`);
+      const data = await pipeline(config).run();
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+      const again = await pipeline(config, { file: path.join(tmpDir, "fresh.json") }).run();
+
+      expect(again.contracts.MetaTxGateway.address).to.equal(data.contracts.MetaTxGateway.address);
+      expect(again.contracts.MockUSDT.address).to.equal(data.contracts.MockUSDT.address);
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+    });
+
+    it("should refuse a salt claimed by another deployer", async function () {
+      const config = create2Config(`test-${Date.now()}`);
+      const predicted = await pipeline(config).predict();
+      const other = new DeploymentPipeline({
+        hre,
+        config,
+        manifest: DeploymentManifest.load(null, { network: "hardhat", chainId }),
+        deployer: owner,
+        log: () => {},
+      });
+
+      expect((await other.predict()).MetaTxGateway).to.not.equal(predicted.MetaTxGateway);
+    });
+  });
+
+  it("should reject configs with unknown token references or unset variables", async function () {
+    const file = path.join(tmpDir, "bad.json");
+    fs.writeFileSync(file, JSON.stringify({ tokens: {}, vault: { tokens: ["USDT"] } }));
+    expect(() => loadDeployConfig("hardhat", { file })).to.throw("vault.tokens references unknown token USDT");
+
+    fs.writeFileSync(file, JSON.stringify({ relayers: ["${RELAYER_ADDRESS}"] }));
+    expect(() => loadDeployConfig("hardhat", { file, env: {} })).to.throw("needs environment variable RELAYER_ADDRESS");
+    expect(loadDeployConfig("hardhat", { file, env: { RELAYER_ADDRESS: relayer.address.toLowerCase() } }).relayers)
+      .to.deep.equal([relayer.address]);
+  });
+
+  it("should ship a config for every network in hardhat.config.js", function () {
+    for (const network of Object.keys(hre.config.networks)) {
+      expect(fs.existsSync(path.join(__dirname, "..", "deploy", "config", `${network}.json`)), network).to.equal(true);
+    }
+  });
+});
@@ -1,8 +1,9 @@
 const { expect } = require("chai");
-const { ethers, upgrades } = require("hardhat");
+const { ethers, upgrades, artifacts } = require("hardhat");
+const { MetaTxClient, signPermit, signSpendingCap } = require("../sdk");
 
 describe("GasCreditVault", function () {
-  let vault, owner, user, relayer, token, stableToken;
+  let vault, owner, user, relayer, token, stableToken, gateway, client;
   let MockToken, MockAggregator;
   let tokenPriceFeed, stablePriceFeed;
 
@@ -13,6 +14,51 @@ describe("GasCreditVault", function () {
   const LARGE_AMOUNT = ethers.parseEther("1000");
   const MEDIUM_AMOUNT = ethers.parseEther("100");
   const SMALL_AMOUNT = ethers.parseEther("10");
+  const TARGET = ethers.Wallet.createRandom().address;
+
+  let nextBatchId = 0n;
+  const receipt = (account, usdValue) => ({
+    user: account,
+    batchId: nextBatchId++,
+    txHash: ethers.id(`batch ${nextBatchId}`),
+    gasUsed: 150000n,
+    gasPrice: ethers.parseUnits("3", "gwei"),
+    nativePrice: ethers.parseEther("600"),
+    usdValue,
+  });
+
+  // Runs a batch calling `targets` for `account` through the gateway and returns a receipt for it
+  async function runBatch(account, targets, usdValue, submitter = relayer) {
+    // Tests move the clock without mining: do not derive the deadline from the latest block
+    const batch = await client.buildBatch(account.address, targets.map((to) => ({ to })), { deadline: ethers.MaxUint256 });
+    const tx = await client.submit(batch, await client.signBatch(account, batch), submitter);
+    const [{ batchId }] = client.parseBatchResults(await tx.wait());
+    return { ...receipt(account.address, usdValue), batchId };
+  }
+
+  // Runs a batch for `account` and charges it to the account's credits
+  async function consume(account, usdValue) {
+    return vault.connect(relayer).consumeCredit([TARGET], await runBatch(account, [TARGET], usdValue));
+  }
+
+  async function storageSlot(label) {
+    const buildInfo = await artifacts.getBuildInfo("contracts/GasCreditVault.sol:GasCreditVault");
+    const { storage } = buildInfo.output.contracts["contracts/GasCreditVault.sol"].GasCreditVault.storageLayout;
+    return storage.find((variable) => variable.label === label).slot;
+  }
+
+  // Legacy credits can no longer be minted: write them as a vault from before positions existed held them
+  async function setLegacyCredits(account, amount) {
+    const slot = await storageSlot("legacyCredits");
+    const key = ethers.keccak256(ethers.AbiCoder.defaultAbiCoder().encode(["address", "uint256"], [account, slot]));
+    await ethers.provider.send("hardhat_setStorageAt", [vault.target, key, ethers.toBeHex(amount, 32)]);
+  }
+
+  // Credits consumed from legacy credits before the upgrade and not yet withdrawn by the owner
+  async function setLegacyConsumedCredits(amount) {
+    const slot = await storageSlot("totalConsumedCredits");
+    await ethers.provider.send("hardhat_setStorageAt", [vault.target, ethers.toBeHex(slot, 32), ethers.toBeHex(amount, 32)]);
+  }
 
   before(async function () {
     [owner, user, relayer, other] = await ethers.getSigners();
@@ -49,9 +95,20 @@ describe("GasCreditVault", function () {
     await vault.whitelistToken(stableToken.target, stablePriceFeed.target, true);
     await vault.addWhitelistedRelayer(relayer.address);
 
+    // Charges are checked against the batch records of the gateway
+    const Gateway = await ethers.getContractFactory("MetaTxGateway", owner);
+    gateway = await upgrades.deployProxy(Gateway, [], { initializer: "initialize", kind: "uups" });
+    await gateway.waitForDeployment();
+    await gateway.setRelayerAuthorization(relayer.address, true);
+    await vault.setTrustedForwarder(gateway.target);
+    client = new MetaTxClient(gateway.target, ethers.provider);
+
     // Mint tokens to user
     await token.mint(user.address, LARGE_AMOUNT);
     await stableToken.mint(user.address, LARGE_AMOUNT);
+
+    // Let the relayer charge the user without limits (spending caps are tested separately)
+    await vault.connect(user).setSpendingCap(relayer.address, ethers.MaxUint256, ethers.MaxUint256, ethers.MaxUint256);
   });
 
   describe("Deposit functionality", function () {
@@ -94,21 +151,21 @@ describe("GasCreditVault", function () {
     });
 
     it("should consume credits by relayer", async function () {
-      await vault.connect(relayer).consumeCredit(user.address, SMALL_AMOUNT);
+      await consume(user, SMALL_AMOUNT);
       const remaining = await vault.credits(user.address);
       expect(remaining).to.equal(ethers.parseEther("19990")); // 100 - 10
     });
 
     it("should revert when non-relayer tries to consume", async function () {
       await expect(
-        vault.connect(other).consumeCredit(user.address, SMALL_AMOUNT)
+        vault.connect(other).consumeCredit([TARGET], receipt(user.address, SMALL_AMOUNT))
       ).to.be.revertedWith("Caller not whitelisted relayers");
     });
 
     it("should revert when consuming more than available credits", async function () {
       const excessiveAmount = ethers.parseEther("20001");
       await expect(
-        vault.connect(relayer).consumeCredit(user.address, excessiveAmount)
+        consume(user, excessiveAmount)
       ).to.be.revertedWith("Insufficient credits");
     });
   });
@@ -118,7 +175,7 @@ describe("GasCreditVault", function () {
       await stableToken.connect(user).approve(vault.target, MEDIUM_AMOUNT);
       await vault.connect(user).deposit(stableToken.target, MEDIUM_AMOUNT);
 
-      await vault.connect(user).withdraw(stableToken.target, MEDIUM_AMOUNT);
+      await vault.connect(user).withdraw(stableToken.target, MEDIUM_AMOUNT, MEDIUM_AMOUNT);
 
       const credit = await vault.credits(user.address);
       expect(credit).to.equal(0);
@@ -129,9 +186,10 @@ describe("GasCreditVault", function () {
       await token.connect(user).approve(vault.target, MEDIUM_AMOUNT);
       await vault.connect(user).deposit(token.target, MEDIUM_AMOUNT);
       
-      // Consume some credits
-      await vault.connect(relayer).consumeCredit(user.address, SMALL_AMOUNT);
-      
+      // Consume some credits and wait for the dispute window
+      await consume(user, SMALL_AMOUNT);
+      await ethers.provider.send("evm_increaseTime", [86400]);
+
       // Owner withdraws
       const ownerBalanceBefore = await token.balanceOf(owner.address);
       await vault.connect(owner).withdrawConsumedCredits();
@@ -146,4 +204,633 @@ describe("GasCreditVault", function () {
       ).to.be.revertedWith("Ownable: caller is not the owner");
     });
   });
-});
\ No newline at end of file
+
+  describe("Per-token positions", function () {
+    beforeEach(async function () {
+      await token.connect(user).approve(vault.target, MEDIUM_AMOUNT);
+      await vault.connect(user).deposit(token.target, ethers.parseEther("1")); // $200
+      await stableToken.connect(user).approve(vault.target, MEDIUM_AMOUNT);
+      await vault.connect(user).deposit(stableToken.target, MEDIUM_AMOUNT); // $100
+      await vault.setDisputeWindow(0);
+    });
+
+    it("should track deposits per token and value credits at the current price", async function () {
+      const [tokens, amounts] = await vault.getPositions(user.address);
+      expect(tokens).to.deep.equal([token.target, stableToken.target]);
+      expect(amounts).to.deep.equal([ethers.parseEther("1"), MEDIUM_AMOUNT]);
+      expect(await vault.credits(user.address)).to.equal(ethers.parseEther("300"));
+
+      await tokenPriceFeed.updatePrice(ethers.parseUnits("300", 8));
+      expect(await vault.credits(user.address)).to.equal(ethers.parseEther("400"));
+    });
+
+    it("should withdraw in the chosen token at the current price", async function () {
+      await tokenPriceFeed.updatePrice(ethers.parseUnits("400", 8));
+
+      await expect(vault.connect(user).withdraw(token.target, ethers.parseEther("100"), ethers.parseEther("0.25")))
+        .to.emit(vault, "Withdrawn")
+        .withArgs(user.address, token.target, ethers.parseEther("100"), ethers.parseEther("0.25"));
+      expect(await vault.positions(user.address, token.target)).to.equal(ethers.parseEther("0.75"));
+      expect(await token.balanceOf(user.address)).to.equal(LARGE_AMOUNT - ethers.parseEther("0.75"));
+    });
+
+    it("should withdraw a whole position with type(uint256).max", async function () {
+      await vault.connect(user).withdraw(token.target, ethers.MaxUint256, 0);
+
+      expect(await vault.positions(user.address, token.target)).to.equal(0n);
+      expect(await vault.totalPositions(token.target)).to.equal(0n);
+      expect(await token.balanceOf(user.address)).to.equal(LARGE_AMOUNT);
+      expect(await vault.credits(user.address)).to.equal(MEDIUM_AMOUNT);
+    });
+
+    it("should enforce the position and the slippage bound", async function () {
+      await expect(
+        vault.connect(user).withdraw(token.target, ethers.parseEther("201"), 0)
+      ).to.be.revertedWith("Insufficient token position");
+
+      // Price dropped to $100 after the user quoted 1 token for $200
+      await tokenPriceFeed.updatePrice(ethers.parseUnits("100", 8));
+      await expect(
+        vault.connect(user).withdraw(token.target, ethers.parseEther("50"), ethers.parseEther("1"))
+      ).to.be.revertedWith("Slippage exceeded");
+
+      await expect(
+        vault.connect(other).withdraw(token.target, SMALL_AMOUNT, 0)
+      ).to.be.revertedWith("No position in token");
+    });
+
+    it("should consume stablecoin positions first into per-token reserves", async function () {
+      await consume(user, ethers.parseEther("150"));
+
+      expect(await vault.positions(user.address, stableToken.target)).to.equal(0n);
+      expect(await vault.positions(user.address, token.target)).to.equal(ethers.parseEther("0.75"));
+      expect(await vault.pendingReserves(stableToken.target)).to.equal(MEDIUM_AMOUNT);
+      expect(await vault.pendingReserves(token.target)).to.equal(ethers.parseEther("0.25"));
+
+      await vault.settleConsumptions(10);
+      expect(await vault.consumedReserves(stableToken.target)).to.equal(MEDIUM_AMOUNT);
+      expect(await vault.consumedReserves(token.target)).to.equal(ethers.parseEther("0.25"));
+      expect(await vault.totalConsumedCredits()).to.equal(ethers.parseEther("150"));
+    });
+
+    it("should settle consumed credits from the reserves of each token", async function () {
+      await consume(user, ethers.parseEther("150"));
+
+      await expect(vault.withdrawConsumedCredits())
+        .to.emit(vault, "ConsumedTokensWithdrawn")
+        .withArgs(owner.address, token.target, ethers.parseEther("0.25"))
+        .and.to.emit(vault, "ConsumedTokensWithdrawn")
+        .withArgs(owner.address, stableToken.target, MEDIUM_AMOUNT)
+        .and.to.emit(vault, "ConsumedCreditsWithdrawn")
+        .withArgs(owner.address, ethers.parseEther("150"));
+
+      expect(await token.balanceOf(owner.address)).to.equal(ethers.parseEther("0.25"));
+      expect(await stableToken.balanceOf(owner.address)).to.equal(MEDIUM_AMOUNT);
+      // Remaining vault balance is exactly what the user still owns
+      expect(await token.balanceOf(vault.target)).to.equal(await vault.totalPositions(token.target));
+      expect(await vault.unallocatedBalance(token.target)).to.equal(0n);
+    });
+
+    it("should transfer positions between users", async function () {
+      await vault.connect(user).transferCredit(other.address, ethers.parseEther("150"));
+
+      expect(await vault.positions(other.address, stableToken.target)).to.equal(MEDIUM_AMOUNT);
+      expect(await vault.positions(other.address, token.target)).to.equal(ethers.parseEther("0.25"));
+      expect(await vault.credits(other.address)).to.equal(ethers.parseEther("150"));
+
+      await vault.connect(other).withdraw(token.target, ethers.MaxUint256, ethers.parseEther("0.25"));
+      expect(await token.balanceOf(other.address)).to.equal(ethers.parseEther("0.25"));
+    });
+
+    it("should let users withdraw legacy credits after the upgrade", async function () {
+      await setLegacyCredits(other.address, SMALL_AMOUNT);
+      expect(await vault.credits(other.address)).to.equal(SMALL_AMOUNT);
+
+      // Nothing backs the legacy credits until the vault holds unallocated tokens
+      await expect(
+        vault.connect(other).withdraw(stableToken.target, ethers.MaxUint256, 0)
+      ).to.be.revertedWith("No position in token");
+
+      await stableToken.mint(vault.target, SMALL_AMOUNT);
+      await expect(vault.connect(other).withdraw(stableToken.target, ethers.MaxUint256, SMALL_AMOUNT))
+        .to.emit(vault, "LegacyCreditsMigrated")
+        .withArgs(other.address, stableToken.target, SMALL_AMOUNT, SMALL_AMOUNT)
+        .and.to.emit(vault, "Withdrawn")
+        .withArgs(other.address, stableToken.target, SMALL_AMOUNT, SMALL_AMOUNT);
+
+      expect(await vault.legacyCredits(other.address)).to.equal(0n);
+      expect(await vault.credits(other.address)).to.equal(0n);
+      expect(await stableToken.balanceOf(other.address)).to.equal(SMALL_AMOUNT);
+    });
+
+    it("should keep the tokens backing consumed legacy credits for the owner", async function () {
+      const [, , , , carol] = await ethers.getSigners();
+      await setLegacyConsumedCredits(SMALL_AMOUNT);
+      await setLegacyCredits(other.address, SMALL_AMOUNT);
+      await setLegacyCredits(carol.address, SMALL_AMOUNT);
+      // Backs the credits consumed before the upgrade and the legacy credits of other and carol
+      await stableToken.mint(vault.target, SMALL_AMOUNT * 3n);
+      expect(await vault.unallocatedBalance(stableToken.target)).to.equal(SMALL_AMOUNT * 2n);
+
+      // Charging legacy credits migrates them, so the charge holds the tokens backing them
+      await vault.connect(other).setSpendingCap(relayer.address, SMALL_AMOUNT, SMALL_AMOUNT, ethers.MaxUint256);
+      await expect(consume(other, SMALL_AMOUNT))
+        .to.emit(vault, "LegacyCreditsMigrated")
+        .withArgs(other.address, stableToken.target, SMALL_AMOUNT, SMALL_AMOUNT);
+      expect(await vault.pendingReserves(stableToken.target)).to.equal(SMALL_AMOUNT);
+      expect(await vault.unallocatedBalance(stableToken.target)).to.equal(SMALL_AMOUNT);
+
+      // Carol can only migrate what is left after the consumed credits
+      await vault.connect(carol).withdraw(stableToken.target, ethers.MaxUint256, SMALL_AMOUNT);
+      expect(await vault.unallocatedBalance(stableToken.target)).to.equal(0n);
+      await setLegacyCredits(other.address, SMALL_AMOUNT);
+      await expect(
+        vault.connect(other).withdraw(stableToken.target, ethers.MaxUint256, 0)
+      ).to.be.revertedWith("No position in token");
+
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await expect(vault.withdrawConsumedCredits())
+        .to.emit(vault, "ConsumedTokensWithdrawn")
+        .withArgs(owner.address, stableToken.target, SMALL_AMOUNT * 2n)
+        .and.to.emit(vault, "ConsumedCreditsWithdrawn")
+        .withArgs(owner.address, SMALL_AMOUNT * 2n);
+      expect(await vault.totalConsumedCreditsWithdrawn()).to.equal(SMALL_AMOUNT * 2n);
+      expect(await vault.reservedConsumedCredits()).to.equal(0n);
+      expect(await stableToken.balanceOf(vault.target)).to.equal(MEDIUM_AMOUNT);
+      expect(await vault.unallocatedBalance(stableToken.target)).to.equal(0n);
+    });
+
+    it("should pay consumed legacy credits as far as unallocated tokens cover them", async function () {
+      await setLegacyConsumedCredits(SMALL_AMOUNT);
+      await stableToken.mint(vault.target, SMALL_AMOUNT / 2n);
+
+      await expect(vault.withdrawConsumedCredits())
+        .to.emit(vault, "ConsumedCreditsWithdrawn")
+        .withArgs(owner.address, SMALL_AMOUNT / 2n);
+      expect(await vault.totalConsumedCreditsWithdrawn()).to.equal(SMALL_AMOUNT / 2n);
+
+      await stableToken.mint(vault.target, SMALL_AMOUNT);
+      expect(await vault.unallocatedBalance(stableToken.target)).to.equal(SMALL_AMOUNT / 2n);
+      await expect(vault.withdrawConsumedCredits())
+        .to.emit(vault, "ConsumedTokensWithdrawn")
+        .withArgs(owner.address, stableToken.target, SMALL_AMOUNT / 2n);
+      expect(await vault.totalConsumedCreditsWithdrawn()).to.equal(SMALL_AMOUNT);
+    });
+  });
+
+  describe("Spending caps", function () {
+    beforeEach(async function () {
+      await stableToken.connect(user).approve(vault.target, MEDIUM_AMOUNT);
+      await vault.connect(user).deposit(stableToken.target, MEDIUM_AMOUNT);
+    });
+
+    it("should only let relayers charge users who granted them a cap", async function () {
+      await vault.connect(user).setSpendingCap(relayer.address, 0, 0, 0);
+
+      await expect(
+        consume(user, SMALL_AMOUNT)
+      ).to.be.revertedWith("Spending cap expired");
+    });
+
+    it("should enforce the per-batch maximum and the allowance", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await expect(vault.connect(user).setSpendingCap(relayer.address, ethers.parseEther("15"), SMALL_AMOUNT, timestamp + 3600))
+        .to.emit(vault, "SpendingCapSet")
+        .withArgs(user.address, relayer.address, ethers.parseEther("15"), SMALL_AMOUNT, timestamp + 3600);
+
+      await expect(
+        consume(user, ethers.parseEther("11"))
+      ).to.be.revertedWith("Exceeds max per batch");
+
+      await consume(user, SMALL_AMOUNT);
+      const [allowance] = await vault.spendingCaps(user.address, relayer.address);
+      expect(allowance).to.equal(ethers.parseEther("5"));
+
+      await expect(
+        consume(user, ethers.parseEther("6"))
+      ).to.be.revertedWith("Exceeds spending allowance");
+
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await expect(
+        consume(user, SMALL_AMOUNT / 10n)
+      ).to.be.revertedWith("Spending cap expired");
+    });
+
+    it("should accept caps signed by the user", async function () {
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      const cap = await signSpendingCap(user, vault.target, {
+        relayer: other.address,
+        allowance: SMALL_AMOUNT,
+        maxPerBatch: SMALL_AMOUNT,
+        expiry: BigInt(timestamp + 3600),
+      });
+      const args = [user.address, other.address, cap.allowance, cap.maxPerBatch, cap.expiry, cap.signature];
+
+      await expect(vault.connect(relayer).setSpendingCapWithSig(...args))
+        .to.emit(vault, "SpendingCapSet")
+        .withArgs(user.address, other.address, SMALL_AMOUNT, SMALL_AMOUNT, cap.expiry);
+      expect(await vault.capNonces(user.address)).to.equal(1n);
+
+      // The nonce was used: replaying the signature fails
+      await expect(vault.connect(relayer).setSpendingCapWithSig(...args)).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("Receipts and disputes", function () {
+    beforeEach(async function () {
+      await stableToken.connect(user).approve(vault.target, MEDIUM_AMOUNT);
+      await vault.connect(user).deposit(stableToken.target, MEDIUM_AMOUNT);
+    });
+
+    it("should record the receipt and charge each batch once", async function () {
+      const charge = await runBatch(user, [TARGET], SMALL_AMOUNT);
+
+      await expect(vault.connect(relayer).consumeCredit([TARGET], charge))
+        .to.emit(vault, "CreditsConsumed")
+        .withArgs(0n, user.address, relayer.address, charge.batchId, charge.txHash, charge.gasUsed, charge.gasPrice, charge.nativePrice, SMALL_AMOUNT);
+
+      const consumption = await vault.getConsumption(0);
+      expect(consumption.status).to.equal(1n); // Pending
+      expect(consumption.creditAmount).to.equal(SMALL_AMOUNT);
+      expect(consumption.receiptHash).to.equal(
+        ethers.keccak256(
+          ethers.AbiCoder.defaultAbiCoder().encode(
+            ["tuple(address,uint256,bytes32,uint256,uint256,uint256,uint256)"],
+            [Object.values(charge)]
+          )
+        )
+      );
+
+      await expect(vault.connect(relayer).consumeCredit([TARGET], charge)).to.be.revertedWith("Batch already charged");
+      const unpriced = { ...(await runBatch(user, [TARGET], SMALL_AMOUNT)), gasUsed: 0n };
+      await expect(vault.connect(relayer).consumeCredit([TARGET], unpriced)).to.be.revertedWith("Invalid receipt");
+    });
+
+    it("should only charge batches the gateway recorded for the calling relayer", async function () {
+      await vault.addWhitelistedRelayer(other.address);
+      await vault.connect(user).setSpendingCap(other.address, ethers.MaxUint256, ethers.MaxUint256, ethers.MaxUint256);
+      const charge = await runBatch(user, [TARGET], SMALL_AMOUNT);
+
+      // A batch id the gateway never executed, a relayer that did not submit the batch, or other targets
+      await expect(
+        vault.connect(relayer).consumeCredit([TARGET], { ...charge, batchId: charge.batchId + 1n })
+      ).to.be.revertedWith("Invalid receipt");
+      await expect(vault.connect(other).consumeCredit([TARGET], charge)).to.be.revertedWith("Invalid receipt");
+      await expect(vault.connect(relayer).consumeCredit([other.address], charge)).to.be.revertedWith("Invalid receipt");
+
+      await vault.connect(relayer).consumeCredit([TARGET], charge);
+      expect(await vault.chargedBatches(charge.batchId)).to.equal(true);
+      await expect(vault.connect(relayer).consumeCredit([TARGET], charge)).to.be.revertedWith("Batch already charged");
+    });
+
+    it("should hold charges until the dispute window has passed", async function () {
+      await consume(user, SMALL_AMOUNT);
+
+      await expect(vault.withdrawConsumedCredits()).to.be.revertedWith("No new credits to withdraw");
+
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await expect(vault.withdrawConsumedCredits())
+        .to.emit(vault, "ConsumptionSettled")
+        .withArgs(0n, SMALL_AMOUNT);
+      expect(await stableToken.balanceOf(owner.address)).to.equal(SMALL_AMOUNT);
+      expect(await vault.nextSettlement()).to.equal(1n);
+    });
+
+    it("should refund a disputed charge when the owner upholds the dispute", async function () {
+      await consume(user, SMALL_AMOUNT);
+
+      await expect(vault.connect(other).disputeConsumption(0, "not my batch")).to.be.revertedWith("Not consumption user");
+      await expect(vault.connect(user).disputeConsumption(0, "not my batch"))
+        .to.emit(vault, "ConsumptionDisputed")
+        .withArgs(0n, user.address, "not my batch");
+
+      // Disputed charges are not settled with the others
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await consume(user, SMALL_AMOUNT);
+      await expect(vault.settleConsumptions(10)).not.to.emit(vault, "ConsumptionSettled");
+
+      await expect(vault.resolveDispute(0, true))
+        .to.emit(vault, "ConsumptionRefunded")
+        .withArgs(0n, user.address, SMALL_AMOUNT);
+      expect(await vault.positions(user.address, stableToken.target)).to.equal(MEDIUM_AMOUNT - SMALL_AMOUNT);
+      expect(await vault.pendingReserves(stableToken.target)).to.equal(SMALL_AMOUNT);
+      const [allowance] = await vault.spendingCaps(user.address, relayer.address);
+      expect(allowance).to.equal(ethers.MaxUint256 - SMALL_AMOUNT);
+
+      await expect(vault.resolveDispute(0, false)).to.be.revertedWith("Consumption not disputed");
+    });
+
+    it("should settle a disputed charge when the owner rejects the dispute", async function () {
+      await consume(user, SMALL_AMOUNT);
+      await vault.connect(user).disputeConsumption(0, "too expensive");
+
+      await expect(vault.connect(user).resolveDispute(0, false)).to.be.revertedWith("Ownable: caller is not the owner");
+      await vault.resolveDispute(0, false);
+
+      expect(await vault.totalConsumedCredits()).to.equal(SMALL_AMOUNT);
+      expect(await vault.consumedReserves(stableToken.target)).to.equal(SMALL_AMOUNT);
+    });
+
+    it("should close disputes with the window", async function () {
+      await consume(user, SMALL_AMOUNT);
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+
+      await expect(vault.connect(user).disputeConsumption(0, "late")).to.be.revertedWith("Dispute window closed");
+      await expect(vault.connect(user).setDisputeWindow(0)).to.be.revertedWith("Ownable: caller is not the owner");
+      await expect(vault.setDisputeWindow(31 * 86400)).to.be.revertedWith("Dispute window too long");
+    });
+
+    it("should keep the dispute window a charge was recorded with", async function () {
+      await consume(user, SMALL_AMOUNT);
+      await vault.setDisputeWindow(3600);
+      await consume(user, SMALL_AMOUNT);
+
+      // Shortening the window neither closes nor settles the first charge early
+      await ethers.provider.send("evm_increaseTime", [3601]);
+      await expect(vault.settleConsumptions(10)).not.to.emit(vault, "ConsumptionSettled");
+      await expect(vault.connect(user).disputeConsumption(1, "late")).to.be.revertedWith("Dispute window closed");
+
+      const { disputeDeadline } = await vault.getConsumption(0);
+      await ethers.provider.send("evm_setNextBlockTimestamp", [Number(disputeDeadline) - 1]);
+      await expect(vault.connect(user).disputeConsumption(0, "not my batch")).to.emit(vault, "ConsumptionDisputed");
+      await expect(vault.settleConsumptions(10))
+        .to.emit(vault, "ConsumptionSettled")
+        .withArgs(1n, SMALL_AMOUNT);
+    });
+  });
+
+  describe("Native deposits", function () {
+    let NATIVE_TOKEN;
+
+    beforeEach(async function () {
+      NATIVE_TOKEN = await vault.NATIVE_TOKEN();
+      await vault.whitelistToken(NATIVE_TOKEN, tokenPriceFeed.target, false);
+    });
+
+    it("should deposit the native coin at the feed price and withdraw it back", async function () {
+      const amount = ethers.parseEther("1"); // $200
+
+      await expect(vault.connect(user).deposit(NATIVE_TOKEN, amount, { value: amount }))
+        .to.emit(vault, "Deposited")
+        .withArgs(user.address, NATIVE_TOKEN, amount, ethers.parseEther("200"));
+      expect(await vault.credits(user.address)).to.equal(ethers.parseEther("200"));
+      expect(await vault.positions(user.address, NATIVE_TOKEN)).to.equal(amount);
+
+      await expect(vault.connect(user).withdraw(NATIVE_TOKEN, ethers.parseEther("100"), 0)).to.changeEtherBalances(
+        [user, vault],
+        [amount / 2n, -(amount / 2n)]
+      );
+      expect(await vault.unallocatedBalance(NATIVE_TOKEN)).to.equal(0n);
+    });
+
+    it("should require msg.value to match native deposits only", async function () {
+      await expect(
+        vault.connect(user).deposit(NATIVE_TOKEN, ethers.parseEther("1"), { value: ethers.parseEther("0.5") })
+      ).to.be.revertedWith("Invalid amount");
+
+      await stableToken.connect(user).approve(vault.target, MEDIUM_AMOUNT);
+      await expect(
+        vault.connect(user).deposit(stableToken.target, MEDIUM_AMOUNT, { value: 1n })
+      ).to.be.revertedWith("Invalid amount");
+    });
+
+    it("should pay consumed native credits to the owner", async function () {
+      await vault.setDisputeWindow(0);
+      await vault.connect(user).deposit(NATIVE_TOKEN, ethers.parseEther("1"), { value: ethers.parseEther("1") });
+      await consume(user, SMALL_AMOUNT); // 0.05 native
+
+      await expect(vault.withdrawConsumedCredits()).to.changeEtherBalance(owner, ethers.parseEther("0.05"));
+    });
+  });
+
+  describe("Sponsor pools", function () {
+    let sponsor, dapp, otherDapp, poolId, poolAccount, expiry;
+    const POOL_CREDITS = ethers.parseEther("50");
+    const PER_USER_CAP = ethers.parseEther("15");
+
+    before(async function () {
+      [, , , , sponsor] = await ethers.getSigners();
+      dapp = ethers.Wallet.createRandom().address;
+      otherDapp = ethers.Wallet.createRandom().address;
+    });
+
+    beforeEach(async function () {
+      await stableToken.mint(sponsor.address, MEDIUM_AMOUNT);
+      await stableToken.connect(sponsor).approve(vault.target, MEDIUM_AMOUNT);
+      await vault.connect(sponsor).deposit(stableToken.target, MEDIUM_AMOUNT);
+
+      expiry = (await ethers.provider.getBlock("latest")).timestamp + 86400;
+      await expect(vault.connect(sponsor).createSponsorPool([dapp], PER_USER_CAP, expiry))
+        .to.emit(vault, "SponsorPoolCreated")
+        .withArgs(1n, sponsor.address, PER_USER_CAP, expiry)
+        .and.to.emit(vault, "SponsorPoolTargetSet")
+        .withArgs(1n, dapp, true);
+      poolId = await vault.sponsorPoolCount();
+
+      poolAccount = await vault.sponsorPoolAccount(poolId);
+      await vault.connect(sponsor).transferCredit(poolAccount, POOL_CREDITS);
+    });
+
+    it("should expose pools to relayers", async function () {
+      const [pool, poolCredits, targets] = await vault.getSponsorPool(poolId);
+      expect(pool.sponsor).to.equal(sponsor.address);
+      expect(pool.perUserCap).to.equal(PER_USER_CAP);
+      expect(pool.expiry).to.equal(BigInt(expiry));
+      expect(poolCredits).to.equal(POOL_CREDITS);
+      expect(targets).to.deep.equal([dapp]);
+
+      expect(await vault.sponsoredAllowance(poolId, user.address)).to.equal(PER_USER_CAP);
+      expect(await vault.credits(sponsor.address)).to.equal(MEDIUM_AMOUNT - POOL_CREDITS);
+    });
+
+    it("should charge sponsored batches to the pool without a user spending cap", async function () {
+      const charge = await runBatch(other, [dapp], SMALL_AMOUNT);
+
+      await expect(vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], charge))
+        .to.emit(vault, "SponsoredCreditsConsumed")
+        .withArgs(0n, poolId, other.address)
+        .and.to.emit(vault, "CreditsConsumed");
+
+      expect((await vault.getConsumption(0)).user).to.equal(poolAccount);
+      expect(await vault.credits(poolAccount)).to.equal(POOL_CREDITS - SMALL_AMOUNT);
+      expect(await vault.sponsoredUsage(poolId, other.address)).to.equal(SMALL_AMOUNT);
+      expect(await vault.sponsoredAllowance(poolId, other.address)).to.equal(PER_USER_CAP - SMALL_AMOUNT);
+      expect(await vault.credits(other.address)).to.equal(0n);
+
+      await expect(
+        vault.connect(other).consumeSponsoredCredit(poolId, [dapp], await runBatch(other, [dapp], SMALL_AMOUNT))
+      ).to.be.revertedWith("Caller not whitelisted relayers");
+    });
+
+    it("should only charge batches the relayer ran for the user on the given targets", async function () {
+      const charge = await runBatch(other, [dapp], SMALL_AMOUNT);
+
+      // The relayer cannot bill the pool for another user, for targets the batch did not call, or for an
+      // unknown batch
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], { ...charge, user: user.address })
+      ).to.be.revertedWith("Invalid receipt");
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp, dapp], charge)
+      ).to.be.revertedWith("Invalid receipt");
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], receipt(other.address, SMALL_AMOUNT))
+      ).to.be.revertedWith("Invalid receipt");
+
+      // Nor can another relayer charge it
+      await vault.addWhitelistedRelayer(owner.address);
+      await expect(vault.consumeSponsoredCredit(poolId, [dapp], charge)).to.be.revertedWith("Invalid receipt");
+
+      await vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], charge);
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], charge)
+      ).to.be.revertedWith("Batch already charged");
+    });
+
+    it("should enforce the pool targets, per-user cap and expiry", async function () {
+      const mixed = await runBatch(user, [dapp, otherDapp], SMALL_AMOUNT);
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp, otherDapp], mixed)
+      ).to.be.revertedWith("Target not sponsored");
+
+      await vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], await runBatch(user, [dapp], SMALL_AMOUNT));
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], await runBatch(user, [dapp], SMALL_AMOUNT))
+      ).to.be.revertedWith("Exceeds per-user cap");
+
+      await expect(vault.connect(user).setSponsorPoolTarget(poolId, otherDapp, true)).to.be.revertedWith("Not pool sponsor");
+      await vault.connect(sponsor).setSponsorPoolTarget(poolId, otherDapp, true);
+      await vault.connect(sponsor).updateSponsorPool(poolId, ethers.parseEther("100"), expiry);
+      await vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp, otherDapp], mixed);
+
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], await runBatch(user, [dapp], ethers.parseEther("40")))
+      ).to.be.revertedWith("Insufficient credits");
+
+      const late = await runBatch(other, [dapp], SMALL_AMOUNT);
+      await ethers.provider.send("evm_increaseTime", [86401]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await vault.sponsoredAllowance(poolId, other.address)).to.equal(0n);
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], late)
+      ).to.be.revertedWith("Sponsor pool expired");
+      await expect(
+        vault.connect(relayer).consumeSponsoredCredit(99, [dapp], late)
+      ).to.be.revertedWith("Sponsor pool expired");
+    });
+
+    it("should let the sponsor dispute charges and refund them to the pool", async function () {
+      await vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], await runBatch(user, [dapp], SMALL_AMOUNT));
+
+      await expect(vault.connect(user).disputeConsumption(0, "sponsored")).to.be.revertedWith("Not consumption user");
+      await vault.connect(sponsor).disputeConsumption(0, "not our dApp");
+      await expect(vault.resolveDispute(0, true))
+        .to.emit(vault, "ConsumptionRefunded")
+        .withArgs(0n, poolAccount, SMALL_AMOUNT);
+
+      expect(await vault.credits(poolAccount)).to.equal(POOL_CREDITS);
+      expect(await vault.sponsoredUsage(poolId, user.address)).to.equal(0n);
+      const [allowance] = await vault.spendingCaps(user.address, relayer.address);
+      expect(allowance).to.equal(ethers.MaxUint256);
+    });
+
+    it("should only let the sponsor take unused credits back", async function () {
+      await vault.connect(relayer).consumeSponsoredCredit(poolId, [dapp], await runBatch(user, [dapp], SMALL_AMOUNT));
+
+      await expect(vault.connect(user).defundSponsorPool(poolId, SMALL_AMOUNT)).to.be.revertedWith("Not pool sponsor");
+      await expect(vault.connect(sponsor).defundSponsorPool(poolId, POOL_CREDITS)).to.be.revertedWith("Invalid amount");
+      await expect(vault.connect(sponsor).defundSponsorPool(poolId, ethers.MaxUint256))
+        .to.emit(vault, "SponsorPoolDefunded")
+        .withArgs(poolId, sponsor.address, POOL_CREDITS - SMALL_AMOUNT);
+
+      expect(await vault.credits(poolAccount)).to.equal(0n);
+      expect(await vault.credits(sponsor.address)).to.equal(MEDIUM_AMOUNT - SMALL_AMOUNT);
+    });
+  });
+
+  describe("Trusted forwarder", function () {
+    // Simulates MetaTxGateway: calldata with the signer appended (ERC-2771)
+    const forward = (from, data, signer) =>
+      from.sendTransaction({ to: vault.target, data: ethers.concat([data, signer]) });
+
+    it("should only let the owner set the trusted forwarder", async function () {
+      await expect(vault.connect(user).setTrustedForwarder(other.address)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+
+      await expect(vault.setTrustedForwarder(other.address))
+        .to.emit(vault, "TrustedForwarderUpdated")
+        .withArgs(other.address);
+      expect(await vault.isTrustedForwarder(other.address)).to.equal(true);
+    });
+
+    it("should credit the appended sender on forwarded deposits", async function () {
+      await vault.setTrustedForwarder(other.address);
+      await stableToken.connect(user).approve(vault.target, MEDIUM_AMOUNT);
+
+      const data = vault.interface.encodeFunctionData("deposit", [stableToken.target, MEDIUM_AMOUNT]);
+      await forward(other, data, user.address);
+
+      expect(await vault.credits(user.address)).to.equal(MEDIUM_AMOUNT);
+      expect(await vault.credits(other.address)).to.equal(0n);
+    });
+
+    it("should ignore the suffix from untrusted callers", async function () {
+      await stableToken.connect(user).approve(vault.target, MEDIUM_AMOUNT);
+      await vault.connect(user).deposit(stableToken.target, MEDIUM_AMOUNT);
+
+      const data = vault.interface.encodeFunctionData("transferCredit", [other.address, SMALL_AMOUNT]);
+      await expect(forward(other, data, user.address)).to.be.revertedWith("Insufficient credits");
+      expect(await vault.credits(user.address)).to.equal(MEDIUM_AMOUNT);
+    });
+  });
+
+  describe("Permit deposits", function () {
+    it("should deposit with an EIP-2612 permit instead of an approval", async function () {
+      const PermitToken = await ethers.getContractFactory("MockERC20Permit");
+      const permitToken = await PermitToken.deploy("Permit USD", "PUSD");
+      await vault.whitelistToken(permitToken.target, ethers.ZeroAddress, true);
+      await permitToken.mint(user.address, MEDIUM_AMOUNT);
+
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const { v, r, s } = await signPermit(user, {
+        token: permitToken.target,
+        spender: vault.target,
+        value: MEDIUM_AMOUNT,
+        deadline,
+      });
+
+      await expect(vault.connect(user).depositWithPermit(permitToken.target, MEDIUM_AMOUNT, deadline, v, r, s))
+        .to.emit(vault, "Deposited")
+        .withArgs(user.address, permitToken.target, MEDIUM_AMOUNT, MEDIUM_AMOUNT);
+      expect(await vault.credits(user.address)).to.equal(MEDIUM_AMOUNT);
+    });
+
+    it("should revert Permit2 deposits until Permit2 is configured", async function () {
+      await expect(
+        vault.connect(user).depositWithPermit2(stableToken.target, MEDIUM_AMOUNT, 0, 0, "0x")
+      ).to.be.revertedWith("Permit2 not set");
+    });
+  });
+
+  describe("Upgrader", function () {
+    it("should let the owner upgrade until an upgrader takes over", async function () {
+      const Vault = await ethers.getContractFactory("GasCreditVault", owner);
+      await upgrades.upgradeProxy(vault.target, Vault, { redeployImplementation: "always" });
+
+      await expect(vault.connect(user).setUpgrader(other.address)).to.be.revertedWith("Not upgrader");
+      await expect(vault.setUpgrader(other.address))
+        .to.emit(vault, "UpgraderUpdated")
+        .withArgs(other.address);
+
+      // The owner can neither upgrade nor take the upgrader role back
+      await expect(upgrades.upgradeProxy(vault.target, Vault, { redeployImplementation: "always" }))
+        .to.be.revertedWith("Not upgrader");
+      await expect(vault.setUpgrader(ethers.ZeroAddress)).to.be.revertedWith("Not upgrader");
+
+      await vault.connect(other).setUpgrader(ethers.ZeroAddress);
+      await upgrades.upgradeProxy(vault.target, Vault, { redeployImplementation: "always" });
+    });
+  });
+});
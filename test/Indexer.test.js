@@ -0,0 +1,284 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { MetaTxClient, encodeCall } = require("../sdk");
+const { RelayerService } = require("../relayer/service");
+const { IndexerStore } = require("../indexer/store");
+const { EventIndexer } = require("../indexer/indexer");
+const { creditHistory, creditSummary, relayerReport, batchSuccessRates, toCsv } = require("../indexer/reports");
+const { buildReport, formatReport } = require("../indexer/cli");
+
+describe("Event indexer", function () {
+  let gateway, vault, usdt, token;
+  let owner, relayer, user, recipient;
+  let client, service, store, tmpDir;
+  let startBlock, executed;
+
+  const DEPOSIT = ethers.parseEther("100");
+  const TRANSFER = ethers.parseEther("1");
+  const WITHDRAWAL = ethers.parseEther("10");
+
+  async function execute(calls) {
+    const batch = await client.buildBatch(user.address, calls);
+    const signature = await client.signBatch(user, batch);
+    return service.execute({ ...batch, signature });
+  }
+
+  async function gasCost(hash) {
+    const receipt = await ethers.provider.getTransactionReceipt(hash);
+    return receipt.gasUsed * receipt.gasPrice;
+  }
+
+  function newIndexer(options = {}) {
+    return new EventIndexer({
+      provider: ethers.provider,
+      store,
+      gatewayAddress: gateway.target,
+      vaultAddress: vault.target,
+      startBlock,
+      ...options,
+    }).init();
+  }
+
+  const mintCall = (to, amount) => ({
+    to: token.target,
+    data: encodeCall(token.interface, "mint", [to, amount]),
+  });
+
+  beforeEach(async function () {
+    [owner, relayer, user, recipient] = await ethers.getSigners();
+    startBlock = (await ethers.provider.getBlockNumber()) + 1;
+
+    const Gateway = await ethers.getContractFactory("MetaTxGateway", owner);
+    gateway = await upgrades.deployProxy(Gateway, [], { initializer: "initialize", kind: "uups" });
+    await gateway.waitForDeployment();
+
+    const Vault = await ethers.getContractFactory("GasCreditVault", owner);
+    vault = await upgrades.deployProxy(Vault, [], { initializer: "initialize", kind: "uups" });
+    await vault.waitForDeployment();
+
+    const Aggregator = await ethers.getContractFactory("MockAggregatorV3");
+    const nativeFeed = await Aggregator.deploy(ethers.parseUnits("600", 8), 8);
+    const stableFeed = await Aggregator.deploy(ethers.parseUnits("1", 8), 8);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    usdt = await Token.deploy("Tether USD", "USDT", 18);
+    token = await Token.deploy("Mock Token", "MTK", 18);
+
+    await gateway.setRelayerAuthorization(relayer.address, true);
+    await vault.whitelistToken(usdt.target, stableFeed.target, true);
+    await vault.addWhitelistedRelayer(relayer.address);
+    await vault.setTrustedForwarder(gateway.target);
+
+    await usdt.mint(user.address, DEPOSIT);
+    await usdt.connect(user).approve(vault.target, DEPOSIT);
+    await vault.connect(user).deposit(usdt.target, DEPOSIT);
+    await vault.connect(user).setSpendingCap(relayer.address, DEPOSIT, DEPOSIT, ethers.MaxUint256);
+
+    client = new MetaTxClient(gateway.target, ethers.provider);
+    service = await new RelayerService({
+      provider: ethers.provider,
+      relayer,
+      gatewayAddress: gateway.target,
+      vaultAddress: vault.target,
+      nativePriceFeed: nativeFeed.target,
+    }).init();
+
+    // One fully successful batch, one with a failing call whose charge is disputed and refunded
+    executed = [];
+    executed.push(await execute([mintCall(recipient.address, 1n)]));
+    executed.push(await execute([
+      mintCall(recipient.address, 1n),
+      { to: token.target, data: encodeCall(token.interface, "transfer", [recipient.address, 1n]) },
+    ]));
+    await vault.connect(user).disputeConsumption(executed[1].consumptionId, "Partial batch");
+    await vault.resolveDispute(executed[1].consumptionId, true);
+
+    await vault.connect(user).transferCredit(recipient.address, TRANSFER);
+    await vault.connect(user).withdraw(usdt.target, WITHDRAWAL, 0);
+    // Let the dispute window pass, then refresh the feed the relayer prices later batches with
+    await ethers.provider.send("evm_increaseTime", [86400]);
+    await vault.withdrawConsumedCredits();
+    await nativeFeed.updatePrice(ethers.parseUnits("600", 8));
+
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "indexer-"));
+    store = await IndexerStore.open(path.join(tmpDir, "index.sqlite"));
+  });
+
+  afterEach(function () {
+    store.close();
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should build each user's credit history", async function () {
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    const history = creditHistory(store, user.address);
+    expect(history.map((entry) => entry.kind)).to.deep.equal([
+      "deposit",
+      "consumption",
+      "consumption",
+      "refund",
+      "transfer_out",
+      "withdrawal",
+    ]);
+    expect(history[0].token).to.equal(usdt.target);
+    expect(history[0].tokenAmount).to.equal(DEPOSIT.toString());
+    expect(history[1].counterparty).to.equal(relayer.address);
+    expect(history[3].consumptionId).to.equal(executed[1].consumptionId.toString());
+    expect(history[4].counterparty).to.equal(recipient.address);
+    expect(history[0].timestamp).to.be.a("number");
+    expect(BigInt(history[history.length - 1].balance)).to.equal(await vault.credits(user.address));
+
+    const summary = creditSummary(store);
+    const recipientTotals = summary.find((row) => row.user === recipient.address);
+    expect(recipientTotals.netTransfers).to.equal(TRANSFER.toString());
+    expect(recipientTotals.balance).to.equal(TRANSFER.toString());
+    const userTotals = summary.find((row) => row.user === user.address);
+    expect(userTotals.withdrawn).to.equal((-WITHDRAWAL).toString());
+    expect(BigInt(userTotals.balance)).to.equal(await vault.credits(user.address));
+  });
+
+  it("should report relayer gas spend against the credits consumed", async function () {
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    const [charged, refunded] = await Promise.all(executed.map((result) => vault.getConsumption(result.consumptionId)));
+    let batchGas = 0n;
+    let chargeGas = 0n;
+    for (const result of executed) {
+      batchGas += await gasCost(result.txHash);
+      chargeGas += await gasCost(result.creditTxHash);
+    }
+
+    const [report] = relayerReport(store);
+    expect(report.relayer).to.equal(relayer.address);
+    expect(report.batches).to.equal(2);
+    expect(report.calls).to.equal(3);
+    expect(report.chargedBatches).to.equal(2);
+    expect(report.batchGasNative).to.equal(batchGas.toString());
+    expect(report.chargeGasNative).to.equal(chargeGas.toString());
+    expect(report.gasSpendNative).to.equal((batchGas + chargeGas).toString());
+    expect(report.creditsConsumed).to.equal(charged.creditAmount.toString());
+    expect(report.creditsRefunded).to.equal(refunded.creditAmount.toString());
+    expect(BigInt(report.creditMargin)).to.equal(charged.creditAmount - BigInt(report.gasSpendCredits));
+
+    const [withdrawal] = store.all("SELECT * FROM consumed_withdrawals");
+    expect(withdrawal.owner).to.equal(owner.address);
+    expect(withdrawal.credits).to.equal(charged.creditAmount.toString());
+  });
+
+  it("should compute batch success rates", async function () {
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    const rates = batchSuccessRates(store);
+    expect(rates.map((row) => row.relayer)).to.deep.equal([relayer.address, "all"]);
+    expect(rates[1]).to.deep.equal({
+      relayer: "all",
+      batches: 2,
+      successful: 1,
+      partial: 1,
+      failed: 0,
+      batchSuccessRate: 0.5,
+      calls: 3,
+      successfulCalls: 2,
+      callSuccessRate: 0.6667,
+    });
+  });
+
+  it("should resume from the saved cursor without duplicating events", async function () {
+    const head = await ethers.provider.getBlockNumber();
+    const middle = Math.floor((startBlock + head) / 2);
+
+    const first = await newIndexer({ blockRange: 3 });
+    await first.sync(middle);
+    expect(first.lastIndexedBlock()).to.equal(middle);
+    store.close();
+
+    // Reopen the database file as a restarted process would
+    store = await IndexerStore.open(path.join(tmpDir, "index.sqlite"));
+    const resumed = await newIndexer({ blockRange: 3 });
+    const result = await resumed.sync();
+    expect(result.fromBlock).to.equal(middle + 1);
+    expect(result.toBlock).to.equal(head);
+
+    expect((await resumed.sync()).events).to.equal(0);
+    expect(store.get("SELECT COUNT(*) AS count FROM meta_transactions").count).to.equal(3);
+    expect(store.get("SELECT COUNT(*) AS count FROM consumptions").count).to.equal(2);
+    expect(creditHistory(store, user.address)).to.have.length(6);
+  });
+
+  it("should refuse a database indexed from other contracts", async function () {
+    await newIndexer();
+    await expect(newIndexer({ vaultAddress: usdt.target })).to.be.rejectedWith("Indexer database was built for vaultAddress");
+  });
+
+  it("should keep indexing new blocks when following the chain", async function () {
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    let resolveSync;
+    const synced = new Promise((resolve) => { resolveSync = resolve; });
+    const follower = indexer.follow({
+      interval: 50,
+      onSync: (result) => { if (result.events > 0) resolveSync(); },
+    });
+
+    await vault.connect(recipient).transferCredit(user.address, TRANSFER);
+    await synced;
+    await follower.stop();
+
+    const history = creditHistory(store, user.address);
+    expect(history[history.length - 1].kind).to.equal("transfer_in");
+    expect(BigInt(history[history.length - 1].balance)).to.equal(await vault.credits(user.address));
+  });
+
+  it("should charge sponsored batches to the pool account", async function () {
+    await usdt.mint(owner.address, DEPOSIT);
+    await usdt.approve(vault.target, DEPOSIT);
+    await vault.deposit(usdt.target, DEPOSIT);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await vault.createSponsorPool([token.target], ethers.parseEther("5"), timestamp + 3600);
+    const poolAccount = await vault.sponsorPoolAccount(1);
+    await vault.transferCredit(poolAccount, ethers.parseEther("20"));
+
+    const batch = await client.buildBatch(user.address, [mintCall(recipient.address, 1n)]);
+    const signature = await client.signBatch(user, batch);
+    const result = await service.execute({ ...batch, signature, sponsorPoolId: 1 });
+
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    const history = creditHistory(store, poolAccount);
+    expect(history.map((entry) => entry.kind)).to.deep.equal(["transfer_in", "sponsored_consumption"]);
+    expect(history[1].counterparty).to.equal(user.address);
+    expect(BigInt(history[1].balance)).to.equal(await vault.credits(poolAccount));
+
+    const consumption = store.get("SELECT * FROM consumptions WHERE consumption_id = ?", [result.consumptionId.toString()]);
+    expect(consumption.user).to.equal(user.address);
+    expect(consumption.payer).to.equal(poolAccount);
+    expect(consumption.sponsor_pool_id).to.equal("1");
+  });
+
+  it("should export reports as JSON and CSV", async function () {
+    const indexer = await newIndexer();
+    await indexer.sync();
+
+    const rows = buildReport(store, "batches");
+    expect(JSON.parse(formatReport(rows, "json"))).to.deep.equal(rows);
+
+    const csv = formatReport(rows, "csv").trim().split("\n");
+    expect(csv[0]).to.equal("relayer,batches,successful,partial,failed,batchSuccessRate,calls,successfulCalls,callSuccessRate");
+    expect(csv[2]).to.equal("all,2,1,1,0,0.5,3,2,0.6667");
+
+    const history = toCsv(buildReport(store, "credits", { user: user.address }));
+    expect(history.split("\n")[0]).to.equal(
+      "blockNumber,timestamp,txHash,kind,counterparty,token,tokenAmount,creditDelta,balance,consumptionId"
+    );
+    expect(toCsv([{ note: 'say "hi", twice' }])).to.equal('note\n"say ""hi"", twice"\n');
+  });
+});
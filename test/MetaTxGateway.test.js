@@ -1,140 +1,1010 @@
 const { expect } = require("chai");
-const { ethers } = require("hardhat")
+const { ethers, upgrades } = require("hardhat");
+const {
+  MetaTxClient,
+  ExecutionMode,
+  buildDomain,
+  encodeCall,
+  hashBatch,
+  decodeRevertReason,
+  decodeBatchResults,
+  signPermit,
+  signPermit2Transfer,
+  wrapERC6492Signature,
+  isERC6492Signature,
+  encodeNonce,
+  decodeNonce,
+} = require("../sdk");
 
 describe("MetaTxGateway", () => {
   let gateway;
   let token;
+  let client;
   let owner;
   let relayer;
   let sender;
   let recipient;
 
-  let chainId;
-
   beforeEach(async () => {
     [owner, relayer, sender, recipient] = await ethers.getSigners();
-    chainId = (await ethers.provider.getNetwork()).chainId;
 
     const Token = await ethers.getContractFactory("MockERC20");
     token = await Token.connect(owner).deploy("MockToken", "MTK", 18);
     await token.waitForDeployment();
 
-    const Gateway = await ethers.getContractFactory("MetaTxGateway");
-    gateway = await Gateway.connect(owner).deploy(owner.address);
+    const Gateway = await ethers.getContractFactory("MetaTxGateway", owner);
+    gateway = await upgrades.deployProxy(Gateway, [], {
+      initializer: "initialize",
+      kind: "uups",
+    });
     await gateway.waitForDeployment();
 
-    // Mint and approve tokens for sender
-    await token.connect(owner).mint(sender.address, ethers.parseEther("100"));
-    await token.connect(sender).approve(gateway.target, ethers.parseEther("100"));
+    await (await gateway.setRelayerAuthorization(relayer.address, true)).wait();
+
+    client = new MetaTxClient(gateway.target, ethers.provider);
+  });
+
+  const mintCall = (to, amount) => ({
+    to: token.target,
+    data: encodeCall(token.interface, "mint", [to, amount]),
   });
 
-  it("should allow owner to add and remove relayers", async () => {
-    await gateway.connect(owner).addWhitelistedRelayer(relayer.address);
-    const relayers = await gateway.getWhitelistedRelayers();
-    expect(relayers).to.include(relayer.address);
+  describe("Relayer management", () => {
+    it("should allow owner to authorize and deauthorize relayers", async () => {
+      expect(await gateway.isRelayerAuthorized(relayer.address)).to.equal(true);
+
+      await (await gateway.setRelayerAuthorization(relayer.address, false)).wait();
+      expect(await gateway.isRelayerAuthorized(relayer.address)).to.equal(false);
+    });
+
+    it("should revert when a non relayer manager authorizes a relayer", async () => {
+      await expect(gateway.connect(sender).setRelayerAuthorization(sender.address, true))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount")
+        .withArgs(sender.address, await gateway.RELAYER_MANAGER_ROLE());
+    });
 
-    await gateway.connect(owner).removeWhitelistedRelayer(relayer.address);
-    const updated = await gateway.getWhitelistedRelayers();
-    expect(updated).to.not.include(relayer.address);
+    it("should enumerate authorized relayers", async () => {
+      await (await gateway.setRelayerAuthorization(recipient.address, true)).wait();
+      expect(await gateway.getRelayers()).to.deep.equal([relayer.address, recipient.address]);
+
+      await (await gateway.setRelayerAuthorization(relayer.address, false)).wait();
+      expect(await gateway.getRelayers()).to.deep.equal([recipient.address]);
+    });
   });
 
-  it("should execute a valid meta transfer", async () => {
-    const amount = ethers.parseEther("10");
-
-    // Add relayer
-    await gateway.connect(owner).addWhitelistedRelayer(relayer.address);
-
-    const targets = [token.target];
-    const recipients = [await recipient.address];
-    const amounts = [amount];
-    const transferData = ethers.AbiCoder.defaultAbiCoder().encode(
-      ["address[]", "address[]", "uint256[]"],
-      [targets, recipients, amounts]
-    );
-
-    const nonce = await gateway.nonces(sender.address);
-
-    // EIP712 domain separator
-    const domain = {
-      name: "MetaTxGateway",
-      version: "1",
-      chainId,
-      verifyingContract: gateway.target,
-    };
-
-    const types = {
-      Transfer: [
-        { name: "sender", type: "address" },
-        { name: "transferData", type: "bytes" },
-        { name: "nonce", type: "uint256" },
-      ],
-    };
-
-    const value = {
-      sender: sender.address,
-      transferData,
-      nonce,
-    };
-
-    const signature = await sender.signTypedData(domain, types, value);
-
-    // Execute meta transfer from relayer
-    await expect(
-      gateway.connect(relayer).executeMetaTransfer(
-        sender.address,
-        transferData,
-        nonce,
-        signature
-      )
-    ).to.emit(gateway, "MetaTransactionExecuted");
-
-    // Check balance
-    const recipientBal = await token.balanceOf(recipient.address);
-    expect(recipientBal).to.equal(amount);
+  describe("Roles", () => {
+    let ADMIN, PAUSER, MANAGER, UPGRADER;
+
+    beforeEach(async () => {
+      [ADMIN, PAUSER, MANAGER, UPGRADER] = await Promise.all([
+        gateway.DEFAULT_ADMIN_ROLE(),
+        gateway.PAUSER_ROLE(),
+        gateway.RELAYER_MANAGER_ROLE(),
+        gateway.UPGRADER_ROLE(),
+      ]);
+    });
+
+    it("should grant every role to the deployer", async () => {
+      for (const role of [ADMIN, PAUSER, MANAGER, UPGRADER]) {
+        expect(await gateway.getRoleMembers(role)).to.deep.equal([owner.address]);
+      }
+    });
+
+    it("should split pausing and relayer management between roles", async () => {
+      await (await gateway.grantRole(PAUSER, sender.address)).wait();
+      await (await gateway.grantRole(MANAGER, recipient.address)).wait();
+
+      await (await gateway.connect(sender).pauseWithReason("incident")).wait();
+      await (await gateway.connect(sender).unpause()).wait();
+      await expect(gateway.connect(sender).setRelayerAuthorization(sender.address, true))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount");
+
+      await (await gateway.connect(recipient).setRelayerAuthorization(sender.address, true)).wait();
+      await expect(gateway.connect(recipient).pauseWithReason("nope"))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount")
+        .withArgs(recipient.address, PAUSER);
+    });
+
+    it("should only let admins manage roles and upgrade", async () => {
+      await expect(gateway.connect(sender).grantRole(PAUSER, sender.address))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount")
+        .withArgs(sender.address, ADMIN);
+
+      const Gateway = await ethers.getContractFactory("MetaTxGateway", sender);
+      await expect(upgrades.upgradeProxy(gateway.target, Gateway))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should leave upgrades to upgraders, who alone manage their role", async () => {
+      await (await gateway.grantRole(ADMIN, sender.address)).wait();
+      expect(await gateway.getRoleAdmin(UPGRADER)).to.equal(UPGRADER);
+      await expect(gateway.connect(sender).grantRole(UPGRADER, sender.address))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount")
+        .withArgs(sender.address, UPGRADER);
+
+      const Gateway = await ethers.getContractFactory("MetaTxGateway", sender);
+      await expect(upgrades.upgradeProxy(gateway.target, Gateway, { redeployImplementation: "always" }))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount")
+        .withArgs(sender.address, UPGRADER);
+
+      await (await gateway.grantRole(UPGRADER, recipient.address)).wait();
+      await (await gateway.renounceRole(UPGRADER)).wait();
+      await expect(gateway.connect(recipient).renounceRole(UPGRADER)).to.be.revertedWith("Cannot remove last upgrader");
+      await expect(gateway.revokeRole(UPGRADER, recipient.address))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount");
+    });
+
+    it("should keep at least one admin", async () => {
+      await expect(gateway.renounceRole(ADMIN)).to.be.revertedWith("Cannot remove last admin");
+
+      await (await gateway.grantRole(ADMIN, sender.address)).wait();
+      await expect(gateway.renounceRole(ADMIN))
+        .to.emit(gateway, "RoleRevoked")
+        .withArgs(ADMIN, owner.address, owner.address);
+      expect(await gateway.getRoleMembers(ADMIN)).to.deep.equal([sender.address]);
+    });
+
+    it("should let the owner bootstrap roles once", async () => {
+      await expect(gateway.connect(sender).initializeRoles()).to.be.revertedWith("Ownable: caller is not the owner");
+      await (await gateway.grantRole(UPGRADER, sender.address)).wait();
+      await (await gateway.renounceRole(UPGRADER)).wait();
+
+      await expect(gateway.initializeRoles())
+        .to.emit(gateway, "RoleGranted")
+        .withArgs(UPGRADER, owner.address, owner.address);
+      await expect(gateway.initializeRoles()).to.be.revertedWith("Initializable: contract is already initialized");
+      for (const role of [ADMIN, PAUSER, MANAGER, UPGRADER]) {
+        expect(await gateway.hasRole(role, owner.address)).to.equal(true);
+      }
+    });
   });
 
-  it("should revert if called by non-relayer", async () => {
-    const fakeRelayer = sender;
-
-    const amount = ethers.parseEther("1");
-    const transferData = ethers.AbiCoder.defaultAbiCoder().encode(
-      ["address[]", "address[]", "uint256[]"],
-      [[token.target], [await recipient.address], [amount]]
-    );
-
-    const nonce = await gateway.nonces(sender.address);
-
-    const domain = {
-      name: "MetaTxGateway",
-      version: "1",
-      chainId,
-      verifyingContract: gateway.target,
-    };
-
-    const types = {
-      Transfer: [
-        { name: "sender", type: "address" },
-        { name: "transferData", type: "bytes" },
-        { name: "nonce", type: "uint256" },
-      ],
-    };
-
-    const value = {
-      sender: sender.address,
-      transferData,
-      nonce,
-    };
-
-    const signature = await sender.signTypedData(domain, types, value);
-
-    // Reverts because fakeRelayer is not whitelisted
-    await expect(
-      gateway.connect(fakeRelayer).executeMetaTransfer(
+  describe("Relayer quotas", () => {
+    async function submitBatch(calls, overrides) {
+      const batch = await client.buildBatch(sender.address, calls);
+      return client.submit(batch, await client.signBatch(sender, batch), relayer, overrides);
+    }
+
+    it("should cap the batches a relayer submits per day", async () => {
+      await expect(gateway.setRelayerQuota(relayer.address, 2n, 0n))
+        .to.emit(gateway, "RelayerQuotaUpdated")
+        .withArgs(relayer.address, 2n, 0n);
+
+      await (await submitBatch([mintCall(recipient.address, 1n)])).wait();
+      await (await submitBatch([mintCall(recipient.address, 1n)])).wait();
+      await expect(submitBatch([mintCall(recipient.address, 1n)])).to.be.revertedWith("Relayer batch quota exceeded");
+
+      const [batches] = await gateway.getRelayerUsage(relayer.address);
+      expect(batches).to.equal(2n);
+
+      // A new day resets the usage
+      await ethers.provider.send("evm_increaseTime", [86400]);
+      await ethers.provider.send("evm_mine", []);
+      expect(await gateway.getRelayerUsage(relayer.address)).to.deep.equal([0n, 0n]);
+      await (await submitBatch([mintCall(recipient.address, 1n)])).wait();
+    });
+
+    it("should cap the native value a relayer forwards per day", async () => {
+      await (await gateway.setRelayerQuota(relayer.address, 0n, 100n)).wait();
+
+      await (await submitBatch([{ to: recipient.address, value: 60n }])).wait();
+      await expect(submitBatch([{ to: recipient.address, value: 50n }])).to.be.revertedWith(
+        "Relayer value quota exceeded"
+      );
+      expect((await gateway.getRelayerUsage(relayer.address))[1]).to.equal(60n);
+    });
+
+    it("should only let relayer managers set quotas", async () => {
+      await expect(gateway.connect(relayer).setRelayerQuota(relayer.address, 0n, 0n))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("Target allowlist", () => {
+    async function submitBatch(calls) {
+      const batch = await client.buildBatch(sender.address, calls);
+      const tx = await client.submit(batch, await client.signBatch(sender, batch), relayer);
+      return client.parseBatchResults(await tx.wait());
+    }
+
+    const transferCall = (to, amount) => ({
+      to: token.target,
+      data: encodeCall(token.interface, "transfer", [to, amount]),
+    });
+
+    it("should allow any call while disabled", async () => {
+      expect(await gateway.targetAllowlistEnabled()).to.equal(false);
+      expect(await gateway.isCallAllowed(recipient.address, "0x")).to.equal(true);
+    });
+
+    it("should refuse calls to targets that are not allowlisted", async () => {
+      await (await gateway.setTargetAllowlistEnabled(true)).wait();
+
+      const [result] = await submitBatch([mintCall(recipient.address, 1n)]);
+      expect(result.error.message).to.equal("Target not allowed");
+
+      await (await gateway.setTargetAllowed(token.target, true)).wait();
+      const [allowed] = await submitBatch([mintCall(recipient.address, 1n)]);
+      expect(allowed.success).to.equal(true);
+      expect(await gateway.getAllowedTargets()).to.deep.equal([token.target]);
+    });
+
+    it("should restrict allowlisted targets to their selectors", async () => {
+      await (await gateway.setTargetAllowlistEnabled(true)).wait();
+      await (await gateway.setTargetAllowed(token.target, true)).wait();
+      const transferSelector = token.interface.getFunction("transfer").selector;
+      await expect(gateway.setSelectorAllowed(token.target, transferSelector, true))
+        .to.emit(gateway, "SelectorAllowed")
+        .withArgs(token.target, transferSelector, true);
+
+      const [mint] = await submitBatch([mintCall(sender.address, 1n)]);
+      expect(mint.error.message).to.equal("Target not allowed");
+      expect(await gateway.getAllowedSelectors(token.target)).to.deep.equal([transferSelector]);
+
+      // Removing the target clears its selectors
+      await (await gateway.setTargetAllowed(token.target, false)).wait();
+      expect(await gateway.getAllowedSelectors(token.target)).to.deep.equal([]);
+      await expect(gateway.setSelectorAllowed(token.target, transferSelector, true)).to.be.revertedWith(
+        "Target not allowlisted"
+      );
+    });
+
+    it("should treat plain transfers as selector zero", async () => {
+      await (await gateway.setTargetAllowlistEnabled(true)).wait();
+      await (await gateway.setTargetAllowed(recipient.address, true)).wait();
+      await (await gateway.setSelectorAllowed(recipient.address, "0x00000000", true)).wait();
+
+      expect(await gateway.isCallAllowed(recipient.address, "0x")).to.equal(true);
+      expect(await gateway.isCallAllowed(recipient.address, transferCall(sender.address, 1n).data)).to.equal(false);
+    });
+
+    it("should still let users cancel nonces", async () => {
+      await (await gateway.setTargetAllowlistEnabled(true)).wait();
+
+      const [result] = await submitBatch([client.cancelNonceCall(encodeNonce(4n, 0n))]);
+      expect(result.success).to.equal(true);
+    });
+
+    it("should only let admins configure the allowlist", async () => {
+      await expect(gateway.connect(relayer).setTargetAllowlistEnabled(false))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount");
+      await expect(gateway.connect(relayer).setTargetAllowed(relayer.address, true))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount");
+    });
+  });
+
+  describe("SDK typed data", () => {
+    it("should build a domain matching getDomainSeparator", async () => {
+      const { chainId } = await ethers.provider.getNetwork();
+      const domain = buildDomain(chainId, gateway.target);
+
+      expect(ethers.TypedDataEncoder.hashDomain(domain)).to.equal(await gateway.getDomainSeparator());
+      expect(await client.getDomain()).to.deep.equal(domain);
+    });
+
+    it("should compute the same digest as getSigningDigest", async () => {
+      const batch = await client.buildBatch(sender.address, [
+        mintCall(recipient.address, 1n),
+        { to: recipient.address, value: 5n },
+      ]);
+
+      const digest = hashBatch(await client.getDomain(), batch);
+      expect(digest).to.equal(
+        await gateway.getSigningDigest(batch.from, batch.metaTxs, batch.nonce, batch.deadline, batch.mode, batch.fee)
+      );
+      expect(await client.verifyBatch(batch)).to.equal(digest);
+    });
+
+    it("should refuse to sign for a different sender", async () => {
+      const batch = await client.buildBatch(sender.address, [mintCall(recipient.address, 1n)]);
+      await expect(client.signBatch(recipient, batch)).to.be.rejectedWith("is not batch sender");
+    });
+  });
+
+  describe("Batch execution", () => {
+    it("should execute a signed batch and increment the nonce", async () => {
+      const amount = ethers.parseEther("10");
+      const batch = await client.buildBatch(sender.address, [mintCall(recipient.address, amount)]);
+      const signature = await client.signBatch(sender, batch);
+
+      await expect(client.submit(batch, signature, relayer))
+        .to.emit(gateway, "MetaTransactionExecuted")
+        .withArgs(relayer.address, sender.address, token.target, 0, 0, 0, batch.metaTxs[0].data, true, "0x");
+
+      expect(await token.balanceOf(recipient.address)).to.equal(amount);
+      expect(await gateway.getNonce(sender.address)).to.equal(1n);
+    });
+
+    it("should forward native value and refund failed calls", async () => {
+      const value = ethers.parseEther("1");
+      const batch = await client.buildBatch(sender.address, [
+        { to: recipient.address, value },
+        { to: token.target, value, data: encodeCall(token.interface, "mint", [recipient.address, 1n]) },
+      ]);
+      const signature = await client.signBatch(sender, batch);
+
+      const recipientBefore = await ethers.provider.getBalance(recipient.address);
+      await expect(client.submit(batch, signature, relayer))
+        .to.emit(gateway, "NativeTokenUsed")
+        .withArgs(0, value * 2n, value, value);
+
+      expect(await ethers.provider.getBalance(recipient.address)).to.equal(recipientBefore + value);
+      expect(await ethers.provider.getBalance(gateway.target)).to.equal(0n);
+    });
+
+    it("should revert if called by non-relayer", async () => {
+      const batch = await client.buildBatch(sender.address, [mintCall(recipient.address, 1n)]);
+      const signature = await client.signBatch(sender, batch);
+
+      await expect(client.submit(batch, signature, sender)).to.be.revertedWith("Unauthorized relayer");
+    });
+
+    it("should reject replayed batches", async () => {
+      const batch = await client.buildBatch(sender.address, [mintCall(recipient.address, 1n)]);
+      const signature = await client.signBatch(sender, batch);
+      await (await client.submit(batch, signature, relayer)).wait();
+
+      await expect(client.submit(batch, signature, relayer)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("should reject expired batches", async () => {
+      const block = await ethers.provider.getBlock("latest");
+      const batch = await client.buildBatch(sender.address, [mintCall(recipient.address, 1n)], {
+        deadline: block.timestamp - 1,
+      });
+      const signature = await client.signBatch(sender, batch);
+
+      await expect(client.submit(batch, signature, relayer)).to.be.revertedWith("Transaction expired");
+    });
+
+    it("should reject a signature over a different batch", async () => {
+      const batch = await client.buildBatch(sender.address, [mintCall(recipient.address, 1n)]);
+      const signature = await client.signBatch(sender, batch);
+      const tampered = await client.buildBatch(sender.address, [mintCall(relayer.address, 1n)], {
+        nonce: batch.nonce,
+        deadline: batch.deadline,
+      });
+
+      await expect(client.submit(tampered, signature, relayer)).to.be.rejectedWith("Invalid signature");
+      await expect(
+        gateway.connect(relayer).executeMetaTransactions(
+          tampered.from,
+          tampered.metaTxs,
+          signature,
+          tampered.nonce,
+          tampered.deadline,
+          tampered.mode
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("Per-call results", () => {
+    let target;
+
+    beforeEach(async () => {
+      const Target = await ethers.getContractFactory("MockCallTarget");
+      target = await Target.deploy();
+      await target.waitForDeployment();
+    });
+
+    const targetCall = (method, args) => ({
+      to: target.target,
+      data: encodeCall(target.interface, method, args),
+    });
+
+    it("should return success flags and return data for every call", async () => {
+      const batch = await client.buildBatch(sender.address, [
+        targetCall("store", [21]),
+        targetCall("revertWithReason", ["step 2 failed"]),
+        targetCall("revertWithCustomError", [7]),
+        targetCall("divide", [1, 0]),
+      ]);
+      const signature = await client.signBatch(sender, batch);
+
+      const [successes, results] = await gateway.connect(relayer).executeMetaTransactions.staticCall(
+        batch.from,
+        batch.metaTxs,
+        signature,
+        batch.nonce,
+        batch.deadline,
+        batch.mode
+      );
+
+      expect(successes).to.deep.equal([true, false, false, false]);
+      expect(ethers.AbiCoder.defaultAbiCoder().decode(["uint256"], results[0])[0]).to.equal(42n);
+
+      const decoded = decodeBatchResults(successes, results, [target.interface]);
+      expect(decoded[0].error).to.equal(null);
+      expect(decoded[1].error).to.include({ type: "Error", message: "step 2 failed" });
+      expect(decoded[2].error.type).to.equal("CustomError");
+      expect(decoded[2].error.name).to.equal("CustomFailure");
+      expect(decoded[2].error.args).to.deep.equal([gateway.target, 7n]);
+      expect(decoded[3].error.type).to.equal("Panic");
+      expect(decoded[3].error.code).to.equal(0x12n);
+    });
+
+    it("should emit the batch ID, index and revert data of each call", async () => {
+      const batch = await client.buildBatch(sender.address, [
+        targetCall("store", [1]),
+        targetCall("revertWithReason", ["nope"]),
+      ]);
+      const signature = await client.signBatch(sender, batch);
+      const reason = ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["nope"])]);
+
+      const tx = await client.submit(batch, signature, relayer);
+      await expect(tx)
+        .to.emit(gateway, "MetaTransactionExecuted")
+        .withArgs(relayer.address, sender.address, target.target, 0, 1, 0, batch.metaTxs[1].data, false, reason);
+
+      const results = client.parseBatchResults(await tx.wait(), [target.interface]);
+      expect(results.map((result) => result.success)).to.deep.equal([true, false]);
+      expect(results[1].error.message).to.equal("nope");
+    });
+
+    it("should decode revert data without a known ABI", () => {
+      expect(decodeRevertReason("0x").type).to.equal("Empty");
+
+      const unknown = decodeRevertReason(target.interface.encodeErrorResult("CustomFailure", [sender.address, 1]));
+      expect(unknown.type).to.equal("Unknown");
+      expect(unknown.message).to.contain(target.interface.getError("CustomFailure").selector);
+    });
+  });
+
+  describe("Execution modes", () => {
+    let target;
+
+    beforeEach(async () => {
+      const Target = await ethers.getContractFactory("MockCallTarget");
+      target = await Target.deploy();
+      await target.waitForDeployment();
+    });
+
+    it("should default to best-effort mode", async () => {
+      const batch = await client.buildBatch(sender.address, [mintCall(recipient.address, 1n)]);
+      expect(batch.mode).to.equal(ExecutionMode.BestEffort);
+    });
+
+    it("should execute an atomic batch when every call succeeds", async () => {
+      const batch = await client.buildBatch(
+        sender.address,
+        [mintCall(recipient.address, 1n), { to: target.target, data: encodeCall(target.interface, "store", [5]) }],
+        { mode: ExecutionMode.Atomic }
+      );
+      const signature = await client.signBatch(sender, batch);
+      await (await client.submit(batch, signature, relayer)).wait();
+
+      expect(await token.balanceOf(recipient.address)).to.equal(1n);
+      expect(await target.lastValue()).to.equal(5n);
+      expect(await gateway.getNonce(sender.address)).to.equal(1n);
+    });
+
+    it("should revert the whole atomic batch when one call fails", async () => {
+      const value = ethers.parseEther("1");
+      const failingData = encodeCall(target.interface, "revertWithReason", ["swap failed"]);
+      const batch = await client.buildBatch(
         sender.address,
-        transferData,
-        nonce,
-        signature
-      )
-    ).to.be.revertedWith("Caller not whitelisted relayers");
+        [
+          mintCall(recipient.address, 1n),
+          { to: target.target, value, data: encodeCall(target.interface, "store", [5]) },
+          { to: target.target, data: failingData },
+        ],
+        { mode: ExecutionMode.Atomic }
+      );
+      const signature = await client.signBatch(sender, batch);
+
+      const reason = ethers.concat(["0x08c379a0", ethers.AbiCoder.defaultAbiCoder().encode(["string"], ["swap failed"])]);
+      await expect(client.submit(batch, signature, relayer))
+        .to.be.revertedWithCustomError(gateway, "BatchCallFailed")
+        .withArgs(2, reason);
+
+      expect(await token.balanceOf(recipient.address)).to.equal(0n);
+      expect(await target.lastValue()).to.equal(0n);
+      expect(await ethers.provider.getBalance(gateway.target)).to.equal(0n);
+      expect(await gateway.getNonce(sender.address)).to.equal(0n);
+    });
+
+    it("should decode atomic failures down to the failing call", async () => {
+      const batch = await client.buildBatch(
+        sender.address,
+        [{ to: target.target, data: encodeCall(target.interface, "revertWithCustomError", [3]) }],
+        { mode: ExecutionMode.Atomic }
+      );
+      const signature = await client.signBatch(sender, batch);
+
+      const error = await client.submit(batch, signature, relayer).catch((err) => err);
+      const decoded = decodeRevertReason(error.data, [target.interface]);
+
+      expect(decoded.type).to.equal("BatchCallFailed");
+      expect(decoded.index).to.equal(0);
+      expect(decoded.cause.name).to.equal("CustomFailure");
+      expect(decoded.message).to.equal(`Call 0 failed: CustomFailure(${gateway.target}, 3)`);
+    });
+
+    it("should bind the mode to the signature", async () => {
+      const batch = await client.buildBatch(sender.address, [mintCall(recipient.address, 1n)], {
+        mode: ExecutionMode.Atomic,
+      });
+      const signature = await client.signBatch(sender, batch);
+
+      await expect(
+        gateway.connect(relayer).executeMetaTransactions(
+          batch.from,
+          batch.metaTxs,
+          signature,
+          batch.nonce,
+          batch.deadline,
+          ExecutionMode.BestEffort
+        )
+      ).to.be.revertedWith("Invalid signature");
+    });
+  });
+
+  describe("ERC-2771 forwarding", () => {
+    it("should let users stake without holding gas", async () => {
+      const Staking = await ethers.getContractFactory("TokenStaking");
+      const staking = await Staking.deploy(token.target, owner.address, gateway.target);
+      await staking.waitForDeployment();
+
+      const block = await ethers.provider.getBlock("latest");
+      await (await staking.setStartTimeForStaking(block.timestamp + 10)).wait();
+      await ethers.provider.send("evm_increaseTime", [10]);
+
+      // The token itself is not ERC-2771 aware, so the allowance is granted directly
+      const amount = ethers.parseEther("100");
+      await (await token.mint(sender.address, amount)).wait();
+      await (await token.connect(sender).approve(staking.target, amount)).wait();
+
+      const batch = await client.buildBatch(sender.address, [
+        { to: staking.target, data: encodeCall(staking.interface, "stake", [amount, 0]) },
+      ]);
+      const signature = await client.signBatch(sender, batch);
+
+      await expect(client.submit(batch, signature, relayer))
+        .to.emit(staking, "Staked")
+        .withArgs(sender.address, amount, 0);
+
+      const stakes = await staking.getStakes(sender.address);
+      expect(stakes.length).to.equal(1);
+      expect(stakes[0].amount).to.equal(amount);
+      expect(await staking.getStakes(gateway.target)).to.have.length(0);
+      expect(await staking.isTrustedForwarder(gateway.target)).to.equal(true);
+    });
+
+    it("should refuse calls targeting the gateway itself", async () => {
+      const data = encodeCall(gateway.interface, "setRelayerAuthorization", [sender.address, true]);
+      const batch = await client.buildBatch(sender.address, [{ to: gateway.target, data }]);
+      const signature = await client.signBatch(sender, batch);
+
+      const results = await gateway
+        .connect(relayer)
+        .executeMetaTransactions.staticCall(batch.from, batch.metaTxs, signature, batch.nonce, batch.deadline, batch.mode);
+      expect(results.successes).to.deep.equal([false]);
+      expect(decodeRevertReason(results.results[0]).message).to.equal("Cannot call gateway");
+    });
+  });
+
+  describe("Permits", () => {
+    const AMOUNT = ethers.parseEther("50");
+    let vault;
+    let permitToken;
+
+    beforeEach(async () => {
+      const PermitToken = await ethers.getContractFactory("MockERC20Permit");
+      permitToken = await PermitToken.deploy("Permit USD", "PUSD");
+      await permitToken.waitForDeployment();
+
+      const Vault = await ethers.getContractFactory("GasCreditVault", owner);
+      vault = await upgrades.deployProxy(Vault, [], { initializer: "initialize", kind: "uups" });
+      await vault.waitForDeployment();
+
+      await (await vault.whitelistToken(permitToken.target, ethers.ZeroAddress, true)).wait();
+      await (await vault.whitelistToken(token.target, ethers.ZeroAddress, true)).wait();
+      await (await vault.setTrustedForwarder(gateway.target)).wait();
+
+      await (await permitToken.mint(sender.address, AMOUNT)).wait();
+      await (await token.mint(sender.address, AMOUNT)).wait();
+    });
+
+    const depositCall = (tokenAddress) => ({
+      to: vault.target,
+      data: encodeCall(vault.interface, "deposit", [tokenAddress, AMOUNT]),
+    });
+
+    it("should deposit into the vault with an EIP-2612 permit and no approve", async () => {
+      let batch = await client.buildBatch(sender.address, [depositCall(permitToken.target)], {
+        mode: ExecutionMode.Atomic,
+      });
+      batch = await client.signPermits(sender, batch, [
+        { token: permitToken.target, spender: vault.target, value: AMOUNT },
+      ]);
+      const signature = await client.signBatch(sender, batch);
+
+      await expect(client.submit(batch, signature, relayer)).to.not.emit(gateway, "PermitFailed");
+
+      expect(await vault.credits(sender.address)).to.equal(AMOUNT);
+      expect(await permitToken.balanceOf(vault.target)).to.equal(AMOUNT);
+      expect(await permitToken.nonces(sender.address)).to.equal(1n);
+    });
+
+    it("should tolerate a permit that was already submitted", async () => {
+      let batch = await client.buildBatch(sender.address, [depositCall(permitToken.target)]);
+      batch = await client.signPermits(sender, batch, [
+        { token: permitToken.target, spender: vault.target, value: AMOUNT },
+      ]);
+      const signature = await client.signBatch(sender, batch);
+
+      // Someone front-runs the permit from the mempool
+      const [permit] = batch.permits;
+      await (
+        await permitToken
+          .connect(recipient)
+          .permit(sender.address, permit.spender, permit.value, permit.deadline, permit.v, permit.r, permit.s)
+      ).wait();
+
+      await expect(client.submit(batch, signature, relayer))
+        .to.emit(gateway, "PermitFailed")
+        .withArgs(sender.address, permitToken.target, 0, (reason) => reason !== "0x");
+      expect(await vault.credits(sender.address)).to.equal(AMOUNT);
+    });
+
+    it("should ignore permits signed by someone other than the batch sender", async () => {
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const foreign = await signPermit(recipient, {
+        token: permitToken.target,
+        spender: vault.target,
+        value: AMOUNT,
+        deadline,
+      });
+
+      const batch = await client.buildBatch(sender.address, [depositCall(permitToken.target)], {
+        permits: [foreign],
+      });
+      const signature = await client.signBatch(sender, batch);
+
+      await expect(client.submit(batch, signature, relayer)).to.emit(gateway, "PermitFailed");
+      expect(await permitToken.allowance(recipient.address, vault.target)).to.equal(0n);
+      expect(await vault.credits(sender.address)).to.equal(0n);
+    });
+
+    it("should deposit tokens without permit through a Permit2 signature", async () => {
+      const Permit2 = await ethers.getContractFactory("MockPermit2");
+      const permit2 = await Permit2.deploy();
+      await permit2.waitForDeployment();
+      await (await vault.setPermit2(permit2.target)).wait();
+
+      // One-time approval of Permit2, then every deposit is signature-based
+      await (await token.connect(sender).approve(permit2.target, ethers.MaxUint256)).wait();
+
+      const deadline = (await ethers.provider.getBlock("latest")).timestamp + 3600;
+      const transfer = await signPermit2Transfer(sender, {
+        permit2: permit2.target,
+        token: token.target,
+        amount: AMOUNT,
+        spender: vault.target,
+        deadline,
+      });
+      const depositWithPermit2 = {
+        to: vault.target,
+        data: encodeCall(vault.interface, "depositWithPermit2", [
+          token.target,
+          AMOUNT,
+          transfer.nonce,
+          transfer.deadline,
+          transfer.signature,
+        ]),
+      };
+
+      const batch = await client.buildBatch(sender.address, [depositWithPermit2]);
+      const signature = await client.signBatch(sender, batch);
+      await (await client.submit(batch, signature, relayer)).wait();
+
+      expect(await vault.credits(sender.address)).to.equal(AMOUNT);
+      expect(await token.balanceOf(vault.target)).to.equal(AMOUNT);
+
+      // The Permit2 nonce cannot be reused
+      await (await token.mint(sender.address, AMOUNT)).wait();
+      const replay = await client.buildBatch(sender.address, [depositWithPermit2], { mode: ExecutionMode.Atomic });
+      const replaySignature = await client.signBatch(sender, replay);
+      await expect(client.submit(replay, replaySignature, relayer)).to.be.revertedWithCustomError(
+        gateway,
+        "BatchCallFailed"
+      );
+    });
+  });
+
+  describe("Contract wallet signatures", () => {
+    let factory;
+
+    beforeEach(async () => {
+      const Factory = await ethers.getContractFactory("MockWalletFactory");
+      factory = await Factory.deploy();
+      await factory.waitForDeployment();
+    });
+
+    it("should accept ERC-1271 signatures from a deployed contract wallet", async () => {
+      const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      const wallet = await Wallet.deploy(sender.address);
+      await wallet.waitForDeployment();
+
+      const batch = await client.buildBatch(wallet.target, [mintCall(recipient.address, 7n)]);
+      const signature = await client.signBatch(sender, batch, { walletOwner: true });
+
+      await expect(client.submit(batch, signature, relayer))
+        .to.emit(gateway, "MetaTransactionExecuted")
+        .withArgs(relayer.address, wallet.target, token.target, 0, 0, 0, batch.metaTxs[0].data, true, "0x");
+      expect(await token.balanceOf(recipient.address)).to.equal(7n);
+      expect(await gateway.getNonce(wallet.target)).to.equal(1n);
+    });
+
+    it("should reject signatures the wallet does not accept", async () => {
+      const Wallet = await ethers.getContractFactory("MockERC1271Wallet");
+      const wallet = await Wallet.deploy(sender.address);
+      await wallet.waitForDeployment();
+
+      const batch = await client.buildBatch(wallet.target, [mintCall(recipient.address, 7n)]);
+      const signature = await client.signBatch(recipient, batch, { walletOwner: true });
+
+      await expect(client.verifyBatch(batch, signature)).to.be.rejectedWith("Invalid signature");
+      await expect(
+        gateway
+          .connect(relayer)
+          .executeMetaTransactions(batch.from, batch.metaTxs, signature, batch.nonce, batch.deadline, batch.mode)
+      ).to.be.revertedWith("Invalid signature");
+    });
+
+    it("should deploy a counterfactual wallet from an ERC-6492 signature", async () => {
+      const salt = ethers.id("wallet");
+      const walletAddress = await factory.computeAddress(sender.address, salt);
+      expect(await ethers.provider.getCode(walletAddress)).to.equal("0x");
+
+      const batch = await client.buildBatch(walletAddress, [mintCall(recipient.address, 3n)]);
+      const ownerSignature = await client.signBatch(sender, batch, { walletOwner: true });
+      const signature = wrapERC6492Signature(
+        factory.target,
+        encodeCall(factory.interface, "deployWallet", [sender.address, salt]),
+        ownerSignature
+      );
+      expect(isERC6492Signature(signature)).to.equal(true);
+
+      await (await client.submit(batch, signature, relayer)).wait();
+
+      expect(await ethers.provider.getCode(walletAddress)).to.not.equal("0x");
+      expect(await token.balanceOf(recipient.address)).to.equal(3n);
+
+      // Once deployed, the same wrapped signature format keeps working for later batches
+      const next = await client.buildBatch(walletAddress, [mintCall(recipient.address, 1n)]);
+      const nextSignature = wrapERC6492Signature(
+        factory.target,
+        encodeCall(factory.interface, "deployWallet", [sender.address, salt]),
+        await client.signBatch(sender, next, { walletOwner: true })
+      );
+      await (await client.submit(next, nextSignature, relayer)).wait();
+      expect(await token.balanceOf(recipient.address)).to.equal(4n);
+    });
+
+    it("should reject ERC-6492 signatures whose factory does not deploy the sender", async () => {
+      const walletAddress = await factory.computeAddress(sender.address, ethers.id("wallet"));
+      const batch = await client.buildBatch(walletAddress, [mintCall(recipient.address, 3n)]);
+      const signature = wrapERC6492Signature(
+        factory.target,
+        encodeCall(factory.interface, "deployWallet", [sender.address, ethers.id("other")]),
+        await client.signBatch(sender, batch, { walletOwner: true })
+      );
+
+      expect(
+        await gateway.verifyBatchSignature.staticCall(
+          batch.from, batch.metaTxs, signature, batch.nonce, batch.deadline, batch.mode, batch.fee
+        )
+      ).to.equal(false);
+      await expect(client.submit(batch, signature, relayer)).to.be.rejectedWith("Invalid signature");
+    });
+
+    it("should not run ERC-6492 factory calls as the gateway", async () => {
+      const Vault = await ethers.getContractFactory("GasCreditVault", owner);
+      const vault = await upgrades.deployProxy(Vault, [], { initializer: "initialize", kind: "uups" });
+      await (await vault.setTrustedForwarder(gateway.target)).wait();
+      await (await vault.whitelistToken(token.target, ethers.ZeroAddress, true)).wait();
+      await (await token.mint(owner.address, 10n)).wait();
+      await (await token.approve(vault.target, 10n)).wait();
+      await (await vault.deposit(token.target, 10n)).wait();
+
+      // A "factory" call forging an ERC-2771 suffix for the victim
+      const forged = ethers.concat([
+        encodeCall(vault.interface, "transferCredit", [recipient.address, 1n]),
+        owner.address,
+      ]);
+      const batch = await client.buildBatch(recipient.address, [mintCall(recipient.address, 1n)]);
+      const signature = wrapERC6492Signature(vault.target, forged, await client.signBatch(recipient, batch));
+
+      await (
+        await gateway.verifyBatchSignature(
+          batch.from, batch.metaTxs, signature, batch.nonce, batch.deadline, batch.mode, batch.fee
+        )
+      ).wait();
+      expect(await vault.credits(owner.address)).to.equal(10n);
+      expect(await vault.credits(recipient.address)).to.equal(0n);
+    });
+  });
+
+  describe("Nonce lanes", () => {
+    async function signed(calls, options) {
+      const batch = await client.buildBatch(sender.address, calls, options);
+      return { batch, signature: await client.signBatch(sender, batch) };
+    }
+
+    it("should encode nonces as key and sequence", async () => {
+      const nonce = encodeNonce(7n, 3n);
+      expect(nonce).to.equal((7n << 64n) | 3n);
+      expect(decodeNonce(nonce)).to.deep.equal({ key: 7n, sequence: 3n });
+      expect(await gateway.getNonceForKey(sender.address, 7n)).to.equal(encodeNonce(7n, 0n));
+    });
+
+    it("should run batches in independent lanes", async () => {
+      const stuck = await signed([mintCall(recipient.address, 1n)]);
+      const lane1 = await signed([mintCall(recipient.address, 2n)], { nonceKey: 1n });
+      const lane2 = await signed([mintCall(recipient.address, 4n)], { nonceKey: 2n });
+
+      // Lanes 1 and 2 do not wait for the pending default-lane batch
+      await (await client.submit(lane2.batch, lane2.signature, relayer)).wait();
+      await (await client.submit(lane1.batch, lane1.signature, relayer)).wait();
+      await (await client.submit(stuck.batch, stuck.signature, relayer)).wait();
+
+      expect(await token.balanceOf(recipient.address)).to.equal(7n);
+      expect(await gateway.getNonce(sender.address)).to.equal(1n);
+      expect(await gateway.getNonceForKey(sender.address, 1n)).to.equal(encodeNonce(1n, 1n));
+      expect(await gateway.nonceSequences(sender.address, 2n)).to.equal(1n);
+
+      await expect(client.submit(lane1.batch, lane1.signature, relayer)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("should let the user cancel a signed batch", async () => {
+      const { batch, signature } = await signed([mintCall(recipient.address, 1n)], { nonceKey: 3n });
+
+      await expect(client.cancelNonce(sender, batch.nonce))
+        .to.emit(gateway, "NonceInvalidated")
+        .withArgs(sender.address, 3n, 1n);
+
+      await expect(client.submit(batch, signature, relayer)).to.be.revertedWith("Invalid nonce");
+      await expect(client.cancelNonce(sender, batch.nonce)).to.be.revertedWith("Nonce already used");
+    });
+
+    it("should invalidate every earlier nonce of the lane", async () => {
+      await (await client.cancelNonce(sender, encodeNonce(0n, 4n))).wait();
+      expect(await gateway.getNonce(sender.address)).to.equal(5n);
+    });
+
+    it("should cancel nonces from a gasless batch", async () => {
+      const pending = await signed([mintCall(recipient.address, 1n)], { nonceKey: 5n });
+      const cancel = await signed([client.cancelNonceCall(pending.batch.nonce)]);
+
+      await expect(client.submit(cancel.batch, cancel.signature, relayer))
+        .to.emit(gateway, "NonceInvalidated")
+        .withArgs(sender.address, 5n, 1n);
+
+      expect(await gateway.getNonceForKey(sender.address, 5n)).to.equal(encodeNonce(5n, 1n));
+      await expect(client.submit(pending.batch, pending.signature, relayer)).to.be.revertedWith("Invalid nonce");
+    });
+
+    it("should still refuse other calls to the gateway", async () => {
+      const data = encodeCall(gateway.interface, "unpause");
+      const { batch, signature } = await signed([{ to: gateway.target, data }]);
+
+      const tx = await client.submit(batch, signature, relayer);
+      const [result] = client.parseBatchResults(await tx.wait());
+      expect(result.error.message).to.equal("Cannot call gateway");
+    });
+  });
+
+  describe("Relayer fees", () => {
+    const FEE = ethers.parseEther("2");
+    let collector;
+
+    beforeEach(async () => {
+      collector = await client.getFeeCollector();
+      await (await token.mint(sender.address, ethers.parseEther("10"))).wait();
+      await (await token.connect(sender).approve(collector, ethers.MaxUint256)).wait();
+    });
+
+    async function signedWithFee(fee, calls = [mintCall(recipient.address, 1n)]) {
+      const batch = await client.buildBatch(sender.address, calls, { fee });
+      return { batch, signature: await client.signBatch(sender, batch) };
+    }
+
+    it("should pay the executing relayer up to the signed maximum", async () => {
+      const { batch, signature } = await signedWithFee({ token: token.target, maxAmount: FEE });
+      const charged = FEE / 2n;
+
+      await expect(client.submit(batch, signature, relayer, {}, { feeAmount: charged }))
+        .to.emit(gateway, "RelayerFeePaid")
+        .withArgs(0n, sender.address, token.target, relayer.address, charged);
+
+      expect(await token.balanceOf(relayer.address)).to.equal(charged);
+      expect(await token.balanceOf(sender.address)).to.equal(ethers.parseEther("10") - charged);
+      expect(await token.balanceOf(recipient.address)).to.equal(1n);
+    });
+
+    it("should pay the signed fee recipient", async () => {
+      const { batch, signature } = await signedWithFee({ token: token.target, maxAmount: FEE, recipient: owner.address });
+      await (await client.submit(batch, signature, relayer)).wait();
+
+      expect(await token.balanceOf(owner.address)).to.equal(FEE);
+      expect(await token.balanceOf(relayer.address)).to.equal(0n);
+    });
+
+    it("should refuse to charge more than the signed maximum", async () => {
+      const { batch, signature } = await signedWithFee({ token: token.target, maxAmount: FEE });
+      await expect(
+        client.submit(batch, signature, relayer, {}, { feeAmount: FEE + 1n })
+      ).to.be.revertedWith("Fee exceeds maximum");
+    });
+
+    it("should bind the fee to the batch signature", async () => {
+      const { batch, signature } = await signedWithFee({ token: token.target, maxAmount: FEE });
+      const tampered = { ...batch, fee: { ...batch.fee, maxAmount: FEE * 2n } };
+
+      const { method, args } = client.executionCall(tampered, signature, relayer);
+      await expect(method(...args)).to.be.revertedWith("Invalid signature");
+    });
+
+    it("should revert the batch when the fee cannot be paid", async () => {
+      await (await token.connect(sender).approve(collector, 0n)).wait();
+      const { batch, signature } = await signedWithFee({ token: token.target, maxAmount: FEE });
+
+      await expect(client.submit(batch, signature, relayer)).to.be.reverted;
+      expect(await gateway.getNonce(sender.address)).to.equal(0n);
+      expect(await token.balanceOf(recipient.address)).to.equal(0n);
+    });
+
+    it("should approve the fee collector with a permit in the same batch", async () => {
+      const PermitToken = await ethers.getContractFactory("MockERC20Permit");
+      const permitToken = await PermitToken.deploy("Permit USD", "PUSD");
+      await (await permitToken.mint(sender.address, FEE)).wait();
+
+      let batch = await client.buildBatch(sender.address, [mintCall(recipient.address, 1n)], {
+        fee: { token: permitToken.target, maxAmount: FEE },
+      });
+      batch = await client.signPermits(sender, batch, [{ token: permitToken.target, spender: collector, value: FEE }]);
+      const signature = await client.signBatch(sender, batch);
+
+      await (await client.submit(batch, signature, relayer)).wait();
+      expect(await permitToken.balanceOf(relayer.address)).to.equal(FEE);
+    });
+
+    it("should keep the deployed fee collector across upgrades", async () => {
+      const { batch, signature } = await signedWithFee({ token: token.target, maxAmount: FEE });
+      await (await client.submit(batch, signature, relayer)).wait();
+
+      const upgraded = await upgrades.upgradeProxy(gateway.target, await ethers.getContractFactory("MockMetaTxGatewayV2", owner));
+      expect(await upgraded.getFeeCollector()).to.equal(collector);
+
+      const next = await signedWithFee({ token: token.target, maxAmount: FEE });
+      await (await client.submit(next.batch, next.signature, relayer)).wait();
+      expect(await token.balanceOf(relayer.address)).to.equal(FEE * 2n);
+    });
+
+    it("should refuse batch calls to the fee collector", async () => {
+      const first = await signedWithFee({ token: token.target, maxAmount: 1n });
+      await (await client.submit(first.batch, first.signature, relayer)).wait();
+
+      const Collector = await ethers.getContractFactory("RelayerFeeCollector");
+      const data = encodeCall(Collector.interface, "collect", [token.target, sender.address, recipient.address, 1n]);
+      const { batch, signature } = await signedWithFee(undefined, [{ to: collector, data }]);
+
+      const [result] = client.parseBatchResults(await (await client.submit(batch, signature, relayer)).wait());
+      expect(result.error.message).to.equal("Cannot call fee collector");
+      expect(await token.balanceOf(recipient.address)).to.equal(1n);
+    });
+
+    it("should estimate the gas of an unsigned batch", async () => {
+      const calls = [mintCall(recipient.address, 1n), mintCall(owner.address, 1n)];
+      const { batch, signature } = await signedWithFee({ token: token.target, maxAmount: FEE }, calls);
+      const estimate = await client.estimateBatchGas(batch);
+
+      // Covers the first fee payment, which deploys the fee collector
+      const receipt = await (await client.submit(batch, signature, relayer)).wait();
+      expect(estimate).to.be.gte(receipt.gasUsed);
+      expect(await client.estimateBatchGas(batch)).to.be.lt(estimate);
+    });
   });
-});
\ No newline at end of file
+});
@@ -0,0 +1,341 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+
+describe("PriceOracle", function () {
+  let oracle, owner, user;
+  let primaryFeed, secondaryFeed, stableFeed, weth, usdt, pool;
+  let MockAggregator;
+
+  const ETH_PRICE = ethers.parseUnits("200", 8); // $200
+  const HOUR = 3600;
+  // 1.0001^52986 ~= 200.0035
+  const TWAP_TICK = 52986;
+  const TWAP_PRICE = ethers.parseEther("200.0035");
+
+  const increaseTime = async (seconds) => {
+    await ethers.provider.send("evm_increaseTime", [seconds]);
+    await ethers.provider.send("evm_mine", []);
+  };
+
+  const config = (overrides = {}) => ({
+    primaryFeed: ethers.ZeroAddress,
+    secondaryFeed: ethers.ZeroAddress,
+    primaryHeartbeat: 0,
+    secondaryHeartbeat: 0,
+    maxDeviationBps: 0,
+    isStablecoin: false,
+    depegThresholdBps: 0,
+    twapPool: ethers.ZeroAddress,
+    twapBaseToken: ethers.ZeroAddress,
+    twapWindow: 0,
+    ...overrides,
+  });
+
+  before(async function () {
+    [owner, user] = await ethers.getSigners();
+  });
+
+  beforeEach(async function () {
+    MockAggregator = await ethers.getContractFactory("MockAggregatorV3");
+    primaryFeed = await MockAggregator.deploy(ETH_PRICE, 8);
+    secondaryFeed = await MockAggregator.deploy(ethers.parseUnits("201", 8), 8);
+    stableFeed = await MockAggregator.deploy(ethers.parseUnits("0.999", 8), 8);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    weth = await Token.deploy("Wrapped Ether", "WETH", 18);
+    usdt = await Token.deploy("Tether USD", "USDT", 6);
+
+    // Pool ticks price token1 in token0: use the sign that prices WETH at ~$200
+    const wethIsToken0 = weth.target.toLowerCase() < usdt.target.toLowerCase();
+    const decimalsShift = 276324; // 1.0001^276324 ~= 1e12, the WETH/USDT decimals difference
+    const tick = wethIsToken0 ? TWAP_TICK - decimalsShift : decimalsShift - TWAP_TICK;
+    const Pool = await ethers.getContractFactory("MockUniswapV3Pool");
+    pool = await Pool.deploy(weth.target, usdt.target, tick);
+
+    const Oracle = await ethers.getContractFactory("PriceOracle");
+    oracle = await Oracle.deploy(owner.address);
+  });
+
+  describe("Configuration", function () {
+    it("should only let the owner configure assets", async function () {
+      await expect(
+        oracle.connect(user).setAssetConfig(ethers.ZeroAddress, config({ primaryFeed: primaryFeed.target, primaryHeartbeat: HOUR }))
+      ).to.be.revertedWithCustomError(oracle, "OwnableUnauthorizedAccount");
+
+      await expect(oracle.setAssetConfig(ethers.ZeroAddress, config({ primaryFeed: primaryFeed.target, primaryHeartbeat: HOUR })))
+        .to.emit(oracle, "AssetConfigured")
+        .withArgs(ethers.ZeroAddress, primaryFeed.target, ethers.ZeroAddress, ethers.ZeroAddress);
+      expect(await oracle.isConfigured(ethers.ZeroAddress)).to.equal(true);
+
+      await oracle.removeAsset(ethers.ZeroAddress);
+      await expect(oracle.getPrice(ethers.ZeroAddress)).to.be.revertedWith("Asset not configured");
+    });
+
+    it("should validate sources, heartbeats and thresholds", async function () {
+      await expect(oracle.setAssetConfig(weth.target, config())).to.be.revertedWith("No price source");
+      await expect(
+        oracle.setAssetConfig(weth.target, config({ primaryFeed: primaryFeed.target }))
+      ).to.be.revertedWith("Invalid primary heartbeat");
+      await expect(
+        oracle.setAssetConfig(usdt.target, config({ isStablecoin: true }))
+      ).to.be.revertedWith("Invalid depeg threshold");
+      await expect(
+        oracle.setAssetConfig(weth.target, config({ twapPool: pool.target, twapBaseToken: user.address, twapWindow: 1800 }))
+      ).to.be.revertedWith("Base token not in pool");
+    });
+  });
+
+  describe("Price aggregation", function () {
+    beforeEach(async function () {
+      await oracle.setAssetConfig(
+        ethers.ZeroAddress,
+        config({
+          primaryFeed: primaryFeed.target,
+          secondaryFeed: secondaryFeed.target,
+          primaryHeartbeat: HOUR,
+          secondaryHeartbeat: 24 * HOUR,
+          maxDeviationBps: 200, // 2%
+          twapPool: pool.target,
+          twapBaseToken: weth.target,
+          twapWindow: 1800,
+        })
+      );
+    });
+
+    it("should return the primary price with 18 decimals", async function () {
+      expect(await oracle.getPrice(ethers.ZeroAddress)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("should fall back to the secondary feed when the primary misses its heartbeat", async function () {
+      await increaseTime(HOUR + 1);
+
+      expect(await oracle.getPrice(ethers.ZeroAddress)).to.equal(ethers.parseEther("201"));
+      const [, valid] = await oracle.getSourcePrices(ethers.ZeroAddress);
+      expect(valid).to.deep.equal([false, true, true]);
+    });
+
+    it("should fall back to the Uniswap V3 TWAP when both feeds are stale", async function () {
+      await increaseTime(24 * HOUR + 1);
+
+      const price = await oracle.getPrice(ethers.ZeroAddress);
+      expect(price).to.be.closeTo(TWAP_PRICE, ethers.parseEther("0.01"));
+    });
+
+    it("should skip the TWAP when the pool tokens cannot be read", async function () {
+      // The oracle has no decimals(): the TWAP read fails instead of reverting the price
+      const Pool = await ethers.getContractFactory("MockUniswapV3Pool");
+      const brokenPool = await Pool.deploy(weth.target, oracle.target, TWAP_TICK);
+      await oracle.setAssetConfig(
+        weth.target,
+        config({ primaryFeed: primaryFeed.target, primaryHeartbeat: HOUR, twapPool: brokenPool.target, twapBaseToken: weth.target, twapWindow: 1800 })
+      );
+
+      expect(await oracle.getPrice(weth.target)).to.equal(ethers.parseEther("200"));
+      const [, valid] = await oracle.getSourcePrices(weth.target);
+      expect(valid).to.deep.equal([true, false, false]);
+    });
+
+    it("should skip the TWAP when the pool answers malformed observations", async function () {
+      await oracle.setAssetConfig(
+        weth.target,
+        config({ primaryFeed: primaryFeed.target, primaryHeartbeat: HOUR, twapPool: pool.target, twapBaseToken: weth.target, twapWindow: 1800 })
+      );
+
+      // One observation short
+      await pool.setTruncated(true);
+      expect(await oracle.getPrice(weth.target)).to.equal(ethers.parseEther("200"));
+      let [, valid] = await oracle.getSourcePrices(weth.target);
+      expect(valid).to.deep.equal([true, false, false]);
+
+      // An average tick beyond MAX_TICK
+      await pool.setTruncated(false);
+      await pool.setTick(887273);
+      expect(await oracle.getPrice(weth.target)).to.equal(ethers.parseEther("200"));
+      [, valid] = await oracle.getSourcePrices(weth.target);
+      expect(valid).to.deep.equal([true, false, false]);
+    });
+
+    it("should reject sources that deviate beyond the threshold", async function () {
+      await secondaryFeed.updatePrice(ethers.parseUnits("210", 8)); // 5% above the primary
+
+      await expect(oracle.getPrice(ethers.ZeroAddress)).to.be.revertedWith("Price deviation too high");
+    });
+
+    it("should revert when no source answers", async function () {
+      await oracle.setAssetConfig(
+        weth.target,
+        config({ primaryFeed: primaryFeed.target, primaryHeartbeat: HOUR })
+      );
+      await primaryFeed.updatePrice(0);
+
+      await expect(oracle.getPrice(weth.target)).to.be.revertedWith("No valid price");
+    });
+  });
+
+  describe("Stablecoins", function () {
+    beforeEach(async function () {
+      await oracle.setAssetConfig(
+        usdt.target,
+        config({ primaryFeed: stableFeed.target, primaryHeartbeat: 24 * HOUR, isStablecoin: true, depegThresholdBps: 100 })
+      );
+    });
+
+    it("should price pegged stablecoins at exactly $1", async function () {
+      expect(await oracle.getPrice(usdt.target)).to.equal(ethers.parseEther("1"));
+    });
+
+    it("should detect a depeg", async function () {
+      await stableFeed.updatePrice(ethers.parseUnits("0.95", 8));
+
+      await expect(oracle.getPrice(usdt.target)).to.be.revertedWith("Stablecoin depegged");
+    });
+  });
+
+  describe("L2 sequencer", function () {
+    let sequencerFeed;
+
+    beforeEach(async function () {
+      await oracle.setAssetConfig(ethers.ZeroAddress, config({ primaryFeed: primaryFeed.target, primaryHeartbeat: HOUR }));
+      sequencerFeed = await MockAggregator.deploy(0, 0); // 0 = up, since now
+      await expect(oracle.setSequencerUptimeFeed(sequencerFeed.target, HOUR))
+        .to.emit(oracle, "SequencerUptimeFeedUpdated")
+        .withArgs(sequencerFeed.target, HOUR);
+    });
+
+    it("should wait for the grace period after the sequencer restarts", async function () {
+      expect(await oracle.isSequencerUp()).to.equal(false);
+      await expect(oracle.getPrice(ethers.ZeroAddress)).to.be.revertedWith("Sequencer down");
+
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await sequencerFeed.setUpdatedAt(timestamp - HOUR - 1);
+      expect(await oracle.getPrice(ethers.ZeroAddress)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("should reject prices while the sequencer is down", async function () {
+      await sequencerFeed.updatePrice(1);
+      const { timestamp } = await ethers.provider.getBlock("latest");
+      await sequencerFeed.setUpdatedAt(timestamp - 2 * HOUR);
+
+      await expect(oracle.getPrice(ethers.ZeroAddress)).to.be.revertedWith("Sequencer down");
+    });
+  });
+
+  describe("GasCreditVault integration", function () {
+    let vault, token;
+
+    beforeEach(async function () {
+      const Vault = await ethers.getContractFactory("GasCreditVault", owner);
+      vault = await upgrades.deployProxy(Vault, [], { initializer: "initialize", kind: "uups" });
+      await vault.waitForDeployment();
+
+      token = weth;
+      await oracle.setAssetConfig(
+        token.target,
+        config({
+          primaryFeed: primaryFeed.target,
+          secondaryFeed: secondaryFeed.target,
+          primaryHeartbeat: HOUR,
+          secondaryHeartbeat: 24 * HOUR,
+          maxDeviationBps: 200,
+        })
+      );
+      await oracle.setAssetConfig(
+        usdt.target,
+        config({ primaryFeed: stableFeed.target, primaryHeartbeat: 24 * HOUR, isStablecoin: true, depegThresholdBps: 100 })
+      );
+
+      await expect(vault.setPriceOracle(oracle.target)).to.emit(vault, "PriceOracleUpdated").withArgs(oracle.target);
+      // Non-stablecoins keep a feed of their own, used again if the oracle is unset
+      await expect(vault.whitelistToken(token.target, ethers.ZeroAddress, false)).to.be.revertedWith("Invalid price feed");
+      await vault.whitelistToken(token.target, secondaryFeed.target, false);
+      await vault.whitelistToken(usdt.target, ethers.ZeroAddress, true);
+
+      await token.mint(user.address, ethers.parseEther("10"));
+      await token.connect(user).approve(vault.target, ethers.MaxUint256);
+      await usdt.mint(user.address, 1_000_000_000n);
+      await usdt.connect(user).approve(vault.target, ethers.MaxUint256);
+    });
+
+    it("should keep accepting deposits when the primary feed lags", async function () {
+      await vault.connect(user).deposit(token.target, ethers.parseEther("1"));
+      expect(await vault.credits(user.address)).to.equal(ethers.parseEther("200"));
+
+      await increaseTime(HOUR + 1);
+      await vault.connect(user).deposit(token.target, ethers.parseEther("1"));
+      // Both positions are now valued at the secondary price
+      expect(await vault.credits(user.address)).to.equal(ethers.parseEther("402"));
+    });
+
+    it("should refuse deposits of a depegged stablecoin", async function () {
+      await vault.connect(user).deposit(usdt.target, 100_000_000n);
+      expect(await vault.credits(user.address)).to.equal(ethers.parseEther("100"));
+
+      await stableFeed.updatePrice(ethers.parseUnits("0.9", 8));
+      await expect(vault.connect(user).deposit(usdt.target, 1_000_000n)).to.be.revertedWith("Stablecoin depegged");
+    });
+
+    it("should price native deposits through the oracle's native asset", async function () {
+      await oracle.setAssetConfig(ethers.ZeroAddress, config({ primaryFeed: primaryFeed.target, primaryHeartbeat: HOUR }));
+      const NATIVE_TOKEN = await vault.NATIVE_TOKEN();
+      await vault.whitelistToken(NATIVE_TOKEN, secondaryFeed.target, false);
+
+      await vault.connect(user).deposit(NATIVE_TOKEN, ethers.parseEther("1"), { value: ethers.parseEther("1") });
+      expect(await vault.credits(user.address)).to.equal(ethers.parseEther("200"));
+    });
+
+    it("should only let the owner set the price oracle", async function () {
+      await expect(vault.connect(user).setPriceOracle(ethers.ZeroAddress)).to.be.revertedWith(
+        "Ownable: caller is not the owner"
+      );
+    });
+  });
+
+  describe("TokenPresale integration", function () {
+    let presale;
+
+    beforeEach(async function () {
+      const Token = await ethers.getContractFactory("MockERC20");
+      const saleToken = await Token.deploy("Sale Token", "SALE", 18);
+      const Presale = await ethers.getContractFactory("TokenPresale");
+      presale = await Presale.deploy(saleToken.target, ethers.parseEther("1000000"), owner.address, ethers.ZeroAddress);
+
+      await presale.addPaymentToken(ethers.ZeroAddress, primaryFeed.target, 18, false);
+      await presale.addPaymentToken(usdt.target, ethers.ZeroAddress, 6, true);
+      await oracle.setAssetConfig(
+        ethers.ZeroAddress,
+        config({
+          primaryFeed: primaryFeed.target,
+          secondaryFeed: secondaryFeed.target,
+          primaryHeartbeat: HOUR,
+          secondaryHeartbeat: 24 * HOUR,
+          maxDeviationBps: 200,
+        })
+      );
+      await oracle.setAssetConfig(
+        usdt.target,
+        config({ primaryFeed: stableFeed.target, primaryHeartbeat: 24 * HOUR, isStablecoin: true, depegThresholdBps: 100 })
+      );
+    });
+
+    it("should price payment tokens through the oracle with 8 decimals", async function () {
+      await increaseTime(HOUR + 1);
+      // Without the oracle the single feed is too old
+      await expect(presale.getTokenPriceInUSD(ethers.ZeroAddress)).to.be.revertedWith("Price too old");
+
+      await expect(presale.setPriceOracle(oracle.target)).to.emit(presale, "PriceOracleUpdated").withArgs(oracle.target);
+      expect(await presale.getTokenPriceInUSD(ethers.ZeroAddress)).to.equal(ethers.parseUnits("201", 8));
+      expect(await presale.getTokenPriceInUSD(usdt.target)).to.equal(ethers.parseUnits("1", 8));
+    });
+
+    it("should stop stablecoin purchases during a depeg", async function () {
+      await presale.setPriceOracle(oracle.target);
+      await stableFeed.updatePrice(ethers.parseUnits("0.9", 8));
+
+      await expect(presale.getTokenPriceInUSD(usdt.target)).to.be.revertedWith("Stablecoin depegged");
+      await expect(presale.connect(user).setPriceOracle(oracle.target)).to.be.revertedWithCustomError(
+        presale,
+        "OwnableUnauthorizedAccount"
+      );
+    });
+  });
+});
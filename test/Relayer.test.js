@@ -0,0 +1,417 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { MetaTxClient, ExecutionMode, encodeCall, signSpendingCap } = require("../sdk");
+const { RelayerService } = require("../relayer/service");
+const { createServer } = require("../relayer/server");
+const { nativeToCredits, applyMultiplier, parseMultiplier } = require("../relayer/pricing");
+
+describe("Relayer service", function () {
+  let gateway, vault, usdt, token, nativeFeed;
+  let owner, relayer, user, recipient;
+  let client, service, server, baseUrl;
+
+  const NATIVE_PRICE = ethers.parseUnits("600", 8);
+  const DEPOSIT = ethers.parseEther("100");
+
+  async function post(path, body) {
+    const res = await fetch(`${baseUrl}${path}`, {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify(body, (key, value) => (typeof value === "bigint" ? value.toString() : value)),
+    });
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function get(path) {
+    const res = await fetch(`${baseUrl}${path}`);
+    return { status: res.status, body: await res.json() };
+  }
+
+  async function signedRequest(calls, options) {
+    const batch = await client.buildBatch(user.address, calls, options);
+    const signature = await client.signBatch(user, batch);
+    const { chainId } = await ethers.provider.getNetwork();
+    return { chainId, ...batch, signature };
+  }
+
+  beforeEach(async function () {
+    [owner, relayer, user, recipient] = await ethers.getSigners();
+
+    const Gateway = await ethers.getContractFactory("MetaTxGateway", owner);
+    gateway = await upgrades.deployProxy(Gateway, [], { initializer: "initialize", kind: "uups" });
+    await gateway.waitForDeployment();
+
+    const Vault = await ethers.getContractFactory("GasCreditVault", owner);
+    vault = await upgrades.deployProxy(Vault, [], { initializer: "initialize", kind: "uups" });
+    await vault.waitForDeployment();
+
+    const Aggregator = await ethers.getContractFactory("MockAggregatorV3");
+    nativeFeed = await Aggregator.deploy(NATIVE_PRICE, 8);
+    const stableFeed = await Aggregator.deploy(ethers.parseUnits("1", 8), 8);
+
+    const Token = await ethers.getContractFactory("MockERC20");
+    usdt = await Token.deploy("Tether USD", "USDT", 18);
+    token = await Token.deploy("Mock Token", "MTK", 18);
+
+    await gateway.setRelayerAuthorization(relayer.address, true);
+    await vault.whitelistToken(usdt.target, stableFeed.target, true);
+    await vault.addWhitelistedRelayer(relayer.address);
+    await vault.setTrustedForwarder(gateway.target);
+
+    await usdt.mint(user.address, DEPOSIT);
+    await usdt.connect(user).approve(vault.target, DEPOSIT);
+    await vault.connect(user).deposit(usdt.target, DEPOSIT);
+    await vault.connect(user).setSpendingCap(relayer.address, DEPOSIT, DEPOSIT, ethers.MaxUint256);
+
+    client = new MetaTxClient(gateway.target, ethers.provider);
+    service = await new RelayerService({
+      provider: ethers.provider,
+      relayer,
+      gatewayAddress: gateway.target,
+      vaultAddress: vault.target,
+      nativePriceFeed: nativeFeed.target,
+      gasCompensationMultiplier: "1.2",
+      errorAbis: [token.interface],
+    }).init();
+
+    server = createServer(service);
+    await new Promise((resolve) => server.listen(0, "127.0.0.1", resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => server.close(resolve));
+  });
+
+  const mintCall = (to, amount) => ({
+    to: token.target,
+    data: encodeCall(token.interface, "mint", [to, amount]),
+  });
+
+  it("should convert gas cost to credits using the feed price", async function () {
+    const gasCost = ethers.parseEther("0.001");
+    const compensated = applyMultiplier(gasCost, parseMultiplier("1.2"));
+
+    expect(compensated).to.equal(ethers.parseEther("0.0012"));
+    expect(nativeToCredits(compensated, NATIVE_PRICE, 8n)).to.equal(ethers.parseEther("0.72"));
+  });
+
+  it("should refuse to start with an unauthorized relayer key", async function () {
+    const unauthorized = new RelayerService({
+      provider: ethers.provider,
+      relayer: recipient,
+      gatewayAddress: gateway.target,
+      vaultAddress: vault.target,
+      nativePriceFeed: nativeFeed.target,
+    });
+    await expect(unauthorized.init()).to.be.rejectedWith("is not authorized on MetaTxGateway");
+  });
+
+  it("should estimate the credit cost of a batch", async function () {
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    const { status, body } = await post("/api/meta-tx/estimate", request);
+
+    expect(status).to.equal(200);
+    expect(body.success).to.equal(true);
+    expect(body.data.hasEnoughCredits).to.equal(true);
+    expect(BigInt(body.data.requiredCredits)).to.be.gte(await vault.minimumConsume());
+    expect(BigInt(body.data.userCredits)).to.equal(DEPOSIT);
+  });
+
+  it("should report why a call in the batch would fail", async function () {
+    const request = await signedRequest([
+      mintCall(recipient.address, 1n),
+      { to: token.target, data: encodeCall(token.interface, "transfer", [recipient.address, 1n]) },
+    ]);
+    const { body } = await post("/api/meta-tx/estimate", request);
+
+    expect(body.data.simulation[0]).to.deep.equal({ index: 0, success: true, revertReason: null });
+    expect(body.data.simulation[1].success).to.equal(false);
+    expect(body.data.simulation[1].revertReason).to.equal(`ERC20InsufficientBalance(${gateway.target}, 0, 1)`);
+  });
+
+  it("should refuse an atomic batch that would fail", async function () {
+    const request = await signedRequest(
+      [
+        mintCall(recipient.address, 1n),
+        { to: token.target, data: encodeCall(token.interface, "transfer", [recipient.address, 1n]) },
+      ],
+      { mode: ExecutionMode.Atomic }
+    );
+    const { body } = await post("/api/meta-tx/execute", request);
+
+    expect(body.error).to.equal("EXECUTION_FAILED");
+    expect(body.message).to.equal(
+      `Simulation failed: Call 1 failed: ERC20InsufficientBalance(${gateway.target}, 0, 1)`
+    );
+    expect(await gateway.getNonce(user.address)).to.equal(0n);
+  });
+
+  it("should execute a batch and consume the user's credits", async function () {
+    const amount = ethers.parseEther("5");
+    const request = await signedRequest([mintCall(recipient.address, amount)]);
+
+    const { status, body } = await post("/api/meta-tx/execute", request);
+
+    expect(status).to.equal(200);
+    expect(body.data.batchId).to.equal("0");
+    expect(body.data.successes).to.deep.equal([true]);
+    expect(await token.balanceOf(recipient.address)).to.equal(amount);
+    expect(await gateway.getNonce(user.address)).to.equal(1n);
+
+    const consumed = BigInt(body.data.usdValueConsumed);
+    const minimum = await vault.minimumConsume();
+    const charged = consumed > minimum ? consumed : minimum;
+    expect(await vault.credits(user.address)).to.equal(DEPOSIT - charged);
+
+    // The charge carries the batch receipt and stays disputable until settled
+    const consumption = await vault.getConsumption(body.data.consumptionId);
+    expect(consumption.batchId).to.equal(0n);
+    expect(consumption.creditAmount).to.equal(charged);
+    expect(consumption.status).to.equal(1n); // Pending
+    expect(await vault.totalConsumedCredits()).to.equal(0n);
+
+    const statusRes = await get("/api/meta-tx/status/0");
+    expect(statusRes.body.data.txHash).to.equal(body.data.txHash);
+  });
+
+  it("should charge the batch it mined when another batch lands first", async function () {
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    const submit = service.client.submit.bind(service.client);
+    service.client.submit = async (...args) => {
+      const other = await client.execute(recipient, [mintCall(recipient.address, 1n)], relayer);
+      await other.wait();
+      return submit(...args);
+    };
+
+    const { status, body } = await post("/api/meta-tx/execute", request);
+
+    expect(status).to.equal(200);
+    expect(body.data.batchId).to.equal("1");
+    expect((await vault.getConsumption(body.data.consumptionId)).batchId).to.equal(1n);
+  });
+
+  it("should relay permits attached to the batch", async function () {
+    const PermitToken = await ethers.getContractFactory("MockERC20Permit");
+    const permitToken = await PermitToken.deploy("Permit USD", "PUSD");
+    await vault.whitelistToken(permitToken.target, ethers.ZeroAddress, true);
+    await permitToken.mint(user.address, DEPOSIT);
+
+    let batch = await client.buildBatch(user.address, [
+      { to: vault.target, data: encodeCall(vault.interface, "deposit", [permitToken.target, DEPOSIT]) },
+    ]);
+    batch = await client.signPermits(user, batch, [{ token: permitToken.target, spender: vault.target, value: DEPOSIT }]);
+    const signature = await client.signBatch(user, batch);
+
+    const { body } = await post("/api/meta-tx/execute", { ...batch, signature });
+
+    expect(body.data.successes).to.deep.equal([true]);
+    expect(await permitToken.balanceOf(vault.target)).to.equal(DEPOSIT);
+  });
+
+  it("should reject malformed permits", async function () {
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    const { body } = await post("/api/meta-tx/execute", { ...request, permits: [{ token: token.target }] });
+
+    expect(body.error).to.equal("VALIDATION_ERROR");
+    expect(body.message).to.equal("Invalid permits[0] token or spender");
+  });
+
+  describe("token fees", function () {
+    const FEE_BALANCE = ethers.parseEther("10");
+
+    beforeEach(async function () {
+      await usdt.mint(user.address, FEE_BALANCE);
+      await usdt.connect(user).approve(await client.getFeeCollector(), ethers.MaxUint256);
+    });
+
+    it("should quote the fee of an unsigned batch in a vault token", async function () {
+      const { status, body } = await post("/api/meta-tx/fee-quote", {
+        from: user.address,
+        metaTxs: [mintCall(recipient.address, 1n)],
+        feeToken: usdt.target,
+      });
+
+      expect(status).to.equal(200);
+      expect(body.data.fee.token).to.equal(usdt.target);
+      expect(body.data.fee.recipient).to.equal(relayer.address);
+      expect(body.data.feeCollector).to.equal(await gateway.getFeeCollector());
+      // USDT is priced 1:1 with credits
+      expect(BigInt(body.data.fee.maxAmount)).to.equal(BigInt(body.data.usdValue));
+    });
+
+    it("should refuse fee tokens the vault does not price", async function () {
+      const { status, body } = await post("/api/meta-tx/fee-quote", {
+        from: user.address,
+        metaTxs: [mintCall(recipient.address, 1n)],
+        feeToken: token.target,
+      });
+
+      expect(status).to.equal(400);
+      expect(body.error).to.equal("UNSUPPORTED_FEE_TOKEN");
+    });
+
+    it("should execute a batch paid with a signed token fee instead of credits", async function () {
+      const quote = await post("/api/meta-tx/fee-quote", {
+        from: user.address,
+        metaTxs: [mintCall(recipient.address, 1n)],
+        feeToken: usdt.target,
+      });
+      const request = await signedRequest([mintCall(recipient.address, 1n)], { fee: quote.body.data.fee });
+
+      const { status, body } = await post("/api/meta-tx/execute", request);
+
+      expect(status).to.equal(200);
+      expect(body.data.successes).to.deep.equal([true]);
+      expect(body.data.creditTxHash).to.equal(null);
+      expect(BigInt(body.data.feeAmount)).to.be.lte(BigInt(quote.body.data.fee.maxAmount));
+      expect(await usdt.balanceOf(relayer.address)).to.equal(BigInt(body.data.feeAmount));
+      expect(await vault.credits(user.address)).to.equal(DEPOSIT);
+    });
+
+    it("should reject a signed fee below the gas cost", async function () {
+      const request = await signedRequest([mintCall(recipient.address, 1n)], {
+        fee: { token: usdt.target, maxAmount: 1n },
+      });
+      const { status, body } = await post("/api/meta-tx/execute", request);
+
+      expect(status).to.equal(402);
+      expect(body.error).to.equal("INSUFFICIENT_FEE");
+      expect(await gateway.getNonce(user.address)).to.equal(0n);
+    });
+
+    it("should reject fees paid to someone else", async function () {
+      const request = await signedRequest([mintCall(recipient.address, 1n)], {
+        fee: { token: usdt.target, maxAmount: FEE_BALANCE, recipient: recipient.address },
+      });
+      const { body } = await post("/api/meta-tx/execute", request);
+
+      expect(body.error).to.equal("VALIDATION_ERROR");
+      expect(body.message).to.equal("Fee recipient is not this relayer");
+    });
+  });
+
+  it("should reject a batch with a stale nonce", async function () {
+    const request = await signedRequest([mintCall(recipient.address, 1n)], { nonce: 5n });
+    const { status, body } = await post("/api/meta-tx/execute", request);
+
+    expect(status).to.equal(400);
+    expect(body.error).to.equal("VALIDATION_ERROR");
+    expect(body.message).to.contain("Invalid nonce");
+  });
+
+  it("should reject an expired batch", async function () {
+    const block = await ethers.provider.getBlock("latest");
+    const request = await signedRequest([mintCall(recipient.address, 1n)], { deadline: block.timestamp - 1 });
+    const { body } = await post("/api/meta-tx/execute", request);
+
+    expect(body.error).to.equal("VALIDATION_ERROR");
+    expect(body.message).to.equal("Transaction expired");
+  });
+
+  it("should reject a forged signature", async function () {
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    request.metaTxs = [mintCall(relayer.address, 1n)];
+
+    const { body } = await post("/api/meta-tx/execute", request);
+    expect(body.error).to.equal("VALIDATION_ERROR");
+    expect(body.message).to.equal("Invalid signature");
+  });
+
+  it("should reject users without enough credits", async function () {
+    await vault.connect(user).transferCredit(recipient.address, DEPOSIT);
+
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    const { status, body } = await post("/api/meta-tx/execute", request);
+
+    expect(status).to.equal(402);
+    expect(body.error).to.equal("INSUFFICIENT_CREDITS");
+    expect(await gateway.getNonce(user.address)).to.equal(0n);
+  });
+
+  it("should require a spending cap covering the batch", async function () {
+    await vault.connect(user).setSpendingCap(relayer.address, 1n, 1n, ethers.MaxUint256);
+
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    const { status, body } = await post("/api/meta-tx/execute", request);
+
+    expect(status).to.equal(402);
+    expect(body.error).to.equal("SPENDING_CAP_EXCEEDED");
+    expect(await gateway.getNonce(user.address)).to.equal(0n);
+  });
+
+  it("should submit a spending cap signed with the request", async function () {
+    await vault.connect(user).setSpendingCap(relayer.address, 0, 0, 0);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    const cap = await signSpendingCap(user, vault.target, {
+      relayer: relayer.address,
+      allowance: ethers.parseEther("10"),
+      maxPerBatch: ethers.parseEther("2"),
+      expiry: BigInt(timestamp + 3600),
+    });
+
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    const estimateRes = await post("/api/meta-tx/estimate", { ...request, spendingCap: cap });
+    expect(estimateRes.body.data.spendingCap.covered).to.equal(true);
+
+    const { status, body } = await post("/api/meta-tx/execute", { ...request, spendingCap: cap });
+
+    expect(status).to.equal(200);
+    const [allowance, maxPerBatch] = await vault.spendingCaps(user.address, relayer.address);
+    expect(maxPerBatch).to.equal(ethers.parseEther("2"));
+    const consumption = await vault.getConsumption(body.data.consumptionId);
+    expect(allowance).to.equal(ethers.parseEther("10") - consumption.creditAmount);
+    expect(await vault.capNonces(user.address)).to.equal(1n);
+  });
+
+  it("should charge a sponsor pool for batches to the contracts it sponsors", async function () {
+    // The user has no credits left; the dApp behind `token` sponsors its calls
+    await vault.connect(user).transferCredit(recipient.address, DEPOSIT);
+    await usdt.mint(owner.address, DEPOSIT);
+    await usdt.approve(vault.target, DEPOSIT);
+    await vault.deposit(usdt.target, DEPOSIT);
+    const { timestamp } = await ethers.provider.getBlock("latest");
+    await vault.createSponsorPool([token.target], ethers.parseEther("5"), timestamp + 3600);
+    const poolAccount = await vault.sponsorPoolAccount(1);
+    await vault.transferCredit(poolAccount, ethers.parseEther("20"));
+
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    const estimateRes = await post("/api/meta-tx/estimate", { ...request, sponsorPoolId: 1 });
+    expect(estimateRes.body.data.sponsorship.covered).to.equal(true);
+    expect(estimateRes.body.data.sponsorship.allowance).to.equal(ethers.parseEther("5").toString());
+
+    const { status, body } = await post("/api/meta-tx/execute", { ...request, sponsorPoolId: 1 });
+
+    expect(status).to.equal(200);
+    expect(body.data.sponsorPoolId).to.equal("1");
+    const consumption = await vault.getConsumption(body.data.consumptionId);
+    expect(consumption.user).to.equal(poolAccount);
+    expect(await vault.sponsoredUsage(1, user.address)).to.equal(consumption.creditAmount);
+
+    const unsponsored = await signedRequest([
+      { to: usdt.target, data: encodeCall(usdt.interface, "mint", [recipient.address, 1n]) },
+    ]);
+    const rejected = await post("/api/meta-tx/execute", { ...unsponsored, sponsorPoolId: 1 });
+    expect(rejected.status).to.equal(402);
+    expect(rejected.body.error).to.equal("SPONSORSHIP_UNAVAILABLE");
+  });
+
+  it("should reject requests for another chain", async function () {
+    const request = await signedRequest([mintCall(recipient.address, 1n)]);
+    const { body } = await post("/api/meta-tx/execute", { ...request, chainId: 1 });
+
+    expect(body.error).to.equal("UNSUPPORTED_CHAIN");
+  });
+
+  it("should serve nonces and credits", async function () {
+    const nonceRes = await get(`/api/meta-tx/nonce/${user.address}`);
+    expect(nonceRes.body.data.nonce).to.equal("0");
+
+    const laneRes = await get(`/api/meta-tx/nonce/${user.address}?key=2`);
+    expect(laneRes.body.data.key).to.equal("2");
+    expect(laneRes.body.data.nonce).to.equal((2n << 64n).toString());
+
+    const creditsRes = await get(`/api/credits/${user.address}`);
+    expect(creditsRes.body.data.credits).to.equal(DEPOSIT.toString());
+  });
+});
@@ -0,0 +1,231 @@
+const { expect } = require("chai");
+const { ethers, upgrades } = require("hardhat");
+const { MetaTxClient, encodeCall } = require("../sdk");
+const { AirdropTree } = require("../airdrop/tree");
+
+describe("TokenAirdrop", function () {
+  let airdrop, token;
+  let owner, relayer, alice, bob, carol;
+
+  const DAY = 86400;
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Opens a campaign for `amounts` (address => amount) and returns its id and tree
+  async function createCampaign(amounts, { start, end, vestingStart = 0, vestingDuration = 0, total } = {}) {
+    const tree = new AirdropTree(Object.entries(amounts).map(([address, amount]) => ({ address, amount })));
+    const startTimestamp = start !== undefined ? start : await now();
+    const id = await airdrop.campaignCount();
+    await airdrop.createCampaign(
+      tree.root,
+      total !== undefined ? total : tree.total,
+      startTimestamp,
+      end !== undefined ? end : startTimestamp + 30 * DAY,
+      vestingStart,
+      vestingDuration
+    );
+    return { id, tree };
+  }
+
+  function claim(signer, { id, tree }, account = signer.address) {
+    const { index, amount, proof } = tree.claim(account);
+    return airdrop.connect(signer).claim(id, index, amount, proof);
+  }
+
+  beforeEach(async function () {
+    [owner, relayer, alice, bob, carol] = await ethers.getSigners();
+    token = await ethers.deployContract("MockUSDT");
+    airdrop = await ethers.deployContract("TokenAirdrop", [token.target, owner.address, ethers.ZeroAddress]);
+    await token.mint(airdrop.target, 1000n);
+  });
+
+  describe("Campaigns", function () {
+    it("should run concurrent campaigns with separate roots and claims", async function () {
+      const first = await createCampaign({ [alice.address]: 100n, [bob.address]: 50n });
+      const second = await createCampaign({ [alice.address]: 30n, [carol.address]: 20n });
+
+      await expect(claim(alice, first)).to.emit(airdrop, "Claimed")
+        .withArgs(first.id, first.tree.claim(alice.address).index, alice.address, 100n);
+      await expect(claim(alice, first)).to.be.revertedWith("Already claimed");
+      // A proof of one campaign does not claim from the other
+      const { index, amount, proof } = first.tree.claim(bob.address);
+      await expect(airdrop.connect(bob).claim(second.id, index, amount, proof)).to.be.revertedWith("Invalid proof");
+      await expect(airdrop.connect(bob).claim(2n, index, amount, proof)).to.be.revertedWith("Unknown campaign");
+
+      // Alice's claim of the other campaign is still open
+      await claim(alice, second);
+      await claim(carol, second);
+
+      expect(await token.balanceOf(alice.address)).to.equal(130n);
+      expect(await airdrop.isClaimed(first.id, first.tree.claim(bob.address).index)).to.equal(false);
+      expect((await airdrop.campaigns(first.id)).claimedAmount).to.equal(100n);
+      expect((await airdrop.campaigns(second.id)).claimedAmount).to.equal(50n);
+      expect(await airdrop.reservedAmount()).to.equal(50n);
+    });
+
+    it("should only open campaigns the unreserved balance covers", async function () {
+      await createCampaign({ [alice.address]: 600n });
+
+      await expect(createCampaign({ [bob.address]: 401n })).to.be.revertedWith("Insufficient unreserved tokens");
+      await expect(createCampaign({ [bob.address]: 400n }, { start: (await now()) + 10, end: (await now()) + 10 }))
+        .to.be.revertedWith("Invalid time range");
+      await createCampaign({ [bob.address]: 400n });
+      await expect(airdrop.connect(alice).createCampaign(ethers.id("root"), 1n, 0, 1, 0, 0))
+        .to.be.revertedWithCustomError(airdrop, "OwnableUnauthorizedAccount");
+      await expect(airdrop.createCampaign(ethers.ZeroHash, 1n, 0, 1, 0, 0)).to.be.revertedWith("Merkle root not set");
+    });
+
+    it("should only let the owner recover tokens no campaign reserves", async function () {
+      await createCampaign({ [alice.address]: 600n });
+
+      await airdrop.recoverRemaining(owner.address);
+
+      expect(await token.balanceOf(owner.address)).to.equal(400n);
+      expect(await token.balanceOf(airdrop.target)).to.equal(600n);
+      await claim(alice, { id: 0n, tree: new AirdropTree([{ address: alice.address, amount: 600n }]) });
+    });
+
+    it("should not pay more than a campaign's total", async function () {
+      const campaign = await createCampaign({ [alice.address]: 100n, [bob.address]: 100n }, { total: 150n });
+
+      await claim(alice, campaign);
+      await expect(claim(bob, campaign)).to.be.revertedWith("Campaign exhausted");
+    });
+  });
+
+  describe("Claim window", function () {
+    it("should only accept claims within the window", async function () {
+      const start = (await now()) + DAY;
+      const campaign = await createCampaign({ [alice.address]: 100n, [bob.address]: 100n }, { start, end: start + DAY });
+
+      await expect(claim(alice, campaign)).to.be.revertedWith("Campaign not started");
+      await increaseTo(start);
+      await claim(alice, campaign);
+      await increaseTo(start + DAY + 1);
+      await expect(claim(bob, campaign)).to.be.revertedWith("Campaign ended");
+    });
+
+    it("should move a window before the start and only extend it after", async function () {
+      const start = (await now()) + DAY;
+      const { id } = await createCampaign({ [alice.address]: 100n }, { start, end: start + DAY });
+
+      await expect(airdrop.setCampaignWindow(id, start + 10, start + 2 * DAY))
+        .to.emit(airdrop, "CampaignWindowUpdated").withArgs(id, start + 10, start + 2 * DAY);
+      await increaseTo(start + 10);
+
+      await expect(airdrop.setCampaignWindow(id, start + 10, start + DAY)).to.be.revertedWith("Campaign started");
+      await expect(airdrop.setCampaignWindow(id, start + 20, start + 3 * DAY)).to.be.revertedWith("Campaign started");
+      await airdrop.setCampaignWindow(id, start + 10, start + 3 * DAY);
+      expect((await airdrop.campaigns(id)).endTimestamp).to.equal(BigInt(start + 3 * DAY));
+    });
+  });
+
+  describe("Vesting", function () {
+    it("should release claims linearly from the vesting start", async function () {
+      await token.mint(airdrop.target, 10n);
+      const start = (await now()) + 100;
+      const campaign = await createCampaign({ [alice.address]: 1000n, [bob.address]: 10n }, {
+        start,
+        end: start + 200 * DAY,
+        vestingStart: start,
+        vestingDuration: 100 * DAY,
+      });
+      const { index } = campaign.tree.claim(alice.address);
+
+      await increaseTo(start);
+      await expect(claim(alice, campaign)).to.be.revertedWith("Nothing vested yet");
+
+      await increaseTo(start + 25 * DAY - 1);
+      expect(await airdrop.claimable(campaign.id, index, 1000n)).to.equal(249n);
+      await expect(claim(alice, campaign)).to.emit(airdrop, "Claimed").withArgs(campaign.id, index, alice.address, 250n);
+      expect(await airdrop.released(campaign.id, index)).to.equal(250n);
+      expect(await airdrop.isClaimed(campaign.id, index)).to.equal(false);
+
+      await increaseTo(start + 50 * DAY - 1);
+      await claim(alice, campaign);
+      expect(await token.balanceOf(alice.address)).to.equal(500n);
+
+      await increaseTo(start + 150 * DAY);
+      await expect(claim(alice, campaign)).to.emit(airdrop, "Claimed").withArgs(campaign.id, index, alice.address, 500n);
+      expect(await airdrop.isClaimed(campaign.id, index)).to.equal(true);
+      expect(await airdrop.claimable(campaign.id, index, 1000n)).to.equal(0n);
+      await expect(claim(alice, campaign)).to.be.revertedWith("Already claimed");
+    });
+
+    it("should keep the window open until everything has vested", async function () {
+      const start = await now();
+
+      await expect(createCampaign({ [alice.address]: 1n }, {
+        start,
+        end: start + DAY,
+        vestingStart: start,
+        vestingDuration: 2 * DAY,
+      })).to.be.revertedWith("Window ends before vesting");
+
+      const { id } = await createCampaign({ [alice.address]: 1n }, {
+        start: start + 10,
+        end: start + 2 * DAY,
+        vestingStart: start,
+        vestingDuration: 2 * DAY,
+      });
+      await expect(airdrop.setCampaignWindow(id, start + 10, start + DAY)).to.be.revertedWith("Window ends before vesting");
+    });
+  });
+
+  describe("Sweep", function () {
+    it("should return a campaign's unclaimed tokens once it has ended", async function () {
+      const start = await now();
+      const campaign = await createCampaign({ [alice.address]: 100n, [bob.address]: 200n }, { start, end: start + DAY });
+      const other = await createCampaign({ [carol.address]: 50n }, { start, end: start + 2 * DAY });
+      await claim(alice, campaign);
+
+      await expect(airdrop.sweep(campaign.id, owner.address)).to.be.revertedWith("Campaign not ended");
+      await increaseTo(start + DAY + 1);
+      await expect(airdrop.connect(alice).sweep(campaign.id, alice.address))
+        .to.be.revertedWithCustomError(airdrop, "OwnableUnauthorizedAccount");
+      await expect(airdrop.sweep(campaign.id, owner.address))
+        .to.emit(airdrop, "CampaignSwept").withArgs(campaign.id, owner.address, 200n);
+
+      expect(await token.balanceOf(owner.address)).to.equal(200n);
+      expect(await airdrop.reservedAmount()).to.equal(50n);
+      await expect(airdrop.sweep(campaign.id, owner.address)).to.be.revertedWith("Campaign swept");
+      await expect(airdrop.setCampaignWindow(campaign.id, start, start + 3 * DAY)).to.be.revertedWith("Campaign swept");
+      // The other campaign keeps its tokens
+      await claim(carol, other);
+      expect(await token.balanceOf(carol.address)).to.equal(50n);
+    });
+  });
+
+  describe("Gasless claims", function () {
+    it("should pay the signer of a claim relayed through the gateway", async function () {
+      const Gateway = await ethers.getContractFactory("MetaTxGateway", owner);
+      const gateway = await upgrades.deployProxy(Gateway, [], { initializer: "initialize", kind: "uups" });
+      await gateway.waitForDeployment();
+      await (await gateway.setRelayerAuthorization(relayer.address, true)).wait();
+      airdrop = await ethers.deployContract("TokenAirdrop", [token.target, owner.address, gateway.target]);
+      await token.mint(airdrop.target, 100n);
+      const campaign = await createCampaign({ [alice.address]: 100n });
+      const { index, amount, proof } = campaign.tree.claim(alice.address);
+
+      const client = new MetaTxClient(gateway.target, ethers.provider);
+      const batch = await client.buildBatch(alice.address, [{
+        to: airdrop.target,
+        data: encodeCall(airdrop.interface, "claim", [campaign.id, index, amount, proof]),
+      }]);
+      const aliceBalance = await ethers.provider.getBalance(alice.address);
+      await (await client.submit(batch, await client.signBatch(alice, batch), relayer)).wait();
+
+      expect(await token.balanceOf(alice.address)).to.equal(100n);
+      expect(await token.balanceOf(relayer.address)).to.equal(0n);
+      expect(await airdrop.isClaimed(campaign.id, index)).to.equal(true);
+      expect(await ethers.provider.getBalance(alice.address)).to.equal(aliceBalance);
+    });
+  });
+});
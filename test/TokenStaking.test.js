@@ -0,0 +1,422 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TokenStaking", function () {
+  let staking, token;
+  let owner, alice, bob, carol;
+  let start;
+
+  const DAY = 86400;
+  const YEAR = 365 * DAY;
+  const E18 = 10n ** 18n;
+  const DAILY_REWARD = ethers.parseEther("10000");
+  // The lock tiers the contract starts with
+  const Lock = { NORMAL: 0, QUATERLY: 1, HALF_YEARLY: 2, YEARLY: 3 };
+
+  // Mirror the contract's reward math: the reward emitted over `seconds` at the default rate, the reward
+  // index growth it gives a total share, and what a share has earned at an index
+  const emitted = (seconds) => (BigInt(seconds) * DAILY_REWARD) / BigInt(DAY);
+  const growth = (reward, totalShare) => (reward * E18) / totalShare;
+  const earned = (share, index) => (share * index) / E18;
+
+  async function mineAt(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Sends a transaction in a block with the given timestamp
+  async function at(timestamp, send) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    return send();
+  }
+
+  async function position(account, index = 0) {
+    return (await staking.getStakes(account.address))[index];
+  }
+
+  // The totals must always be the sum of the open positions
+  async function expectConsistentTotals() {
+    let staked = 0n;
+    let share = 0n;
+    for (const account of [alice, bob, carol]) {
+      for (const info of await staking.getStakes(account.address)) {
+        if (info.withdrawn) continue;
+        staked += info.amount;
+        share += info.stakingShare;
+      }
+    }
+    const totals = await staking.getTotalStakes();
+    expect(totals.totalStaked).to.equal(staked);
+    expect(totals.stakingShare).to.equal(share);
+  }
+
+  beforeEach(async function () {
+    [owner, alice, bob, carol] = await ethers.getSigners();
+    token = await ethers.deployContract("MockUSDT");
+    staking = await ethers.deployContract("TokenStaking", [token.target, owner.address, ethers.ZeroAddress]);
+    await token.mint(staking.target, ethers.parseEther("10000000"));
+    for (const account of [alice, bob, carol]) {
+      await token.mint(account.address, ethers.parseEther("100000"));
+      await token.connect(account).approve(staking.target, ethers.MaxUint256);
+    }
+    start = (await ethers.provider.getBlock("latest")).timestamp + 10;
+    await staking.setStartTimeForStaking(start);
+  });
+
+  describe("Compounding", function () {
+    it("should restake the pending reward and recompute the share", async function () {
+      const amount = ethers.parseEther("1000");
+      await at(start, () => staking.connect(alice).stake(amount, Lock.NORMAL));
+
+      // Alone for a day: the whole emission is Alice's
+      let index = growth(emitted(DAY), amount);
+      await expect(at(start + DAY, () => staking.connect(alice).compound(0)))
+        .to.emit(staking, "Compounded").withArgs(alice.address, 0, DAILY_REWARD);
+      let info = await position(alice);
+      expect(info.amount).to.equal(amount + DAILY_REWARD);
+      expect(info.stakingShare).to.equal(amount + DAILY_REWARD);
+      expect(info.rewardDebt).to.equal(earned(info.stakingShare, index));
+
+      const share = info.stakingShare;
+      index += growth(emitted(DAY), share);
+      const reward = earned(share, index) - info.rewardDebt;
+      await expect(at(start + 2 * DAY, () => staking.connect(alice).compound(0)))
+        .to.emit(staking, "Compounded").withArgs(alice.address, 0, reward);
+
+      // Past 20,000 tokens the position keeps the 1x amount multiplier it was opened with
+      info = await position(alice);
+      const compounded = amount + DAILY_REWARD + reward;
+      expect(info.amount).to.equal(compounded);
+      expect(info.stakingShare).to.equal(compounded);
+      expect(info.rewardDebt).to.equal(earned(info.stakingShare, index));
+      expect(info.totalAccumulatedReward).to.equal(DAILY_REWARD + reward);
+      expect(info.claimedReward).to.equal(0n);
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("99000"));
+      await expectConsistentTotals();
+    });
+
+    it("should only compound open positions", async function () {
+      await at(start, () => staking.connect(alice).stake(ethers.parseEther("1000"), Lock.NORMAL));
+
+      await expect(staking.connect(alice).compound(1)).to.be.revertedWith("Invalid stake index");
+      await staking.connect(alice).withdraw(0);
+      await expect(staking.connect(alice).compound(0)).to.be.revertedWith("Stake already withdrawn");
+    });
+  });
+
+  describe("Partial withdrawals", function () {
+    it("should withdraw part of a position after its lock and pay its reward", async function () {
+      const amount = ethers.parseEther("30000");
+      const half = ethers.parseEther("15000");
+      await at(start, () => staking.connect(alice).stake(amount, Lock.QUATERLY));
+      const share = (amount * 125n * 115n) / 10000n;
+      expect((await position(alice)).stakingShare).to.equal(share);
+
+      await expect(at(start + DAY, () => staking.connect(alice).withdrawPartial(0, half)))
+        .to.be.revertedWith("Lock not expired");
+
+      const unlocked = start + YEAR / 4;
+      let index = growth(emitted(YEAR / 4), share);
+      const reward = earned(share, index);
+      await expect(at(unlocked, () => staking.connect(alice).withdrawPartial(0, half)))
+        .to.emit(staking, "ClaimedReward").withArgs(alice.address, 0, reward)
+        .and.to.emit(staking, "Withdrawn").withArgs(alice.address, 0, half);
+
+      // The rest keeps the 1.15x amount multiplier below 20,000 tokens
+      const remaining = await position(alice);
+      expect(remaining.amount).to.equal(half);
+      expect(remaining.stakingShare).to.equal((half * 125n * 115n) / 10000n);
+      expect(remaining.withdrawn).to.equal(false);
+      await expectConsistentTotals();
+      await expect(staking.connect(alice).withdrawPartial(0, half + 1n)).to.be.revertedWith("Invalid amount");
+      await expect(staking.connect(alice).withdrawPartial(0, 0)).to.be.revertedWith("Invalid amount");
+
+      const debt = remaining.rewardDebt;
+      index += growth(emitted(DAY), remaining.stakingShare);
+      const lastReward = earned(remaining.stakingShare, index) - debt;
+      await expect(at(unlocked + DAY, () => staking.connect(alice).withdrawPartial(0, half)))
+        .to.emit(staking, "Withdrawn").withArgs(alice.address, 0, half);
+
+      const closed = await position(alice);
+      expect(closed.withdrawn).to.equal(true);
+      expect(closed.amount).to.equal(0n);
+      expect(closed.claimedReward).to.equal(reward + lastReward);
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("100000") + reward + lastReward);
+      await expectConsistentTotals();
+      await expect(staking.connect(alice).withdraw(0)).to.be.revertedWith("Already withdrawn");
+    });
+  });
+
+  describe("Lock extension", function () {
+    it("should move a position to a higher tier and restart its lock", async function () {
+      const amount = ethers.parseEther("1000");
+      await at(start, () => staking.connect(alice).stake(amount, Lock.NORMAL));
+      await at(start + 1, () => staking.connect(bob).stake(amount, Lock.NORMAL));
+      let index = growth(emitted(1), amount);
+      const bobDebt = earned(amount, index);
+
+      index += growth(emitted(1), 2n * amount);
+      const extendedAt = start + 2;
+      await expect(at(extendedAt, () => staking.connect(alice).extendLock(0, Lock.HALF_YEARLY)))
+        .to.emit(staking, "ClaimedReward").withArgs(alice.address, 0, earned(amount, index))
+        .and.to.emit(staking, "LockExtended").withArgs(alice.address, 0, Lock.HALF_YEARLY, extendedAt + YEAR / 2);
+
+      const info = await position(alice);
+      expect(info.stakingShare).to.equal((amount * 150n) / 100n);
+      expect(info.endTime).to.equal(BigInt(extendedAt + YEAR / 2));
+      await expectConsistentTotals();
+      await expect(staking.connect(alice).extendLock(0, Lock.HALF_YEARLY)).to.be.revertedWith("Lock can only be extended");
+      await expect(staking.connect(alice).extendLock(0, Lock.QUATERLY)).to.be.revertedWith("Lock can only be extended");
+
+      // Alice now holds 1,500 of the 2,500 shares: 60% of a day's emission
+      await expect(at(extendedAt + DAY, () => staking.connect(alice).claimReward(0)))
+        .to.emit(staking, "ClaimedReward").withArgs(alice.address, 0, ethers.parseEther("6000"));
+      index += growth(DAILY_REWARD, info.stakingShare + amount);
+      expect((await position(bob)).pendingReward).to.equal(earned(amount, index) - bobDebt);
+
+      await expect(staking.connect(alice).withdraw(0)).to.be.revertedWith("Lock not expired");
+    });
+  });
+
+  describe("Early unlock", function () {
+    it("should only let the owner set a bounded penalty", async function () {
+      expect(await staking.earlyUnlockPenalty()).to.equal(1000n);
+      await expect(staking.setEarlyUnlockPenalty(2000)).to.emit(staking, "EarlyUnlockPenaltyUpdated").withArgs(2000);
+      await expect(staking.setEarlyUnlockPenalty(5001)).to.be.revertedWith("Penalty too high");
+      await expect(staking.connect(alice).setEarlyUnlockPenalty(0))
+        .to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+    });
+
+    it("should keep the penalty for the remaining stakers", async function () {
+      await staking.setEarlyUnlockPenalty(2000);
+      const amount = ethers.parseEther("1000");
+      const share = amount * 2n;
+      await at(start, () => staking.connect(alice).stake(amount, Lock.YEARLY));
+      await at(start + 1, () => staking.connect(bob).stake(amount, Lock.YEARLY));
+      let index = growth(emitted(1), share);
+      const bobDebt = earned(share, index);
+
+      index += growth(emitted(DAY), 2n * share);
+      const reward = earned(share, index);
+      const penalty = ethers.parseEther("200");
+      await expect(at(start + 1 + DAY, () => staking.connect(alice).unlockEarly(0)))
+        .to.emit(staking, "EarlyUnlocked").withArgs(alice.address, 0, amount - penalty, penalty)
+        .and.to.emit(staking, "ClaimedReward").withArgs(alice.address, 0, reward);
+
+      // The penalty goes to Bob, the only staker left
+      index += growth(penalty, share);
+      expect((await position(bob)).pendingReward).to.equal(earned(share, index) - bobDebt);
+      expect(await token.balanceOf(alice.address)).to.equal(ethers.parseEther("99800") + reward);
+      expect((await staking.getTotalStakes()).totalPenaltyDistributed).to.equal(penalty);
+      expect((await position(alice)).withdrawn).to.equal(true);
+      await expectConsistentTotals();
+      await expect(staking.connect(alice).unlockEarly(0)).to.be.revertedWith("Stake already withdrawn");
+
+      // Positions whose lock has expired are withdrawn without a penalty
+      await staking.connect(carol).stake(amount, Lock.NORMAL);
+      await expect(staking.connect(carol).unlockEarly(0)).to.be.revertedWith("Lock expired");
+    });
+
+    it("should hold the penalty of the last staker until someone stakes again", async function () {
+      const amount = ethers.parseEther("1000");
+      await at(start, () => staking.connect(carol).stake(amount, Lock.YEARLY));
+      let index = growth(emitted(10), amount * 2n);
+      await at(start + 10, () => staking.connect(carol).unlockEarly(0));
+
+      const penalty = ethers.parseEther("100");
+      expect(await staking.undistributedPenalty()).to.equal(penalty);
+      expect(await token.balanceOf(carol.address)).to.equal(ethers.parseEther("99900") + earned(amount * 2n, index));
+
+      await at(start + 20, () => staking.connect(bob).stake(amount, Lock.NORMAL));
+      const bobDebt = earned(amount, index);
+      // Nothing accrued while nobody was staking, so the next accrual covers the gap
+      index += growth(emitted(20), amount) + growth(penalty, amount);
+      await expect(at(start + 30, () => staking.connect(bob).claimReward(0)))
+        .to.emit(staking, "ClaimedReward").withArgs(bob.address, 0, earned(amount, index) - bobDebt);
+
+      expect(await staking.undistributedPenalty()).to.equal(0n);
+      expect((await staking.getTotalStakes()).totalPenaltyDistributed).to.equal(penalty);
+    });
+  });
+
+  describe("Lock tiers", function () {
+    it("should open positions on owner-managed tiers that keep their terms", async function () {
+      const amount = ethers.parseEther("1000");
+      await expect(staking.addLockTier(30 * DAY, 110)).to.emit(staking, "LockTierUpdated").withArgs(4, 30 * DAY, 110, true);
+      await at(start, () => staking.connect(alice).stake(amount, 4));
+
+      await staking.setLockTier(4, 60 * DAY, 300, true);
+      const info = await position(alice);
+      expect(info.lockTier).to.equal(4n);
+      expect(info.lockMultiplier).to.equal(110n);
+      expect(info.stakingShare).to.equal((amount * 110n) / 100n);
+      expect(info.endTime).to.equal(BigInt(start + 30 * DAY));
+
+      const opened = await (await staking.connect(bob).stake(amount, 4)).wait();
+      const bobInfo = await position(bob);
+      expect(bobInfo.stakingShare).to.equal(amount * 3n);
+      expect(bobInfo.endTime).to.equal(BigInt((await opened.getBlock()).timestamp + 60 * DAY));
+      await expectConsistentTotals();
+
+      await staking.setLockTier(Lock.QUATERLY, YEAR / 4, 125, false);
+      await expect(staking.connect(carol).stake(amount, Lock.QUATERLY)).to.be.revertedWith("Lock tier not available");
+      await expect(staking.connect(carol).stake(amount, 5)).to.be.revertedWith("Lock tier not available");
+      await expect(staking.setLockTier(5, DAY, 100, true)).to.be.revertedWith("Unknown lock tier");
+      await expect(staking.addLockTier(DAY, 99)).to.be.revertedWith("Invalid multiplier");
+      await expect(staking.connect(alice).addLockTier(DAY, 100))
+        .to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+    });
+
+    it("should only extend a lock to a higher multiplier that does not end earlier", async function () {
+      const amount = ethers.parseEther("1000");
+      await at(start, () => staking.connect(alice).stake(amount, Lock.QUATERLY));
+      await staking.addLockTier(DAY, 150);
+
+      await expect(staking.connect(alice).extendLock(0, 4)).to.be.revertedWith("Lock can only be extended");
+      await staking.setLockTier(Lock.HALF_YEARLY, YEAR / 2, 150, false);
+      await expect(staking.connect(alice).extendLock(0, Lock.HALF_YEARLY)).to.be.revertedWith("Lock tier not available");
+
+      await staking.connect(alice).extendLock(0, Lock.YEARLY);
+      const info = await position(alice);
+      expect(info.lockTier).to.equal(BigInt(Lock.YEARLY));
+      expect(info.stakingShare).to.equal(amount * 2n);
+      await expectConsistentTotals();
+    });
+  });
+
+  describe("Amount brackets", function () {
+    it("should replace the brackets for new positions only", async function () {
+      const amount = ethers.parseEther("1000");
+      await at(start, () => staking.connect(alice).stake(amount, Lock.NORMAL));
+
+      const brackets = [[ethers.parseEther("1000"), 120n], [ethers.parseEther("5000"), 300n]];
+      await expect(staking.setAmountBrackets(brackets)).to.emit(staking, "AmountBracketsUpdated");
+      expect(await staking.getAmountMultiplier(amount - 1n)).to.equal(100n);
+      expect(await staking.getAmountMultiplier(amount)).to.equal(120n);
+      expect(await staking.getAmountMultiplier(ethers.parseEther("100000"))).to.equal(300n);
+      expect((await position(alice)).stakingShare).to.equal(amount);
+
+      // The position keeps the 1x it was opened with when compounding past the new brackets
+      await at(start + DAY, () => staking.connect(alice).compound(0));
+      const compounded = amount + DAILY_REWARD;
+      expect((await position(alice)).amountMultiplier).to.equal(100n);
+      expect((await position(alice)).stakingShare).to.equal(compounded);
+      await expectConsistentTotals();
+
+      await at(start + DAY + 1, () => staking.connect(bob).stake(amount, Lock.NORMAL));
+      expect((await position(bob)).amountMultiplier).to.equal(120n);
+      expect((await position(bob)).stakingShare).to.equal((amount * 120n) / 100n);
+
+      await expect(staking.setAmountBrackets([brackets[1], brackets[0]])).to.be.revertedWith("Brackets not sorted");
+      await expect(staking.setAmountBrackets([[amount, 50n]])).to.be.revertedWith("Invalid multiplier");
+      await staking.setAmountBrackets([]);
+      expect(await staking.getAmountMultiplier(ethers.parseEther("1000000"))).to.equal(100n);
+    });
+
+    it("should keep the amount multiplier of a position when its lock is extended or it is partly withdrawn", async function () {
+      const amount = ethers.parseEther("20000");
+      await at(start, () => staking.connect(alice).stake(amount, Lock.NORMAL));
+      expect((await position(alice)).amountMultiplier).to.equal(115n);
+
+      await staking.setAmountBrackets([[ethers.parseEther("1000"), 300n]]);
+      await at(start + DAY, () => staking.connect(alice).extendLock(0, Lock.YEARLY));
+      let info = await position(alice);
+      expect(info.amountMultiplier).to.equal(115n);
+      expect(info.stakingShare).to.equal((amount * 200n * 115n) / 10000n);
+
+      await staking.setAmountBrackets([]);
+      await at(start + DAY + YEAR, () => staking.connect(alice).withdrawPartial(0, amount / 2n));
+      info = await position(alice);
+      expect(info.amountMultiplier).to.equal(115n);
+      expect(info.stakingShare).to.equal((amount / 2n) * 200n * 115n / 10000n);
+      await expectConsistentTotals();
+    });
+  });
+
+  describe("Reward streams", function () {
+    let usdt;
+    const STREAMED = 8640_000000n; // 8,640 USDT: 0.1 USDT a second for a day
+
+    beforeEach(async function () {
+      usdt = await ethers.deployContract("MockERC20", ["Tether USD", "USDT", 6]);
+      await usdt.mint(owner.address, STREAMED * 10n);
+      await usdt.approve(staking.target, ethers.MaxUint256);
+    });
+
+    it("should share a stream by staking share and report it per stream", async function () {
+      const amount = ethers.parseEther("1000");
+      await at(start, () => staking.connect(alice).stake(amount, Lock.NORMAL));
+      await at(start + 1, () => staking.connect(bob).stake(amount, Lock.YEARLY));
+      const streamStart = start + 10;
+      await expect(staking.addRewardStream(usdt.target, STREAMED, streamStart, streamStart + DAY))
+        .to.emit(staking, "RewardStreamAdded").withArgs(0, usdt.target, STREAMED, streamStart, streamStart + DAY);
+
+      // Half-way through, Alice has a third of what was emitted and Bob two thirds
+      await mineAt(streamStart + DAY / 2);
+      expect(await staking.pendingStreamRewards(alice.address, 0)).to.deep.equal([STREAMED / 6n]);
+      expect(await staking.claimableStreamRewards(bob.address)).to.deep.equal([STREAMED / 3n]);
+
+      // Nothing is emitted after the end
+      await expect(at(streamStart + 2 * DAY, () => staking.connect(alice).claimReward(0)))
+        .to.emit(staking, "StreamRewardClaimed").withArgs(alice.address, 0, 0, STREAMED / 3n);
+      expect(await usdt.balanceOf(alice.address)).to.equal(STREAMED / 3n);
+      expect(await staking.streamRewardClaimed(alice.address, 0, 0)).to.equal(STREAMED / 3n);
+      expect(await staking.pendingStreamRewards(alice.address, 0)).to.deep.equal([0n]);
+
+      await staking.connect(bob).unlockEarly(0);
+      expect(await usdt.balanceOf(bob.address)).to.equal((STREAMED * 2n) / 3n);
+      expect(await staking.claimableStreamRewards(bob.address)).to.deep.equal([0n]);
+      expect((await staking.getRewardStreams())[0].totalDistributed).to.equal(STREAMED);
+    });
+
+    it("should pay streams out when compounding", async function () {
+      const amount = ethers.parseEther("1000");
+      await staking.addRewardStream(usdt.target, STREAMED, start, start + DAY);
+      await at(start, () => staking.connect(alice).stake(amount, Lock.NORMAL));
+
+      await expect(at(start + DAY, () => staking.connect(alice).compound(0)))
+        .to.emit(staking, "StreamRewardClaimed").withArgs(alice.address, 0, 0, STREAMED)
+        .and.to.emit(staking, "Compounded");
+      expect(await staking.streamRewardDebt(alice.address, 0, 0))
+        .to.equal(earned((await position(alice)).stakingShare, (await staking.getRewardStreams())[0].rewardIndex));
+    });
+
+    it("should hold back what a stream emits while nobody stakes", async function () {
+      await staking.addRewardStream(usdt.target, STREAMED, start, start + DAY);
+      await at(start + DAY / 2, () => staking.connect(alice).stake(ethers.parseEther("1000"), Lock.NORMAL));
+
+      await mineAt(start + DAY);
+      expect(await staking.pendingStreamRewards(alice.address, 0)).to.deep.equal([STREAMED]);
+      await staking.connect(alice).claimReward(0);
+      expect(await usdt.balanceOf(alice.address)).to.equal(STREAMED);
+    });
+
+    it("should spread top-ups over the rest of a stream and restart ended streams", async function () {
+      await at(start, () => staking.connect(alice).stake(ethers.parseEther("1000"), Lock.NORMAL));
+      const end = start + 10 + DAY;
+      await staking.addRewardStream(usdt.target, STREAMED, start + 10, end);
+
+      await expect(at(start + 10 + DAY / 2, () => staking.fundRewardStream(0, STREAMED / 2n, end)))
+        .to.emit(staking, "RewardStreamFunded").withArgs(0, STREAMED / 2n, end);
+      expect((await staking.getRewardStreams())[0].rewardRate).to.equal(STREAMED / BigInt(DAY / 2));
+      await at(end, () => staking.connect(alice).claimReward(0));
+      expect(await usdt.balanceOf(alice.address)).to.equal((STREAMED * 3n) / 2n);
+
+      // An ended stream emits again from the top-up, not for the time it was stopped
+      await at(end + 100, () => staking.fundRewardStream(0, STREAMED / 10n, end + 100 + DAY));
+      await at(end + 100 + DAY, () => staking.connect(alice).claimReward(0));
+      expect(await usdt.balanceOf(alice.address)).to.equal((STREAMED * 3n) / 2n + STREAMED / 10n);
+
+      await expect(staking.fundRewardStream(0, 1n, end)).to.be.revertedWith("Invalid time range");
+      await expect(staking.fundRewardStream(1, 1n, end + 2 * DAY)).to.be.revertedWith("Unknown reward stream");
+    });
+
+    it("should only let the owner add valid streams", async function () {
+      const now = (await ethers.provider.getBlock("latest")).timestamp;
+      await expect(staking.addRewardStream(usdt.target, STREAMED, now - 1, now + DAY)).to.be.revertedWith("Invalid time range");
+      await expect(staking.addRewardStream(usdt.target, DAY - 1, now + 10, now + 10 + DAY)).to.be.revertedWith("Invalid amount");
+      await expect(staking.connect(alice).addRewardStream(usdt.target, STREAMED, now + 10, now + DAY))
+        .to.be.revertedWithCustomError(staking, "OwnableUnauthorizedAccount");
+    });
+  });
+});
@@ -0,0 +1,276 @@
+const { expect } = require("chai");
+const { ethers } = require("hardhat");
+
+describe("TokenVesting", function () {
+  let di, vesting, legacy;
+  let owner, relayer, alice, bob, carol, other;
+
+  const DAY = 86400;
+  const GRANT = ethers.parseEther("100000");
+  // The KOL allocation is minted to the vesting contract
+  const ALLOCATION = ethers.parseEther("50000000");
+
+  async function now() {
+    return (await ethers.provider.getBlock("latest")).timestamp;
+  }
+
+  async function increaseTo(timestamp) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    await ethers.provider.send("evm_mine", []);
+  }
+
+  // Sends a transaction mined at `timestamp`
+  async function at(timestamp, send) {
+    await ethers.provider.send("evm_setNextBlockTimestamp", [timestamp]);
+    return send();
+  }
+
+  function schedule({ start, cliff = 30 * DAY, duration = 180 * DAY, stepDuration = 0, initialUnlockBps = 2000 }) {
+    return { start, cliff, duration, stepDuration, initialUnlockBps };
+  }
+
+  async function grant(beneficiary, options = {}, revocable = true, amount = GRANT) {
+    const start = options.start !== undefined ? options.start : (await now()) + 1;
+    const id = await vesting.grantCount();
+    await vesting.createGrant(beneficiary.address, amount, schedule({ ...options, start }), revocable);
+    return { id, start };
+  }
+
+  beforeEach(async function () {
+    [owner, relayer, alice, bob, carol, other] = await ethers.getSigners();
+    di = await ethers.deployContract("DI", [owner.address]);
+    vesting = await ethers.deployContract("TokenVesting", [di.target, owner.address, ethers.ZeroAddress]);
+    legacy = await ethers.deployContract("TeamAllocation", [di.target, owner.address]);
+    await di.allocateToken({
+      presaleContract: other.address,
+      marketingWallet: other.address,
+      kolAllocationContract: vesting.target,
+      // The legacy contract is left unfunded: members cannot withdraw from it and from the vesting contract
+      teamAllocationContract: other.address,
+      treasuryWallet: owner.address,
+      ecosystemWallet: other.address,
+      stakingContract: other.address,
+      liquidityWallet: other.address,
+      airdropContract: other.address,
+    });
+  });
+
+  describe("Schedules", function () {
+    it("should unlock the initial share at the cliff and the rest linearly", async function () {
+      const { id, start } = await grant(alice);
+      const escrow = (await vesting.getGrant(id)).escrow;
+      expect(await di.balanceOf(escrow)).to.equal(GRANT);
+      expect(await di.balanceOf(vesting.target)).to.equal(ALLOCATION - GRANT);
+      expect(await vesting.totalAllocated()).to.equal(GRANT);
+
+      await expect(at(start + 30 * DAY - 1, () => vesting.release(id))).to.be.revertedWith("Nothing to release");
+      expect(await vesting.releasable(id)).to.equal(0n);
+
+      await increaseTo(start + 30 * DAY);
+      expect(await vesting.vestedAmount(id)).to.equal(GRANT / 5n);
+
+      // Halfway through the linear part: 20% + 40%
+      await expect(at(start + 105 * DAY, () => vesting.connect(relayer).release(id)))
+        .to.emit(vesting, "Released").withArgs(id, alice.address, relayer.address, (GRANT * 3n) / 5n);
+      expect(await di.balanceOf(alice.address)).to.equal((GRANT * 3n) / 5n);
+
+      await increaseTo(start + 180 * DAY);
+      expect(await vesting.releasable(id)).to.equal((GRANT * 2n) / 5n);
+      await vesting.connect(alice).release(id);
+      expect(await di.balanceOf(alice.address)).to.equal(GRANT);
+      expect(await di.balanceOf(escrow)).to.equal(0n);
+      expect(await vesting.totalReleased()).to.equal(GRANT);
+    });
+
+    it("should vest step schedules at the end of each step", async function () {
+      const { id, start } = await grant(alice, { cliff: 0, duration: 120 * DAY, stepDuration: 30 * DAY, initialUnlockBps: 0 });
+
+      await increaseTo(start + 30 * DAY - 1);
+      expect(await vesting.vestedAmount(id)).to.equal(0n);
+      await increaseTo(start + 60 * DAY - 1);
+      expect(await vesting.vestedAmount(id)).to.equal(GRANT / 4n);
+      await increaseTo(start + 60 * DAY);
+      expect(await vesting.vestedAmount(id)).to.equal(GRANT / 2n);
+      await increaseTo(start + 120 * DAY);
+      expect(await vesting.vestedAmount(id)).to.equal(GRANT);
+    });
+
+    it("should release every grant of a beneficiary at once", async function () {
+      const first = await grant(alice, { cliff: 0, duration: DAY, initialUnlockBps: 0 });
+      await grant(alice, { cliff: 0, duration: DAY, initialUnlockBps: 10000 });
+      await grant(bob);
+      expect(await vesting.getGrantIds(alice.address)).to.deep.equal([0n, 1n]);
+
+      await at(first.start + DAY, () => vesting.connect(relayer).releaseAll(alice.address));
+      expect(await di.balanceOf(alice.address)).to.equal(GRANT * 2n);
+      await expect(vesting.releaseAll(alice.address)).to.be.revertedWith("Nothing to release");
+    });
+
+    it("should validate grants", async function () {
+      const start = (await now()) + 1;
+      await expect(vesting.connect(alice).createGrant(alice.address, GRANT, schedule({ start }), true))
+        .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount");
+      await expect(vesting.createGrant(ethers.ZeroAddress, GRANT, schedule({ start }), true))
+        .to.be.revertedWith("Invalid beneficiary");
+      await expect(vesting.createGrant(alice.address, 0, schedule({ start }), true)).to.be.revertedWith("Invalid amount");
+      await expect(vesting.createGrant(alice.address, GRANT, schedule({ start, duration: 0, cliff: 0 }), true))
+        .to.be.revertedWith("Invalid schedule");
+      await expect(vesting.createGrant(alice.address, GRANT, schedule({ start, cliff: 181 * DAY }), true))
+        .to.be.revertedWith("Invalid schedule");
+      await expect(vesting.createGrant(alice.address, GRANT, schedule({ start, initialUnlockBps: 10001 }), true))
+        .to.be.revertedWith("Invalid schedule");
+      await expect(vesting.createGrant(alice.address, ALLOCATION + 1n, schedule({ start }), true))
+        .to.be.revertedWith("Insufficient unallocated tokens");
+      await expect(vesting.createGrants([alice.address, bob.address], [GRANT], schedule({ start }), true))
+        .to.be.revertedWith("Mismatched input lengths");
+      await expect(vesting.getGrant(0)).to.be.revertedWith("Unknown grant");
+
+      await vesting.createGrants([alice.address, bob.address], [GRANT, GRANT * 2n], schedule({ start }), false);
+      expect((await vesting.getGrant(1)).amount).to.equal(GRANT * 2n);
+      expect(await vesting.totalAllocated()).to.equal(GRANT * 3n);
+    });
+  });
+
+  describe("Revocation", function () {
+    it("should return the unvested tokens and keep the vested ones claimable", async function () {
+      const { id, start } = await grant(alice);
+      const ownerBalance = await di.balanceOf(owner.address);
+
+      await expect(at(start + 105 * DAY, () => vesting.revoke(id)))
+        .to.emit(vesting, "GrantRevoked").withArgs(id, (GRANT * 2n) / 5n);
+      expect(await di.balanceOf(owner.address)).to.equal(ownerBalance + (GRANT * 2n) / 5n);
+      expect(await vesting.totalAllocated()).to.equal((GRANT * 3n) / 5n);
+      await expect(vesting.revoke(id)).to.be.revertedWith("Grant already revoked");
+
+      await increaseTo(start + 180 * DAY);
+      expect(await vesting.releasable(id)).to.equal((GRANT * 3n) / 5n);
+      await vesting.release(id);
+      expect(await di.balanceOf(alice.address)).to.equal((GRANT * 3n) / 5n);
+    });
+
+    it("should not revoke non-revocable grants", async function () {
+      const { id } = await grant(alice, {}, false);
+      await expect(vesting.revoke(id)).to.be.revertedWith("Grant not revocable");
+      await expect(vesting.connect(alice).revoke(id)).to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount");
+    });
+  });
+
+  describe("Beneficiaries and voting power", function () {
+    it("should let the beneficiary move a grant to a new address", async function () {
+      const { id, start } = await grant(alice, {}, false);
+      await expect(vesting.connect(bob).changeBeneficiary(id, bob.address)).to.be.revertedWith("Not allowed to change beneficiary");
+      // The owner can only move revocable grants
+      await expect(vesting.changeBeneficiary(id, bob.address)).to.be.revertedWith("Not allowed to change beneficiary");
+      await expect(vesting.connect(alice).changeBeneficiary(id, ethers.ZeroAddress)).to.be.revertedWith("Invalid beneficiary");
+
+      await expect(vesting.connect(alice).changeBeneficiary(id, bob.address))
+        .to.emit(vesting, "BeneficiaryChanged").withArgs(id, alice.address, bob.address);
+      expect(await vesting.getGrantIds(alice.address)).to.deep.equal([]);
+      expect(await vesting.getGrantIds(bob.address)).to.deep.equal([id]);
+      expect(await di.getVotes(alice.address)).to.equal(0n);
+      expect(await di.getVotes(bob.address)).to.equal(GRANT);
+
+      await at(start + 180 * DAY, () => vesting.release(id));
+      expect(await di.balanceOf(bob.address)).to.equal(GRANT);
+      expect(await di.balanceOf(alice.address)).to.equal(0n);
+
+      const revocable = await grant(carol);
+      await vesting.changeBeneficiary(revocable.id, alice.address);
+      expect((await vesting.getGrant(revocable.id)).beneficiary).to.equal(alice.address);
+    });
+
+    it("should let the beneficiary delegate the voting power of the unreleased tokens", async function () {
+      const { id, start } = await grant(alice);
+      expect(await di.getVotes(alice.address)).to.equal(GRANT);
+
+      await expect(vesting.connect(bob).delegate(id, bob.address)).to.be.revertedWith("Not the beneficiary");
+      await expect(vesting.connect(alice).delegate(id, carol.address))
+        .to.emit(vesting, "VotesDelegated").withArgs(id, carol.address);
+      expect(await di.getVotes(alice.address)).to.equal(0n);
+      expect(await di.getVotes(carol.address)).to.equal(GRANT);
+
+      // Released tokens leave the escrow and its delegation
+      await at(start + 30 * DAY, () => vesting.release(id));
+      expect(await di.getVotes(carol.address)).to.equal((GRANT * 4n) / 5n);
+
+      const escrow = await ethers.getContractAt("VestingEscrow", (await vesting.getGrant(id)).escrow);
+      await expect(escrow.connect(alice).transfer(alice.address, 1n)).to.be.revertedWith("Not the manager");
+      await expect(escrow.initialize(di.target, alice.address)).to.be.revertedWith("Already initialized");
+    });
+  });
+
+  describe("Legacy migration", function () {
+    it("should recreate legacy members with their schedule and withdrawals", async function () {
+      await legacy.allocateTokens([alice.address, bob.address, carol.address], ["Alice", "Bob", "Carol"], [GRANT, GRANT * 2n, GRANT]);
+      const start = Number((await legacy.getMember(alice.address)).startTime);
+      // Fund the legacy contract with exactly what Alice withdraws 60 days in, so it is empty at migration
+      const withdrawn = GRANT / 5n + (GRANT * 4n * BigInt(30 * DAY)) / BigInt(180 * DAY * 5);
+      await di.connect(other).transfer(legacy.target, withdrawn);
+      await at(start + 60 * DAY, () => legacy.connect(alice).withdraw());
+      expect((await legacy.getMember(alice.address)).withdrawn).to.equal(withdrawn);
+
+      await expect(vesting.connect(alice).migrateLegacy(legacy.target, false))
+        .to.be.revertedWithCustomError(vesting, "OwnableUnauthorizedAccount");
+      await expect(vesting.migrateLegacy(legacy.target, false))
+        .to.emit(vesting, "LegacyMigrated").withArgs(legacy.target, 3, GRANT * 4n - withdrawn);
+      await expect(vesting.migrateLegacy(legacy.target, false)).to.be.revertedWith("Already migrated");
+
+      const migrated = await vesting.getGrant(0);
+      expect(migrated.beneficiary).to.equal(alice.address);
+      expect(migrated.amount).to.equal(GRANT);
+      expect(migrated.released).to.equal(withdrawn);
+      expect(migrated.schedule.start).to.equal(BigInt(start));
+      expect(migrated.schedule.cliff).to.equal(BigInt(30 * DAY));
+      expect(migrated.schedule.duration).to.equal(BigInt(180 * DAY));
+      expect(migrated.revocable).to.equal(false);
+      expect(migrated.legacy).to.equal(true);
+      expect(await di.balanceOf(migrated.escrow)).to.equal(GRANT - withdrawn);
+      expect(await vesting.totalReleased()).to.equal(withdrawn);
+
+      await at(start + 180 * DAY, () => vesting.releaseAll(alice.address));
+      expect(await di.balanceOf(alice.address)).to.equal(GRANT);
+      expect((await vesting.getGrant(1)).amount).to.equal(GRANT * 2n);
+    });
+
+    it("should only migrate empty legacy contracts into a funded vesting contract", async function () {
+      await legacy.allocateTokens([alice.address], ["Alice"], [GRANT]);
+
+      // Alice could withdraw these from the legacy contract as well
+      await di.connect(other).transfer(legacy.target, 1n);
+      await expect(vesting.migrateLegacy(legacy.target, false)).to.be.revertedWith("Legacy allocation still funded");
+
+      // The grants are funded from the vesting contract's own tokens
+      const kol = await ethers.deployContract("KOLAllocation", [di.target, owner.address]);
+      await kol.allocateTokens([alice.address], ["Alice"], [GRANT]);
+      const unfunded = await ethers.deployContract("TokenVesting", [di.target, owner.address, ethers.ZeroAddress]);
+      await expect(unfunded.migrateLegacy(kol.target, false)).to.be.revertedWith("Insufficient unallocated tokens");
+      await vesting.migrateLegacy(kol.target, false);
+      expect(await di.balanceOf((await vesting.getGrant(0)).escrow)).to.equal(GRANT);
+    });
+
+    it("should vest migrated grants exactly as the legacy contract did", async function () {
+      const amounts = [GRANT + 7n, GRANT * 3n + 1n];
+      await legacy.allocateTokens([alice.address, bob.address], ["Alice", "Bob"], amounts);
+      const start = Number((await legacy.getMember(alice.address)).startTime);
+      const offsets = [30 * DAY - 1, 30 * DAY, 30 * DAY + 1, 61 * DAY + 17, 120 * DAY, 180 * DAY - 1, 180 * DAY];
+
+      // What the legacy contract lets each member withdraw at every offset
+      const expected = [];
+      for (const offset of offsets) {
+        const snapshot = await ethers.provider.send("evm_snapshot", []);
+        await increaseTo(start + offset);
+        expected.push([await legacy.connect(alice).getWithdrawable(), await legacy.connect(bob).getWithdrawable()]);
+        await ethers.provider.send("evm_revert", [snapshot]);
+      }
+
+      await vesting.migrateLegacy(legacy.target, false);
+      for (let i = 0; i < offsets.length; i++) {
+        await increaseTo(start + offsets[i]);
+        expect(await vesting.vestedAmount(0)).to.equal(expected[i][0]);
+        expect(await vesting.vestedAmount(1)).to.equal(expected[i][1]);
+      }
+      // The legacy contracts unlock what is left at the end of the duration
+      expect(expected[6][0] - expected[5][0]).to.be.gt(amounts[0] / 10n);
+    });
+  });
+});
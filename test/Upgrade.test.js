@@ -0,0 +1,185 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const { loadDeployConfig } = require("../deploy/config");
+const { DeploymentManifest } = require("../deploy/manifest");
+const { DeploymentPipeline } = require("../deploy/pipeline");
+const { ProxyUpgrader } = require("../deploy/upgrade");
+
+const { ethers, upgrades } = hre;
+
+describe("Proxy upgrades", function () {
+  let deployer, relayer, user;
+  let tmpDir, manifestFile, chainId;
+
+  async function deploy(overrides = {}) {
+    const { token, ...config } = loadDeployConfig("hardhat");
+    const manifest = DeploymentManifest.load(manifestFile, { network: "hardhat", chainId });
+    await new DeploymentPipeline({ hre, config: { ...config, ...overrides }, manifest, deployer, log: () => {} }).run();
+    return manifest;
+  }
+
+  function upgrader(signer = deployer) {
+    const manifest = DeploymentManifest.load(manifestFile, { network: "hardhat", chainId });
+    return new ProxyUpgrader({ hre, manifest, signer, log: () => {} });
+  }
+
+  function readManifest() {
+    return JSON.parse(fs.readFileSync(manifestFile, "utf8"));
+  }
+
+  async function contractAt(name) {
+    return ethers.getContractAt(name, readManifest().contracts[name].address);
+  }
+
+  // A user with a used nonce on the gateway and a position in the vault
+  async function useContracts() {
+    const gateway = await contractAt("MetaTxGateway");
+    const vault = await contractAt("GasCreditVault");
+    const usdt = await contractAt("MockUSDT");
+    await (await gateway.connect(user).cancelNonce(0)).wait();
+    await (await usdt.mint(user.address, ethers.parseEther("100"))).wait();
+    await (await usdt.connect(user).approve(vault.target, ethers.parseEther("100"))).wait();
+    await (await vault.connect(user).deposit(usdt.target, ethers.parseEther("100"))).wait();
+    return { gateway, vault, usdt };
+  }
+
+  beforeEach(async function () {
+    [deployer, relayer, user] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "upgrade-"));
+    manifestFile = path.join(tmpDir, "hardhat.json");
+  });
+
+  afterEach(function () {
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  describe("without a timelock", function () {
+    beforeEach(async function () {
+      await deploy();
+    });
+
+    it("should upgrade directly and record the new implementation", async function () {
+      const { gateway } = await useContracts();
+      const before = readManifest().contracts.MetaTxGateway;
+
+      const result = await upgrader().upgrade("MetaTxGateway", {
+        contractName: "MockMetaTxGatewayV2",
+        call: { fn: "migrate" },
+      });
+
+      expect(await upgrades.erc1967.getImplementationAddress(gateway.target)).to.equal(result.implementation);
+      const v2 = await ethers.getContractAt("MockMetaTxGatewayV2", gateway.target);
+      expect(await v2.migratedAt()).to.be.gt(0n);
+      expect(await gateway.getNonce(user.address)).to.equal(1n);
+      expect(await gateway.isRelayerAuthorized(relayer.address)).to.equal(true);
+
+      const record = readManifest().contracts.MetaTxGateway;
+      expect(record.contractName).to.equal("MockMetaTxGatewayV2");
+      expect(record.implementation).to.equal(result.implementation);
+      expect(record.upgradeTxHash).to.equal(result.txHash);
+      expect(record.history).to.deep.equal([
+        { contractName: "MetaTxGateway", implementation: before.implementation, bytecodeHash: before.bytecodeHash },
+      ]);
+    });
+
+    it("should refuse an incompatible storage layout before sending anything", async function () {
+      const nonce = await ethers.provider.getTransactionCount(deployer.address);
+
+      await expect(upgrader().upgrade("MetaTxGateway", { contractName: "GasCreditVault" }))
+        .to.be.rejectedWith(/storage layout/i);
+
+      expect(await ethers.provider.getTransactionCount(deployer.address)).to.equal(nonce);
+      expect(readManifest().contracts.MetaTxGateway.history).to.equal(undefined);
+    });
+
+    it("should refuse to upgrade a proxy the manifest is out of date for", async function () {
+      const gateway = await contractAt("MetaTxGateway");
+      await upgrades.upgradeProxy(gateway.target, await ethers.getContractFactory("MockMetaTxGatewayV2"));
+
+      await expect(upgrader().upgrade("MetaTxGateway", { contractName: "MockMetaTxGatewayV2" }))
+        .to.be.rejectedWith("run the deployment again to refresh the manifest");
+    });
+
+    it("should fail an upgrade that changes relayers, nonces or balances", async function () {
+      await useContracts();
+
+      // The upgrade call deauthorizes the relayer
+      await expect(upgrader().upgrade("MetaTxGateway", {
+        contractName: "MockMetaTxGatewayV2",
+        call: { fn: "setRelayerAuthorization", args: [relayer.address, false] },
+      })).to.be.rejectedWith(/changed state it must keep:\n {2}relayers: /);
+
+      expect(readManifest().contracts.MetaTxGateway.contractName).to.equal("MetaTxGateway");
+    });
+  });
+
+  describe("through the upgrade timelock", function () {
+    const DELAY = 3600;
+    let timelock;
+
+    beforeEach(async function () {
+      await deploy({ timelock: { minDelay: DELAY } });
+      timelock = await contractAt("UpgradeTimelock");
+    });
+
+    it("should hand the upgrade rights of both proxies to the timelock", async function () {
+      const gateway = await contractAt("MetaTxGateway");
+      const vault = await contractAt("GasCreditVault");
+
+      expect(await gateway.getRoleMembers(await gateway.UPGRADER_ROLE())).to.deep.equal([timelock.target]);
+      expect(await vault.upgrader()).to.equal(timelock.target);
+      expect(await timelock.getMinDelay()).to.equal(BigInt(DELAY));
+
+      // The deployer keeps the other roles and ownership but can no longer upgrade
+      expect(await gateway.hasRole(await gateway.DEFAULT_ADMIN_ROLE(), deployer.address)).to.equal(true);
+      await expect(upgrades.upgradeProxy(gateway.target, await ethers.getContractFactory("MockMetaTxGatewayV2")))
+        .to.be.revertedWithCustomError(gateway, "AccessControlUnauthorizedAccount");
+      await expect(upgrades.upgradeProxy(vault.target, await ethers.getContractFactory("GasCreditVault"), {
+        redeployImplementation: "always",
+      })).to.be.revertedWith("Not upgrader");
+    });
+
+    it("should schedule the upgrade and execute it once the delay has passed", async function () {
+      const { gateway } = await useContracts();
+      const implementation = await upgrades.erc1967.getImplementationAddress(gateway.target);
+
+      const scheduled = await upgrader().upgrade("MetaTxGateway", { contractName: "MockMetaTxGatewayV2" });
+
+      expect(await upgrades.erc1967.getImplementationAddress(gateway.target)).to.equal(implementation);
+      expect(await timelock.isOperationPending(scheduled.operationId)).to.equal(true);
+      expect(readManifest().pendingUpgrades.MetaTxGateway.implementation).to.equal(scheduled.implementation);
+      const [status] = await upgrader().status();
+      expect(status.state).to.equal("Waiting");
+      expect(status.implementation).to.equal(scheduled.implementation);
+
+      await expect(upgrader().execute("MetaTxGateway")).to.be.rejectedWith("The upgrade of MetaTxGateway is ready at");
+      await expect(upgrader().upgrade("MetaTxGateway", { contractName: "MockMetaTxGatewayV2" }))
+        .to.be.rejectedWith("already scheduled");
+
+      await ethers.provider.send("evm_increaseTime", [DELAY]);
+      await ethers.provider.send("evm_mine", []);
+      await upgrader().execute("MetaTxGateway");
+
+      expect(await upgrades.erc1967.getImplementationAddress(gateway.target)).to.equal(scheduled.implementation);
+      expect(await gateway.getNonce(user.address)).to.equal(1n);
+      const manifest = readManifest();
+      expect(manifest.contracts.MetaTxGateway.implementation).to.equal(scheduled.implementation);
+      expect(manifest.pendingUpgrades).to.deep.equal({});
+    });
+
+    it("should cancel a scheduled upgrade", async function () {
+      const scheduled = await upgrader().upgrade("MetaTxGateway", { contractName: "MockMetaTxGatewayV2" });
+
+      await upgrader().cancel("MetaTxGateway");
+
+      expect(await timelock.isOperation(scheduled.operationId)).to.equal(false);
+      expect(readManifest().pendingUpgrades).to.deep.equal({});
+      await ethers.provider.send("evm_increaseTime", [DELAY]);
+      await expect(upgrader().execute("MetaTxGateway")).to.be.rejectedWith("No upgrade of MetaTxGateway is scheduled");
+    });
+  });
+});
@@ -0,0 +1,210 @@
+const fs = require("fs");
+const http = require("http");
+const os = require("os");
+const path = require("path");
+const { expect } = require("chai");
+const hre = require("hardhat");
+const proxyBuildInfo = require("@openzeppelin/upgrades-core/artifacts/build-info-v5.json");
+const { loadDeployConfig } = require("../deploy/config");
+const { DeploymentManifest } = require("../deploy/manifest");
+const { DeploymentPipeline } = require("../deploy/pipeline");
+const { EtherscanClient, explorerFor } = require("../deploy/explorer");
+const { ContractVerifier } = require("../deploy/verify");
+
+const { ethers } = hre;
+
+// Etherscan-style API keeping submissions in memory; each verification is pending for one status check
+function mockExplorer({ reject = () => null } = {}) {
+  const explorer = { submissions: [], links: [], verified: new Set(), jobs: {} };
+
+  explorer.server = http.createServer((req, res) => {
+    const chunks = [];
+    req.on("data", (chunk) => chunks.push(chunk));
+    req.on("end", () => {
+      const url = new URL(req.url, "http://localhost");
+      const params = Object.fromEntries([...url.searchParams, ...new URLSearchParams(Buffer.concat(chunks).toString())]);
+      const reply = (status, result) => res.end(JSON.stringify({ status, message: status === "1" ? "OK" : "NOTOK", result }));
+
+      if (params.apikey !== "test-key") return reply("0", "Invalid API Key");
+      switch (params.action) {
+        case "getsourcecode":
+          return reply("1", [{ SourceCode: explorer.verified.has(params.address.toLowerCase()) ? "{}" : "" }]);
+        case "verifysourcecode": {
+          explorer.submissions.push(params);
+          const error = reject(params);
+          if (error) return reply("0", error);
+          const guid = `guid-${explorer.submissions.length}`;
+          explorer.jobs[guid] = { address: params.contractaddress, checks: 0 };
+          return reply("1", guid);
+        }
+        case "checkverifystatus": {
+          const job = explorer.jobs[params.guid];
+          if (job.checks++ === 0) return reply("0", "Pending in queue");
+          explorer.verified.add(job.address.toLowerCase());
+          return reply("1", "Pass - Verified");
+        }
+        case "verifyproxycontract":
+          explorer.links.push(params);
+          return reply("1", "proxy-guid");
+        case "checkproxyverification":
+          return reply("1", "The proxy's implementation contract is found and is successfully updated.");
+        default:
+          return reply("0", `Unknown action ${params.action}`);
+      }
+    });
+  });
+  return explorer;
+}
+
+describe("Source verification", function () {
+  let deployer, chainId, manifest, tmpDir, explorer, client;
+
+  function verifier(options = {}) {
+    return new ContractVerifier({ hre, manifest, client, outDir: path.join(tmpDir, "bundles"), log: () => {}, ...options });
+  }
+
+  before(async function () {
+    [deployer] = await ethers.getSigners();
+    ({ chainId } = await ethers.provider.getNetwork());
+    manifest = DeploymentManifest.load(null, { network: "hardhat", chainId });
+    const config = { ...loadDeployConfig("hardhat"), timelock: { minDelay: 60 } };
+    await new DeploymentPipeline({ hre, config, manifest, deployer, log: () => {} }).run();
+  });
+
+  beforeEach(async function () {
+    tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), "verify-"));
+    explorer = mockExplorer();
+    await new Promise((resolve) => explorer.server.listen(0, "127.0.0.1", resolve));
+    client = new EtherscanClient({
+      apiUrl: `http://127.0.0.1:${explorer.server.address().port}/api`,
+      apiKey: "test-key",
+      chainId,
+      pollInterval: 0,
+    });
+  });
+
+  afterEach(async function () {
+    await new Promise((resolve) => explorer.server.close(resolve));
+    fs.rmSync(tmpDir, { recursive: true, force: true });
+  });
+
+  it("should verify every implementation, proxy and contract of the manifest", async function () {
+    const results = await verifier().run();
+
+    const contracts = manifest.data.contracts;
+    const names = Object.keys(contracts).flatMap((name) =>
+      contracts[name].kind === "uups" ? [`${name}.implementation`, name] : [name]
+    );
+    expect(results.map((result) => result.name)).to.deep.equal(names);
+    expect(results.every((result) => result.status === "verified")).to.equal(true);
+    expect(explorer.submissions.every((submission) => submission.chainid === chainId.toString())).to.equal(true);
+
+    // Sources and settings come from the build that produced the artifact (the vault's runs: 1 included)
+    const vault = explorer.submissions.find((s) => s.contractaddress === contracts.GasCreditVault.implementation);
+    const buildInfo = await hre.artifacts.getBuildInfo("contracts/GasCreditVault.sol:GasCreditVault");
+    expect(vault.contractname).to.equal("contracts/GasCreditVault.sol:GasCreditVault");
+    expect(vault.compilerversion).to.equal(`v${buildInfo.solcLongVersion}`);
+    expect(vault.codeformat).to.equal("solidity-standard-json-input");
+    expect(JSON.parse(vault.sourceCode)).to.deep.equal(buildInfo.input);
+    expect(JSON.parse(vault.sourceCode).settings.optimizer.runs).to.equal(1);
+    expect(vault.constructorArguements).to.equal("");
+
+    // Constructor arguments match the deployment transaction
+    for (const name of ["TokenPresale", "UpgradeTimelock"]) {
+      const submission = explorer.submissions.find((s) => s.contractaddress === contracts[name].address);
+      const tx = await ethers.provider.getTransaction(contracts[name].txHash);
+      expect(submission.constructorArguements).to.have.length.greaterThan(0);
+      expect(tx.data.endsWith(submission.constructorArguements)).to.equal(true);
+    }
+
+    // Proxies are verified as the plugin's ERC1967Proxy, then linked to their implementation
+    const proxy = explorer.submissions.find((s) => s.contractaddress === contracts.MetaTxGateway.address);
+    const proxyTx = await ethers.provider.getTransaction(contracts.MetaTxGateway.txHash);
+    expect(proxy.contractname).to.equal("@openzeppelin/contracts/proxy/ERC1967/ERC1967Proxy.sol:ERC1967Proxy");
+    expect(proxy.compilerversion).to.equal(`v${proxyBuildInfo.solcLongVersion}`);
+    expect(proxyTx.data.endsWith(proxy.constructorArguements)).to.equal(true);
+    expect(explorer.links.map((link) => [link.address, link.expectedimplementation])).to.deep.equal([
+      [contracts.MetaTxGateway.address, contracts.MetaTxGateway.implementation],
+      [contracts.GasCreditVault.address, contracts.GasCreditVault.implementation],
+    ]);
+  });
+
+  it("should read proxy constructor arguments from the deployment transaction when the manifest lacks them", async function () {
+    const { proxyArgs, ...record } = manifest.data.contracts.GasCreditVault;
+    const recorded = verifier();
+    const fromChain = verifier({ manifest: { data: { ...manifest.data, contracts: { GasCreditVault: record } } } });
+
+    const [, proxy] = await fromChain.targets();
+
+    expect(proxy.args).to.deep.equal(proxyArgs);
+    expect((await recorded.targets(["GasCreditVault"]))[1].args).to.deep.equal(proxyArgs);
+  });
+
+  it("should skip contracts already verified and only submit the others", async function () {
+    explorer.verified.add(manifest.data.contracts.DI.address.toLowerCase());
+
+    const results = await verifier().run({ only: ["DI", "DIVote"] });
+
+    expect(results.map((result) => result.status)).to.deep.equal(["already verified", "verified"]);
+    expect(explorer.submissions.map((s) => s.contractaddress)).to.deep.equal([manifest.data.contracts.DIVote.address]);
+  });
+
+  it("should write standard-JSON bundles for what the explorer could not verify", async function () {
+    explorer.server.close();
+    explorer = mockExplorer({ reject: (params) => (params.contractname.endsWith(":DI") ? "Fail - Unable to verify" : null) });
+    await new Promise((resolve) => explorer.server.listen(0, "127.0.0.1", resolve));
+    client.apiUrl = `http://127.0.0.1:${explorer.server.address().port}/api`;
+
+    const results = await verifier().run({ only: ["DI", "DIVote"] });
+
+    expect(results[0]).to.include({ name: "DI", status: "bundled" });
+    expect(results[0].reason).to.include("Fail - Unable to verify");
+    expect(results[1].status).to.equal("verified");
+
+    const bundles = path.join(tmpDir, "bundles");
+    const index = JSON.parse(fs.readFileSync(path.join(bundles, "index.json"), "utf8"));
+    expect(index.contracts).to.deep.equal([{
+      name: "DI",
+      address: manifest.data.contracts.DI.address,
+      contractName: "contracts/DI.sol:DI",
+      compilerVersion: `v${(await hre.artifacts.getBuildInfo("contracts/DI.sol:DI")).solcLongVersion}`,
+      constructorArguments: ethers.AbiCoder.defaultAbiCoder().encode(["address"], [deployer.address]).slice(2),
+      input: "DI.json",
+    }]);
+    expect(JSON.parse(fs.readFileSync(path.join(bundles, "DI.json"), "utf8")))
+      .to.deep.equal((await hre.artifacts.getBuildInfo("contracts/DI.sol:DI")).input);
+  });
+
+  it("should only write bundles without an explorer", async function () {
+    const results = await verifier({ client: null }).run({ only: ["MetaTxGateway"] });
+
+    expect(results.map((result) => [result.name, result.status])).to.deep.equal([
+      ["MetaTxGateway.implementation", "bundled"],
+      ["MetaTxGateway", "bundled"],
+    ]);
+    expect(explorer.submissions).to.deep.equal([]);
+    expect(fs.existsSync(path.join(tmpDir, "bundles", "MetaTxGateway.implementation.json"))).to.equal(true);
+  });
+
+  it("should skip contracts deployed from other code than the current build", async function () {
+    const data = JSON.parse(JSON.stringify(manifest.data));
+    data.contracts.DI.bytecodeHash = ethers.ZeroHash;
+
+    const [result] = await verifier({ manifest: { data } }).run({ only: ["DI"] });
+
+    expect(result.status).to.equal("skipped");
+    expect(explorer.submissions).to.deep.equal([]);
+  });
+
+  it("should pick the network's explorer and API key", function () {
+    expect(explorerFor("hardhat", {}, { ETHERSCAN_API_KEY: "key" })).to.equal(null);
+    expect(explorerFor("bsc", {}, {})).to.equal(null);
+    expect(explorerFor("bsc", {}, { ETHERSCAN_API_KEY: "any", BSCSCAN_API_KEY: "bsc" })).to.include({
+      apiUrl: "https://api.etherscan.io/v2/api",
+      apiKey: "bsc",
+      browserUrl: "https://bscscan.com",
+    });
+    expect(explorerFor("base", { apiUrl: "https://explorer.example/api" }, { ETHERSCAN_API_KEY: "key" }).apiUrl)
+      .to.equal("https://explorer.example/api");
+  });
+});